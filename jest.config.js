@@ -0,0 +1,18 @@
+/**
+ * miot-sdk 的单元测试配置，运行 npm test
+ * 测试放在各模块旁边的 __tests__ 目录中，通过 miot-sdk/device/SimulatorSetup 在 Node 中提供米家原生模块
+ */
+module.exports = {
+  roots: ['<rootDir>/miot-sdk'],
+  testMatch: ['**/__tests__/**/*.test.js'],
+  transform: {
+    '^.+\\.js$': ['babel-jest', { babelrc: false, configFile: false, presets: ['module:metro-react-native-babel-preset'] }]
+  },
+  moduleNameMapper: {
+    '^react-native$': '<rootDir>/miot-sdk/__mocks__/react-native.js',
+    '^react-native/Libraries/Image/resolveAssetSource$': '<rootDir>/miot-sdk/__mocks__/resolveAssetSource.js',
+    '^miot$': '<rootDir>/miot-sdk',
+    '^miot/(.*)$': '<rootDir>/miot-sdk/$1'
+  },
+  setupFiles: ['<rootDir>/miot-sdk/device/SimulatorSetup.js']
+};
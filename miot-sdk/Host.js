@@ -11,6 +11,7 @@
  * 音频(audio.js)
  * 文件存储(file.js)
  * 本地KV存储(storage.js)
+ * 本地数据库(database.js)
  * 编解码(crypto.js)
  * 系统基本信息(locale.js)
  * 米家APP提供的能力主要包括：
@@ -49,6 +50,7 @@
  */
 import HostAudio from './host/audio';
 import HostCrypto from './host/crypto';
+import HostDatabase from './host/database';
 import HostFile from './host/file';
 import HostLocale from './host/locale';
 import HostStorage from './host/storage';
@@ -179,6 +181,15 @@ export default {
     get storage() {
         return HostStorage;
     },
+    /**
+     * 基于 SQLite 的本地数据库模块，用于保存需要按条件查询的历史数据
+     * @const
+     * @since 10035
+     * @see {@link module:miot/host/database}
+     */
+    get database() {
+        return HostDatabase;
+    },
     /**
      * 本地文件服务模块
      * @const
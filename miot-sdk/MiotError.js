@@ -0,0 +1,436 @@
+/**
+ * @export public
+ * @doc_name 错误模块
+ * @doc_index 8
+ * @doc_directory sdk
+ * @module miot/MiotError
+ * @description
+ * 设备、蓝牙、云服务及本地存储相关的 Promise 接口失败时，统一 reject 一个 MiotError(或其子类) 对象：
+ * code: 稳定的错误类型，见 ErrorCode，与平台无关
+ * source: 错误来源，见 ErrorSource：device(设备)、ble(蓝牙)、cloud(米家云服务)、storage(本地存储)
+ * nativeCode: 原生或服务端返回的错误码，iOS 蓝牙连接的错误码已统一为 Android 的错误码
+ * native: 原生或服务端返回的原始错误内容
+ * message: 错误描述
+ * 原始错误对象上的其他字段(如 result、errors、attempts、timeout 等)会保留在 MiotError 上，兼容之前的用法
+ *
+ * @example
+ * import { Device, MiotError, ErrorCode } from 'miot'
+ *
+ * Device.getDeviceWifi().callMethod('get_prop', ['power'])
+ *   .catch(err => {
+ *     if (err.isOffline()) {
+ *       // 设备离线
+ *     } else if (err.isTimeout()) {
+ *       // 超时
+ *     } else if (err.code === ErrorCode.INVALID_ARGUMENT) {
+ *       // 参数错误
+ *     }
+ *     console.log(err.source, err.nativeCode, err.native);
+ *   });
+ */
+import native from './native';
+/**
+ * 错误类型
+ * @namespace ErrorCode
+ */
+export const ErrorCode = {
+    /**
+     * 未知错误
+     * @const
+     */
+    UNKNOWN: "UNKNOWN",
+    /**
+     * 请求失败，原生或服务端返回了未归类的错误码，具体见 nativeCode
+     * @const
+     */
+    REQUEST_FAILED: "REQUEST_FAILED",
+    /**
+     * 参数错误
+     * @const
+     */
+    INVALID_ARGUMENT: "INVALID_ARGUMENT",
+    /**
+     * 当前平台或设备不支持
+     * @const
+     */
+    NOT_SUPPORTED: "NOT_SUPPORTED",
+    /**
+     * 请求的对象不存在
+     * @const
+     */
+    NOT_FOUND: "NOT_FOUND",
+    /**
+     * 对象已存在
+     * @const
+     */
+    ALREADY_EXISTS: "ALREADY_EXISTS",
+    /**
+     * 超时
+     * @const
+     */
+    TIMEOUT: "TIMEOUT",
+    /**
+     * 设备离线
+     * @const
+     */
+    OFFLINE: "OFFLINE",
+    /**
+     * 没有权限
+     * @const
+     */
+    PERMISSION_DENIED: "PERMISSION_DENIED",
+    /**
+     * 数据或授权已过期
+     * @const
+     */
+    EXPIRED: "EXPIRED",
+    /**
+     * 请求被取消
+     * @const
+     */
+    CANCELLED: "CANCELLED",
+    /**
+     * 正在处理其他请求
+     * @const
+     */
+    BUSY: "BUSY",
+    /**
+     * 请求过于频繁
+     * @const
+     */
+    RATE_LIMITED: "RATE_LIMITED",
+    /**
+     * 蓝牙已关闭
+     * @const
+     */
+    BLUETOOTH_DISABLED: "BLUETOOTH_DISABLED",
+    /**
+     * 蓝牙未连接或连接已断开
+     * @const
+     */
+    NOT_CONNECTED: "NOT_CONNECTED",
+    /**
+     * 返回的数据格式错误
+     * @const
+     */
+    PARSE_ERROR: "PARSE_ERROR",
+    /**
+     * 数据校验失败，例如固件的 md5 或 crc32 不一致
+     * @const
+     */
+    CHECKSUM_MISMATCH: "CHECKSUM_MISMATCH",
+    /**
+     * 设备电量过低，无法执行操作(例如固件升级)
+     * @const
+     */
+    LOW_BATTERY: "LOW_BATTERY",
+    /**
+     * 本地数据迁移失败，见 Host.storage.createStore
+     * @const
+     */
+    MIGRATION_FAILED: "MIGRATION_FAILED",
+    /**
+     * 超出存储配额，见 Host.storage.setQuota
+     * @const
+     */
+    QUOTA_EXCEEDED: "QUOTA_EXCEEDED"
+};
+Object.freeze(ErrorCode);
+/**
+ * 错误来源
+ * @namespace ErrorSource
+ */
+export const ErrorSource = {
+    /**
+     * 设备
+     * @const
+     */
+    DEVICE: "device",
+    /**
+     * 蓝牙
+     * @const
+     */
+    BLE: "ble",
+    /**
+     * 米家云服务
+     * @const
+     */
+    CLOUD: "cloud",
+    /**
+     * 本地存储
+     * @const
+     */
+    STORAGE: "storage"
+};
+Object.freeze(ErrorSource);
+//@native begin
+const COMMON_CODES = {
+    [-408]: ErrorCode.TIMEOUT,
+    401: ErrorCode.PERMISSION_DENIED,
+    403: ErrorCode.PERMISSION_DENIED,
+    404: ErrorCode.NOT_FOUND
+};
+// MIoT-Spec 及设备 RPC 的错误码
+const DEVICE_CODES = {
+    ...COMMON_CODES,
+    [-704042011]: ErrorCode.OFFLINE,
+    [-704010000]: ErrorCode.PERMISSION_DENIED,
+    [-704040002]: ErrorCode.NOT_FOUND,
+    [-704040003]: ErrorCode.NOT_FOUND,
+    [-704040004]: ErrorCode.NOT_FOUND,
+    [-704040005]: ErrorCode.NOT_FOUND
+};
+// 见 IBluetooth.connect 的 error code
+const BLE_CODES = {
+    ...COMMON_CODES,
+    [-1]: ErrorCode.REQUEST_FAILED,
+    [-2]: ErrorCode.CANCELLED,
+    [-3]: ErrorCode.INVALID_ARGUMENT,
+    [-4]: ErrorCode.NOT_SUPPORTED,
+    [-5]: ErrorCode.BLUETOOTH_DISABLED,
+    [-6]: ErrorCode.NOT_CONNECTED,
+    [-7]: ErrorCode.TIMEOUT,
+    [-10]: ErrorCode.EXPIRED,
+    [-11]: ErrorCode.RATE_LIMITED,
+    [-13]: ErrorCode.BUSY,
+    [-14]: ErrorCode.PERMISSION_DENIED,
+    [-18]: ErrorCode.EXPIRED,
+    [-32]: ErrorCode.NOT_CONNECTED,
+    10: ErrorCode.NOT_FOUND,
+    100: ErrorCode.BUSY,
+    101: ErrorCode.INVALID_ARGUMENT
+};
+// iOS 蓝牙连接的错误码 => Android 的错误码
+const IOS_CONNECT_CODES = { 0: -6, 1: -15, 2: -7, 3: -10, 5: -1, 6: -16, 7: -18, 8: -20, 4: 0 };
+// 原生只给出错误描述时，按描述归类
+const MESSAGE_PATTERNS = [
+    [/offline|离线/i, ErrorCode.OFFLINE],
+    [/time ?out|timed out|超时/i, ErrorCode.TIMEOUT],
+    [/permission|denied|unauthori[sz]ed|权限|未授权/i, ErrorCode.PERMISSION_DENIED],
+    [/not support|不支持/i, ErrorCode.NOT_SUPPORTED]
+];
+const RESERVED_FIELDS = ["name", "code", "message", "stack", "source", "nativeCode", "native"];
+function _nativeCode(payload) {
+    if (!payload || typeof payload !== "object") {
+        return undefined;
+    }
+    const code = payload.code !== undefined ? payload.code : payload.error;
+    if (typeof code === "number") {
+        return code;
+    }
+    if (typeof code === "string" && /^-?\d+$/.test(code)) {
+        return parseInt(code);
+    }
+    return undefined;
+}
+// 原始错误中的描述文字，没有时返回 undefined
+function _message(payload) {
+    if (payload instanceof Error) {
+        return payload.message;
+    }
+    if (payload === undefined || payload === null || typeof payload !== "object") {
+        return payload === undefined || payload === null ? undefined : String(payload);
+    }
+    return [payload.message, payload.msg, payload.error, payload.errorMessage, payload.description]
+        .find(m => typeof m === "string" && m.length > 0);
+}
+function _stringify(payload) {
+    if (payload === undefined || payload === null) {
+        return "unknown error";
+    }
+    try {
+        return JSON.stringify(payload);
+    } catch (err) {
+        return String(payload);
+    }
+}
+function _classify(source, nativeCode, message) {
+    const codes = source === ErrorSource.BLE ? BLE_CODES : (source === ErrorSource.STORAGE ? COMMON_CODES : DEVICE_CODES);
+    if (nativeCode !== undefined && codes[nativeCode]) {
+        return codes[nativeCode];
+    }
+    const matched = message && MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message));
+    if (matched) {
+        return matched[1];
+    }
+    return nativeCode !== undefined ? ErrorCode.REQUEST_FAILED : ErrorCode.UNKNOWN;
+}
+//@native end
+/**
+ * SDK 统一的错误类型
+ * @class
+ * @extends Error
+ */
+export class MiotError extends Error {
+    /**
+     * @param {string} code 错误类型，见 ErrorCode
+     * @param {string} message 错误描述
+     * @param {object} [options]
+     * @param {string} [options.source] 错误来源，见 ErrorSource，子类有默认值
+     * @param {int} [options.nativeCode] 原生或服务端的错误码
+     * @param {any} [options.native] 原生或服务端返回的原始错误
+     * @param {object} [options.extra] 需要保留在错误对象上的其他字段
+     */
+    constructor(code, message, options = {}) {
+        super(message);
+        const { source, nativeCode, extra } = options || {};
+        Object.keys(extra || {}).forEach(key => {
+            if (RESERVED_FIELDS.indexOf(key) < 0) {
+                this[key] = extra[key];
+            }
+        });
+        this.name = this.constructor.errorName || "MiotError";
+        this.code = code || ErrorCode.UNKNOWN;
+        this.message = message;
+        this.source = source || this.constructor.source || ErrorSource.DEVICE;
+        this.nativeCode = nativeCode;
+        this.native = (options || {}).native;
+        this.timeout = this.code === ErrorCode.TIMEOUT;
+    }
+    /**
+     * 是否是超时失败
+     * @returns {boolean}
+     */
+    isTimeout() {
+        return this.code === ErrorCode.TIMEOUT;
+    }
+    /**
+     * 是否是设备离线导致的失败
+     * @returns {boolean}
+     */
+    isOffline() {
+        return this.code === ErrorCode.OFFLINE;
+    }
+    /**
+     * 是否是没有权限导致的失败
+     * @returns {boolean}
+     */
+    isPermissionDenied() {
+        return this.code === ErrorCode.PERMISSION_DENIED;
+    }
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, source: this.source, nativeCode: this.nativeCode, native: this.native };
+    }
+    /**
+     * 将原生、服务端返回的错误或者其他任意错误转换为 MiotError，已经是 MiotError 时原样返回
+     * @param {any} payload 原始错误
+     * @param {string} [source] 错误来源，见 ErrorSource，默认为当前类的来源
+     * @param {string} [code] 指定错误类型，不指定时按原生错误码及描述归类
+     * @returns {MiotError}
+     */
+    static from(payload, source, code) {
+        if (payload instanceof MiotError) {
+            return payload;
+        }
+        source = source || this.source || ErrorSource.DEVICE;
+        const Type = this === MiotError ? (ERROR_TYPES[source] || MiotError) : this;
+        const nativeCode = _nativeCode(payload);
+        const message = _message(payload);
+        const extra = payload && typeof payload === "object" && !(payload instanceof Error) ? payload : null;
+        return new Type(code || _classify(source, nativeCode, message), message || _stringify(payload), { source, nativeCode, native: payload, extra });
+    }
+}
+/**
+ * 设备相关接口的错误，source 为 device
+ * @class
+ * @extends MiotError
+ */
+export class DeviceError extends MiotError {
+    static get errorName() {
+        return "DeviceError";
+    }
+    static get source() {
+        return ErrorSource.DEVICE;
+    }
+}
+/**
+ * 蓝牙相关接口的错误，source 为 ble
+ * @class
+ * @extends MiotError
+ */
+export class BluetoothError extends MiotError {
+    static get errorName() {
+        return "BluetoothError";
+    }
+    static get source() {
+        return ErrorSource.BLE;
+    }
+    /**
+     * 转换蓝牙连接失败的错误，iOS 的错误码会先统一为 Android 的错误码
+     * @param {any} payload 原生返回的错误
+     * @returns {BluetoothError}
+     */
+    static fromConnect(payload) {
+        if (native.isIOS && payload && typeof payload === "object" && IOS_CONNECT_CODES[payload.code] !== undefined) {
+            const error = BluetoothError.from({ ...payload, code: IOS_CONNECT_CODES[payload.code] });
+            error.native = payload;
+            return error;
+        }
+        return BluetoothError.from(payload);
+    }
+}
+/**
+ * 米家云服务相关接口的错误，source 为 cloud
+ * @class
+ * @extends MiotError
+ */
+export class CloudError extends MiotError {
+    static get errorName() {
+        return "CloudError";
+    }
+    static get source() {
+        return ErrorSource.CLOUD;
+    }
+}
+/**
+ * 本地存储相关接口的错误，source 为 storage
+ * @class
+ * @extends MiotError
+ */
+export class StorageError extends MiotError {
+    static get errorName() {
+        return "StorageError";
+    }
+    static get source() {
+        return ErrorSource.STORAGE;
+    }
+}
+//@native begin
+const ERROR_TYPES = {
+    [ErrorSource.DEVICE]: DeviceError,
+    [ErrorSource.BLE]: BluetoothError,
+    [ErrorSource.CLOUD]: CloudError,
+    [ErrorSource.STORAGE]: StorageError
+};
+/**
+ * 将 target 上返回 Promise 的公开方法(不以 _ 开头)的失败结果统一转换为 MiotError，用于各模块导出的对象及类的 prototype
+ * @private
+ * @param {object} target
+ * @param {string} source 错误来源，见 ErrorSource
+ * @returns {object} target
+ */
+export function wrapPromiseErrors(target, source) {
+    Object.getOwnPropertyNames(target).forEach(name => {
+        if (name === "constructor" || name.startsWith("_")) {
+            return;
+        }
+        const descriptor = Object.getOwnPropertyDescriptor(target, name);
+        if (!descriptor || typeof descriptor.value !== "function" || !descriptor.configurable) {
+            return;
+        }
+        const method = descriptor.value;
+        Object.defineProperty(target, name, {
+            ...descriptor,
+            value: function (...args) {
+                const result = method.apply(this, args);
+                if (result && typeof result.then === "function" && typeof result.catch === "function") {
+                    return result.catch(err => Promise.reject(MiotError.from(err, source)));
+                }
+                return result;
+            }
+        });
+    });
+    return target;
+}
+//@native end
+export default MiotError;
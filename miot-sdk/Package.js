@@ -161,6 +161,7 @@ DeviceEventEmitter.addListener('onPluginConfigUpdate', (data) => {
  * @type {{entry: (json|{})}}
  */
 const extra = {}
+const STORAGE_SWEEP_DELAY = 5000;
 function callPackageLifecycle(type, data) {
     if (!native.MIOTPackage.onPackageLifecycle) {
         return;
@@ -261,6 +262,10 @@ class PackageRoot extends React.Component {
                 event: 'show'
             });
         PackageEvent.packageDidLoaded.emit();
+        // 加载完成后在后台清理过期的本地存储，避免与扩展程序的初始化争抢
+        setTimeout(() => {
+            Host.storage.sweep().catch(err => console.warn('storage sweep failed', err));
+        }, STORAGE_SWEEP_DELAY);
         this.checkLegalInformationAuthorization().then(res => {
             console.log('resolve yes', res);
         }).catch(err => {
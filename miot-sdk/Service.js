@@ -33,6 +33,8 @@
  *
  * Service.storage.getUserConfigs(key).then()
  *
+ * 从 10035 开始，Service 下各模块返回 Promise 的方法失败时统一 reject CloudError(见 {@link module:miot/MiotError})
+ *
  *
  */
 //@native
@@ -50,9 +52,11 @@ import Spec from './service/spec';
 import Storage from './service/storage';
 import TJInfra from './service/tjinfra';
 import MiotCamera from './service/miotcamera';
+import RequestPolicy from './device/RequestPolicy';
+import { CloudError, ErrorCode, ErrorSource, wrapPromiseErrors } from './MiotError';
 //@native = const CurrentAccount = null;
 const CurrentAccount = Properties.init(new Account(), { id: native.MIOTService.currentAccountID });
-export default {
+export default wrapPromiseErrors({
   /**
    * @member smarthome
    * @description 设备相关 API
@@ -137,31 +141,26 @@ export default {
    * 如果 SDK 暂时没有收录，可通过 issue 提出申请，提供接口的相关信息。
    * @param {string} api - 接口地址，比如'/location/set'
    * @param {object} params 传入参数，根据和米家后台商议的数据格式来传入，比如{ did: 'xxxx', pid: 'xxxx' }
+   * @param {object} [policy=null] (API Level 10035新增)本次调用的超时及重试策略，覆盖 RequestPolicy 的全局配置，如 {timeout:5000}；
+   * 云端接口不一定可以重复调用，只有同时传入 retryUnsafe: true 时才会按 retries 重试，如 {retries:2, retryUnsafe:true}
+   * 请求失败时的错误带有 attempts(尝试次数) 和 timeout(是否超时) 字段
    */
-  callSmartHomeAPI(api, params) {
+  callSmartHomeAPI(api, params, policy = null) {
     //@native :=> promise
-    return new Promise((resolve, reject) => {
-      const includeApi = omitApi.some(item => {
-        return api.startsWith(item)
-      })
-      if (includeApi) {
-        native.MIOTRPC.standardCall(api, params, (ok, res) => {
-          if (ok) {
-            return resolve(res);
-          }
-          reject(res);
-        });
-      } else if (apiRepo[api]) {
-        native.MIOTRPC.standardCall(api, params, (ok, res) => {
-          if (ok) {
-            return resolve(res);
-          }
-          reject(res);
-        });
-      } else {
-        reject(`失败，原因如下:\n1. api路径填写错误，请检查\n2. sdk 暂未收录该接口，请联系米家插件框架的开发人员`);
-      }
-    });
+    const includeApi = typeof api === "string" && omitApi.some(item => {
+      return api.startsWith(item)
+    })
+    if (!includeApi && !apiRepo[api]) {
+      return Promise.reject(new CloudError(ErrorCode.NOT_FOUND, `失败，原因如下:\n1. api路径填写错误，请检查\n2. sdk 暂未收录该接口，请联系米家插件框架的开发人员`));
+    }
+    return RequestPolicy.run(() => new Promise((resolve, reject) => {
+      native.MIOTRPC.standardCall(api, params, (ok, res) => {
+        if (ok) {
+          return resolve(res);
+        }
+        reject(res);
+      });
+    }), policy, { source: ErrorSource.CLOUD });
     //@native end
   },
   /**
@@ -190,7 +189,7 @@ export default {
             }
             resolve(res);
           } else {
-            reject("地区和服务器信息未正确获取");
+            reject(new CloudError(ErrorCode.REQUEST_FAILED, "地区和服务器信息未正确获取", { native: res }));
           }
         })
       }
@@ -232,7 +231,7 @@ export default {
   getServiceTokenWithSid(sid) {
     //@native :=> promise
     if (native.isAndroid) {
-      return new Promise.reject('Android not support yet')
+      return Promise.reject(new CloudError(ErrorCode.NOT_SUPPORTED, 'Android not support yet'))
     }
     return new Promise((resolve, reject) => {
       native.MIOTHost.getServiceTokenWithSid(sid, (err, res) => {
@@ -254,7 +253,7 @@ export default {
   applyForDeviceIDAndToken(model, mac) {
     //@native :=> promise
     if (native.isAndroid) {
-      return new Promise.reject('Android not support yet')
+      return Promise.reject(new CloudError(ErrorCode.NOT_SUPPORTED, 'Android not support yet'))
     }
     return new Promise((resolve, reject) => {
       native.MIOTHost.applyForDeviceIDAndToken(model, mac, (err, res, did, token) => {
@@ -292,4 +291,4 @@ export default {
     })
     //@native end
   }
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
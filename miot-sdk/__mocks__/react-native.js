@@ -0,0 +1,39 @@
+/**
+ * jest 中使用的 react-native，只包含 miot-sdk 中非 UI 代码用到的部分；
+ * 插件工程中使用 react-native 的 jest preset 即可，不需要这个文件
+ * NativeModules 中的米家原生模块由 device/SimulatorSetup 填充
+ */
+const listeners = new Map();
+const DeviceEventEmitter = {
+    addListener(type, listener) {
+        const set = listeners.get(type) || new Set();
+        listeners.set(type, set);
+        const entry = { listener };
+        set.add(entry);
+        return {
+            remove() {
+                set.delete(entry);
+            }
+        };
+    },
+    emit(type, ...args) {
+        [...(listeners.get(type) || [])].forEach(({ listener }) => listener(...args));
+    },
+    removeAllListeners(type) {
+        type ? listeners.delete(type) : listeners.clear();
+    },
+    listenerCount(type) {
+        return (listeners.get(type) || new Set()).size;
+    }
+};
+const Platform = {
+    OS: "ios",
+    select(options) {
+        return this.OS in options ? options[this.OS] : options.default;
+    }
+};
+module.exports = {
+    NativeModules: {},
+    Platform,
+    DeviceEventEmitter
+};
@@ -0,0 +1,8 @@
+/**
+ * jest 中使用的 react-native/Libraries/Image/resolveAssetSource
+ */
+function resolveAssetSource(source) {
+    return source;
+}
+resolveAssetSource.setCustomSourceTransformer = () => {};
+module.exports = resolveAssetSource;
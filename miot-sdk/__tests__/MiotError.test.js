@@ -0,0 +1,111 @@
+// 按平台重新加载，BluetoothError.fromConnect 只在 iOS 上转换错误码
+function load(platform = "android") {
+    jest.resetModules();
+    require("../device/SimulatorSetup").setupNativeModules({ platform });
+    return require("../MiotError");
+}
+describe("MiotError.from", () => {
+    const { MiotError, DeviceError, BluetoothError, CloudError, StorageError, ErrorCode, ErrorSource } = load();
+    it("classifies native codes by source", () => {
+        const offline = MiotError.from({ code: -704042011, message: "device offline" });
+        expect(offline).toBeInstanceOf(DeviceError);
+        expect(offline).toMatchObject({ name: "DeviceError", code: ErrorCode.OFFLINE, source: ErrorSource.DEVICE, nativeCode: -704042011, message: "device offline" });
+        expect(offline.isOffline()).toBe(true);
+        expect(MiotError.from({ code: "-408" }).isTimeout()).toBe(true);
+        expect(MiotError.from({ error: 403 }, ErrorSource.CLOUD)).toMatchObject({ name: "CloudError", code: ErrorCode.PERMISSION_DENIED, nativeCode: 403 });
+        expect(BluetoothError.from({ code: -5 }).code).toBe(ErrorCode.BLUETOOTH_DISABLED);
+        expect(MiotError.from({ code: -13 }, ErrorSource.BLE)).toBeInstanceOf(BluetoothError);
+        // 设备的错误码不用于本地存储
+        expect(StorageError.from({ code: -704042011 }).code).toBe(ErrorCode.REQUEST_FAILED);
+        expect(MiotError.from({ code: 12345 }).code).toBe(ErrorCode.REQUEST_FAILED);
+    });
+    it("classifies by message when there is no known code", () => {
+        expect(CloudError.from("request timed out").code).toBe(ErrorCode.TIMEOUT);
+        expect(CloudError.from({ msg: "设备离线" }).code).toBe(ErrorCode.OFFLINE);
+        expect(CloudError.from(new Error("permission denied")).isPermissionDenied()).toBe(true);
+        expect(CloudError.from({ description: "not supported" }).code).toBe(ErrorCode.NOT_SUPPORTED);
+        expect(CloudError.from({ message: "whatever" }).code).toBe(ErrorCode.UNKNOWN);
+        expect(CloudError.from(undefined)).toMatchObject({ code: ErrorCode.UNKNOWN, message: "unknown error" });
+        expect(CloudError.from({ result: 1 }).message).toBe("{\"result\":1}");
+    });
+    it("keeps the payload and its fields, but not reserved ones", () => {
+        const payload = { code: -2, message: "failed", result: { a: 1 }, attempts: 2, source: "server", name: "x" };
+        const error = CloudError.from(payload, null, ErrorCode.BUSY);
+        expect(error).toMatchObject({ name: "CloudError", code: ErrorCode.BUSY, source: ErrorSource.CLOUD, nativeCode: -2, result: { a: 1 }, attempts: 2 });
+        expect(error.native).toBe(payload);
+        expect(error.timeout).toBe(false);
+        expect(error.toJSON()).toEqual({ name: "CloudError", code: ErrorCode.BUSY, message: "failed", source: ErrorSource.CLOUD, nativeCode: -2, native: payload });
+        // 已经是 MiotError 时原样返回
+        expect(MiotError.from(error, ErrorSource.DEVICE)).toBe(error);
+        expect(new StorageError(ErrorCode.TIMEOUT, "slow")).toMatchObject({ name: "StorageError", source: ErrorSource.STORAGE, timeout: true });
+    });
+});
+describe("BluetoothError.fromConnect", () => {
+    it("maps iOS connect codes to the Android codes", () => {
+        const { BluetoothError, ErrorCode } = load("ios");
+        const payload = { code: 2, message: "connect failed" };
+        const error = BluetoothError.fromConnect(payload);
+        expect(error).toMatchObject({ code: ErrorCode.TIMEOUT, nativeCode: -7, message: "connect failed" });
+        expect(error.native).toBe(payload);
+        expect(BluetoothError.fromConnect({ code: 0 })).toMatchObject({ code: ErrorCode.NOT_CONNECTED, nativeCode: -6 });
+        expect(BluetoothError.fromConnect({ code: 3 })).toMatchObject({ code: ErrorCode.EXPIRED, nativeCode: -10 });
+        // 没有对应关系的错误码保持不变
+        expect(BluetoothError.fromConnect({ code: -13 })).toMatchObject({ code: ErrorCode.BUSY, nativeCode: -13 });
+    });
+    it("keeps Android codes unchanged", () => {
+        const { BluetoothError, ErrorCode } = load("android");
+        expect(BluetoothError.fromConnect({ code: 2 })).toMatchObject({ code: ErrorCode.REQUEST_FAILED, nativeCode: 2 });
+        expect(BluetoothError.fromConnect({ code: -7 })).toMatchObject({ code: ErrorCode.TIMEOUT, nativeCode: -7 });
+    });
+});
+describe("wrapPromiseErrors", () => {
+    const { MiotError, CloudError, DeviceError, ErrorCode, ErrorSource, wrapPromiseErrors } = load();
+    it("converts rejections of public promise methods", () => {
+        const target = wrapPromiseErrors({
+            value: 1,
+            fail() {
+                return Promise.reject({ code: 404, message: "missing" });
+            },
+            ok() {
+                return Promise.resolve(this.value);
+            },
+            typed() {
+                return Promise.reject(new DeviceError(ErrorCode.OFFLINE, "offline"));
+            },
+            sync() {
+                return "sync";
+            },
+            _private() {
+                return Promise.reject("raw");
+            }
+        }, ErrorSource.CLOUD);
+        expect(target.sync()).toBe("sync");
+        return Promise.all([
+            target.fail().catch(err => err),
+            target.ok(),
+            target.typed().catch(err => err),
+            target._private().catch(err => err)
+        ]).then(([failed, value, typed, raw]) => {
+            expect(failed).toBeInstanceOf(CloudError);
+            expect(failed).toMatchObject({ code: ErrorCode.NOT_FOUND, nativeCode: 404, message: "missing" });
+            expect(value).toBe(1);
+            expect(typed).toBeInstanceOf(DeviceError);
+            expect(raw).toBe("raw");
+        });
+    });
+    it("wraps prototypes and keeps this", () => {
+        class Item {
+            constructor(name) {
+                this.name = name;
+            }
+            load() {
+                return Promise.reject(`${ this.name } failed`);
+            }
+        }
+        wrapPromiseErrors(Item.prototype, ErrorSource.STORAGE);
+        return new Item("item").load().catch(err => {
+            expect(err).toBeInstanceOf(MiotError);
+            expect(err).toMatchObject({ name: "StorageError", message: "item failed", native: "item failed" });
+        });
+    });
+});
@@ -38,6 +38,7 @@
  *  .catch(err => {//error happened})
  * 
  * 其余具体使用请参考具体API文档
+ * 从 10035 开始，返回 Promise 的方法失败时统一 reject DeviceError(见 {@link module:miot/MiotError})
  */
 //@native begin
 import { DeviceEventEmitter } from "react-native";
@@ -47,6 +48,7 @@ import Scene from '../service/scene';
 import IDeviceWifi from './WifiDevice';
 // import Host from '../Host';
 import { takeBluetooth } from "./bluetooth";
+import { DeviceError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
 const PERMISSION_OWNER = 16;
 const PERMISSION_FAMILY = 8;
 const PERMISSION_FAMILY_IOS = 68;
@@ -199,7 +201,32 @@ export const DeviceEvent = {
         }
         , sameas: native.isIOS ? "deviceRecievedMessages" : "deviceRecievedMessages"
         //@native end
-    }
+    },
+    /**
+     * 属性乐观写入失败事件，Device.getDeviceWifi().store.write 发送失败或超时，本地状态已回滚时触发
+     * @event
+     * @since 10035
+     * @param {IDevice} device
+     * @param {json} info {name, value, previous, error} 属性名，写入失败的值，回滚后的值，错误信息(DeviceError)
+     * @example
+     * import { dialogManager } from 'miot/utils'
+     * const subscription = DeviceEvent.devicePropertyWriteFailed.addListener((device, { name, error }) => {
+     *   dialogManager.showError();
+     * });
+     */
+    devicePropertyWriteFailed: { local: true },
+    /**
+     * 属性同步失败事件，Device.getDeviceWifi().store 自动加载、订阅或者定时刷新属性失败时触发，store 会在之后的定时检查中重试
+     * @event
+     * @since 10035
+     * @param {IDevice} device
+     * @param {json} info {action, names, error} 失败的操作(load、subscribe、refresh)，涉及的属性名，错误信息(DeviceError)
+     * @example
+     * const subscription = DeviceEvent.devicePropertySyncFailed.addListener((device, { action, names, error }) => {
+     *   console.log(action, names, error.code);
+     * });
+     */
+    devicePropertySyncFailed: { local: true }
 };
 buildEvents(DeviceEvent)
 /**
@@ -330,13 +357,13 @@ export class BasicDevice {
      * .then(devices => {//get device list})
      * @returns {Promise<BasicDevice[]>}
      *      resolve：array<BasicDevice>子设备列表
-     *      reject：{code:xxx,message:xxx} -1:找不到网关设备  其他code：服务端错误/网络错误
+     *      reject：DeviceError，当前设备是子设备时 code 为 NOT_FOUND  其他：服务端错误/网络错误
      */
     getSubDevices(useCache = false) {
         //@native :=> promise []
         const self = Properties.of(this);
         if (self.parentDevice && Object.keys(self.parentDevice).length > 0) {
-            return Promise.reject('parent device exist, current device is a sub device, can not load sub devices');
+            return Promise.reject(new DeviceError(ErrorCode.NOT_FOUND, 'parent device exist, current device is a sub device, can not load sub devices'));
         }
         if (useCache && self._subDevices) {
             return Promise.resolve(self._subDevices);
@@ -364,7 +391,7 @@ export class BasicDevice {
      * @param {string} [did=Device.deviceID] 蓝牙网关的did，可以为空，为空时默认取当前Device.deviceID
      * @returns {Promise} 返回数组设备信息的promise， {"mesh":[], "normal":""}
      *      resolve：array<DeviceData> {iconURL,did,model,userId,extra,name,session,permitLevel,parentId,parentModel,mac,propInfo,ip,ssid,bssid,pid,latitude,longitude,isVoiceDevice,isOnline,ownerId,ownerName}，字段具体含义和BasicDevice中对应字段含义一样
-     *      reject：{code:xxx,error:xxx,extra:xxx} code只会等于-1。 res.code -1:网关设备不存在  401:只能查找当前设备或者父网关设备的列表  404:无子设备数据
+     *      reject：DeviceError，err.error 为原生返回的错误，err.nativeCode 为原生的错误码 -1:网关设备不存在  401:只能查找当前设备或者父网关设备的列表  404:无子设备数据
      */
     getLinkedBTDevices(did = null) {
         //@native :=> promise []
@@ -372,7 +399,9 @@ export class BasicDevice {
         return new Promise((resolve, reject) => {
             native.MIOTDevice.getLinkedBTDevices(did, (ok, res) => {
                 if (!ok || !res) {
-                    return reject({ code: -1, error: res, extra: 'fetch bledevice info failed' });
+                    return reject(new DeviceError(ErrorCode.REQUEST_FAILED, 'fetch bledevice info failed', {
+                        nativeCode: res && res.code, native: res, extra: { error: res, extra: 'fetch bledevice info failed' }
+                    }));
                 }
                 resolve(res);
             })
@@ -1060,6 +1089,7 @@ export class BasicDevice {
  * @static
  * @return {BasicDevice}
  */
+wrapPromiseErrors(BasicDevice.prototype, ErrorSource.DEVICE);
 const RootDevice = new BasicDevice();
 if (native.MIOTDevice) {
     Properties.init(RootDevice, { ...native.MIOTDevice.currentDevice, _msgset: new Set() })
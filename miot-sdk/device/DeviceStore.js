@@ -0,0 +1,416 @@
+/**
+ * @export public
+ * @doc_name 设备状态模块
+ * @doc_index 4
+ * @doc_directory device
+ * @module miot/device
+ * @description
+ * 设备属性状态缓存，基于 Properties.js 的监听机制(addListener, notifyPropertiesChanged, isPropertyChanged)
+ * 保存设备每个属性(普通设备 prop.xxx，miot-spec 设备 prop.siid.piid)的最新值，并自动完成以下工作：
+ * 1、有监听时加载被监听属性的当前值，并订阅这些属性的变化消息(subscribeMessages)
+ * 2、收到 DeviceEvent.deviceReceivedMessages 推送时更新对应属性
+ * 3、订阅失败或者超过 staleSeconds 没有收到任何更新时，重新加载属性并重试订阅
+ * 4、某个属性的最后一个监听移除后，取消该属性的订阅；所有监听都移除后，停止定时检查
+ * 自动加载、订阅失败时会触发 DeviceEvent.devicePropertySyncFailed，之后的定时检查会继续重试
+ * 页面中不再需要自己组合 loadProperties、subscribeMessages 和 setInterval 轮询
+ * 另外通过 write 可以对属性进行乐观写入：本地状态立刻更新，请求失败或超时后自动回滚并触发 DeviceEvent.devicePropertyWriteFailed
+ *
+ * @example
+ * import { Device } from 'miot'
+ *
+ * componentDidMount() {
+ *   this._powerListener = Device.getDeviceWifi().store.addListener(['prop.power', 'prop.2.1'], change => {
+ *     // change: {name, value, previous, time}
+ *     console.log(change.name, change.previous, '=>', change.value, new Date(change.time));
+ *   });
+ * }
+ * componentWillUnmount() {
+ *   this._powerListener && this._powerListener.remove();
+ * }
+ */
+import { NativeTimer, Properties } from '../native';
+import { createProperties } from '../Properties';
+import Spec from '../service/spec';
+import { DeviceEvent, _find_device } from './BasicDevice';
+import { DeviceError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
+//@native begin
+// 订阅消息的有效期与 WifiDevice 中的续订间隔一致
+const DEFAULT_STALE_SECONDS = (2 * 60 + 50);
+const DEFAULT_CHECK_SECONDS = 60;
+const DEFAULT_WRITE_DEBOUNCE = 300;
+const DEFAULT_WRITE_TIMEOUT = 10000;
+function _isSameValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a && b && typeof a === "object" && typeof b === "object") {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return false;
+}
+// miot-spec 属性 prop.siid.piid 默认通过 Service.spec.setPropertiesValue 写入
+function _specSender(did, name) {
+    const match = /^prop\.(\d+)\.(\d+)$/.exec(name || "");
+    if (!match) {
+        return null;
+    }
+    const siid = parseInt(match[1]);
+    const piid = parseInt(match[2]);
+    return value => Spec.setPropertiesValue([{ did, siid, piid, value }]).then(res => {
+        const item = (res || [])[0] || {};
+        if (item.code !== 0 && item.code !== 1) {
+            return Promise.reject(DeviceError.from(item));
+        }
+        return item;
+    });
+}
+// 推送消息中普通属性的值为单元素数组，如 ["on"]，统一为 loadProperties 返回的格式
+function _unwrapMessageValue(value) {
+    return (Array.isArray(value) && value.length === 1) ? value[0] : value;
+}
+//@native end
+/**
+ * 属性变化信息
+ * @typedef {Object} PropertyChange
+ * @property {string} name 属性名
+ * @property {any} value 当前值
+ * @property {any} previous 变化前的值，第一次加载时为 undefined
+ * @property {number} time 变化的时间戳(毫秒)
+ */
+/**
+ * 设备属性状态缓存
+ * @interface
+ */
+export default class IDeviceStore {
+    /**
+     * 当前被监听的属性名
+     * @member
+     * @type {string[]}
+     * @readonly
+     */
+    get names() {
+        //@native => []
+        return [...Properties.of(this).names.keys()];
+    }
+    /**
+     * 是否处于订阅/检查状态，有监听时为 true
+     * @member
+     * @type {boolean}
+     * @readonly
+     */
+    get isActive() {
+        //@native => false
+        return !!Properties.of(this).timer;
+    }
+    /**
+     * 获取属性的最新值
+     * @param {string} name 属性名
+     * @returns {any} 尚未加载时为 undefined
+     */
+    getValue(name) {
+        //@native => undefined
+        return Properties.of(this).props.getProperty(name);
+    }
+    /**
+     * 获取属性最近一次的变化信息
+     * @param {string} name 属性名
+     * @returns {PropertyChange} 尚未加载时为 null
+     */
+    getChange(name) {
+        //@native => null
+        return Properties.of(this).changes.get(name) || null;
+    }
+    /**
+     * 批量更新本地缓存的属性值，值有变化的属性会通知监听者；不会向设备发送任何请求
+     * @param {Map<string,any>|object} nameValues 属性名和值
+     * @param {number} [time] 变化时间戳，默认为当前时间
+     * @returns {string[]} 值发生变化的属性名
+     */
+    setValues(nameValues, time = 0) {
+        //@native => []
+        const self = Properties.of(this);
+        const { props, changes } = self;
+        const now = time || new Date().getTime();
+        const changed = [];
+        const entries = (nameValues instanceof Map) ? [...nameValues.entries()] : Object.keys(nameValues || {}).map(n => [n, nameValues[n]]);
+        entries.forEach(([name, value]) => {
+            self.updateTime = now;
+            if (props.hasProperty(name) && _isSameValue(props.getProperty(name), value)) {
+                return;
+            }
+            changes.set(name, { name, value, previous: props.getProperty(name), time: now });
+            props.setProperty(name, value);
+            changed.push(name);
+        });
+        changed.length > 0 && props.notifyPropertiesChanged(...changed);
+        return changed;
+    }
+    /**
+     * 从设备重新加载属性值并更新缓存
+     * @param {...string} names 属性名，为空时加载所有被监听的属性
+     * @returns {Promise<Map<string,any>>} 同 loadProperties
+     */
+    refresh(...names) {
+        //@native :=> promise
+        const self = Properties.of(this);
+        if (names.length < 1) {
+            names = this.names;
+        }
+        if (names.length < 1) {
+            return Promise.resolve(new Map());
+        }
+        return self.wifi.loadProperties(...names).then(map => {
+            this.setValues(map);
+            return map;
+        });
+        //@native end
+    }
+    /**
+     * 乐观写入属性：立刻更新本地缓存并通知监听者，然后发送请求；请求失败或超时时，本地值回滚到写入前的值，
+     * 并触发 DeviceEvent.devicePropertyWriteFailed，可以在其中通过 utils/dialog-manager 提示用户。
+     * 同一属性在 debounce 毫秒内的多次写入会合并，只发送最后一个值(例如拖动滑杆时)，合并的各次调用得到相同的结果。
+     * @since 10035
+     * @param {string} name 属性名
+     * @param {any} value 要写入的值
+     * @param {function(any):Promise} [send] 发送请求的函数，参数为要写入的值；miot-spec 属性(prop.siid.piid)可不传，默认使用 Service.spec.setPropertiesValue
+     * @param {object} [options={}] {debounce:300, timeout:10000} 合并写入的间隔及请求超时时间，单位毫秒
+     * @returns {Promise<any>} send 的结果
+     * @example
+     * const store = Device.getDeviceWifi().store;
+     * // 普通设备
+     * store.write('prop.power', 'on', value => Device.getDeviceWifi().callMethod('set_power', [value]));
+     * // miot-spec 设备
+     * store.write('prop.2.2', 80, null, { debounce: 500 }).catch(err => {});
+     */
+    write(name, value, send = null, options = {}) {
+        //@native :=> promise
+        const self = Properties.of(this);
+        send = send || _specSender(self.wifi.deviceID, name);
+        if (!send) {
+            return Promise.reject(new DeviceError(ErrorCode.NOT_SUPPORTED, `no sender for property ${ name }`));
+        }
+        const { debounce = DEFAULT_WRITE_DEBOUNCE, timeout = DEFAULT_WRITE_TIMEOUT } = options || {};
+        if (!self.confirmed.has(name)) {
+            self.confirmed.set(name, this.getValue(name));
+        }
+        let pending = self.writes.get(name);
+        if (pending) {
+            clearTimeout(pending.timer);
+        } else {
+            pending = { waiters: [] };
+            self.writes.set(name, pending);
+        }
+        Object.assign(pending, { value, send, timeout });
+        this.setValues({ [name]: value });
+        return new Promise((resolve, reject) => {
+            pending.waiters.push({ resolve, reject });
+            pending.timer = setTimeout(() => this._flushWrite(name, pending), debounce);
+        });
+        //@native end
+    }
+    /**
+     * 监听属性变化，第一个监听添加后开始自动加载、订阅和检查，最后一个监听移除后停止
+     * @param {string|string[]} names 属性名，如 'prop.power' 或者 ['prop.power', 'prop.2.1']
+     * @param {function(PropertyChange)} callback 每个变化的属性回调一次
+     * @returns {EventSubscription}
+     */
+    addListener(names, callback) {
+        //@native :=> {remove(){}}
+        const self = Properties.of(this);
+        names = (Array.isArray(names) ? names : [names]).filter(n => n);
+        if (names.length < 1 || typeof callback !== "function") {
+            return { remove() { } };
+        }
+        const subscription = self.props.addListener(names, (props, { getChangeProps }) => {
+            getChangeProps().forEach(name => {
+                const change = self.changes.get(name);
+                change && callback(change);
+            });
+        });
+        const added = [];
+        names.forEach(name => {
+            const count = self.names.get(name) || 0;
+            self.names.set(name, count + 1);
+            count === 0 && added.push(name);
+        });
+        this._start();
+        added.length > 0 && this._watch(added);
+        let removed = false;
+        return {
+            remove: () => {
+                if (removed) {
+                    return;
+                }
+                removed = true;
+                subscription.remove();
+                const emptied = names.filter(name => {
+                    const count = (self.names.get(name) || 1) - 1;
+                    count > 0 ? self.names.set(name, count) : self.names.delete(name);
+                    return count < 1;
+                });
+                if (self.names.size < 1) {
+                    this._stop();
+                } else if (emptied.length > 0) {
+                    this._unsubscribe(emptied);
+                }
+            }
+        };
+        //@native end
+    }
+    //@native begin
+    _start() {
+        const self = Properties.of(this);
+        if (self.timer) {
+            return;
+        }
+        self.messageListener = DeviceEvent.deviceReceivedMessages.addListener((device, messages) => {
+            if (!device || device.deviceID !== self.wifi.deviceID) {
+                return;
+            }
+            const values = new Map();
+            messages.forEach((value, key) => {
+                key && key.startsWith("prop.") && values.set(key, _unwrapMessageValue(value));
+            });
+            this.setValues(values);
+        });
+        self.timer = NativeTimer.addListener(() => {
+            this._check();
+            return "continue";
+        }, self.options.checkSeconds || DEFAULT_CHECK_SECONDS);
+    }
+    _stop() {
+        const self = Properties.of(this);
+        self.timer && self.timer.remove();
+        self.timer = null;
+        self.messageListener && self.messageListener.remove();
+        self.messageListener = null;
+        new Set(self.subscribed.values()).forEach(entry => entry.subscription.remove());
+        self.subscribed = new Map();
+    }
+    _watch(names) {
+        const self = Properties.of(this);
+        this.refresh(...names).catch(err => this._syncFailed("load", names, err));
+        const pending = names.filter(name => !self.subscribed.has(name) && !self.subscribing.has(name));
+        pending.length > 0 && this._subscribe(pending);
+    }
+    /**
+     * 订阅 names 的消息，replaced 为被替换的旧订阅，新订阅完成后取消
+     */
+    _subscribe(names, replaced = null) {
+        const self = Properties.of(this);
+        names.forEach(name => self.subscribing.add(name));
+        self.wifi.subscribeMessages(...names).then(subscription => {
+            names.forEach(name => self.subscribing.delete(name));
+            replaced && replaced.remove();
+            const active = names.filter(name => self.names.has(name));
+            if (!self.timer || active.length < 1) {
+                subscription.remove();
+                return;
+            }
+            if (active.length < names.length) {
+                // 订阅期间部分属性的监听已经全部移除
+                this._subscribe(active, subscription);
+                return;
+            }
+            const entry = { names: new Set(names), subscription };
+            names.forEach(name => self.subscribed.set(name, entry));
+        }, err => {
+            names.forEach(name => self.subscribing.delete(name));
+            replaced && replaced.remove();
+            this._syncFailed("subscribe", names, err);
+        });
+    }
+    /**
+     * 取消 names 的订阅，同一订阅中仍在监听的其它属性会重新订阅
+     */
+    _unsubscribe(names) {
+        const self = Properties.of(this);
+        const entries = new Set(names.map(name => self.subscribed.get(name)).filter(entry => entry));
+        names.forEach(name => self.subscribed.delete(name));
+        entries.forEach(entry => {
+            names.forEach(name => entry.names.delete(name));
+            if (entry.names.size < 1) {
+                entry.subscription.remove();
+                return;
+            }
+            const rest = [...entry.names];
+            rest.forEach(name => self.subscribed.delete(name));
+            this._subscribe(rest, entry.subscription);
+        });
+    }
+    _syncFailed(action, names, err) {
+        const self = Properties.of(this);
+        const { device } = _find_device(self.wifi.deviceID);
+        DeviceEvent.devicePropertySyncFailed.emit(device, { action, names, error: DeviceError.from(err) });
+    }
+    _flushWrite(name, pending) {
+        const self = Properties.of(this);
+        self.writes.delete(name);
+        self.sending.set(name, pending);
+        const { value, send, timeout, waiters } = pending;
+        let timer = null;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new DeviceError(ErrorCode.TIMEOUT, `write ${ name } timeout`)), timeout);
+        });
+        const isLatest = () => self.sending.get(name) === pending && !self.writes.has(name);
+        Promise.race([Promise.resolve().then(() => send(value)), timeoutPromise]).then(res => {
+            clearTimeout(timer);
+            if (isLatest()) {
+                self.confirmed.delete(name);
+                self.sending.delete(name);
+            } else if (self.confirmed.has(name)) {
+                self.confirmed.set(name, value);
+            }
+            waiters.forEach(w => w.resolve(res));
+        }, err => {
+            clearTimeout(timer);
+            const error = DeviceError.from(err);
+            const previous = self.confirmed.get(name);
+            if (isLatest()) {
+                self.confirmed.delete(name);
+                self.sending.delete(name);
+                this.setValues({ [name]: previous });
+            }
+            const { device } = _find_device(self.wifi.deviceID);
+            DeviceEvent.devicePropertyWriteFailed.emit(device, { name, value, previous, error });
+            waiters.forEach(w => w.reject(error));
+        });
+    }
+    _check() {
+        const self = Properties.of(this);
+        const unsubscribed = this.names.filter(name => !self.subscribed.has(name) && !self.subscribing.has(name));
+        if (unsubscribed.length > 0) {
+            this._watch(unsubscribed);
+        }
+        const staleSeconds = self.options.staleSeconds || DEFAULT_STALE_SECONDS;
+        if (new Date().getTime() - (self.updateTime || 0) >= staleSeconds * 1000) {
+            const names = this.names;
+            this.refresh(...names).catch(err => this._syncFailed("refresh", names, err));
+        }
+    }
+    //@native end
+}
+//@native begin
+/**
+ * 创建设备状态缓存
+ * @param {IDeviceWifi} wifi
+ * @param {object} options {checkSeconds, staleSeconds}
+ */
+export function createDeviceStore(wifi, options = {}) {
+    return Properties.init(new IDeviceStore(), {
+        wifi, options,
+        props: createProperties(),
+        changes: new Map(),
+        names: new Map(),
+        // name => {names, subscription}，同一次订阅的属性共享一个 entry
+        subscribed: new Map(),
+        subscribing: new Set(),
+        writes: new Map(),
+        sending: new Map(),
+        confirmed: new Map(),
+        timer: null,
+        updateTime: 0
+    });
+}
+//@native end
+wrapPromiseErrors(IDeviceStore.prototype, ErrorSource.DEVICE);
@@ -0,0 +1,152 @@
+/**
+ * @export public
+ * @doc_name 请求策略模块
+ * @doc_index 6
+ * @doc_directory device
+ * @module miot/device
+ * @description
+ * 设备及云端请求的超时、重试和退避策略。
+ * WifiDevice 的 callMethod、callMethodFromCloud、callMethodFromLocal，Service.spec 的属性读写及方法调用，
+ * 以及 Service.callSmartHomeAPI 都会按照这里的策略发送请求：
+ * 1、超时：原生回调在 timeout 毫秒内没有返回时，以超时失败(err.isTimeout() 为 true，err.nativeCode 为 -408)，不会一直等待；
+ * 超时从请求真正发出时开始计算，不包括在 RequestScheduler 中排队的时间，超时后立刻让出该设备的并发名额
+ * 2、重试：失败且 retryOn 返回 true 时，最多重试 retries 次；判断前错误已经转换为 MiotError，retryCodes 可以使用 ErrorCode。
+ * 重试只用于只读请求(callMethod 的 get 开头的方法、属性读取等)，写入属性、调用方法、执行 action 等请求重复发送可能会重复执行，
+ * 默认不重试，确定可以重复执行时传入 retryUnsafe: true
+ * 3、退避：第 n 次重试前等待 min(maxBackoff, backoff * 2^(n-1)) 毫秒，并按 jitter 随机缩短，避免多个请求同时重试
+ * 请求最终失败时，错误为 MiotError，并带有 attempts(总共尝试的次数) 和 timeout(是否是超时失败) 两个字段
+ * 另外 transport 指定 WifiDevice.callMethod 的通信方式，见 configure 的说明
+ *
+ * 每个接口都可以在最后一个参数中传入 policy，覆盖全局配置中的部分字段，只对本次调用生效
+ *
+ * @example
+ * import { RequestPolicy } from 'miot/device'
+ * import { Device, Service } from 'miot'
+ * // 修改全局策略
+ * RequestPolicy.configure({ timeout: 10000, retries: 2 });
+ * // 单次调用覆盖
+ * Device.getDeviceWifi().callMethod('set_power', ['on'], {}, { retries: 0, timeout: 5000 })
+ *  .catch(err => {
+ *      if (err.timeout) {
+ *          console.log('timeout after', err.attempts, 'attempts');
+ *      }
+ *  });
+ * Device.getDeviceWifi().callMethod('get_prop', ['power'], {}, { retries: 2 });
+ * // 重复设置同一个位置没有副作用，允许重试
+ * Service.callSmartHomeAPI('/location/set', params, { retries: 3, retryUnsafe: true });
+ */
+import { ErrorSource, MiotError } from '../MiotError';
+import RequestScheduler from './RequestScheduler';
+//@native begin
+const TIMEOUT_CODE = -408;
+const config = {
+    timeout: 15000,
+    retries: 0,
+    backoff: 500,
+    maxBackoff: 8000,
+    jitter: 0.5,
+    retryCodes: [TIMEOUT_CODE],
+    retryUnsafe: false,
+    transport: "auto",
+    localPingTTL: 60000,
+    localTimeout: 3000,
+    localFallbackCodes: [-1, TIMEOUT_CODE, -704042011],
+    retryOn: (error, attempts, policy) => !!error && (error.timeout === true ||
+        (policy.retryCodes || []).some(code => code === error.code || code === error.nativeCode))
+};
+function _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+function _withTimeout(task, timeout) {
+    const promise = Promise.resolve().then(task);
+    if (!(timeout > 0)) {
+        return promise;
+    }
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject({ code: TIMEOUT_CODE, message: `request timeout after ${ timeout }ms`, timeout: true }), timeout);
+        promise.then(res => {
+            clearTimeout(timer);
+            resolve(res);
+        }, err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+function _annotate(error, attempts) {
+    error.attempts = attempts;
+    return error;
+}
+//@native end
+export default {
+    /**
+     * 超时失败时的错误码
+     * @type {int}
+     */
+    TIMEOUT_CODE,
+    /**
+     * 修改全局请求策略
+     * @param {object} options
+     * @param {int} [options.timeout=15000] 单次请求的超时时间，单位毫秒，0 表示不超时
+     * @param {int} [options.retries=0] 失败后的最大重试次数
+     * @param {int} [options.backoff=500] 第一次重试前的等待时间，单位毫秒，之后每次翻倍
+     * @param {int} [options.maxBackoff=8000] 重试前等待时间的上限，单位毫秒
+     * @param {number} [options.jitter=0.5] 等待时间随机缩短的比例，0-1 之间
+     * @param {Array<int|string>} [options.retryCodes=[-408]] 默认 retryOn 中需要重试的错误码，可以是原生的错误码，也可以是 ErrorCode 中的错误类型
+     * @param {function(MiotError, int, object):boolean} [options.retryOn] 判断是否需要重试，参数为错误(已转换为 MiotError)、已尝试次数及本次的策略，默认为超时或错误码在 retryCodes 中时重试
+     * @param {boolean} [options.retryUnsafe=false] 非只读的请求(写入属性、调用方法、执行 action 等)是否也按 retries 重试，默认只重试只读请求
+     * @param {string} [options.transport='auto'] WifiDevice.callMethod 的通信方式：
+     * 'auto' 由 App 决定(Android 同一局域网时走本地，否则走云端；iOS 走云端)；'cloud-only' 只走云端；'local-only' 只走局域网；
+     * 'local-first' 局域网可用(localPing 成功)时优先走局域网，局域网请求超过 localTimeout 或者以 localFallbackCodes 中的错误码(设备不可达等网络原因)失败时自动改走云端；设备返回的其它错误直接失败，不会改走云端，避免命令重复执行
+     * @param {int} [options.localPingTTL=60000] 'local-first' 时 localPing 结果的缓存时间，单位毫秒
+     * @param {int} [options.localTimeout=3000] 'local-first' 时局域网请求单独的超时时间，单位毫秒，超时后改走云端，应小于 timeout(timeout 包含局域网及云端两次请求)
+     * @param {Array<int|string>} [options.localFallbackCodes=[-1, -408, -704042011]] 'local-first' 时局域网请求失败后改走云端的错误码，可以是原生的错误码，也可以是 ErrorCode 中的错误类型
+     * @returns {object} 修改后的全局策略
+     */
+    configure(options = {}) {
+        //@native :=> {}
+        Object.keys(options || {}).forEach(key => {
+            if (key in config && options[key] !== undefined) {
+                config[key] = options[key];
+            }
+        });
+        return { ...config };
+        //@native end
+    },
+    /**
+     * 获取某次调用实际使用的策略
+     * @param {object} [policy] 需要覆盖的字段
+     * @returns {object}
+     */
+    resolve(policy = null) {
+        //@native :=> {}
+        return { ...config, ...(policy || {}) };
+        //@native end
+    },
+    /**
+     * 按策略执行请求
+     * @param {function(int):Promise} task 发送请求的方法，参数为当前是第几次尝试(从 1 开始)，每次重试都会重新调用
+     * @param {object} [policy] 本次调用需要覆盖的字段
+     * @param {object} [options]
+     * @param {string} [options.source='device'] 错误来源，见 ErrorSource，失败时按此转换为 MiotError
+     * @param {boolean} [options.idempotent=false] 请求是否是只读的，只读请求才会重试，除非 policy.retryUnsafe 为 true
+     * @param {string} [options.limit] 按此 key 通过 RequestScheduler.limit 限制并发，超时在取得名额后开始计算，超时后立刻让出名额
+     * @returns {Promise} task 的结果；失败时为 MiotError，带有 attempts 和 timeout 字段
+     */
+    run(task, policy = null, options = {}) {
+        //@native :=> promise
+        const current = this.resolve(policy);
+        const { source = ErrorSource.DEVICE, idempotent = false, limit } = options || {};
+        const send = attempts => _withTimeout(() => task(attempts), current.timeout);
+        const attempt = attempts => (limit === undefined ? send(attempts) : RequestScheduler.limit(limit, () => send(attempts))).catch(err => {
+            const error = MiotError.from(err, source);
+            if (attempts > current.retries || !(idempotent || current.retryUnsafe) || !current.retryOn(error, attempts, current)) {
+                return Promise.reject(_annotate(error, attempts));
+            }
+            const backoff = Math.min(current.maxBackoff, current.backoff * Math.pow(2, attempts - 1));
+            return _delay(backoff * (1 - current.jitter * Math.random())).then(() => attempt(attempts + 1));
+        });
+        return attempt(1);
+        //@native end
+    }
+};
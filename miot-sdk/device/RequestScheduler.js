@@ -0,0 +1,145 @@
+/**
+ * @export public
+ * @doc_name 请求调度模块
+ * @doc_index 5
+ * @doc_directory device
+ * @module miot/device
+ * @description
+ * 设备请求调度，WifiDevice.callMethod、loadProperties 以及 Service.spec.getPropertiesValue 内部都通过此模块发送请求：
+ * 1、合并：同一时刻(batchDelay 毫秒内)对同一设备的多个 get_prop 请求合并为一个，同一设备的多个 spec 属性读取合并为一个 /miotspec/prop/get 请求
+ * 2、去重：参数完全相同且仍在进行中的只读请求(方法名以 get 开头)只发送一次，共享结果
+ * 3、限流：每个设备同时进行的请求数不超过 maxConcurrent，其余排队等待
+ * 页面同时加载很多卡片，或网关插件有很多子设备时，可以明显减少请求数量，避免触发云端的频率限制
+ *
+ * @example
+ * import { RequestScheduler } from 'miot/device'
+ * // 调整每个设备的最大并发数及合并等待时间
+ * RequestScheduler.configure({ maxConcurrent: 2, batchDelay: 20 });
+ */
+//@native begin
+const config = {
+    maxConcurrent: 4,
+    batchDelay: 0,
+    isIdempotent: method => typeof method === "string" && /^get/i.test(method)
+};
+// key => {running, waiting: [task]}
+const queues = new Map();
+// key => Promise
+const inflight = new Map();
+// key => {items, waiters}
+const batches = new Map();
+function _next(key) {
+    const queue = queues.get(key);
+    if (!queue) {
+        return;
+    }
+    while (queue.running < config.maxConcurrent && queue.waiting.length > 0) {
+        const run = queue.waiting.shift();
+        queue.running++;
+        run();
+    }
+    if (queue.running < 1 && queue.waiting.length < 1) {
+        queues.delete(key);
+    }
+}
+//@native end
+export default {
+    /**
+     * 修改调度配置
+     * @param {object} options
+     * @param {int} [options.maxConcurrent=4] 每个设备同时进行的最大请求数
+     * @param {int} [options.batchDelay=0] 合并请求时的等待时间，单位毫秒，0 表示只合并同一事件循环内的请求
+     * @param {function(string):boolean} [options.isIdempotent] 判断 callMethod 的方法是否是只读的，只读的请求才会去重，默认为方法名以 get 开头
+     * @returns {object} 修改后的配置
+     */
+    configure(options = {}) {
+        //@native :=> {}
+        Object.keys(options || {}).forEach(key => {
+            if (key in config && options[key] !== undefined) {
+                config[key] = options[key];
+            }
+        });
+        return { ...config };
+        //@native end
+    },
+    /**
+     * 判断 callMethod 的方法是否可以去重
+     * @param {string} method
+     * @returns {boolean}
+     */
+    isIdempotent(method) {
+        //@native => false
+        return !!config.isIdempotent(method);
+    },
+    /**
+     * 按 key(一般为设备 did) 限制并发，超过 maxConcurrent 时排队执行
+     * @param {string} key
+     * @param {function():Promise} task
+     * @returns {Promise} task 的结果
+     */
+    limit(key, task) {
+        //@native :=> promise
+        let queue = queues.get(key);
+        if (!queue) {
+            queue = { running: 0, waiting: [] };
+            queues.set(key, queue);
+        }
+        return new Promise((resolve, reject) => {
+            queue.waiting.push(() => {
+                Promise.resolve().then(task).then(resolve, reject).then(() => {
+                    queue.running--;
+                    _next(key);
+                });
+            });
+            _next(key);
+        });
+        //@native end
+    },
+    /**
+     * 相同 key 的请求在进行中时不再重复发送，直接共享进行中请求的结果
+     * @param {string} key
+     * @param {function():Promise} task
+     * @returns {Promise} task 的结果
+     */
+    dedupe(key, task) {
+        //@native :=> promise
+        if (inflight.has(key)) {
+            return inflight.get(key);
+        }
+        const promise = Promise.resolve().then(task);
+        const clear = () => inflight.get(key) === promise && inflight.delete(key);
+        inflight.set(key, promise);
+        promise.then(clear, clear);
+        return promise;
+        //@native end
+    },
+    /**
+     * 合并同一 key 在 batchDelay 内的多个请求，由 flush 一次性处理
+     * @param {string} key
+     * @param {any} item 单个请求的参数
+     * @param {function(Array):Promise<Array>} flush 处理所有请求参数，返回与参数一一对应的结果数组
+     * @returns {Promise} 当前请求对应的结果
+     */
+    batch(key, item, flush) {
+        //@native :=> promise
+        let current = batches.get(key);
+        if (!current) {
+            current = { items: [], waiters: [] };
+            batches.set(key, current);
+            setTimeout(() => {
+                batches.delete(key);
+                const { items, waiters } = current;
+                Promise.resolve().then(() => flush(items)).then(results => {
+                    waiters.forEach((w, i) => w.resolve(results[i]));
+                }, err => {
+                    waiters.forEach(w => w.reject(err));
+                });
+            }, config.batchDelay);
+        }
+        return new Promise((resolve, reject) => {
+            current.items.push(item);
+            current.waiters.push({ resolve, reject });
+        });
+        //@native end
+    }
+};
@@ -0,0 +1,634 @@
+/**
+ * @export public
+ * @doc_name 设备模拟器模块
+ * @doc_index 7
+ * @doc_directory device
+ * @module miot/test
+ * @description
+ * 设备模拟器，用 js 实现 native.MIOTDevice、native.MIOTRPC、native.MIOTSpec 等原生模块中与设备通信相关的接口，
+ * 不需要手机上的米家 App 和真实设备，就可以在 Node(例如 jest) 或者普通的 React Native 调试包中运行整个插件：
+ * 1、根据 MIoT-Spec 的 json 或者普通设备的 prop.xxx 属性列表，创建虚拟设备并保存属性的当前值
+ * 2、响应 callMethod 的 get_prop、set_xxx 以及 Service.spec 的属性读写和方法调用，写入时按 spec 的约束检查
+ * 3、属性变化或者事件发生时，向 subscribeMessages 订阅的消息推送 DeviceEvent.deviceReceivedMessages
+ * 4、模拟设备上线/离线、局域网是否可达以及请求延迟
+ * 5、通过 route 模拟其它云端接口，通过 install 的 modules 参数替换其它原生模块，蓝牙外设可以使用 MockBluetooth 模拟
+ * 需要在插件的其它代码运行之前调用 install，例如 jest 的 setupFiles 或者调试包的入口文件中
+ * 在 Node 中运行时，react-native 中没有米家 App 的原生模块，需要先加载 SimulatorSetup(见其说明)补齐，iOS 和 Android 平台都可以使用
+ *
+ * @example
+ * import { Simulator } from 'miot/test'
+ * import { Device, DeviceEvent, Service } from 'miot'
+ * import spec from './resources/spec.json'
+ *
+ * const device = Simulator.install({
+ *     devices: [{ did: '1234', model: 'xiaomi.light.v1', spec, props: { power: 'on', bright: 50 } }],
+ *     latency: 50
+ * });
+ * // 自定义方法
+ * device.onMethod('toggle', () => {
+ *     device.setValue('power', device.getValue('power') === 'on' ? 'off' : 'on');
+ *     return ['ok'];
+ * });
+ * await Service.spec.setPropertiesValue([{ did: '1234', siid: 2, piid: 1, value: true }]);
+ * device.getValue('prop.2.1'); // true
+ * // 模拟设备主动上报，订阅了 prop.2.2 的页面会收到 DeviceEvent.deviceReceivedMessages
+ * device.setValue('prop.2.2', 80);
+ * // 模拟设备离线
+ * device.setOnline(false);
+ * // 模拟云端接口
+ * Simulator.route('/scene/list', params => ({ list: [] }));
+ * ...
+ * Simulator.uninstall();
+ */
+//@native begin
+import native, { MIOTEventEmitter, Properties } from '../native';
+import RootDevice, { _find_device } from './BasicDevice';
+import { _checkValue } from '../service/spec';
+// 设备离线
+const CODE_OFFLINE = -704042011;
+// 属性不存在
+const CODE_PROPERTY_NOT_FOUND = -704040003;
+// 方法不存在
+const CODE_ACTION_NOT_FOUND = -704040005;
+// 属性不可读或不可写
+const CODE_ACCESS_DENIED = -704030013;
+// 属性值不合法
+const CODE_INVALID_VALUE = -704220043;
+// 普通设备 rpc 方法不存在
+const CODE_METHOD_NOT_FOUND = -32601;
+const SET = "/miotspec/prop/set";
+const GET = "/miotspec/prop/get";
+const ACTION = "/miotspec/action";
+// 安装前的原生模块, 未安装时为 null
+let originals = null;
+// 安装前 Device 的信息, 卸载时恢复
+let rootOriginal = null;
+const config = {
+    latency: 0,
+    passthrough: false
+};
+// did => ISimulatedDevice
+const devices = new Map();
+// path => function(params)
+const routes = new Map();
+// subscribeId => {did, names: Set}
+const subscriptions = new Map();
+let lastSubscribeId = 0;
+function _parse(value) {
+    if (typeof value !== "string") {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+}
+function _failure(code, message) {
+    return { code, message };
+}
+/**
+ * 按 latency 延迟后, 以原生模块回调的形式返回 task 的结果
+ */
+function _respond(task, callback) {
+    const promise = Promise.resolve().then(task);
+    const done = (ok, res) => (config.latency > 0 ? setTimeout(() => callback(ok, res), config.latency) : callback(ok, res));
+    promise.then(res => done(true, res), err => done(false, err));
+}
+function _root() {
+    return devices.values().next().value;
+}
+function _device(did) {
+    return (did !== undefined && did !== null && devices.get(String(did))) || null;
+}
+function _deviceOrFail(did) {
+    const device = _device(did);
+    return device ? Promise.resolve(device) : Promise.reject(_failure(-1, `device ${ did } is not simulated`));
+}
+/**
+ * spec 属性的默认值: value-list 的第一个值, value-range 的最小值, 或者 format 对应的零值
+ */
+function _defaultValue(protocol) {
+    const list = protocol['value-list'];
+    if (Array.isArray(list) && list.length > 0) {
+        return list[0].value;
+    }
+    const range = protocol['value-range'];
+    if (Array.isArray(range) && range.length > 0) {
+        return range[0];
+    }
+    switch (protocol.format) {
+        case "bool":
+            return false;
+        case "string":
+        case "hex":
+            return "";
+        default:
+            return 0;
+    }
+}
+function _specKey(siid, piid) {
+    return `${ siid }.${ piid }`;
+}
+/**
+ * prop.power => power, prop.2.1 => 2.1
+ */
+function _propKey(key) {
+    return String(key).replace(/^prop\./, "");
+}
+function _isSpecKey(key) {
+    return /^\d+\.\d+$/.test(key);
+}
+function _emitMessage(did, key, value) {
+    const data = [{ key, value, time: Math.floor(Date.now() / 1000) }];
+    subscriptions.forEach(({ did: subscribed, names }, subcribeId) => {
+        if (subscribed == did && names.has(key)) {
+            MIOTEventEmitter.emit("deviceRecievedMessages", { did, data, subcribeId });
+        }
+    });
+}
+function _call(did, method, args, way) {
+    return _deviceOrFail(did).then(device => device._call(method, _parse(args), way));
+}
+function _request(path, params) {
+    params = _parse(params) || {};
+    const route = routes.get(path);
+    if (route) {
+        return Promise.resolve().then(() => route(params));
+    }
+    const items = params.params;
+    switch (path) {
+        case GET:
+            return Promise.all((items || []).map(item => _deviceOrFail(item.did).then(device => device._getSpec(item),
+                err => ({ ...item, ...err }))));
+        case SET:
+            return Promise.all((items || []).map(item => _deviceOrFail(item.did).then(device => device._setSpec(item),
+                err => ({ did: item.did, siid: item.siid, piid: item.piid, ...err }))));
+        case ACTION:
+            return _deviceOrFail(items && items.did).then(device => device._doAction(items));
+    }
+    if (config.passthrough && originals && originals.MIOTRPC && originals.MIOTRPC.nativeCall) {
+        return new Promise((resolve, reject) => {
+            originals.MIOTRPC.nativeCall(path, params, (ok, res) => {
+                ok ? resolve(res && res.result) : reject(res);
+            });
+        });
+    }
+    return Promise.reject(_failure(-1, `${ path } is not simulated`));
+}
+function _createModules(original) {
+    const MIOTDevice = {
+        ...(original.MIOTDevice || {}),
+        get currentDevice() {
+            const root = _root();
+            return root ? root._info() : {};
+        },
+        callMethod: (did, method, args, extraPayload, callback) => _respond(() => _call(did, method, args, "auto"), callback),
+        callMethodFromCloud: (did, method, args, extraPayload, callback) => _respond(() => _call(did, method, args, "cloud"), callback),
+        callMethodFromLocal: (did, method, args, extraPayload, callback) => _respond(() => _call(did, method, args, "local"), callback),
+        callMethodForceWay: (method, args, way, extraPayload, callback) => {
+            const root = _root();
+            _respond(() => _call(root && root.deviceID, method, args, way === 2 ? "cloud" : "local"), callback);
+        },
+        localPingWithCallback: (did, callback) => {
+            const device = _device(did);
+            _respond(() => !!device && device.isOnline && device.isLocalReachable, (ok, reachable) => callback(reachable));
+        },
+        subscribeMessages: (did, names, callback) => _respond(() => _deviceOrFail(did).then(() => {
+            const subscribeId = `simulator_${ ++lastSubscribeId }`;
+            subscriptions.set(subscribeId, { did, names: new Set(names || []) });
+            return subscribeId;
+        }), callback),
+        unsubscribeMessages: (did, names, subscribeId, callback) => {
+            subscriptions.delete(subscribeId);
+            callback && _respond(() => true, callback);
+        },
+        getCurrentDeviceValue: callback => _respond(() => {
+            const root = _root();
+            return root ? root._values() : Promise.reject(null);
+        }, callback),
+        loadSubDevices: (did, callback) => _respond(() => [], callback),
+        getDeviceTimeZone: (did, callback) => _respond(() => _deviceOrFail(did).then(device => device._info().timeZone), callback),
+        changeDeviceName: (newName, did, callback) => _respond(() => _deviceOrFail(did || (_root() && _root().deviceID)).then(device => {
+            Properties.of(device).info.name = newName;
+            MIOTEventEmitter.emit("deviceNameChanged", { did: device.deviceID, newName });
+            return newName;
+        }), callback),
+        getVersion: (force, callback) => _respond(() => {
+            const root = _root();
+            return root ? root._info().version : Promise.reject(null);
+        }, callback),
+        readDeviceNetWorkInfo: (did, callback) => _respond(() => _deviceOrFail(did).then(device => {
+            const { ip, ssid, bssid, rssi } = device._info();
+            return { ip, ssid, bssid, rssi };
+        }), callback)
+    };
+    const MIOTHost = {
+        ...(original.MIOTHost || {}),
+        localPingWithCallback: callback => {
+            const root = _root();
+            MIOTDevice.localPingWithCallback(root && root.deviceID, callback);
+        }
+    };
+    const MIOTSpec = {
+        ...(original.MIOTSpec || {}),
+        getSpecString: (did, callback) => _respond(() => _deviceOrFail(did).then(device => {
+            const { spec } = Properties.of(device);
+            return spec ? JSON.stringify(spec) : Promise.reject(_failure(CODE_PROPERTY_NOT_FOUND, `device ${ did } has no spec`));
+        }), callback),
+        getCurrentSpecValueWithDid: did => {
+            const device = _device(did);
+            return Promise.resolve(device ? device._specValues() : []);
+        }
+    };
+    const MIOTRPC = {
+        ...(original.MIOTRPC || {}),
+        nativeCall: (path, params, callback) => _respond(() => _request(path, params).then(result => ({ code: 0, message: "ok", result })), callback),
+        standardCall: (path, params, callback) => _respond(() => _request(path, params), callback)
+    };
+    return { MIOTDevice, MIOTHost, MIOTSpec, MIOTRPC };
+}
+/**
+ * 把根设备(第一个模拟设备)的信息同步到 Device
+ */
+function _syncRootDevice() {
+    const root = _root();
+    if (!root) {
+        return;
+    }
+    rootOriginal = { ...Properties.of(RootDevice) };
+    const props = Object.assign(Properties.of(RootDevice), root._info());
+    props._msgset || (props._msgset = new Set());
+    Properties.init(RootDevice, props);
+}
+/**
+ * 恢复 Device 在安装前的信息, 保留同一个属性对象
+ */
+function _restoreRootDevice() {
+    if (!rootOriginal) {
+        return;
+    }
+    const props = Properties.of(RootDevice);
+    Object.keys(props).forEach(key => delete props[key]);
+    Properties.init(RootDevice, Object.assign(props, rootOriginal));
+    rootOriginal = null;
+}
+//@native end
+/**
+ * 模拟设备
+ * @interface
+ */
+export class ISimulatedDevice {
+    //@native begin
+    constructor(options) {
+        const { spec, props, online = true, localReachable = true, info = {} } = options;
+        const specValues = new Map();
+        const specProtocols = new Map();
+        ((spec && spec.services) || []).forEach(service => (service.properties || []).forEach(property => {
+            const key = _specKey(service.iid, property.iid);
+            specProtocols.set(key, property);
+            specValues.set(key, property.value !== undefined ? property.value : _defaultValue(property));
+        }));
+        const legacyValues = new Map();
+        if (Array.isArray(props)) {
+            props.forEach(prop => {
+                typeof prop === "string" ? legacyValues.set(_propKey(prop), null) : legacyValues.set(_propKey(prop.name), prop.value);
+            });
+        } else if (props) {
+            Object.keys(props).forEach(name => legacyValues.set(_propKey(name), props[name]));
+        }
+        Properties.init(this, {
+            spec: spec || null,
+            specValues,
+            specProtocols,
+            legacyValues,
+            online,
+            localReachable,
+            methods: new Map(),
+            actions: new Map(),
+            info: {
+                did: String(options.did),
+                model: options.model || "miot.simulator.v1",
+                name: options.name || options.model || "Simulator",
+                permitLevel: 16,
+                ownerId: "",
+                mac: "00:00:00:00:00:00",
+                ip: "127.0.0.1",
+                ssid: "simulator",
+                bssid: "00:00:00:00:00:00",
+                rssi: -50,
+                version: "1.0.0",
+                timeZone: "Asia/Shanghai",
+                ...info
+            }
+        });
+    }
+    //@native end
+    /**
+     * 设备 did
+     * @type {string}
+     * @readonly
+     */
+    get deviceID() {
+        //@native => ""
+        return Properties.of(this).info.did;
+    }
+    /**
+     * 设备 model
+     * @type {string}
+     * @readonly
+     */
+    get model() {
+        //@native => ""
+        return Properties.of(this).info.model;
+    }
+    /**
+     * 设备是否在线
+     * @type {boolean}
+     * @readonly
+     */
+    get isOnline() {
+        //@native => true
+        return Properties.of(this).online;
+    }
+    /**
+     * 局域网是否可达，不可达时 callMethodFromLocal 和 localPing 失败
+     * @type {boolean}
+     * @readonly
+     */
+    get isLocalReachable() {
+        //@native => true
+        return Properties.of(this).localReachable;
+    }
+    /**
+     * 设备的 spec，没有时为 null
+     * @type {object}
+     * @readonly
+     */
+    get spec() {
+        //@native => null
+        return Properties.of(this).spec;
+    }
+    /**
+     * 获取属性的当前值
+     * @param {string} key 属性名，普通设备为 prop.xxx 或 xxx，miot-spec 设备为 prop.siid.piid 或 siid.piid
+     * @returns {any} 属性不存在时返回 undefined
+     */
+    getValue(key) {
+        //@native => undefined
+        const name = _propKey(key);
+        const { specValues, legacyValues } = Properties.of(this);
+        return _isSpecKey(name) ? specValues.get(name) : legacyValues.get(name);
+    }
+    /**
+     * 修改属性的值，相当于设备主动上报，订阅了该属性的页面会收到 DeviceEvent.deviceReceivedMessages
+     * @param {string} key 属性名，同 getValue
+     * @param {any} value
+     * @param {boolean} [notify=true] 是否推送消息
+     * @returns {boolean} 属性是否存在，不存在时普通设备会新建该属性，miot-spec 设备返回 false
+     */
+    setValue(key, value, notify = true) {
+        //@native => false
+        const name = _propKey(key);
+        const { specValues, legacyValues } = Properties.of(this);
+        if (_isSpecKey(name)) {
+            if (!specValues.has(name)) {
+                return false;
+            }
+            specValues.set(name, value);
+        } else {
+            legacyValues.set(name, value);
+        }
+        notify && this.isOnline && _emitMessage(this.deviceID, `prop.${ name }`, [value]);
+        return true;
+    }
+    /**
+     * 模拟设备上报事件
+     * @param {string} key 事件名，普通设备为 event.xxx，miot-spec 设备为 event.siid.eiid
+     * @param {Array} [args=[]] 事件参数
+     */
+    emitEvent(key, args = []) {
+        //@native
+        this.isOnline && _emitMessage(this.deviceID, key, args);
+    }
+    /**
+     * 模拟设备上线或离线，会触发 DeviceEvent.deviceStatusChanged，离线时所有请求都会失败
+     * @param {boolean} online
+     */
+    setOnline(online) {
+        //@native
+        const self = Properties.of(this);
+        if (self.online === !!online) {
+            return;
+        }
+        self.online = !!online;
+        const { props } = _find_device(this.deviceID);
+        props && (props.isOnline = self.online);
+        MIOTEventEmitter.emit("deviceStatusChanged", this.deviceID, { isOnline: self.online }, {});
+    }
+    /**
+     * 模拟局域网是否可达
+     * @param {boolean} reachable
+     */
+    setLocalReachable(reachable) {
+        //@native
+        Properties.of(this).localReachable = !!reachable;
+    }
+    /**
+     * 自定义 callMethod 的方法，优先于默认的 get_prop 及 set_xxx 处理
+     * @param {string} method 方法名
+     * @param {function(Array, ISimulatedDevice):any} handler 参数为调用的参数及当前设备，返回值(可以是 Promise)作为 result；
+     * 抛出 {code, message} 时请求失败
+     * @returns {ISimulatedDevice} this
+     */
+    onMethod(method, handler) {
+        //@native => this
+        Properties.of(this).methods.set(method, handler);
+        return this;
+    }
+    /**
+     * 自定义 spec 方法的处理，默认返回 out 中属性的当前值
+     * @param {int} siid
+     * @param {int} aiid
+     * @param {function(Array, ISimulatedDevice):Array} handler 参数为 in 的值及当前设备，返回 out 的值(可以是 Promise)；
+     * 抛出 {code, message} 时执行失败
+     * @returns {ISimulatedDevice} this
+     */
+    onAction(siid, aiid, handler) {
+        //@native => this
+        Properties.of(this).actions.set(_specKey(siid, aiid), handler);
+        return this;
+    }
+    //@native begin
+    _info() {
+        const self = Properties.of(this);
+        return { ...self.info, isOnline: self.online };
+    }
+    _values() {
+        const { specValues, legacyValues } = Properties.of(this);
+        const values = {};
+        legacyValues.forEach((value, name) => (values[`prop.${ name }`] = value));
+        specValues.forEach((value, name) => (values[`prop.${ name }`] = value));
+        return values;
+    }
+    _specValues() {
+        const { specValues } = Properties.of(this);
+        return [...specValues.keys()].map(key => {
+            const [siid, piid] = key.split(".").map(Number);
+            return { did: this.deviceID, siid, piid, code: 0, value: specValues.get(key) };
+        });
+    }
+    _call(method, args, way) {
+        const self = Properties.of(this);
+        if (!self.online) {
+            return Promise.reject(_failure(CODE_OFFLINE, "device is offline"));
+        }
+        if (way === "local" && !self.localReachable) {
+            return Promise.reject(_failure(-1, "device is not reachable in local network"));
+        }
+        const handler = self.methods.get(method);
+        const respond = result => ({ code: 0, id: Date.now(), result });
+        if (handler) {
+            return Promise.resolve().then(() => handler(args, this)).then(respond);
+        }
+        const params = Array.isArray(args) ? args : (args === undefined || args === null ? [] : [args]);
+        if (method === "get_prop") {
+            return Promise.resolve(respond(params.map(name => {
+                const value = self.legacyValues.get(_propKey(name));
+                return value === undefined ? null : value;
+            })));
+        }
+        const matched = /^set_(.+)$/.exec(method);
+        if (matched && self.legacyValues.has(matched[1])) {
+            this.setValue(matched[1], params.length > 1 ? params : params[0]);
+            return Promise.resolve(respond(["ok"]));
+        }
+        return Promise.reject(_failure(CODE_METHOD_NOT_FOUND, `method ${ method } not found`));
+    }
+    _getSpec({ did, siid, piid }) {
+        const self = Properties.of(this);
+        const key = _specKey(siid, piid);
+        const protocol = self.specProtocols.get(key);
+        if (!self.online) {
+            return { did, siid, piid, code: CODE_OFFLINE };
+        }
+        if (!protocol) {
+            return { did, siid, piid, code: CODE_PROPERTY_NOT_FOUND };
+        }
+        if ((protocol.access || []).indexOf("read") < 0) {
+            return { did, siid, piid, code: CODE_ACCESS_DENIED };
+        }
+        return { did, siid, piid, code: 0, value: self.specValues.get(key) };
+    }
+    _setSpec({ did, siid, piid, value }) {
+        const self = Properties.of(this);
+        const protocol = self.specProtocols.get(_specKey(siid, piid));
+        if (!self.online) {
+            return { did, siid, piid, code: CODE_OFFLINE };
+        }
+        if (!protocol) {
+            return { did, siid, piid, code: CODE_PROPERTY_NOT_FOUND };
+        }
+        const error = _checkValue(protocol, value);
+        if (error) {
+            return { did, siid, piid, code: error.constraint === "access" ? CODE_ACCESS_DENIED : CODE_INVALID_VALUE };
+        }
+        this.setValue(_specKey(siid, piid), value);
+        return { did, siid, piid, code: 0 };
+    }
+    _doAction({ did, siid, aiid, in: ins = [] }) {
+        const self = Properties.of(this);
+        const service = ((self.spec && self.spec.services) || []).find(s => s.iid == siid);
+        const action = service && (service.actions || []).find(a => a.iid == aiid);
+        if (!self.online) {
+            return Promise.resolve({ did, siid, aiid, code: CODE_OFFLINE });
+        }
+        if (!action) {
+            return Promise.resolve({ did, siid, aiid, code: CODE_ACTION_NOT_FOUND });
+        }
+        const handler = self.actions.get(_specKey(siid, aiid));
+        const task = handler ? () => handler(ins, this) : () => (action.out || []).map(piid => self.specValues.get(_specKey(siid, piid)));
+        return Promise.resolve().then(task).then(out => ({ did, siid, aiid, code: 0, out: out || [] }),
+            err => ({ did, siid, aiid, code: (err && err.code) || -1, message: err && err.message }));
+    }
+    //@native end
+}
+export default {
+    /**
+     * 是否已经安装模拟器
+     * @type {boolean}
+     * @readonly
+     */
+    get isInstalled() {
+        //@native => false
+        return !!originals;
+    },
+    /**
+     * 安装模拟器，替换 native 中设备通信相关的原生模块，已经安装时会先卸载
+     * 第一个设备作为当前设备(Device)，Device.deviceID、model、isOnline 等信息与之同步
+     * @param {object} options
+     * @param {Array<object>} options.devices 模拟设备列表，每个设备的参数为：
+     * did(必填)，model，name，spec(MIoT-Spec 的 json)，
+     * props(普通设备的属性，可以是 {power: 'on'} 这样的初始值，也可以是 ['prop.power', {name: 'bright', value: 50}] 这样的列表)，
+     * online(默认 true)，localReachable(默认 true)，info(Device 的其它字段，例如 mac、version、timeZone)
+     * @param {int} [options.latency=0] 每个请求的延迟，单位毫秒
+     * @param {boolean} [options.passthrough=false] 没有模拟的云端接口是否交给原来的原生模块处理，默认直接失败
+     * @param {object} [options.modules] 需要同时替换的其它原生模块，例如 {MIOTBluetooth: ...}
+     * @returns {ISimulatedDevice} 当前设备
+     */
+    install(options = {}) {
+        //@native :=> null
+        originals && this.uninstall();
+        const { devices: list = [], latency = 0, passthrough = false, modules = {} } = options;
+        config.latency = latency;
+        config.passthrough = passthrough;
+        list.forEach(item => {
+            const device = new ISimulatedDevice(item);
+            devices.set(device.deviceID, device);
+        });
+        const simulated = { ..._createModules(native), ...modules };
+        originals = {};
+        Object.keys(simulated).forEach(name => {
+            originals[name] = native[name];
+            native[name] = simulated[name];
+        });
+        _syncRootDevice();
+        return _root() || null;
+        //@native end
+    },
+    /**
+     * 卸载模拟器，恢复原来的原生模块及 Device 的信息，并清空模拟设备、云端接口及订阅
+     */
+    uninstall() {
+        //@native
+        if (!originals) {
+            return;
+        }
+        Object.keys(originals).forEach(name => {
+            native[name] = originals[name];
+        });
+        originals = null;
+        _restoreRootDevice();
+        devices.clear();
+        routes.clear();
+        subscriptions.clear();
+    },
+    /**
+     * 获取模拟设备
+     * @param {string} [did] 不传时返回当前设备
+     * @returns {ISimulatedDevice} 不存在时返回 null
+     */
+    device(did = null) {
+        //@native => null
+        return did === null ? (_root() || null) : _device(did);
+    },
+    /**
+     * 模拟云端接口，Service.callSmartHomeAPI 及 native.MIOTRPC 的请求都会先查找这里的处理
+     * @param {string} path 接口路径，例如 '/scene/list'
+     * @param {function(object):any} handler 参数为请求参数，返回值(可以是 Promise)作为接口的 result；抛出 {code, message} 时请求失败
+     */
+    route(path, handler) {
+        //@native
+        routes.set(path, handler);
+    }
+};
@@ -0,0 +1,147 @@
+/**
+ * @export public
+ * @doc_name 模拟器运行环境模块
+ * @doc_index 8
+ * @doc_directory device
+ * @module miot/device
+ * @description
+ * 在 Node(例如 jest) 中运行插件时，react-native 的 NativeModules 里没有米家 App 提供的原生模块，
+ * 而 miot 的 native 模块在加载时就会读取它们(iOS 上还会向 MHPluginSDK、MIOTDevice 等模块添加方法)，缺少时直接抛出异常。
+ * 本模块在 NativeModules 中补齐这些原生模块的内存实现，其它代码已经提供的模块保持不变，iOS 和 Android 都可以使用：
+ * 1、MIOTPackage、MIOTHost(iOS 为 MHPluginSDK) 的基本信息，以及 Host.storage 使用的 saveInfo/loadInfoCallback
+ * 2、MIOTFile(iOS 为 MHPluginFS) 的内存文件，支持 Host.file 的读写、追加、删除、判断存在及列表
+ * 3、MIOTService 的当前账号；云端接口默认失败，可以通过 Simulator.route 模拟
+ * 4、其它原生模块为空对象，需要时通过 Simulator.install 的 modules 参数或者 MockBluetooth 替换
+ * 本模块不依赖 miot 的其它模块，必须在它们加载之前运行，例如放在 jest 的 setupFiles 中，之后再按需调用 Simulator.install
+ *
+ * @example
+ * // jest.config.js
+ * module.exports = {
+ *     preset: 'react-native',
+ *     setupFiles: ['miot/device/SimulatorSetup']
+ * };
+ *
+ * // 测试中需要 Android 的行为或者其它账号时，先修改环境，再加载 miot 的模块
+ * import { setupNativeModules } from 'miot/device/SimulatorSetup'
+ * setupNativeModules({ platform: 'android', accountID: '10001' });
+ * const { Device } = require('miot');
+ */
+import { NativeModules, Platform } from 'react-native';
+//@native begin
+// 本模块创建的原生模块，再次调用 setupNativeModules 时会被替换
+const created = new WeakSet();
+function _fail(callback, message) {
+    if (Platform.OS === "android") {
+        callback(false, -1, message);
+    } else {
+        callback(false, { code: -1, message });
+    }
+}
+function _createHost(options, storage) {
+    return {
+        language: options.language,
+        systemInfo: { mobileModel: "simulator", sysVersion: "" },
+        isDebug: true,
+        saveInfo(key, value) {
+            storage.set(key, value);
+        },
+        loadInfoCallback(key, callback) {
+            callback(storage.has(key) ? storage.get(key) : null);
+        }
+    };
+}
+function _createFile(files) {
+    const missing = fileName => ({ code: -1, message: `file ${ fileName } not exists` });
+    return {
+        storageBasePath: "",
+        readFileListFrom(subFolder, callback) {
+            const prefix = subFolder ? `${ subFolder.replace(/\/$/, "") }/` : "";
+            const names = new Set();
+            [...files.keys()].filter(name => name.startsWith(prefix)).forEach(name => {
+                names.add(name.substr(prefix.length).split("/")[0]);
+            });
+            callback(true, [...names].map(name => ({ name })));
+        },
+        isFileExists(fileName, callback) {
+            callback(true, files.has(fileName));
+        },
+        readFile(fileName, callback) {
+            files.has(fileName) ? callback(true, files.get(fileName)) : callback(false, missing(fileName));
+        },
+        writeFile(fileName, content, callback) {
+            files.set(fileName, String(content));
+            callback(true, null);
+        },
+        appendFile(fileName, content, callback) {
+            files.set(fileName, (files.get(fileName) || "") + content);
+            callback(true, null);
+        },
+        deleteFile(fileName, callback) {
+            files.has(fileName) ? callback(true, files.delete(fileName)) : callback(false, missing(fileName));
+        }
+    };
+}
+//@native end
+/**
+ * 在 NativeModules 中补齐米家原生模块的内存实现，由其它代码(例如 jest preset)提供的模块不会被替换，
+ * 之前由本方法创建的模块会按新的参数重新创建(内存中的存储和文件也会清空)
+ * 本模块加载时会以默认参数调用一次，只有需要修改参数时才需要直接调用；需要在 miot 的模块加载之前调用
+ * @param {object} [options]
+ * @param {string} [options.platform] 模拟的平台，'ios' 或 'android'，不传时保持 Platform.OS 不变
+ * @param {string} [options.packageID='simulator'] 插件包的 id
+ * @param {string} [options.accountID='simulator'] 当前登录的账号，为 null 时表示未登录
+ * @param {string} [options.language='zh_CN'] App 的语言
+ * @returns {object} NativeModules
+ */
+export function setupNativeModules(options = {}) {
+    //@native :=> {}
+    const { platform, packageID = "simulator", accountID = "simulator", language = "zh_CN" } = options;
+    if (platform) {
+        Platform.OS = platform;
+    }
+    const storage = new Map();
+    const files = new Map();
+    const host = _createHost({ language }, storage);
+    const file = _createFile(files);
+    const modules = {
+        MIOTPackage: { packageID, version: "1.0.0", basePath: "", localFilePath: "", plugPath: "", eventRandom: "" },
+        MIOTHost: host,
+        MHPluginSDK: host,
+        MIOTFile: file,
+        MHPluginFS: file,
+        MIOTService: {
+            currentAccountID: accountID,
+            callSmartHomeAPI(api, params, callback) {
+                _fail(callback, `${ api } is not simulated, use Simulator.route`);
+            }
+        },
+        MIOTDevice: {},
+        MIOTSpec: {},
+        MIOTBluetooth: {},
+        MHGateway: {
+            getLinkedBTDevices(did, callback) {
+                callback(true, []);
+            }
+        },
+        MHDeviceList: {
+            requestAuthorizedDeviceListData(model, callback) {
+                callback(true, []);
+            }
+        },
+        MHMiotStore: {
+            openURL(url, callback) {
+                callback(null);
+            }
+        }
+    };
+    Object.keys(modules).forEach(name => {
+        if (!NativeModules[name] || created.has(NativeModules[name])) {
+            NativeModules[name] = modules[name];
+            created.add(modules[name]);
+        }
+    });
+    return NativeModules;
+    //@native end
+}
+setupNativeModules();
+export default setupNativeModules;
@@ -22,12 +22,55 @@
  * 本地局域网：指设备和手机在同一个局域网时，手机可直接与设备通讯，读取设备数据，本地局域网时，一般通过udp协议来与设备进行交互
  * 透传：服务端给客户端什么数据，客户端就返回给插件什么数据。而且，callMethod等请求，固件到服务端的数据也是透传：固件给什么数据到服务端，服务端就给什么数据到客户端
  *
+ * 从 10035 开始，返回 Promise 的方法失败时统一 reject DeviceError(见 {@link module:miot/MiotError})，原生返回的原始错误在 err.native 中，错误码在 err.nativeCode 中
+ *
  *  **注意：callMethod，loadProperties等几个直接和设备打交道的方法，排查错误的流程一般为：抓包查看请求参数是否没问题，插件和固件端联调看看固件端是否有收到正确的参数并返回正确的值！**
  */
 import { DeviceEventEmitter } from "react-native";
 import native, { NativeTimer, PackageExitAction, Properties } from '../native';
 import { BasicDevice, _find_device } from './BasicDevice';
+import { createDeviceStore } from './DeviceStore';
+import RequestScheduler from './RequestScheduler';
+import RequestPolicy from './RequestPolicy';
+import { DeviceError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
 const INTERVAL_SUBSCRIBE_MSG_SECONDS = (2 * 60 + 50);//2'50"
+//@native begin
+const TRANSPORTS = ["auto", "local-first", "cloud-only", "local-only"];
+function _isEmptyPayload(extraPayload) {
+    return !extraPayload || (typeof extraPayload === "object" && Object.keys(extraPayload).length < 1);
+}
+// 复制返回结果并记录实际使用的通信方式及耗时，不修改原生返回的对象
+function _reportTransport(res, transport, start) {
+    if (res && typeof res === "object" && !Array.isArray(res)) {
+        return { ...res, transport, latency: Date.now() - start };
+    }
+    return res;
+}
+function _copyResult(res) {
+    return res && typeof res === "object" && !Array.isArray(res) ? { ...res } : res;
+}
+// 局域网请求没有到达设备(超时、设备不可达、网络错误)，按错误码判断，改走云端不会导致命令重复执行
+function _isTransportError(err, codes) {
+    const error = DeviceError.from(err);
+    return error.code === ErrorCode.NOT_CONNECTED || (codes || []).some(code => code === error.code || code === error.nativeCode);
+}
+// 局域网请求单独计时，超时后以 TIMEOUT 失败，不等待 RequestPolicy 的总超时
+function _withLocalTimeout(promise, timeout) {
+    if (!(timeout > 0)) {
+        return promise;
+    }
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject({ code: RequestPolicy.TIMEOUT_CODE, message: `local request timeout after ${ timeout }ms`, timeout: true }), timeout);
+        promise.then(res => {
+            clearTimeout(timer);
+            resolve(res);
+        }, err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+//@native end
 /**
  * 设备网络访问控制类
  * @interface
@@ -110,7 +153,7 @@ export default class IDeviceWifi {
      */
     loadProperties(...propNames) {
         if (propNames.length < 1) {
-            return Promise.reject();
+            return Promise.reject(new DeviceError(ErrorCode.INVALID_ARGUMENT, "arguments is empty"));
         }
         return this.callMethod("get_prop", propNames).then((res => {
             const map = new Map();
@@ -120,6 +163,27 @@ export default class IDeviceWifi {
             return map;
         }));
     }
+    /**
+     * 设备属性状态缓存，保存各属性的最新值，自动处理加载、消息订阅和推送，详见 IDeviceStore
+     * @since 10035
+     * @member
+     * @type {IDeviceStore}
+     * @readonly
+     * @example
+     * const listener = Device.getDeviceWifi().store.addListener('prop.power', ({ value, previous, time }) => {
+     *   this.setState({ power: value });
+     * });
+     * ...
+     * listener.remove();
+     */
+    get store() {
+        //@native => null
+        const self = Properties.of(this);
+        if (!self._device_store) {
+            self._device_store = createDeviceStore(this);
+        }
+        return self._device_store;
+    }
     /**
      * 强制从云端加载属性数据
      * 内部调用get_prop 方法, 并将返回数据写成{key:value}格式
@@ -130,7 +194,7 @@ export default class IDeviceWifi {
      */
     loadPropertiesFromCloud(...propNames) {
         if (propNames.length < 1) {
-            return Promise.reject();
+            return Promise.reject(new DeviceError(ErrorCode.INVALID_ARGUMENT, "arguments is empty"));
         }
         return this.callMethodFromCloud("get_prop", propNames).then((res => {
             const map = new Map();
@@ -143,10 +207,15 @@ export default class IDeviceWifi {
     /**
      * 调用设备方法
      * Android里面，若与设备通信处于同一个 wifi 下会使用局域网直接传输数据，如果不在同一个 wifi 下由云端转发请求。iOS里面，因获取不到wifi信息，一般默认走云端
+     * 从 10035 开始，请求经过 RequestScheduler 调度：同一时刻的多个 get_prop 会合并为一个请求，进行中的相同只读请求不会重复发送，每个设备的并发请求数受限
+     * 并按 RequestPolicy 的策略超时及重试(只重试 get 开头的只读方法，其它方法需要传入 retryUnsafe: true)；通过 policy.transport 可以指定通信方式('auto'、'local-first'、'cloud-only'、'local-only'，见 RequestPolicy.configure)
      * @param {string} method  方法名
      * @param {json} args  参数
      * @param {json} extraPayload  额外参数，根据设备需求设定。在payload数据中设置额外参数，暂时只提供给绿米网关使用，如有需求，请联系米家。
-     * @return {Promise<json>} {code:0,result:{},id:""} 透传
+     * @param {object} [policy=null] (API Level 10035新增)本次调用的超时、重试策略及通信方式，覆盖 RequestPolicy 的全局配置，如 {timeout:5000, retries:2, transport:'local-first'}；传入时 get_prop 不再与其他请求合并
+     * @return {Promise<json>} {code:0,result:{},id:"",transport:"local",latency:56} 透传，10035 开始额外带有 transport 和 latency 字段：
+     * transport 为实际使用的通信方式，local(局域网)、cloud(云端) 或 auto(Android 上由 App 决定)；latency 为请求耗时，单位毫秒；local-first 时局域网请求超过 localTimeout 或者以 localFallbackCodes 中的错误码失败后改走云端，其结果还带有 fallback:"local"(设备返回的其它错误不会改走云端)
+     * 失败时的错误带有 attempts 和 timeout 字段
      * @example
      * Device.getDeviceWifi().callMethod('getProps', [prop1,prop2])
      *  .then(res => console.log('success:', res))
@@ -160,96 +229,160 @@ export default class IDeviceWifi {
      * //对应payload参考：
      * //{'method': 'getProps', 'params':[prop1,prop2], 'sid':'xxxxx', 'key1': 'xxxx'}
      *
+     * //优先走局域网，并查看实际的通信方式和耗时
+     * Device.getDeviceWifi().callMethod('set_power', ['on'], {}, { transport: 'local-first' })
+     *  .then(res => console.log(res.transport, res.latency))
+     *
      */
-    callMethod(method, args, extraPayload = {}) {
+    callMethod(method, args, extraPayload = {}, policy = null) {
         //@native :=> promise {}
         //@mark andr done
-        return new Promise((resolve, reject) => {
-            console.log("device-->callMethod", this.deviceID, this);
-            native.MIOTDevice.callMethod(this.deviceID, method,
-                native.isAndroid ? ((typeof (args) === "string") ? args : JSON.stringify(args)) : args,
-                native.isAndroid ? ((typeof (extraPayload) === "string") ? extraPayload : JSON.stringify(extraPayload)) : extraPayload,
-                (ok, res) => {
-                    if (ok) {
-                        resolve(res)
-                    } else {
-                        reject(res)
+        const did = this.deviceID;
+        if (method === "get_prop" && Array.isArray(args) && _isEmptyPayload(extraPayload) && !policy) {
+            return RequestScheduler.batch(`${ did }#get_prop`, args, items => this._callGetProp(items));
+        }
+        const current = RequestPolicy.resolve(policy);
+        const { transport } = current;
+        if (TRANSPORTS.indexOf(transport) < 0) {
+            return Promise.reject(new DeviceError(ErrorCode.INVALID_ARGUMENT, `unknown transport ${ transport }`));
+        }
+        const idempotent = RequestScheduler.isIdempotent(method);
+        const run = () => RequestPolicy.run(() => this._callMethod(method, args, extraPayload, current), policy, { idempotent, limit: did });
+        if (!idempotent) {
+            return run();
+        }
+        // 去重的调用共享同一个请求，各自得到结果的副本
+        return RequestScheduler.dedupe(`${ did }#${ transport }#${ method }#${ JSON.stringify(args) }#${ JSON.stringify(extraPayload) }`, run).then(_copyResult);
+        //@native end
+    }
+    //@native begin
+    /**
+     * 将同一时刻的多个 get_prop 合并为一个请求，再按各自的属性名拆分结果
+     */
+    _callGetProp(items) {
+        const did = this.deviceID;
+        const names = [...new Set([].concat(...items))];
+        const current = RequestPolicy.resolve();
+        const run = props => RequestPolicy.run(() => this._callMethod("get_prop", props, {}, current), null, { idempotent: true, limit: did });
+        return run(names).then(res => {
+            if (items.length === 1 && items[0].length === names.length) {
+                return [res];
+            }
+            if (!res || !Array.isArray(res.result) || res.result.length !== names.length) {
+                // 返回的结果无法按属性名拆分时，逐个重新请求
+                return Promise.all(items.map(item => run(item)));
+            }
+            return items.map(item => ({ ...res, result: item.map(name => res.result[names.indexOf(name)]) }));
+        });
+    }
+    /**
+     * 按 policy.transport 选择通信方式发送请求，policy 为 RequestPolicy.resolve 的结果
+     */
+    _callMethod(method, args, extraPayload = {}, policy = {}) {
+        const { transport = "auto", localPingTTL = 0, localTimeout = 0, localFallbackCodes } = policy;
+        switch (transport) {
+            case "cloud-only":
+                return this._callNative("cloud", method, args, extraPayload);
+            case "local-only":
+                return this._callNative("local", method, args, extraPayload);
+            case "local-first":
+                return this._isLocalReachable(localPingTTL).then(reachable => {
+                    if (!reachable) {
+                        return this._callNative("cloud", method, args, extraPayload);
                     }
-                })
+                    return _withLocalTimeout(this._callNative("local", method, args, extraPayload), localTimeout).catch(err => {
+                        // 设备已经收到并返回了错误时，命令可能已经执行，不能再通过云端发送一次
+                        if (!_isTransportError(err, localFallbackCodes)) {
+                            return Promise.reject(err);
+                        }
+                        Properties.of(this)._localReachable = { value: false, time: Date.now() };
+                        return this._callNative("cloud", method, args, extraPayload).then(res => {
+                            return res && typeof res === "object" && !Array.isArray(res) ? { ...res, fallback: "local" } : res;
+                        });
+                    });
+                });
+            default:
+                return this._callNative("auto", method, args, extraPayload);
+        }
+    }
+    /**
+     * 局域网是否可用，localPing 的结果缓存 ttl 毫秒，同时只发起一次 localPing
+     */
+    _isLocalReachable(ttl) {
+        const self = Properties.of(this);
+        const cached = self._localReachable;
+        if (cached && Date.now() - cached.time < ttl) {
+            return Promise.resolve(cached.value);
+        }
+        if (!self._localPinging) {
+            self._localPinging = this.localPing().then(() => true, () => false).then(value => {
+                self._localReachable = { value, time: Date.now() };
+                self._localPinging = null;
+                return value;
+            });
+        }
+        return self._localPinging;
+    }
+    /**
+     * 调用原生方法发送请求，way 为 auto(由 App 决定)、cloud 或 local
+     */
+    _callNative(way, method, args, extraPayload = {}) {
+        const start = Date.now();
+        const reported = way === "auto" && native.isIOS ? "cloud" : way;
+        const toString = value => ((typeof (value) === "string") ? value : JSON.stringify(value));
+        return new Promise((resolve, reject) => {
+            const callback = (ok, res) => {
+                if (ok) {
+                    resolve(_reportTransport(res, reported, start))
+                } else {
+                    reject(res)
+                }
+            };
+            if (way === "auto") {
+                native.MIOTDevice.callMethod(this.deviceID, method,
+                    native.isAndroid ? toString(args) : args,
+                    native.isAndroid ? toString(extraPayload) : extraPayload,
+                    callback)
+            } else if (native.isAndroid) {
+                const call = way === "cloud" ? native.MIOTDevice.callMethodFromCloud : native.MIOTDevice.callMethodFromLocal;
+                call(this.deviceID, method, toString(args), toString(extraPayload), callback)
+            } else {
+                //need deviceID
+                native.MIOTDevice.callMethodForceWay(method, args, way === "cloud" ? 2 : 1, extraPayload, callback)
+            }
         })
-        //@native end
     }
+    //@native end
     /**
      * 强制通过云端调用设备方法
      * Android同callMethod函数不在同一个wifi下的情况，iOS一般情况下等于callMethod方法
      * @param {string} method  方法名
      * @param {json} args 参数
      * @param {json} extraPayload  (API Level 10027新增)额外参数，根据设备需求设定。在payload数据中设置额外参数
-     * @return {Promise<json>} 请求成功返回 {code:0,result:{} } 透传
+     * @param {object} [policy=null] (API Level 10035新增)本次调用的超时及重试策略，同 callMethod
+     * @return {Promise<json>} 请求成功返回 {code:0,result:{} } 透传，10035 开始额外带有 transport:"cloud" 和 latency 字段，同 callMethod
      *
      */
-    callMethodFromCloud(method, args, extraPayload = {}) {
+    callMethodFromCloud(method, args, extraPayload = {}, policy = null) {
         //@native :=> promise {}
         //@mark andr done
-        return new Promise((resolve, reject) => {
-            if (native.isAndroid) {
-                native.MIOTDevice.callMethodFromCloud(this.deviceID, method,
-                    ((typeof (args) === "string") ? args : JSON.stringify(args)),
-                    ((typeof (extraPayload) === "string") ? extraPayload : JSON.stringify(extraPayload)),
-                    (ok, res) => {
-                        if (ok) {
-                            resolve(res)
-                        } else {
-                            reject(res)
-                        }
-                    })
-            } else {
-                //need deviceID
-                native.MIOTDevice.callMethodForceWay(method, args, 2, extraPayload, (ok, res) => {
-                    if (ok) {
-                        resolve(res)
-                    } else {
-                        reject(res)
-                    }
-                })
-            }
-        })
+        return RequestPolicy.run(() => this._callNative("cloud", method, args, extraPayload), policy, { idempotent: RequestScheduler.isIdempotent(method) })
         //@native end
     }
     /**
      * 本地调用设备方法，会直接根据设备ip和端口，发送udp请求，直接和设备通讯。**注意：如果不在同一个路由器，rpc会失败，而不会自动的走云端的方法，使用此方法前，可通过下面的localPing去判断是否是同一个局域网**
+     * 需要局域网不可用时自动改走云端，请使用 callMethod 并传入 policy {transport: 'local-first'}
      * @param {string} method  方法名
      * @param {json} args 参数
      * @param {json} extraPayload  (API Level 10027新增)额外参数，根据设备需求设定。在payload数据中设置额外参数
-     * @return {Promise<json>} 请求成功返回 {code:0,result:{} } 透传
+     * @param {object} [policy=null] (API Level 10035新增)本次调用的超时及重试策略，同 callMethod
+     * @return {Promise<json>} 请求成功返回 {code:0,result:{} } 透传，10035 开始额外带有 transport:"local" 和 latency 字段，同 callMethod
      *
      */
-    callMethodFromLocal(method, args, extraPayload = {}) {
+    callMethodFromLocal(method, args, extraPayload = {}, policy = null) {
         //@native :=> promise {}
         //@mark andr done
-        return new Promise((resolve, reject) => {
-            if (native.isAndroid) {
-                native.MIOTDevice.callMethodFromLocal(this.deviceID, method,
-                    ((typeof (args) === "string") ? args : JSON.stringify(args)),
-                    ((typeof (extraPayload) === "string") ? extraPayload : JSON.stringify(extraPayload)),
-                    (ok, res) => {
-                        if (ok) {
-                            resolve(res)
-                        } else {
-                            reject(res)
-                        }
-                    })
-            } else {
-                //need deviceID
-                native.MIOTDevice.callMethodForceWay(method, args, 1, extraPayload, (ok, res) => {
-                    if (ok) {
-                        resolve(res)
-                    } else {
-                        reject(res)
-                    }
-                })
-            }
-        })
+        return RequestPolicy.run(() => this._callNative("local", method, args, extraPayload), policy, { idempotent: RequestScheduler.isIdempotent(method) })
         //@native end
     }
     //@native begin
@@ -358,11 +491,11 @@ export default class IDeviceWifi {
     subscribeMessages(...propertyOrEventNames) {
         //@native :=> promise this
         if (propertyOrEventNames.length < 1) {
-            return Promise.reject("arguments is empty");
+            return Promise.reject(new DeviceError(ErrorCode.INVALID_ARGUMENT, "arguments is empty"));
         }
         const { _msgset } = Properties.of(this);
         if (!_msgset) {
-            return Promise.reject("cann't subscribe any messages");
+            return Promise.reject(new DeviceError(ErrorCode.NOT_SUPPORTED, "cann't subscribe any messages"));
         }
         propertyOrEventNames.forEach(n => _msgset.add(n));
         return (new Promise((resolve, reject) => {
@@ -518,7 +651,7 @@ export default class IDeviceWifi {
     setFirmwareNotCheckUpdate(notCheck) {
         //@native :=> promise
         if (native.isAndroid) {
-            return new Promise.reject("Android not suppoty yet");
+            return Promise.reject(new DeviceError(ErrorCode.NOT_SUPPORTED, "Android not suppoty yet"));
         }
         return new Promise((resolve, reject) => {
             native.MIOTHost.firmwareNotCheckUpdate(notCheck, (ok, res) => {
@@ -544,13 +677,13 @@ export default class IDeviceWifi {
      * Device.checkFirmwareUpdateAndAlert().then(res => { }).catch(err => { })
      * @returns {Promise}
      *      resolve：res={needUpgradge,force,upgrading，latestVersion} ,其中：needUpgrade:是否需要升级，force：是否需要强制升级，updrading：是否正在升级，latestVersion：最新版本版本号
-     *      reject：{code: xxx, message: xxx} 401:设备所有者才可升级  其他code:网络错误/服务端错误
+     *      reject：DeviceError，code 为 PERMISSION_DENIED(nativeCode 401) 时表示设备所有者才可升级  其他:网络错误/服务端错误
      */
     checkFirmwareUpdateAndAlert() {
         //@native :=> promise {}
         let { device } = _find_device(this.deviceID);
         if (device.isShared || device.isVirtualDevice || !device.isOnline || !this.deviceID) {
-            return new Promise.reject({ code: 401, message: 'checkFirmwareUpdate pemission deny, please make sure you are the owner of current device and device is online.' })
+            return Promise.reject(new DeviceError(ErrorCode.PERMISSION_DENIED, 'checkFirmwareUpdate pemission deny, please make sure you are the owner of current device and device is online.', { nativeCode: 401 }))
         }
         return new Promise((resolve, reject) => {
             let app_level = native.MIOTHost.appVersion || native.MIOTHost.systemInfo.sysVersion;
@@ -602,7 +735,7 @@ export default class IDeviceWifi {
         //@native :=> Promise
         let { device } = _find_device(this.deviceID);
         if (native.isAndroid) {
-            return new Promise.reject({ code: -1, message: 'Android not support HomeKit' })
+            return Promise.reject(new DeviceError(ErrorCode.NOT_SUPPORTED, 'Android not support HomeKit'))
         }
         return new Promise((resolve, reject) => {
             native.MIOTHost.isHomeKitDevice(device.model, (ok, res) => {
@@ -623,7 +756,7 @@ export default class IDeviceWifi {
     checkHomeKitConnected() {
         //@native :=> Promise
         if (native.isAndroid) {
-            return new Promise.reject({ code: -1, message: 'Android not support HomeKit' })
+            return Promise.reject(new DeviceError(ErrorCode.NOT_SUPPORTED, 'Android not support HomeKit'))
         }
         return new Promise((resolve, reject) => {
             native.MIOTHost.isHomeKitConnected(this.deviceID, (ok, res) => {
@@ -646,7 +779,7 @@ export default class IDeviceWifi {
     bindToHomeKit() {
         //@native :=> Promise
         if (native.isAndroid) {
-            return new Promise.reject({ code: -1, message: 'Android not support HomeKit' })
+            return Promise.reject(new DeviceError(ErrorCode.NOT_SUPPORTED, 'Android not support HomeKit'))
         }
         let { device } = _find_device(this.deviceID);
         return new Promise((resolve, reject) => {
@@ -713,7 +846,7 @@ export default class IDeviceWifi {
         let { device } = _find_device(this.deviceID);
         const self = Properties.of(device);
         if (self.parentDevice && Object.keys(self.parentDevice).length > 0) {
-            return Promise.reject("当前设备已经是一个子设备，不存在子设备列表");
+            return Promise.reject(new DeviceError(ErrorCode.NOT_FOUND, "当前设备已经是一个子设备，不存在子设备列表"));
         }
         if (self._virtualDevices && self._virtualDevices.length > 0) {
             return Promise.resolve(self._virtualDevices);
@@ -777,7 +910,7 @@ export default class IDeviceWifi {
     //@native begin
     updateHomeKitAuthorizationData(data) {
         if (native.isAndroid) {
-            return new Promise.reject({ code: -1, message: 'Android not support HomeKit' })
+            return Promise.reject(new DeviceError(ErrorCode.NOT_SUPPORTED, 'Android not support HomeKit'))
         }
         return new Promise((resolve, reject) => {
             native.MIOTHost.updateHomeKitAuthorizationData(data, (ok, res) => {
@@ -790,4 +923,5 @@ export default class IDeviceWifi {
         })
     }
     //@native end
-}
\ No newline at end of file
+}
+wrapPromiseErrors(IDeviceWifi.prototype, ErrorSource.DEVICE);
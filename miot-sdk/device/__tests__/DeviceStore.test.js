@@ -0,0 +1,153 @@
+import native from '../../native';
+import Simulator from '../Simulator';
+import Device from '../../Device';
+import { DeviceEvent } from '../BasicDevice';
+import { ErrorCode } from '../../MiotError';
+
+// 等待模拟器的回调及 store 内部的 Promise 完成
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+let device, store;
+beforeEach(() => {
+    device = Simulator.install({ devices: [{ did: "3001", model: "xiaomi.light.v1", props: { power: "on", bright: 50 } }] });
+    store = Device.getDeviceWifi().store;
+});
+afterEach(() => {
+    Simulator.uninstall();
+});
+describe("DeviceStore", () => {
+    it("loads and follows watched properties", () => {
+        const changes = [];
+        const listener = store.addListener(["prop.power", "prop.bright"], change => changes.push(change));
+        return flush().then(() => {
+            expect(store.getValue("prop.power")).toBe("on");
+            expect(store.getValue("prop.bright")).toBe(50);
+            device.setValue("bright", 70);
+            return flush();
+        }).then(() => {
+            expect(store.getValue("prop.bright")).toBe(70);
+            expect(changes.map(c => c.name)).toEqual(["prop.power", "prop.bright", "prop.bright"]);
+            listener.remove();
+            expect(store.isActive).toBe(false);
+        });
+    });
+    it("unsubscribes a property when its last listener is removed", () => {
+        const unsubscribe = jest.spyOn(native.MIOTDevice, "unsubscribeMessages");
+        const both = store.addListener(["prop.power", "prop.bright"], () => { });
+        const power = store.addListener("prop.power", () => { });
+        return flush().then(() => {
+            both.remove();
+            expect(store.names).toEqual(["prop.power"]);
+            return flush();
+        }).then(() => {
+            expect(unsubscribe).toHaveBeenCalledTimes(1);
+            device.setValue("bright", 10);
+            device.setValue("power", "off");
+            return flush();
+        }).then(() => {
+            expect(store.getValue("prop.bright")).toBe(50);
+            expect(store.getValue("prop.power")).toBe("off");
+            power.remove();
+            expect(unsubscribe).toHaveBeenCalledTimes(2);
+        });
+    });
+    it("reports failed loads and subscriptions through DeviceEvent.devicePropertySyncFailed", () => {
+        device.setOnline(false);
+        jest.spyOn(native.MIOTDevice, "subscribeMessages").mockImplementation((did, names, callback) => callback(false, { code: -704042011 }));
+        const failures = [];
+        const event = DeviceEvent.devicePropertySyncFailed.addListener((d, info) => failures.push(info));
+        const listener = store.addListener("prop.power", () => { });
+        return flush().then(() => {
+            expect(failures.map(f => f.action).sort()).toEqual(["load", "subscribe"]);
+            failures.forEach(({ names, error }) => {
+                expect(names).toEqual(["prop.power"]);
+                expect(error.code).toBe(ErrorCode.OFFLINE);
+            });
+            expect(store.isActive).toBe(true);
+            listener.remove();
+            event.remove();
+        });
+    });
+    describe("write", () => {
+        let failures, event;
+        const wifi = () => Device.getDeviceWifi();
+        const setBright = jest.fn(value => wifi().callMethod("set_bright", [value]));
+        beforeEach(() => {
+            setBright.mockClear();
+            failures = [];
+            event = DeviceEvent.devicePropertyWriteFailed.addListener((d, info) => failures.push(info));
+            return store.refresh("prop.bright");
+        });
+        afterEach(() => {
+            event.remove();
+        });
+        it("coalesces writes within debounce and sends only the last value", () => {
+            // 本地状态立刻更新
+            const results = [10, 20, 30].map(value => {
+                const result = store.write("prop.bright", value, setBright, { debounce: 20 });
+                expect(store.getValue("prop.bright")).toBe(value);
+                return result;
+            });
+            expect(setBright).not.toHaveBeenCalled();
+            return Promise.all(results).then(res => {
+                expect(setBright).toHaveBeenCalledTimes(1);
+                expect(setBright).toHaveBeenCalledWith(30);
+                expect(res[0]).toBe(res[2]);
+                expect(device.getValue("bright")).toBe(30);
+                expect(store.getValue("prop.bright")).toBe(30);
+                expect(failures).toEqual([]);
+            });
+        });
+        it("rolls back and emits devicePropertyWriteFailed when the request fails", () => {
+            device.onMethod("set_bright", () => {
+                throw { code: -2, message: "busy" };
+            });
+            const first = store.write("prop.bright", 60, setBright, { debounce: 0 });
+            const second = store.write("prop.bright", 70, setBright, { debounce: 0 });
+            return Promise.all([first.catch(err => err), second.catch(err => err)]).then(([err1, err2]) => {
+                expect(err1).toBe(err2);
+                expect(err1.source).toBe("device");
+                expect(setBright).toHaveBeenCalledTimes(1);
+                expect(store.getValue("prop.bright")).toBe(50);
+                expect(device.getValue("bright")).toBe(50);
+                expect(failures).toEqual([{ name: "prop.bright", value: 70, previous: 50, error: err1 }]);
+            });
+        });
+        it("rolls back when the request does not return in time", () => {
+            const hang = jest.fn(() => new Promise(() => { }));
+            return store.write("prop.bright", 80, hang, { debounce: 0, timeout: 30 }).then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.code).toBe(ErrorCode.TIMEOUT);
+                expect(hang).toHaveBeenCalledWith(80);
+                expect(store.getValue("prop.bright")).toBe(50);
+                expect(failures).toEqual([{ name: "prop.bright", value: 80, previous: 50, error: err }]);
+            });
+        });
+        it("keeps the newer value when an earlier write fails after it", () => {
+            let fail;
+            const slow = jest.fn(() => new Promise((resolve, reject) => {
+                fail = reject;
+            }));
+            const first = store.write("prop.bright", 60, slow, { debounce: 0 }).catch(err => err);
+            return flush().then(() => {
+                const second = store.write("prop.bright", 70, setBright, { debounce: 0 });
+                fail({ code: -2, message: "busy" });
+                return Promise.all([first, second]);
+            }).then(([err]) => {
+                expect(err.code).toBeDefined();
+                expect(store.getValue("prop.bright")).toBe(70);
+                expect(device.getValue("bright")).toBe(70);
+                expect(failures.map(f => f.value)).toEqual([60]);
+            });
+        });
+        it("rejects NOT_SUPPORTED without a sender for non spec properties", () => {
+            const power = store.getValue("prop.power");
+            return store.write("prop.power", "standby").then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.code).toBe(ErrorCode.NOT_SUPPORTED);
+                expect(store.getValue("prop.power")).toBe(power);
+            });
+        });
+    });
+});
@@ -0,0 +1,92 @@
+import RequestPolicy from '../RequestPolicy';
+import RequestScheduler from '../RequestScheduler';
+import Simulator from '../Simulator';
+import Device from '../../Device';
+import { CloudError, DeviceError, ErrorCode } from '../../MiotError';
+
+const OFFLINE = { code: -704042011, message: "device is offline" };
+const fast = { backoff: 0, jitter: 0 };
+// 第 n 次调用前都失败，之后成功
+function failTimes(n, error = OFFLINE) {
+    return jest.fn(attempts => (attempts <= n ? Promise.reject(error) : Promise.resolve(attempts)));
+}
+afterEach(() => {
+    RequestScheduler.configure({ maxConcurrent: 4 });
+});
+describe("RequestPolicy.run", () => {
+    it("releases the concurrency slot when a request times out", () => {
+        RequestScheduler.configure({ maxConcurrent: 1 });
+        const hung = RequestPolicy.run(() => new Promise(() => { }), { timeout: 20 }, { limit: "4001" });
+        const next = RequestPolicy.run(() => Promise.resolve("next"), { timeout: 1000 }, { limit: "4001" });
+        return hung.then(() => {
+            throw new Error("should time out");
+        }, err => {
+            expect(err).toBeInstanceOf(DeviceError);
+            expect(err.isTimeout()).toBe(true);
+            expect(err.timeout).toBe(true);
+            return next;
+        }).then(res => {
+            expect(res).toBe("next");
+        });
+    });
+    it("matches retryCodes against the classified error", () => {
+        const task = failTimes(1);
+        return RequestPolicy.run(task, { ...fast, retries: 2, retryCodes: [ErrorCode.OFFLINE] }, { idempotent: true }).then(res => {
+            expect(res).toBe(2);
+            expect(task).toHaveBeenCalledTimes(2);
+        });
+    });
+    it("does not retry non-idempotent requests unless retryUnsafe is set", () => {
+        const task = failTimes(1);
+        const policy = { ...fast, retries: 2, retryCodes: [-704042011] };
+        return RequestPolicy.run(task, policy).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.OFFLINE);
+            expect(err.attempts).toBe(1);
+            expect(task).toHaveBeenCalledTimes(1);
+            return RequestPolicy.run(failTimes(1), { ...policy, retryUnsafe: true });
+        }).then(res => {
+            expect(res).toBe(2);
+        });
+    });
+    it("converts failures by source and counts attempts", () => {
+        return RequestPolicy.run(failTimes(5), { ...fast, retries: 1, retryCodes: [ErrorCode.OFFLINE] }, { source: "cloud", idempotent: true }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err).toBeInstanceOf(CloudError);
+            expect(err.nativeCode).toBe(-704042011);
+            expect(err.attempts).toBe(2);
+        });
+    });
+});
+describe("WifiDevice.callMethod retries", () => {
+    let device;
+    beforeEach(() => {
+        device = Simulator.install({ devices: [{ did: "4002", props: { power: "on" } }] });
+    });
+    afterEach(() => {
+        Simulator.uninstall();
+    });
+    it("retries read methods but not writes", () => {
+        let reads = 0;
+        let writes = 0;
+        device.onMethod("get_power", () => (++reads < 2 ? Promise.reject(OFFLINE) : ["on"]));
+        device.onMethod("set_power", () => {
+            writes++;
+            return Promise.reject(OFFLINE);
+        });
+        const policy = { ...fast, retries: 2, retryCodes: [ErrorCode.OFFLINE] };
+        const wifi = Device.getDeviceWifi();
+        return wifi.callMethod("get_power", [], {}, policy).then(res => {
+            expect(res.result).toEqual(["on"]);
+            expect(reads).toBe(2);
+            return wifi.callMethod("set_power", ["off"], {}, policy);
+        }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.isOffline()).toBe(true);
+            expect(writes).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+import RequestScheduler from '../RequestScheduler';
+
+// 可以在测试中手动完成的 Promise
+function deferred() {
+    let resolve, reject;
+    const promise = new Promise((ok, fail) => {
+        resolve = ok;
+        reject = fail;
+    });
+    return { promise, resolve, reject };
+}
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+afterEach(() => {
+    RequestScheduler.configure({ maxConcurrent: 4, batchDelay: 0 });
+});
+describe("RequestScheduler.configure", () => {
+    it("changes known options only", () => {
+        const config = RequestScheduler.configure({ maxConcurrent: 2, unknown: 1, batchDelay: undefined });
+        expect(config.maxConcurrent).toBe(2);
+        expect(config.batchDelay).toBe(0);
+        expect("unknown" in config).toBe(false);
+        expect(RequestScheduler.isIdempotent("get_prop")).toBe(true);
+        expect(RequestScheduler.isIdempotent("set_power")).toBe(false);
+    });
+});
+describe("RequestScheduler.limit", () => {
+    it("runs at most maxConcurrent tasks per key and queues the rest", () => {
+        RequestScheduler.configure({ maxConcurrent: 2 });
+        const tasks = [deferred(), deferred(), deferred()];
+        const started = [];
+        const results = tasks.map((task, i) => RequestScheduler.limit("5001", () => {
+            started.push(i);
+            return task.promise;
+        }).catch(err => err.message));
+        // 其他 key 不受影响
+        const other = RequestScheduler.limit("5002", () => "other");
+        return flush().then(() => {
+            expect(started).toEqual([0, 1]);
+            tasks[0].reject(new Error("failed"));
+            return flush();
+        }).then(() => {
+            // 失败的任务同样释放名额
+            expect(started).toEqual([0, 1, 2]);
+            tasks[1].resolve(1);
+            tasks[2].resolve(2);
+            return Promise.all([...results, other]);
+        }).then(res => {
+            expect(res).toEqual(["failed", 1, 2, "other"]);
+        });
+    });
+});
+describe("RequestScheduler.dedupe", () => {
+    it("shares an in-flight request and sends again after it settles", () => {
+        const first = deferred();
+        const task = jest.fn(() => first.promise);
+        const a = RequestScheduler.dedupe("5001#get_prop", task);
+        const b = RequestScheduler.dedupe("5001#get_prop", task);
+        const c = RequestScheduler.dedupe("5002#get_prop", () => "c");
+        expect(a).toBe(b);
+        first.resolve("a");
+        return Promise.all([a, b, c]).then(res => {
+            expect(res).toEqual(["a", "a", "c"]);
+            expect(task).toHaveBeenCalledTimes(1);
+            return RequestScheduler.dedupe("5001#get_prop", () => Promise.reject(new Error("failed"))).catch(err => err.message);
+        }).then(res => {
+            expect(res).toBe("failed");
+            return RequestScheduler.dedupe("5001#get_prop", () => "again");
+        }).then(res => {
+            expect(res).toBe("again");
+        });
+    });
+});
+describe("RequestScheduler.batch", () => {
+    it("flushes items of the same key together and splits the results", () => {
+        const flushItems = jest.fn(items => Promise.resolve(items.map(item => item * 10)));
+        const results = [1, 2, 3].map(item => RequestScheduler.batch("5001#get", item, flushItems));
+        const other = RequestScheduler.batch("5002#get", 4, flushItems);
+        return Promise.all([...results, other]).then(res => {
+            expect(res).toEqual([10, 20, 30, 40]);
+            expect(flushItems.mock.calls).toEqual([[[1, 2, 3]], [[4]]]);
+            // 上一批完成后重新开始新的一批
+            return RequestScheduler.batch("5001#get", 5, flushItems);
+        }).then(res => {
+            expect(res).toBe(50);
+            expect(flushItems).toHaveBeenCalledTimes(3);
+        });
+    });
+    it("waits batchDelay for more items", () => {
+        RequestScheduler.configure({ batchDelay: 30 });
+        const flushItems = jest.fn(items => items);
+        const first = RequestScheduler.batch("5001#get", 1, flushItems);
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+            const second = RequestScheduler.batch("5001#get", 2, flushItems);
+            return Promise.all([first, second]);
+        }).then(res => {
+            expect(res).toEqual([1, 2]);
+            expect(flushItems.mock.calls).toEqual([[[1, 2]]]);
+        });
+    });
+    it("rejects every item of a failed batch only", () => {
+        const results = [
+            RequestScheduler.batch("5001#get", 1, () => Promise.reject(new Error("failed"))),
+            RequestScheduler.batch("5001#get", 2, () => Promise.reject(new Error("unused"))),
+            RequestScheduler.batch("5002#get", 3, items => items)
+        ];
+        return Promise.all(results.map(result => result.catch(err => err.message))).then(res => {
+            expect(res).toEqual(["failed", "failed", 3]);
+        });
+    });
+});
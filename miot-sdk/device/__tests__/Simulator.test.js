@@ -0,0 +1,95 @@
+const lightSpec = {
+    type: "urn:miot-spec-v2:device:light:0000A001:xiaomi-v1:1",
+    services: [{
+        iid: 2,
+        type: "urn:miot-spec-v2:service:light:00007802:xiaomi-v1:1",
+        properties: [
+            { iid: 1, type: "urn:miot-spec-v2:property:on:00000006:xiaomi-v1:1", format: "bool", access: ["read", "write", "notify"] },
+            { iid: 2, type: "urn:miot-spec-v2:property:brightness:0000000D:xiaomi-v1:1", format: "uint8", access: ["read", "write", "notify"], "value-range": [1, 100, 1] }
+        ]
+    }]
+};
+// 每个平台都从头加载 native 等模块，Platform.OS 需要在加载前设置
+function load(platform) {
+    const modules = {};
+    jest.isolateModules(() => {
+        require("../SimulatorSetup").setupNativeModules({ platform });
+        modules.native = require("../../native").default;
+        modules.Simulator = require("../Simulator").default;
+        modules.Device = require("../../Device").default;
+        modules.Spec = require("../../service/spec").default;
+    });
+    return modules;
+}
+describe.each(["ios", "android"])("Simulator on %s", platform => {
+    let native, Simulator, Device, Spec;
+    beforeEach(() => {
+        ({ native, Simulator, Device, Spec } = load(platform));
+    });
+    afterEach(() => {
+        Simulator.uninstall();
+    });
+    it("loads native on the requested platform", () => {
+        expect(native.isIOS).toBe(platform === "ios");
+        expect(native.isAndroid).toBe(platform === "android");
+        expect(Simulator.isInstalled).toBe(false);
+    });
+    it("restores Device when uninstalled", () => {
+        const { did, model, isOnline } = Device;
+        const device = Simulator.install({ devices: [{ did: "1001", model: "xiaomi.light.v1", info: { mac: "AA:BB" } }] });
+        Simulator.install({ devices: [{ did: "1003", model: "xiaomi.light.v2" }] });
+        expect([Device.deviceID, Device.model]).toEqual(["1003", "xiaomi.light.v2"]);
+        Simulator.uninstall();
+        expect([Device.deviceID, Device.model, Device.isOnline]).toEqual([did, model, isOnline]);
+        expect(Device.mac).not.toBe("AA:BB");
+        expect(device.deviceID).toBe("1001");
+    });
+    it("answers callMethod from simulated props", () => {
+        const device = Simulator.install({ devices: [{ did: "1001", model: "xiaomi.light.v1", props: { power: "on", bright: 50 } }] });
+        expect(Device.deviceID).toBe("1001");
+        device.onMethod("set_power", ([value]) => {
+            device.setValue("power", value);
+            return ["ok"];
+        });
+        const wifi = Device.getDeviceWifi();
+        return wifi.callMethod("set_power", ["off"]).then(res => {
+            expect(res.result).toEqual(["ok"]);
+            return wifi.callMethod("get_prop", ["power", "bright"]);
+        }).then(res => {
+            expect(res.result).toEqual(["off", 50]);
+        });
+    });
+    it("reads and writes spec properties", () => {
+        const device = Simulator.install({ devices: [{ did: "1002", model: "xiaomi.light.v1", spec: lightSpec }] });
+        return Spec.setPropertiesValue([{ did: "1002", siid: 2, piid: 2, value: 80 }], { validate: false }).then(res => {
+            expect(res[0].code).toBe(0);
+            expect(device.getValue("prop.2.2")).toBe(80);
+            return Spec.getPropertiesValue([{ did: "1002", siid: 2, piid: 2 }]);
+        }).then(res => {
+            expect(res[0].value).toBe(80);
+        });
+    });
+    it("fails requests when the device is offline", () => {
+        const device = Simulator.install({ devices: [{ did: "1003", props: { power: "on" } }] });
+        device.setOnline(false);
+        return Device.getDeviceWifi().callMethod("get_prop", ["power"]).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.isOffline()).toBe(true);
+        });
+    });
+});
+describe("miot/test", () => {
+    it("exports the simulators, which miot/device does not", () => {
+        const test = require("../../test");
+        const device = require("../index");
+        expect(test.Simulator).toBe(require("../Simulator").default);
+        expect(test.MockBluetooth).toBe(require("../bluetooth/MockBluetooth").default);
+        expect(typeof test.ISimulatedDevice).toBe("function");
+        expect(typeof test.IMockPeripheral).toBe("function");
+        ["Simulator", "ISimulatedDevice", "MockBluetooth", "IMockPeripheral"].forEach(name => {
+            expect(device[name]).toBeUndefined();
+            expect(device.default[name]).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,90 @@
+import native from '../../native';
+import Simulator from '../Simulator';
+import Device from '../../Device';
+
+const localFirst = { transport: "local-first" };
+let device, wifi;
+beforeEach(() => {
+    device = Simulator.install({ devices: [{ did: "5001", props: { power: "on" } }] });
+    wifi = Device.getDeviceWifi();
+});
+afterEach(() => {
+    Simulator.uninstall();
+});
+// 局域网请求在到达设备之前失败
+function failLocal(error) {
+    const forceWay = native.MIOTDevice.callMethodForceWay;
+    return jest.spyOn(native.MIOTDevice, "callMethodForceWay").mockImplementation((method, args, way, extraPayload, callback) => {
+        way === 1 ? callback(false, error) : forceWay(method, args, way, extraPayload, callback);
+    });
+}
+describe("WifiDevice.callMethod local-first", () => {
+    it("uses the local network when it is reachable", () => {
+        return wifi.callMethod("set_power", ["off"], {}, localFirst).then(res => {
+            expect(res.transport).toBe("local");
+            expect(res.fallback).toBeUndefined();
+            expect(device.getValue("power")).toBe("off");
+        });
+    });
+    it("falls back to the cloud when the local request does not reach the device", () => {
+        failLocal({ code: -1, message: "socket timeout" });
+        return wifi.callMethod("set_power", ["off"], {}, localFirst).then(res => {
+            expect(res.transport).toBe("cloud");
+            expect(res.fallback).toBe("local");
+            expect(device.getValue("power")).toBe("off");
+        });
+    });
+    it("falls back to the cloud when the local request hangs", () => {
+        jest.spyOn(native.MIOTDevice, "callMethodForceWay").mockImplementation((method, args, way, extraPayload, callback) => {
+            way === 1 || callback(true, { code: 0, result: ["ok"] });
+        });
+        const start = Date.now();
+        // 不使用之前用例缓存的 localPing 结果
+        return wifi.callMethod("set_power", ["off"], {}, { ...localFirst, localPingTTL: 0, localTimeout: 30, timeout: 2000 }).then(res => {
+            expect(res.transport).toBe("cloud");
+            expect(res.fallback).toBe("local");
+            expect(Date.now() - start).toBeLessThan(1000);
+            expect(native.MIOTDevice.callMethodForceWay.mock.calls.map(call => call[2])).toEqual([1, 2]);
+        });
+    });
+    it("falls back only for configured error codes", () => {
+        failLocal({ code: -2, message: "connect failed" });
+        // 不使用之前用例缓存的 localPing 结果
+        return wifi.callMethod("set_power", ["off"], {}, { ...localFirst, localPingTTL: 0 }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.nativeCode).toBe(-2);
+            expect(device.getValue("power")).toBe("on");
+            return wifi.callMethod("set_power", ["off"], {}, { ...localFirst, localPingTTL: 0, localFallbackCodes: [-2] });
+        }).then(res => {
+            expect(res.fallback).toBe("local");
+            expect(device.getValue("power")).toBe("off");
+        });
+    });
+    it("does not resend a command the device answered with an error", () => {
+        let calls = 0;
+        device.onMethod("set_power", () => {
+            calls++;
+            return Promise.reject({ code: -5001, message: "invalid param" });
+        });
+        return wifi.callMethod("set_power", ["bad"], {}, localFirst).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.nativeCode).toBe(-5001);
+            expect(calls).toBe(1);
+        });
+    });
+});
+describe("WifiDevice.callMethod results", () => {
+    it("gives each deduplicated caller its own copy", () => {
+        const response = { code: 0, result: ["on"] };
+        jest.spyOn(native.MIOTDevice, "callMethod").mockImplementation((did, method, args, extraPayload, callback) => callback(true, response));
+        return Promise.all([wifi.callMethod("get_power", []), wifi.callMethod("get_power", [])]).then(([a, b]) => {
+            expect(native.MIOTDevice.callMethod).toHaveBeenCalledTimes(1);
+            expect(a).toEqual(b);
+            expect(a).not.toBe(b);
+            expect(a.transport).toBe("cloud");
+            expect(response.transport).toBeUndefined();
+        });
+    });
+});
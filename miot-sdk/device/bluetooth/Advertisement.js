@@ -0,0 +1,418 @@
+/**
+ * @export public
+ * @doc_name 蓝牙广播解析模块
+ * @doc_index 8
+ * @doc_directory bluetooth
+ * @module miot/device/bluetooth
+ * @description
+ * 解析扫描得到的蓝牙广播数据，不需要连接设备即可读取传感器类设备的实时数据：
+ * 1、通用广播：解析 AD 结构，包括 flags、服务 UUID 列表、服务数据、厂商数据、发射功率、设备名称
+ * 2、MiBeacon：解析小米服务数据(UUID 为 FE95)中的帧控制、产品 id(pid)、帧序号、mac、能力、对象，
+ *    对象包括温度、湿度、电量、门磁、人体移动等，未内置的对象可以通过 registerObject 注册解析方法
+ * 3、加密：v4/v5 版本的加密 MiBeacon(AES-CCM) 提供 bindkey 后可以直接解密，v2/v3 旧版本加密暂不支持
+ * 扫描结果中 Android 的原始广播数据一般为 scanRecord(hex 字符串)，iOS 为 advertisementData(CoreBluetooth 的广播字典)，
+ * parseScanResult 会自动识别
+ *
+ * @example
+ * import { Bluetooth, BluetoothEvent, Advertisement } from 'miot/device'
+ * BluetoothEvent.bluetoothDeviceDiscovered.addListener(result => {
+ *     const { miBeacon } = Advertisement.parseScanResult(result, { bindkeys: { 'A4:C1:38:00:11:22': '...' } });
+ *     if (miBeacon && miBeacon.values.temperature !== undefined) {
+ *         console.log(miBeacon.mac, miBeacon.values.temperature, miBeacon.values.humidity);
+ *     }
+ * });
+ * Bluetooth.startScan(10000, 'FE95');
+ */
+//@native begin
+import { BluetoothError, ErrorCode } from '../../MiotError';
+import { toBytes, bytesToHex, bytesToUtf8 } from '../../utils/bytes';
+import { ccmDecrypt } from '../../utils/aes';
+const MIBEACON_UUID = "FE95";
+// AD 类型
+const AD = {
+    FLAGS: 0x01,
+    UUID16_INCOMPLETE: 0x02,
+    UUID16: 0x03,
+    UUID32_INCOMPLETE: 0x04,
+    UUID32: 0x05,
+    UUID128_INCOMPLETE: 0x06,
+    UUID128: 0x07,
+    SHORT_NAME: 0x08,
+    NAME: 0x09,
+    TX_POWER: 0x0A,
+    SERVICE_DATA16: 0x16,
+    SERVICE_DATA32: 0x20,
+    SERVICE_DATA128: 0x21,
+    MANUFACTURER_DATA: 0xFF
+};
+// 帧控制字段
+const FRAME_CONTROL = {
+    ENCRYPTED: 1 << 3,
+    MAC: 1 << 4,
+    CAPABILITY: 1 << 5,
+    OBJECT: 1 << 6,
+    MESH: 1 << 7,
+    REGISTERED: 1 << 8,
+    SOLICITED: 1 << 9
+};
+// 能力字段中表示带有 2 字节 IO 能力的位
+const CAPABILITY_IO = 0x20;
+// v4/v5 加密的附加数据，以及扩展帧序号、认证码长度
+const CCM_AAD = Uint8Array.of(0x11);
+const EXT_COUNTER_LENGTH = 3;
+const TAG_LENGTH = 4;
+function _int16(b, i) {
+    return (b[i] | (b[i + 1] << 8)) << 16 >> 16;
+}
+function _uint16(b, i) {
+    return b[i] | (b[i + 1] << 8);
+}
+function _uint24(b, i) {
+    return b[i] | (b[i + 1] << 8) | (b[i + 2] << 16);
+}
+function _uint32(b, i) {
+    return (_uint24(b, i) + b[i + 3] * 0x1000000);
+}
+function _float32(b, i) {
+    return new DataView(b.buffer, b.byteOffset + i, 4).getFloat32(0, true);
+}
+// 固定长度的对象
+function _fixed(length, decode) {
+    return value => (value.length >= length ? decode(value) : null);
+}
+// 内置的 MiBeacon 对象，type => {name, decode(value) => {key: value}}
+const objects = new Map([
+    [0x0003, { name: "motion", decode: _fixed(1, v => ({ motion: v[0] })) }],
+    [0x000F, { name: "motionWithIlluminance", decode: _fixed(3, v => ({ motion: 1, illuminance: _uint24(v, 0) })) }],
+    [0x1001, { name: "button", decode: _fixed(3, v => ({ button: _uint16(v, 0), buttonType: v[2] })) }],
+    [0x1004, { name: "temperature", decode: _fixed(2, v => ({ temperature: _int16(v, 0) / 10 })) }],
+    [0x1006, { name: "humidity", decode: _fixed(2, v => ({ humidity: _uint16(v, 0) / 10 })) }],
+    [0x1007, { name: "illuminance", decode: _fixed(3, v => ({ illuminance: _uint24(v, 0) })) }],
+    [0x1008, { name: "moisture", decode: _fixed(1, v => ({ moisture: v[0] })) }],
+    [0x1009, { name: "conductivity", decode: _fixed(2, v => ({ conductivity: _uint16(v, 0) })) }],
+    [0x100A, { name: "battery", decode: _fixed(1, v => ({ battery: v[0] })) }],
+    [0x100D, { name: "temperatureAndHumidity", decode: _fixed(4, v => ({ temperature: _int16(v, 0) / 10, humidity: _uint16(v, 2) / 10 })) }],
+    [0x1010, { name: "formaldehyde", decode: _fixed(2, v => ({ formaldehyde: _uint16(v, 0) / 100 })) }],
+    [0x1012, { name: "switch", decode: _fixed(1, v => ({ switch: v[0] })) }],
+    [0x1013, { name: "consumable", decode: _fixed(1, v => ({ consumable: v[0] })) }],
+    [0x1014, { name: "waterLeak", decode: _fixed(1, v => ({ waterLeak: v[0] })) }],
+    [0x1015, { name: "smoke", decode: _fixed(1, v => ({ smoke: v[0] })) }],
+    [0x1017, { name: "noMotionTime", decode: _fixed(4, v => ({ noMotionTime: _uint32(v, 0) })) }],
+    [0x1018, { name: "light", decode: _fixed(1, v => ({ light: v[0] })) }],
+    // 0 打开，1 关闭，2 超时未关，3 设备重置
+    [0x1019, { name: "door", decode: _fixed(1, v => ({ door: v[0] })) }],
+    // v5 版本的 spec 对象
+    [0x4803, { name: "battery", decode: _fixed(1, v => ({ battery: v[0] })) }],
+    [0x4C01, { name: "temperature", decode: _fixed(4, v => ({ temperature: Math.round(_float32(v, 0) * 100) / 100 })) }],
+    [0x4C02, { name: "humidity", decode: _fixed(1, v => ({ humidity: v[0] })) }]
+]);
+function _uuid(bytes) {
+    // 广播中的 UUID 为小端
+    const hex = bytesToHex(Uint8Array.from(bytes).reverse());
+    if (hex.length !== 32) {
+        return hex;
+    }
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join("-");
+}
+function _uuidList(bytes, size) {
+    const list = [];
+    for (let i = 0; i + size <= bytes.length; i += size) {
+        list.push(_uuid(bytes.subarray(i, i + size)));
+    }
+    return list;
+}
+function _utf8(bytes) {
+    const text = bytesToUtf8(bytes);
+    return text === null ? String.fromCharCode(...bytes) : text;
+}
+function _normalizeMac(mac) {
+    const bytes = typeof mac === "string" ? toBytes(mac) : mac;
+    return bytes && bytes.length === 6 ? bytes : null;
+}
+function _parseObjects(bytes, target) {
+    for (let i = 0; i + 3 <= bytes.length;) {
+        const type = _uint16(bytes, i);
+        const length = bytes[i + 2];
+        const value = bytes.subarray(i + 3, i + 3 + length);
+        i += 3 + length;
+        if (value.length < length) {
+            break;
+        }
+        const object = objects.get(type);
+        const decoded = object ? object.decode(value) : null;
+        target.objects.push({ type, name: object ? object.name : null, raw: bytesToHex(value), value: decoded });
+        decoded && Object.assign(target.values, decoded);
+    }
+}
+function _decrypt(bytes, payloadOffset, mac, bindkey) {
+    const key = toBytes(bindkey);
+    if (!key || key.length !== 16) {
+        throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "bindkey should be 16 bytes");
+    }
+    if (!mac) {
+        throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "mac is required to decrypt mibeacon without mac");
+    }
+    const end = bytes.length - EXT_COUNTER_LENGTH - TAG_LENGTH;
+    if (end < payloadOffset) {
+        throw new BluetoothError(ErrorCode.PARSE_ERROR, "encrypted mibeacon is too short");
+    }
+    // nonce：mac(小端) + pid + 帧序号 + 3 字节扩展帧序号
+    const nonce = new Uint8Array(12);
+    nonce.set(Uint8Array.from(mac).reverse(), 0);
+    nonce.set(bytes.subarray(2, 5), 6);
+    nonce.set(bytes.subarray(end, end + EXT_COUNTER_LENGTH), 9);
+    const cipher = new Uint8Array(end - payloadOffset + TAG_LENGTH);
+    cipher.set(bytes.subarray(payloadOffset, end));
+    cipher.set(bytes.subarray(bytes.length - TAG_LENGTH), end - payloadOffset);
+    const plain = ccmDecrypt(key, nonce, cipher, CCM_AAD, TAG_LENGTH);
+    if (!plain) {
+        throw new BluetoothError(ErrorCode.PARSE_ERROR, "mibeacon decryption failed, please check the bindkey");
+    }
+    return plain;
+}
+//@native end
+export default {
+    /**
+     * 小米服务数据的 UUID
+     * @type {string}
+     */
+    MIBEACON_UUID,
+    /**
+     * 解析原始广播数据中的 AD 结构
+     * @param {Uint8Array|string} data 原始广播数据，Uint8Array 或 hex 字符串
+     * @returns {object} {flags, serviceUUIDs, localName, txPower, serviceData, manufacturerData, structures}
+     * serviceUUIDs 为服务 UUID 列表，16 位 UUID 为 4 位大写 hex，如 'FE95'，128 位 UUID 为标准格式
+     * serviceData 为 {UUID: Uint8Array}，manufacturerData 为 [{companyId, data: Uint8Array}]，
+     * structures 为所有 AD 结构 [{type, data: Uint8Array}]，包括未解析的类型
+     * 数据不合法时抛出 BluetoothError，code 为 PARSE_ERROR
+     */
+    parse(data) {
+        //@native :=> {}
+        const bytes = toBytes(data);
+        if (!bytes) {
+            throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "advertisement should be an Uint8Array or a hex string");
+        }
+        const result = { flags: undefined, serviceUUIDs: [], localName: undefined, txPower: undefined, serviceData: {}, manufacturerData: [], structures: [] };
+        for (let i = 0; i < bytes.length;) {
+            const length = bytes[i];
+            if (length === 0) {
+                // 剩余部分为补齐的 0
+                break;
+            }
+            if (i + 1 + length > bytes.length) {
+                throw new BluetoothError(ErrorCode.PARSE_ERROR, `invalid ad structure at ${ i }, length ${ length } out of range`);
+            }
+            const type = bytes[i + 1];
+            const value = bytes.subarray(i + 2, i + 1 + length);
+            i += 1 + length;
+            result.structures.push({ type, data: value });
+            switch (type) {
+                case AD.FLAGS:
+                    result.flags = value[0];
+                    break;
+                case AD.UUID16_INCOMPLETE:
+                case AD.UUID16:
+                    result.serviceUUIDs.push(..._uuidList(value, 2));
+                    break;
+                case AD.UUID32_INCOMPLETE:
+                case AD.UUID32:
+                    result.serviceUUIDs.push(..._uuidList(value, 4));
+                    break;
+                case AD.UUID128_INCOMPLETE:
+                case AD.UUID128:
+                    result.serviceUUIDs.push(..._uuidList(value, 16));
+                    break;
+                case AD.SHORT_NAME:
+                    result.localName === undefined && (result.localName = _utf8(value));
+                    break;
+                case AD.NAME:
+                    result.localName = _utf8(value);
+                    break;
+                case AD.TX_POWER:
+                    result.txPower = value.length ? value[0] << 24 >> 24 : undefined;
+                    break;
+                case AD.SERVICE_DATA16:
+                case AD.SERVICE_DATA32:
+                case AD.SERVICE_DATA128: {
+                    const size = type === AD.SERVICE_DATA16 ? 2 : type === AD.SERVICE_DATA32 ? 4 : 16;
+                    if (value.length >= size) {
+                        result.serviceData[_uuid(value.subarray(0, size))] = value.subarray(size);
+                    }
+                    break;
+                }
+                case AD.MANUFACTURER_DATA:
+                    if (value.length >= 2) {
+                        result.manufacturerData.push({ companyId: _uint16(value, 0), data: value.subarray(2) });
+                    }
+                    break;
+            }
+        }
+        return result;
+        //@native end
+    },
+    /**
+     * 解析 MiBeacon 服务数据(UUID 为 FE95 的服务数据，不包括 UUID 本身)
+     * @param {Uint8Array|string} data 服务数据
+     * @param {object} [options]
+     * @param {string|Uint8Array} [options.bindkey] 16 字节的 bindkey，用于解密 v4/v5 加密的对象
+     * @param {string} [options.mac] 设备 mac，如 'A4:C1:38:00:11:22'，MiBeacon 中不带 mac 时解密需要
+     * @returns {object|null} 不是 MiBeacon 时返回 null，否则返回：
+     * {version, frameControl, productId, frameCounter, mac, capability, ioCapability, encrypted, decrypted, objects, values, error}
+     * frameControl 为 {encrypted, hasMac, hasCapability, hasObject, mesh, registered, solicited, authMode}
+     * objects 为 [{type, name, raw, value}]，未识别的对象 name 和 value 为 null
+     * values 为所有已识别对象的值合并后的结果，如 {temperature: 25.1, humidity: 40.5, battery: 90}
+     * 加密的 MiBeacon 没有提供 bindkey 时 decrypted 为 false，objects 为空；解密失败时 error 为 BluetoothError
+     */
+    parseMiBeacon(data, options = {}) {
+        //@native :=> null
+        const { bindkey, mac } = options || {};
+        const bytes = toBytes(data);
+        if (!bytes || bytes.length < 5) {
+            return null;
+        }
+        const fc = _uint16(bytes, 0);
+        const version = fc >> 12;
+        const result = {
+            version,
+            frameControl: {
+                encrypted: !!(fc & FRAME_CONTROL.ENCRYPTED),
+                hasMac: !!(fc & FRAME_CONTROL.MAC),
+                hasCapability: !!(fc & FRAME_CONTROL.CAPABILITY),
+                hasObject: !!(fc & FRAME_CONTROL.OBJECT),
+                mesh: !!(fc & FRAME_CONTROL.MESH),
+                registered: !!(fc & FRAME_CONTROL.REGISTERED),
+                solicited: !!(fc & FRAME_CONTROL.SOLICITED),
+                authMode: (fc >> 10) & 0x03
+            },
+            productId: _uint16(bytes, 2),
+            frameCounter: bytes[4],
+            mac: undefined,
+            capability: undefined,
+            ioCapability: undefined,
+            encrypted: !!(fc & FRAME_CONTROL.ENCRYPTED),
+            decrypted: false,
+            objects: [],
+            values: {},
+            error: undefined
+        };
+        let offset = 5;
+        let macBytes = _normalizeMac(mac);
+        if (result.frameControl.hasMac) {
+            if (bytes.length < offset + 6) {
+                return null;
+            }
+            // 广播中的 mac 为小端
+            macBytes = Uint8Array.from(bytes.subarray(offset, offset + 6)).reverse();
+            offset += 6;
+        }
+        result.mac = macBytes ? bytesToHex(macBytes, ":") : undefined;
+        if (result.frameControl.hasCapability) {
+            if (bytes.length < offset + 1) {
+                return null;
+            }
+            result.capability = bytes[offset++];
+            if (result.capability & CAPABILITY_IO) {
+                result.ioCapability = _uint16(bytes, offset);
+                offset += 2;
+            }
+        }
+        if (!result.frameControl.hasObject) {
+            return result;
+        }
+        let payload = bytes.subarray(offset);
+        if (result.encrypted) {
+            if (!bindkey) {
+                return result;
+            }
+            if (version < 4) {
+                result.error = new BluetoothError(ErrorCode.NOT_SUPPORTED, `decryption of mibeacon v${ version } is not supported`);
+                return result;
+            }
+            try {
+                payload = _decrypt(bytes, offset, macBytes, bindkey);
+            } catch (err) {
+                result.error = err;
+                return result;
+            }
+            result.decrypted = true;
+        }
+        _parseObjects(payload, result);
+        return result;
+        //@native end
+    },
+    /**
+     * 解析 BluetoothEvent.bluetoothDeviceDiscovered 得到的扫描结果
+     * @param {object} result 扫描结果，原始广播数据取自 scanRecord(hex 字符串) 或 advertisementData(iOS 广播字典)
+     * @param {object} [options]
+     * @param {object} [options.bindkeys] 设备 mac => bindkey，用于解密 MiBeacon
+     * @returns {object} {mac, uuid, name, rssi, advertisement, miBeacon}，advertisement 为 parse 的结果，
+     * 不是 MiBeacon 设备时 miBeacon 为 null，原始广播数据不合法时 advertisement 为 null
+     */
+    parseScanResult(result, options = {}) {
+        //@native :=> {}
+        const { bindkeys = {} } = options || {};
+        const { mac, uuid, name, rssi } = result || {};
+        let advertisement = null;
+        if (result && result.scanRecord) {
+            try {
+                advertisement = this.parse(result.scanRecord);
+            } catch (err) {
+                advertisement = null;
+            }
+        } else if (result && result.advertisementData) {
+            advertisement = this._fromAdvertisementData(result.advertisementData);
+        }
+        const serviceData = advertisement && advertisement.serviceData[MIBEACON_UUID];
+        const key = mac && (bindkeys[mac] || bindkeys[mac.toUpperCase()]);
+        const miBeacon = serviceData ? this.parseMiBeacon(serviceData, { bindkey: key, mac }) : null;
+        return {
+            mac: miBeacon && miBeacon.mac ? miBeacon.mac : mac,
+            uuid,
+            name: name || (advertisement ? advertisement.localName : undefined),
+            rssi,
+            advertisement,
+            miBeacon
+        };
+        //@native end
+    },
+    /**
+     * 注册 MiBeacon 对象的解析方法，可以覆盖内置的对象
+     * @param {int} type 对象类型，如 0x1004
+     * @param {string} name 对象名称
+     * @param {function(Uint8Array):object} decode 解析对象的值，返回合并到 values 中的 {key: value}，无法解析时返回 null
+     * @example
+     * Advertisement.registerObject(0x4E0C, 'keyEvent', value => ({ keyEvent: value[0] }));
+     */
+    registerObject(type, name, decode) {
+        //@native begin
+        if (typeof decode !== "function") {
+            throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "decode should be a function");
+        }
+        objects.set(type, { name, decode });
+        //@native end
+    },
+    /**
+     * iOS 的广播字典转换为 parse 的结果
+     * @ignore
+     */
+    _fromAdvertisementData(data) {
+        //@native :=> null
+        const serviceData = {};
+        const raw = data.kCBAdvDataServiceData || data.serviceData || {};
+        Object.keys(raw).forEach(key => {
+            const bytes = toBytes(raw[key]);
+            bytes && (serviceData[key.toUpperCase()] = bytes);
+        });
+        const manufacturer = toBytes(data.kCBAdvDataManufacturerData || data.manufacturerData || "");
+        return {
+            flags: undefined,
+            serviceUUIDs: (data.kCBAdvDataServiceUUIDs || data.serviceUUIDs || []).map(uuid => String(uuid).toUpperCase()),
+            localName: data.kCBAdvDataLocalName || data.localName,
+            txPower: data.kCBAdvDataTxPowerLevel !== undefined ? data.kCBAdvDataTxPowerLevel : data.txPower,
+            serviceData,
+            manufacturerData: manufacturer && manufacturer.length >= 2 ? [{ companyId: _uint16(manufacturer, 0), data: manufacturer.subarray(2) }] : [],
+            structures: []
+        };
+        //@native end
+    }
+};
@@ -0,0 +1,639 @@
+/**
+ * @export public
+ * @doc_name 蓝牙固件升级模块
+ * @doc_index 11
+ * @doc_directory bluetooth
+ * @module miot/device/bluetooth
+ * @description
+ * 蓝牙固件升级(OTA/DFU)，基于 IBluetoothCharacteristic 实现分片传输、校验和续传的升级流程，
+ * 与设备之间的命令和数据包格式由固件决定，需要通过 BleOta.create 的 protocol 参数传入协议的实现，需要实现的字段和方法见 ExampleDfuProtocol：
+ * 1、加载：通过 Host.file 读取固件文件，或者直接传入固件数据，传入 md5 或 crc32 时先校验固件
+ * 2、准备：通过 IBluetooth.connection 连接设备并发现 OTA 的服务和特征值，打开控制特征值的通知，协商 MTU，
+ *    再向设备查询每个分片(fragment)的大小以及设备已经确认的最后一个分片
+ * 3、传输：固件按分片发送，每个分片按 MTU 拆分为带序号的数据包写入数据特征值(见 BleTransfer)，
+ *    分片发送完成后设备校验分片的 crc32，校验失败时重发该分片
+ * 4、续传：传输过程中断开连接或超时，等待连接恢复后从设备确认的最后一个分片之后继续传输，最多 maxResumes 次
+ * 5、校验与生效：全部分片发送完成后设备校验整个固件，校验通过后生效新固件，设备一般会断开连接并重启
+ * 6、进度：状态和进度变化时通知 addListener 的监听者，失败时 reject BluetoothError，界面可以直接使用 miot/ui/Dialog 中的 BleOtaDialog
+ *
+ * @example
+ * import { Device } from 'miot'
+ * import { BleOta, OtaState } from 'miot/device'
+ *
+ * // MyDfuProtocol 为按固件的 OTA 服务实现的协议
+ * const ota = BleOta.create(Device.getBluetoothLE(), { file: 'firmware.bin', md5: '...', protocol: MyDfuProtocol });
+ * ota.addListener(({ state, progress }) => this.setState({ state, progress }));
+ * ota.start().then(() => {
+ *     // 升级完成
+ * }).catch(err => {
+ *     // err.code 为 CHECKSUM_MISMATCH、LOW_BATTERY、NOT_CONNECTED、TIMEOUT、CANCELLED 等
+ * });
+ * ...
+ * componentWillUnmount() {
+ *     ota.cancel();
+ * }
+ */
+import { Properties } from '../../native';
+import HostFile from '../../host/file';
+import { BluetoothEvent } from './BluetoothDevice';
+import { ConnectionState } from './BluetoothConnection';
+import BleTransfer from './BleTransfer';
+import GattQueue from './GattQueue';
+import { BluetoothError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../../MiotError';
+import { toBytes, bytesToHex, concatBytes } from '../../utils/bytes';
+import { crc32, md5 } from '../../utils/checksum';
+/**
+ * 升级状态
+ * @namespace OtaState
+ */
+export const OtaState = {
+    /** 未开始 */
+    IDLE: "idle",
+    /** 加载并校验固件 */
+    LOADING: "loading",
+    /** 连接设备中，断开后等待重连时也处于此状态 */
+    CONNECTING: "connecting",
+    /** 向设备查询分片大小及续传位置 */
+    PREPARING: "preparing",
+    /** 传输固件中 */
+    TRANSFERRING: "transferring",
+    /** 设备校验整个固件 */
+    VERIFYING: "verifying",
+    /** 设备生效新固件 */
+    ACTIVATING: "activating",
+    /** 升级成功 */
+    DONE: "done",
+    /** 升级失败，见 lastError */
+    FAILED: "failed",
+    /** 已取消 */
+    CANCELLED: "cancelled"
+};
+//@native begin
+function _le(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        bytes[i] = (value >>> (i * 8)) & 0xFF;
+    }
+    return bytes;
+}
+function _readLE(bytes, offset, length) {
+    let value = 0;
+    for (let i = length - 1; i >= 0; i--) {
+        value = value * 256 + bytes[offset + i];
+    }
+    return value;
+}
+// protocol 参数必须提供的字段和方法
+const PROTOCOL_FIELDS = ["serviceUUID", "controlUUID", "dataUUID", "command", "status", "statusErrors", "encodeCommand", "decodeResponse", "encodeParams", "parseInfo", "packetCodec"];
+//@native end
+/**
+ * 示例 BLE OTA 协议，用于说明 BleOta.create 的 protocol 参数需要实现的字段和方法，并不是米家发布的标准协议，BleOta 也不会默认使用它
+ * 固件按此格式实现了 OTA 服务时可以直接传入，只有 UUID、命令字等不同时可以在此基础上覆盖对应的字段
+ * 控制特征值：写入命令，设备通过 notify 回复，命令为 2 字节命令字(小端) + 参数，回复为 2 字节命令字(小端) + 1 字节状态 + 数据
+ * 数据特征值：写入数据包，数据包为 2 字节包序号(小端，每个分片从 0 开始) + 数据
+ * @type {object}
+ * @property {string} serviceUUID OTA 服务
+ * @property {string} controlUUID 控制特征值
+ * @property {string} dataUUID 数据特征值
+ * @property {object} command 命令字：GET_INFO 查询分片大小及最后确认的分片，FRAGMENT 开始分片(参数为 2 字节分片序号 + 4 字节分片长度)，
+ * FRAGMENT_DONE 分片结束(参数为 2 字节分片序号 + 4 字节分片 crc32)，VERIFY 校验固件(参数为 4 字节固件长度 + 4 字节固件 crc32)，ACTIVATE 生效固件
+ * @property {object} status 回复的状态
+ * @property {object} statusErrors 状态对应的错误类型(ErrorCode)，没有列出的状态为 REQUEST_FAILED
+ * @property {object} packetCodec 数据包的编解码，格式同 DefaultFrameCodec
+ */
+export const ExampleDfuProtocol = {
+    serviceUUID: "FE95",
+    controlUUID: "0017",
+    dataUUID: "0018",
+    command: {
+        GET_INFO: 0x01,
+        FRAGMENT: 0x02,
+        FRAGMENT_DONE: 0x03,
+        VERIFY: 0x04,
+        ACTIVATE: 0x05
+    },
+    status: {
+        SUCCESS: 0x00,
+        CRC_ERROR: 0x01,
+        INVALID_PARAM: 0x02,
+        LOW_BATTERY: 0x03,
+        BUSY: 0x04,
+        FLASH_ERROR: 0x05,
+        INVALID_IMAGE: 0x06
+    },
+    statusErrors: {
+        [0x01]: ErrorCode.CHECKSUM_MISMATCH,
+        [0x02]: ErrorCode.INVALID_ARGUMENT,
+        [0x03]: ErrorCode.LOW_BATTERY,
+        [0x04]: ErrorCode.BUSY
+    },
+    /**
+     * 编码命令
+     * @param {int} command 命令字
+     * @param {Uint8Array} [params] 参数
+     * @returns {Uint8Array}
+     */
+    encodeCommand(command, params = null) {
+        //@native :=> new Uint8Array(0)
+        return concatBytes([_le(command, 2), params || new Uint8Array(0)]);
+        //@native end
+    },
+    /**
+     * 解析设备的回复
+     * @param {Uint8Array} bytes
+     * @returns {object} {command, status, payload}，不是合法的回复时返回 null
+     */
+    decodeResponse(bytes) {
+        //@native :=> null
+        if (!bytes || bytes.length < 3) {
+            return null;
+        }
+        return { command: _readLE(bytes, 0, 2), status: bytes[2], payload: bytes.subarray(3) };
+        //@native end
+    },
+    /**
+     * 编码命令的参数
+     * @param {int} command 命令字
+     * @param {object} args FRAGMENT 为 {index, length}，FRAGMENT_DONE 为 {index, crc32}，VERIFY 为 {size, crc32}
+     * @returns {Uint8Array}
+     */
+    encodeParams(command, args) {
+        //@native :=> new Uint8Array(0)
+        switch (command) {
+            case this.command.FRAGMENT:
+                return concatBytes([_le(args.index, 2), _le(args.length, 4)]);
+            case this.command.FRAGMENT_DONE:
+                return concatBytes([_le(args.index, 2), _le(args.crc32, 4)]);
+            case this.command.VERIFY:
+                return concatBytes([_le(args.size, 4), _le(args.crc32, 4)]);
+            default:
+                return new Uint8Array(0);
+        }
+        //@native end
+    },
+    /**
+     * 解析 GET_INFO 的回复数据：2 字节分片大小 + 2 字节最后确认的分片序号，0xFFFF 表示还没有确认的分片
+     * @param {Uint8Array} payload
+     * @returns {object} {fragmentSize, lastFragment}，lastFragment 为 -1 表示从头开始
+     */
+    parseInfo(payload) {
+        //@native :=> {fragmentSize: 0, lastFragment: -1}
+        if (!payload || payload.length < 4) {
+            throw new BluetoothError(ErrorCode.PARSE_ERROR, "invalid ota info");
+        }
+        const lastFragment = _readLE(payload, 2, 2);
+        return { fragmentSize: _readLE(payload, 0, 2), lastFragment: lastFragment === 0xFFFF ? -1 : lastFragment };
+        //@native end
+    },
+    packetCodec: {
+        headerLength: 2,
+        encode(seq, total, data) {
+            //@native :=> new Uint8Array(0)
+            return concatBytes([_le(seq, 2), data]);
+            //@native end
+        },
+        decode(packet) {
+            //@native :=> null
+            if (!packet || packet.length < 2) {
+                return null;
+            }
+            return { seq: _readLE(packet, 0, 2), total: 0, data: packet.subarray(2) };
+            //@native end
+        }
+    }
+};
+//@native begin
+const DEFAULT_OPTIONS = {
+    file: null,
+    image: null,
+    md5: null,
+    crc32: null,
+    mtu: 247,
+    ackEvery: 8,
+    resume: true,
+    maxResumes: 3,
+    fragmentRetries: 3,
+    connectRetries: 3,
+    commandTimeout: 10000
+};
+// 出现这些错误时等待连接恢复后续传
+const RESUMABLE_ERRORS = [ErrorCode.NOT_CONNECTED, ErrorCode.TIMEOUT, ErrorCode.CANCELLED];
+//@native end
+/**
+ * 蓝牙固件升级
+ * @interface
+ */
+export class IBleOta {
+    /**
+     * 当前状态，见 OtaState
+     * @member
+     * @type {string}
+     * @readonly
+     */
+    get state() {
+        //@native => "idle"
+        return Properties.of(this).state;
+    }
+    /**
+     * 传输进度，0 - 1
+     * @member
+     * @type {number}
+     * @readonly
+     */
+    get progress() {
+        //@native => 0
+        const { state, bytes, image } = Properties.of(this);
+        if (state === OtaState.DONE) {
+            return 1;
+        }
+        return image && image.length > 0 ? bytes / image.length : 0;
+    }
+    /**
+     * 最近一次失败的原因，重新 start 时清空
+     * @member
+     * @type {BluetoothError}
+     * @readonly
+     */
+    get lastError() {
+        //@native => null
+        return Properties.of(this).lastError;
+    }
+    /**
+     * 监听状态及进度变化
+     * @param {function(object)} listener 参数为 {state, bytes, totalBytes, fragment, totalFragments, progress, error}
+     * @returns {{remove:function}}
+     */
+    addListener(listener) {
+        //@native => {remove(){}}
+        const { listeners } = Properties.of(this);
+        listeners.add(listener);
+        return {
+            remove() {
+                listeners.delete(listener);
+            }
+        };
+    }
+    /**
+     * 开始升级，升级进行中时返回同一个 Promise
+     * @returns {Promise<void>}
+     *      resolve：升级完成
+     *      reject：BluetoothError，固件校验失败时 code 为 CHECKSUM_MISMATCH，设备电量不足时为 LOW_BATTERY，
+     *      续传次数用完时为最后一次断开或超时的错误，调用 cancel 时为 CANCELLED
+     */
+    start() {
+        //@native :=> promise
+        const self = Properties.of(this);
+        if (self.promise) {
+            return self.promise;
+        }
+        const session = ++self.session;
+        Object.assign(self, { lastError: null, image: null, bytes: 0, fragment: 0, totalFragments: 0, resumes: 0, ownsConnection: false });
+        self.promise = new Promise((resolve, reject) => {
+            self.settle = { resolve, reject };
+        });
+        const promise = self.promise;
+        this._setState(OtaState.LOADING);
+        this._load(session)
+            .then(() => this._run(session))
+            .then(() => this._finish(session, OtaState.DONE, null), err => this._finish(session, OtaState.FAILED, err));
+        return promise;
+        //@native end
+    }
+    /**
+     * 取消升级，进行中的 start 会 reject BluetoothError(code 为 CANCELLED)，由升级建立的连接会断开
+     * 已经写入设备的分片不会丢失，重新 start 时从设备确认的分片之后继续
+     */
+    cancel() {
+        //@native begin
+        const self = Properties.of(this);
+        this._finish(self.session, OtaState.CANCELLED, new BluetoothError(ErrorCode.CANCELLED, "ota cancelled"));
+        //@native end
+    }
+    //@native begin
+    _setState(state) {
+        const self = Properties.of(this);
+        if (self.state === state) {
+            return;
+        }
+        self.state = state;
+        this._emit();
+    }
+    _emit() {
+        const self = Properties.of(this);
+        const event = {
+            state: self.state,
+            bytes: self.bytes,
+            totalBytes: self.image ? self.image.length : 0,
+            fragment: self.fragment,
+            totalFragments: self.totalFragments,
+            progress: this.progress,
+            error: self.lastError
+        };
+        self.listeners.forEach(listener => {
+            try {
+                listener(event, this);
+            } catch (err) {
+                // 监听者的异常不能打断升级流程，交给全局的异常处理
+                setTimeout(() => {
+                    throw err;
+                }, 0);
+            }
+        });
+    }
+    _alive(session) {
+        if (Properties.of(this).session !== session) {
+            throw new BluetoothError(ErrorCode.CANCELLED, "ota cancelled");
+        }
+    }
+    _finish(session, state, error) {
+        const self = Properties.of(this);
+        if (self.session !== session || !self.settle) {
+            return;
+        }
+        const { settle, bluetooth } = self;
+        self.session++;
+        self.settle = null;
+        self.promise = null;
+        self.lastError = error ? BluetoothError.from(error, ErrorSource.BLE) : null;
+        const cancelled = new BluetoothError(ErrorCode.CANCELLED, "ota finished");
+        self.waiters.forEach(waiter => waiter(cancelled));
+        if (self.ownsConnection) {
+            self.ownsConnection = false;
+            bluetooth.connection.stop().catch(() => null);
+        }
+        this._setState(state);
+        error ? settle.reject(self.lastError) : settle.resolve();
+    }
+    _load(session) {
+        const self = Properties.of(this);
+        const { options } = self;
+        const loading = options.image ? Promise.resolve(options.image) : HostFile.readFileToHexString(options.file);
+        return loading.then(data => {
+            this._alive(session);
+            const image = toBytes(data);
+            if (!image || image.length < 1) {
+                throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "firmware image is empty or invalid");
+            }
+            if (options.md5 && md5(image) !== String(options.md5).toLowerCase()) {
+                throw new BluetoothError(ErrorCode.CHECKSUM_MISMATCH, "firmware md5 mismatch");
+            }
+            const crc = crc32(image);
+            if (options.crc32 !== null && options.crc32 !== undefined && crc !== options.crc32 >>> 0) {
+                throw new BluetoothError(ErrorCode.CHECKSUM_MISMATCH, "firmware crc32 mismatch");
+            }
+            self.image = image;
+            self.crc = crc;
+            this._emit();
+        });
+    }
+    /**
+     * 连接、查询续传位置、传输、校验及生效，断开或超时时从头重新执行，由设备返回的最后确认分片决定续传位置
+     */
+    _run(session) {
+        const self = Properties.of(this);
+        const { options } = self;
+        const attempt = () => this._connect(session)
+            .then(() => this._prepare(session))
+            .then(() => this._transfer(session))
+            .then(() => this._verify(session))
+            .then(() => this._activate(session))
+            .catch(err => {
+                this._alive(session);
+                const error = BluetoothError.from(err, ErrorSource.BLE);
+                if (!options.resume || self.resumes >= options.maxResumes || RESUMABLE_ERRORS.indexOf(error.code) < 0) {
+                    throw error;
+                }
+                self.resumes++;
+                return attempt();
+            });
+        return attempt();
+    }
+    _connect(session) {
+        const self = Properties.of(this);
+        const { bluetooth, options } = self;
+        const { protocol } = options;
+        const connection = bluetooth.connection;
+        // 正在断开的连接重新 start 时沿用之前的参数，同样由升级负责断开
+        const idle = connection.state === ConnectionState.IDLE || connection.state === ConnectionState.DISCONNECTING;
+        // 保留调用方通过 connection.start 设置的服务，只追加 OTA 需要的特征值
+        const current = (idle ? null : Properties.of(connection).options.services) || {};
+        const characteristics = new Set([...(current[protocol.serviceUUID] || []), protocol.controlUUID, protocol.dataUUID]);
+        const services = { ...current, [protocol.serviceUUID]: [...characteristics] };
+        self.ownsConnection = self.ownsConnection || idle;
+        this._setState(OtaState.CONNECTING);
+        return connection.start(idle ? { services, maxRetries: options.connectRetries } : { services })
+            .then(() => {
+                this._alive(session);
+                const service = bluetooth.getService(protocol.serviceUUID);
+                self.control = service.getCharacteristic(protocol.controlUUID);
+                self.data = service.getCharacteristic(protocol.dataUUID);
+                return self.control.setNotify(true);
+            })
+            .then(() => (options.mtu > 0 ? bluetooth.requestMTU(options.mtu).catch(() => 0) : 0))
+            .then(mtu => {
+                self.mtu = mtu > 0 ? mtu : 0;
+            });
+    }
+    _prepare(session) {
+        const self = Properties.of(this);
+        const { protocol } = self.options;
+        this._alive(session);
+        this._setState(OtaState.PREPARING);
+        return this._command(session, protocol.command.GET_INFO).then(payload => {
+            const { fragmentSize, lastFragment } = protocol.parseInfo(payload);
+            if (!(fragmentSize > 0)) {
+                throw new BluetoothError(ErrorCode.PARSE_ERROR, `invalid fragment size ${ fragmentSize }`);
+            }
+            const { image, options } = self;
+            self.fragmentSize = fragmentSize;
+            self.totalFragments = Math.ceil(image.length / fragmentSize);
+            self.fragment = options.resume ? Math.min(Math.max(lastFragment + 1, 0), self.totalFragments) : 0;
+            self.bytes = Math.min(self.fragment * fragmentSize, image.length);
+            this._emit();
+        });
+    }
+    _transfer(session) {
+        const self = Properties.of(this);
+        const next = () => {
+            this._alive(session);
+            if (self.fragment >= self.totalFragments) {
+                return null;
+            }
+            return this._sendFragment(session, self.fragment, 0).then(() => {
+                self.fragment++;
+                this._emit();
+                return next();
+            });
+        };
+        this._setState(OtaState.TRANSFERRING);
+        return next();
+    }
+    _sendFragment(session, index, retries) {
+        const self = Properties.of(this);
+        const { image, fragmentSize, options } = self;
+        const { protocol } = options;
+        const begin = index * fragmentSize;
+        const fragment = image.subarray(begin, begin + fragmentSize);
+        const command = protocol.command;
+        return this._command(session, command.FRAGMENT, protocol.encodeParams(command.FRAGMENT, { index, length: fragment.length }))
+            .then(() => BleTransfer.send(self.data, fragment, {
+                mtu: self.mtu,
+                ackEvery: options.ackEvery,
+                codec: protocol.packetCodec,
+                onProgress: ({ bytes }) => {
+                    if (self.session === session) {
+                        self.bytes = begin + bytes;
+                        this._emit();
+                    }
+                }
+            }))
+            .then(() => this._command(session, command.FRAGMENT_DONE, protocol.encodeParams(command.FRAGMENT_DONE, { index, crc32: crc32(fragment) })))
+            .catch(err => {
+                this._alive(session);
+                if (err && err.code === ErrorCode.CHECKSUM_MISMATCH && retries < options.fragmentRetries) {
+                    self.bytes = begin;
+                    return this._sendFragment(session, index, retries + 1);
+                }
+                throw err;
+            });
+    }
+    _verify(session) {
+        const self = Properties.of(this);
+        const { protocol } = self.options;
+        this._alive(session);
+        this._setState(OtaState.VERIFYING);
+        return this._command(session, protocol.command.VERIFY, protocol.encodeParams(protocol.command.VERIFY, { size: self.image.length, crc32: self.crc }));
+    }
+    _activate(session) {
+        const { protocol } = Properties.of(this).options;
+        this._alive(session);
+        this._setState(OtaState.ACTIVATING);
+        // 设备生效新固件时会重启，回复之前断开连接也视为成功
+        return this._command(session, protocol.command.ACTIVATE).catch(err => {
+            if (!err || err.code !== ErrorCode.NOT_CONNECTED) {
+                throw err;
+            }
+        });
+    }
+    /**
+     * 写入命令并等待控制特征值通知对应的回复，断开连接或超时时失败
+     */
+    _command(session, command, params = null) {
+        const self = Properties.of(this);
+        const { bluetooth, control, options } = self;
+        const { protocol } = options;
+        this._alive(session);
+        return new Promise((resolve, reject) => {
+            let timer = 0;
+            const subscriptions = [];
+            const finish = (error, payload) => {
+                if (!self.waiters.delete(finish)) {
+                    return;
+                }
+                timer && clearTimeout(timer);
+                subscriptions.forEach(subscription => subscription.remove());
+                error ? reject(error) : resolve(payload);
+            };
+            self.waiters.add(finish);
+            subscriptions.push(BluetoothEvent.bluetoothCharacteristicValueChanged.addListener((ble, service, character, value) => {
+                if (character !== control) {
+                    return;
+                }
+                const response = protocol.decodeResponse(toBytes(value));
+                if (!response || response.command !== command) {
+                    return;
+                }
+                if (response.status === protocol.status.SUCCESS) {
+                    finish(null, response.payload);
+                    return;
+                }
+                const code = protocol.statusErrors[response.status] || ErrorCode.REQUEST_FAILED;
+                finish(new BluetoothError(code, `ota command ${ command } failed with status ${ response.status }`, { nativeCode: response.status }));
+            }));
+            subscriptions.push(BluetoothEvent.bluetoothConnectionStatusChanged.addListener((ble, isConnected) => {
+                if (ble === bluetooth && !isConnected) {
+                    finish(new BluetoothError(ErrorCode.NOT_CONNECTED, "device disconnected during ota", { nativeCode: -32 }));
+                }
+            }));
+            if (options.commandTimeout > 0) {
+                timer = setTimeout(() => finish(new BluetoothError(ErrorCode.TIMEOUT, `ota command ${ command } timeout`)), options.commandTimeout);
+            }
+            control.write(bytesToHex(protocol.encodeCommand(command, params)), { priority: GattQueue.PRIORITY.HIGH }).catch(err => finish(err));
+        });
+    }
+    //@native end
+}
+wrapPromiseErrors(IBleOta.prototype, ErrorSource.BLE);
+/**
+ * 创建蓝牙固件升级
+ * @param {IBluetooth} bluetooth 需要升级的蓝牙设备，见 Device.getBluetoothLE
+ * @param {object} options
+ * @param {string} [options.file] 固件文件名，通过 Host.file.readFileToHexString 读取，与 image 至少需要一个
+ * @param {Uint8Array|string} [options.image] 固件数据，Uint8Array 或 hex 字符串
+ * @param {string} [options.md5] 固件的 md5(hex)，传入时先校验
+ * @param {int} [options.crc32] 固件的 crc32，传入时先校验
+ * @param {int} [options.mtu=247] 希望协商的 MTU，0 表示不协商
+ * @param {int} [options.ackEvery=8] 每 N 个数据包使用一次 write 等待设备确认，同 IBluetoothCharacteristic.sendChunked
+ * @param {boolean} [options.resume=true] 是否从设备确认的最后一个分片之后续传，为 false 时总是从头传输
+ * @param {int} [options.maxResumes=3] 断开连接或超时后续传的最大次数
+ * @param {int} [options.fragmentRetries=3] 分片 crc32 校验失败时重发的最大次数
+ * @param {int} [options.connectRetries=3] 由升级建立连接时，连接失败后自动重连的最大次数，见 IBluetoothConnection.start 的 maxRetries
+ * @param {int} [options.commandTimeout=10000] 等待设备回复命令的超时时间，单位毫秒
+ * @param {object} options.protocol 固件实现的 OTA 协议，必须包含 ExampleDfuProtocol 中的全部字段和方法
+ * @returns {IBleOta}
+ */
+export function createBleOta(bluetooth, options = {}) {
+    //@native begin
+    if (!bluetooth || !bluetooth.connection) {
+        throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "bluetooth device is required");
+    }
+    const merged = { ...DEFAULT_OPTIONS };
+    Object.keys(options || {}).forEach(key => {
+        if (options[key] !== undefined) {
+            merged[key] = options[key];
+        }
+    });
+    if (!merged.file && !merged.image) {
+        throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "file or image is required");
+    }
+    const missing = merged.protocol ? PROTOCOL_FIELDS.filter(key => merged.protocol[key] === undefined) : PROTOCOL_FIELDS;
+    if (missing.length > 0) {
+        throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, `protocol is required, missing ${ missing.join(", ") }`);
+    }
+    return Properties.init(new IBleOta(), {
+        bluetooth,
+        options: merged,
+        state: OtaState.IDLE,
+        listeners: new Set(),
+        waiters: new Set(),
+        lastError: null,
+        promise: null,
+        settle: null,
+        session: 0,
+        image: null,
+        crc: 0,
+        mtu: 0,
+        bytes: 0,
+        fragment: 0,
+        fragmentSize: 0,
+        totalFragments: 0,
+        resumes: 0,
+        control: null,
+        data: null,
+        ownsConnection: false
+    });
+    //@native end
+}
+export default {
+    /**
+     * 创建蓝牙固件升级，同 createBleOta
+     * @param {IBluetooth} bluetooth
+     * @param {object} options 见 createBleOta
+     * @returns {IBleOta}
+     */
+    create(bluetooth, options = {}) {
+        //@native :=> null
+        return createBleOta(bluetooth, options);
+        //@native end
+    }
+};
@@ -0,0 +1,227 @@
+/**
+ * @export public
+ * @doc_name 蓝牙分包传输模块
+ * @doc_index 7
+ * @doc_directory bluetooth
+ * @module miot/device/bluetooth
+ * @description
+ * 蓝牙大数据分包传输，IBluetoothCharacteristic 的 sendChunked、receiveChunked 内部都通过此模块实现：
+ * 1、分包：按 MTU(见 IBluetooth.requestMTU) 将 Uint8Array 或 hex 字符串拆分为带序号的帧，逐帧写入特征值
+ * 2、流控：每 ackEvery 帧使用一次 write(writeWithResponse)，其余帧使用 writeWithoutResponse，最后一帧总是 write
+ * 3、组包：将设备通过 notify 发来的帧按序号重新组合为完整的消息
+ * 4、进度：发送和接收时都可以通过 onProgress 获得进度
+ * 默认的帧格式为：2 字节帧序号(从 0 开始，小端) + 2 字节总帧数(小端) + 数据，
+ * 固件使用其它帧格式时，可以通过 codec 参数传入自己的编解码方法
+ *
+ * @example
+ * import { Device } from 'miot'
+ * const ble = Device.getBluetoothLE();
+ * const charac = ble.getService('...').getCharacteristic('...');
+ * await ble.requestMTU(247);
+ * // 发送
+ * await charac.sendChunked(new Uint8Array(1024), {
+ *     ackEvery: 8,
+ *     onProgress: ({ frames, totalFrames }) => console.log(frames, '/', totalFrames)
+ * });
+ * // 接收，需要先打开 notify
+ * await charac.setNotify(true);
+ * const subscription = charac.receiveChunked(message => {
+ *     // message 为 Uint8Array
+ * });
+ * ...
+ * subscription.remove();
+ */
+//@native begin
+import native, { Properties } from '../../native';
+import { BluetoothEvent } from './BluetoothDevice';
+import { BluetoothError, ErrorCode } from '../../MiotError';
+import { toBytes, bytesToHex, concatBytes } from '../../utils/bytes';
+// ATT 协议头占用的长度
+const ATT_HEADER_LENGTH = 3;
+// 没有协商 MTU 时使用 BLE 默认的 23
+const DEFAULT_MTU = 23;
+const MAX_FRAMES = 0xFFFF;
+//@native end
+/**
+ * 默认的帧编解码：2 字节帧序号(小端) + 2 字节总帧数(小端) + 数据
+ * @type {object}
+ * @property {int} headerLength 帧头长度
+ * @property {function(int, int, Uint8Array):Uint8Array} encode 参数为帧序号、总帧数、数据，返回完整的帧
+ * @property {function(Uint8Array):object} decode 解析帧，返回 {seq, total, data}，不是合法的帧时返回 null
+ */
+export const DefaultFrameCodec = {
+    headerLength: 4,
+    encode(seq, total, data) {
+        //@native :=> new Uint8Array(0)
+        const frame = new Uint8Array(4 + data.length);
+        frame[0] = seq & 0xFF;
+        frame[1] = (seq >> 8) & 0xFF;
+        frame[2] = total & 0xFF;
+        frame[3] = (total >> 8) & 0xFF;
+        frame.set(data, 4);
+        return frame;
+        //@native end
+    },
+    decode(frame) {
+        //@native :=> null
+        if (!frame || frame.length < 4) {
+            return null;
+        }
+        const seq = frame[0] | (frame[1] << 8);
+        const total = frame[2] | (frame[3] << 8);
+        if (total < 1 || seq >= total) {
+            return null;
+        }
+        return { seq, total, data: frame.subarray(4) };
+        //@native end
+    }
+};
+//@native begin
+/**
+ * 获取特征值所属蓝牙设备的 MTU，优先使用 requestMTU 的结果
+ */
+function _resolveMTU(characteristic) {
+    const { fakemac } = Properties.of(characteristic);
+    const bluetooth = fakemac && native.LocalCache.bluetoothDevices.get(fakemac.id);
+    if (!bluetooth) {
+        return Promise.resolve(DEFAULT_MTU);
+    }
+    const { mtu } = Properties.of(bluetooth);
+    return mtu > 0 ? Promise.resolve(mtu) : bluetooth.requestMTU().catch(() => DEFAULT_MTU);
+}
+//@native end
+export default {
+    /**
+     * 默认的帧编解码，见 DefaultFrameCodec
+     * @type {object}
+     */
+    codec: DefaultFrameCodec,
+    /**
+     * 将数据拆分为帧
+     * @param {Uint8Array|string} data 待发送的数据，Uint8Array 或者 hex 字符串
+     * @param {int} frameLength 每帧的最大长度(包括帧头)，一般为 MTU - 3
+     * @param {object} [codec=DefaultFrameCodec] 帧编解码
+     * @returns {Array<Uint8Array>} 帧列表
+     */
+    split(data, frameLength, codec = DefaultFrameCodec) {
+        //@native :=> []
+        const bytes = toBytes(data);
+        if (!bytes) {
+            throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, "data should be an Uint8Array or a hex string");
+        }
+        const payloadLength = frameLength - codec.headerLength;
+        if (!(payloadLength > 0)) {
+            throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, `frame length ${ frameLength } is too small`);
+        }
+        const total = Math.max(1, Math.ceil(bytes.length / payloadLength));
+        if (total > MAX_FRAMES) {
+            throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, `data is too large, ${ total } frames needed`);
+        }
+        const frames = [];
+        for (let seq = 0; seq < total; seq++) {
+            frames.push(codec.encode(seq, total, bytes.subarray(seq * payloadLength, (seq + 1) * payloadLength)));
+        }
+        return frames;
+        //@native end
+    },
+    /**
+     * 创建组包器，按序号将帧组合为完整的消息，可以乱序，重复的帧会被忽略
+     * @param {function(Uint8Array)} listener 收到完整消息时的回调
+     * @param {object} [options]
+     * @param {object} [options.codec=DefaultFrameCodec] 帧编解码
+     * @param {int} [options.timeout=5000] 超过此时间(毫秒)没有收到下一帧时，丢弃未完成的消息
+     * @param {function(object)} [options.onProgress] 接收进度回调，参数为 {frames, totalFrames}
+     * @returns {object} {push(frame), reset()}，push 的参数为 Uint8Array 或 hex 字符串
+     */
+    createAssembler(listener, options = {}) {
+        //@native :=> {push(){}, reset(){}}
+        const { codec = DefaultFrameCodec, timeout = 5000, onProgress } = options || {};
+        let current = null;
+        const reset = () => {
+            current && current.timer && clearTimeout(current.timer);
+            current = null;
+        };
+        return {
+            push(value) {
+                const frame = codec.decode(toBytes(value));
+                if (!frame) {
+                    return;
+                }
+                const { seq, total, data } = frame;
+                if (!current || current.total !== total || (seq === 0 && current.chunks[0])) {
+                    reset();
+                    current = { total, chunks: new Array(total), received: 0 };
+                }
+                if (current.chunks[seq]) {
+                    return;
+                }
+                current.chunks[seq] = Uint8Array.from(data);
+                current.received++;
+                current.timer && clearTimeout(current.timer);
+                current.timer = timeout > 0 ? setTimeout(reset, timeout) : 0;
+                onProgress && onProgress({ frames: current.received, totalFrames: total });
+                if (current.received === total) {
+                    const message = concatBytes(current.chunks);
+                    reset();
+                    listener(message);
+                }
+            },
+            reset
+        };
+        //@native end
+    },
+    /**
+     * 分包发送数据到特征值，同 IBluetoothCharacteristic.sendChunked
+     * @param {IBluetoothCharacteristic} characteristic
+     * @param {Uint8Array|string} data
+     * @param {object} [options] 见 IBluetoothCharacteristic.sendChunked
+     * @returns {Promise<int>} 发送的帧数
+     */
+    send(characteristic, data, options = {}) {
+        //@native :=> promise 0
+        const { mtu, ackEvery = 1, codec = DefaultFrameCodec, onProgress, priority, timeout } = options || {};
+        const queueOptions = { priority, timeout };
+        return (mtu > 0 ? Promise.resolve(mtu) : _resolveMTU(characteristic)).then(negotiated => {
+            const frames = this.split(data, negotiated - ATT_HEADER_LENGTH, codec);
+            const totalBytes = frames.reduce((sum, frame) => sum + frame.length - codec.headerLength, 0);
+            let bytes = 0;
+            const sendFrame = index => {
+                if (index >= frames.length) {
+                    return frames.length;
+                }
+                const frame = frames[index];
+                const hex = bytesToHex(frame);
+                const withResponse = index === frames.length - 1 || (ackEvery > 0 && (index + 1) % ackEvery === 0);
+                const write = withResponse ? characteristic.write(hex, queueOptions) : characteristic.writeWithoutResponse(hex, queueOptions);
+                return write.then(() => {
+                    bytes += frame.length - codec.headerLength;
+                    onProgress && onProgress({ frames: index + 1, totalFrames: frames.length, bytes, totalBytes });
+                    return sendFrame(index + 1);
+                });
+            };
+            return sendFrame(0);
+        });
+        //@native end
+    },
+    /**
+     * 接收特征值 notify 的分包数据，同 IBluetoothCharacteristic.receiveChunked
+     * @param {IBluetoothCharacteristic} characteristic
+     * @param {function(Uint8Array)} listener
+     * @param {object} [options] 见 createAssembler
+     * @returns {{remove:function}}
+     */
+    receive(characteristic, listener, options = {}) {
+        //@native :=> {remove(){}}
+        const assembler = this.createAssembler(listener, options);
+        const subscription = BluetoothEvent.bluetoothCharacteristicValueChanged.addListener((bluetooth, service, character, value) => {
+            character === characteristic && assembler.push(value);
+        });
+        return {
+            remove() {
+                subscription.remove();
+                assembler.reset();
+            }
+        };
+        //@native end
+    }
+};
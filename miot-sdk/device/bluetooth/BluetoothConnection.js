@@ -0,0 +1,390 @@
+/**
+ * @export public
+ * @doc_name 蓝牙连接管理模块
+ * @doc_index 8
+ * @doc_directory bluetooth
+ * @module miot/device/bluetooth
+ * @description
+ * 蓝牙连接管理，通过 IBluetooth.connection 使用，按明确的状态管理整个连接过程：
+ * idle(空闲) -> scanning(扫描，可选) -> connecting(连接) -> discovering(发现服务和特征值) -> ready(可用)
+ * 1、连接失败，或者已连接时 bluetoothConnectionStatusChanged 通知意外断开，进入 backoff 状态，
+ *    等待 min(maxBackoff, backoff * 2^(n-1)) 毫秒后自动重连，直到成功或者超过 maxRetries
+ * 2、重连成功后，自动重新发现需要的服务和特征值，并重新打开之前通过 setNotify(true) 打开的通知
+ * 3、调用 stop 时进入 disconnecting 状态，断开连接后回到 idle，不再自动重连
+ * 4、状态变化时通知 addListener 的监听者，同时触发 BluetoothEvent.bluetoothConnectionStateChanged，界面可以直接绑定 state
+ *
+ * @example
+ * import { Device } from 'miot'
+ * import { ConnectionState } from 'miot/device'
+ *
+ * const connection = Device.getBluetoothLE().connection;
+ * this._stateListener = connection.addListener(state => {
+ *     this.setState({ connected: state === ConnectionState.READY, state });
+ * });
+ * connection.start({ services: { 'FE95': ['0010', '0013'] }, maxBackoff: 16000 }).then(ble => {
+ *     // 第一次进入 ready 状态
+ * });
+ * ...
+ * componentWillUnmount() {
+ *     this._stateListener && this._stateListener.remove();
+ *     connection.stop();
+ * }
+ */
+import native, { Properties } from '../../native';
+import { BluetoothEvent } from './BluetoothDevice';
+import { BluetoothError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../../MiotError';
+/**
+ * 连接状态
+ * @namespace ConnectionState
+ */
+export const ConnectionState = {
+    /** 空闲，未连接也不会自动重连 */
+    IDLE: "idle",
+    /** 扫描设备中 */
+    SCANNING: "scanning",
+    /** 连接中 */
+    CONNECTING: "connecting",
+    /** 发现服务和特征值，恢复通知中 */
+    DISCOVERING: "discovering",
+    /** 已连接，可以读写 */
+    READY: "ready",
+    /** 断开连接中 */
+    DISCONNECTING: "disconnecting",
+    /** 连接失败或意外断开，等待重连 */
+    BACKOFF: "backoff"
+};
+//@native begin
+const DEFAULT_OPTIONS = {
+    type: -1,
+    connectOptions: null,
+    scanTimeout: 0,
+    scanServices: [],
+    services: {},
+    discoverTimeout: 10000,
+    restoreNotify: true,
+    autoReconnect: true,
+    backoff: 1000,
+    maxBackoff: 30000,
+    maxRetries: -1
+};
+/**
+ * 触发 trigger 后等待 BluetoothEvent 中的事件，直到 predicate 返回 true 或超时
+ */
+function _waitFor(event, predicate, timeout, trigger, message) {
+    return new Promise((resolve, reject) => {
+        let timer = 0;
+        const subscription = BluetoothEvent[event].addListener((...args) => {
+            if (predicate(...args)) {
+                done();
+                resolve(args);
+            }
+        });
+        const done = () => {
+            timer && clearTimeout(timer);
+            subscription.remove();
+        };
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                done();
+                reject(new BluetoothError(ErrorCode.TIMEOUT, message));
+            }, timeout);
+        }
+        trigger();
+    });
+}
+function _isSameId(a, b) {
+    return !!a && !!b && String(a).toUpperCase() === String(b).toUpperCase();
+}
+//@native end
+/**
+ * 蓝牙连接管理
+ * @interface
+ */
+export default class IBluetoothConnection {
+    /**
+     * 当前状态，见 ConnectionState
+     * @member
+     * @type {string}
+     * @readonly
+     */
+    get state() {
+        //@native => "idle"
+        return Properties.of(this).state;
+    }
+    /**
+     * 是否处于 ready 状态
+     * @member
+     * @type {boolean}
+     * @readonly
+     */
+    get isReady() {
+        //@native => false
+        return Properties.of(this).state === ConnectionState.READY;
+    }
+    /**
+     * 最近一次连接失败或断开的原因，进入 ready 后清空
+     * @member
+     * @type {BluetoothError}
+     * @readonly
+     */
+    get lastError() {
+        //@native => null
+        return Properties.of(this).lastError;
+    }
+    /**
+     * 连续失败的次数，进入 ready 后清零
+     * @member
+     * @type {int}
+     * @readonly
+     */
+    get attempts() {
+        //@native => 0
+        return Properties.of(this).attempts;
+    }
+    /**
+     * 监听状态变化
+     * @param {function(string, string, IBluetoothConnection)} listener 参数为新状态、之前的状态及当前对象
+     * @returns {{remove:function}}
+     */
+    addListener(listener) {
+        //@native => {remove(){}}
+        const { listeners } = Properties.of(this);
+        listeners.add(listener);
+        return {
+            remove() {
+                listeners.delete(listener);
+            }
+        };
+    }
+    /**
+     * 开始连接并保持连接，已经开始时只更新参数
+     * @param {object} [options]
+     * @param {int} [options.type=-1] 蓝牙设备类型，同 IBluetooth.connect
+     * @param {object} [options.connectOptions] 连接的附加参数，同 IBluetooth.connect 的 option
+     * @param {int} [options.scanTimeout=0] 连接前先扫描设备的时间，单位毫秒，超时未扫描到时本次连接失败；0 表示不扫描
+     * @param {Array<string>} [options.scanServices=[]] 扫描时过滤的服务 UUID
+     * @param {object} [options.services={}] 连接后需要发现的服务和特征值，格式为 {serviceUUID: [characteristicUUID, ...]}
+     * @param {int} [options.discoverTimeout=10000] 发现服务和特征值的超时时间，单位毫秒
+     * @param {boolean} [options.restoreNotify=true] 重连后是否重新打开之前打开的通知
+     * @param {boolean} [options.autoReconnect=true] 连接失败或意外断开时是否自动重连
+     * @param {int} [options.backoff=1000] 第一次重连前的等待时间，单位毫秒，之后每次翻倍
+     * @param {int} [options.maxBackoff=30000] 重连前等待时间的上限，单位毫秒
+     * @param {int} [options.maxRetries=-1] 连续重连的最大次数，超过后回到 idle 状态，-1 表示不限制
+     * @returns {Promise<IBluetooth>} 进入 ready 状态时 resolve；
+     * 不再重连(autoReconnect 为 false 或超过 maxRetries)时 reject 最后一次的错误，调用 stop 时 reject BluetoothError(code 为 CANCELLED)
+     */
+    start(options = {}) {
+        //@native :=> promise
+        const self = Properties.of(this);
+        self.options = { ...DEFAULT_OPTIONS, ...(self.state === ConnectionState.IDLE ? {} : self.options), ...(options || {}) };
+        if (self.state === ConnectionState.READY) {
+            return Promise.resolve(self.bluetooth);
+        }
+        const promise = new Promise((resolve, reject) => self.waiters.push({ resolve, reject }));
+        if (self.state === ConnectionState.IDLE || self.state === ConnectionState.DISCONNECTING) {
+            self.attempts = 0;
+            self.lastError = null;
+            this._listen();
+            this._run();
+        }
+        return promise;
+        //@native end
+    }
+    /**
+     * 断开连接并停止自动重连，进入 disconnecting 状态，断开后回到 idle
+     * @param {int} [delay=0] 延迟断开的时间，单位毫秒，同 IBluetooth.disconnect
+     * @returns {Promise<void>} 回到 idle 状态时 resolve
+     */
+    stop(delay = 0) {
+        //@native :=> promise
+        const self = Properties.of(this);
+        if (self.state === ConnectionState.IDLE) {
+            return Promise.resolve();
+        }
+        self.session++;
+        self.timer && clearTimeout(self.timer);
+        self.timer = 0;
+        this._settle(new BluetoothError(ErrorCode.CANCELLED, "connection stopped"));
+        this._unlisten();
+        const { bluetooth } = self;
+        if (!bluetooth.isConnected && !bluetooth.isConnecting) {
+            this._setState(ConnectionState.IDLE);
+            return Promise.resolve();
+        }
+        this._setState(ConnectionState.DISCONNECTING);
+        const session = self.session;
+        return new Promise(resolve => {
+            const finish = () => {
+                if (self.session === session && self.state === ConnectionState.DISCONNECTING) {
+                    this._setState(ConnectionState.IDLE);
+                }
+                resolve();
+            };
+            _waitFor("bluetoothConnectionStatusChanged", (ble, isConnected) => ble === bluetooth && !isConnected,
+                delay + self.options.discoverTimeout, () => bluetooth.disconnect(delay), "disconnect timeout").then(finish, finish);
+        });
+        //@native end
+    }
+    //@native begin
+    _setState(state) {
+        const self = Properties.of(this);
+        const previous = self.state;
+        if (previous === state) {
+            return;
+        }
+        self.state = state;
+        self.listeners.forEach(listener => {
+            try {
+                listener(state, previous, this);
+            } catch (err) {
+                // 监听者的异常不能打断状态切换，交给全局的异常处理
+                setTimeout(() => {
+                    throw err;
+                }, 0);
+            }
+        });
+        BluetoothEvent.bluetoothConnectionStateChanged.emit(self.bluetooth, state, previous);
+    }
+    _settle(error) {
+        const self = Properties.of(this);
+        const waiters = self.waiters;
+        self.waiters = [];
+        waiters.forEach(w => (error ? w.reject(error) : w.resolve(self.bluetooth)));
+    }
+    _listen() {
+        const self = Properties.of(this);
+        if (self.subscription) {
+            return;
+        }
+        self.subscription = BluetoothEvent.bluetoothConnectionStatusChanged.addListener((bluetooth, isConnected) => {
+            if (bluetooth !== self.bluetooth || isConnected) {
+                return;
+            }
+            if (self.state === ConnectionState.READY || self.state === ConnectionState.DISCOVERING) {
+                self.session++;
+                this._retry(new BluetoothError(ErrorCode.NOT_CONNECTED, "connection lost", { nativeCode: -32 }));
+            }
+        });
+    }
+    _unlisten() {
+        const self = Properties.of(this);
+        self.subscription && self.subscription.remove();
+        self.subscription = null;
+    }
+    _run() {
+        const self = Properties.of(this);
+        const session = ++self.session;
+        const alive = () => self.session === session;
+        const { bluetooth, options } = self;
+        const step = (state, task) => () => {
+            if (!alive()) {
+                return Promise.reject(null);
+            }
+            this._setState(state);
+            return task();
+        };
+        Promise.resolve()
+            .then(options.scanTimeout > 0 ? step(ConnectionState.SCANNING, () => this._scan()) : () => null)
+            .then(step(ConnectionState.CONNECTING, () => bluetooth.connect(options.type, options.connectOptions ? { ...options.connectOptions } : 0)))
+            .then(step(ConnectionState.DISCOVERING, () => this._discover()))
+            .then(() => {
+                if (!alive()) {
+                    return;
+                }
+                self.attempts = 0;
+                self.lastError = null;
+                this._setState(ConnectionState.READY);
+                this._settle(null);
+            }, err => {
+                alive() && this._retry(err);
+            });
+    }
+    _retry(error) {
+        const self = Properties.of(this);
+        const { options } = self;
+        self.lastError = BluetoothError.from(error || {}, ErrorSource.BLE);
+        self.attempts++;
+        if (!options.autoReconnect || (options.maxRetries >= 0 && self.attempts > options.maxRetries)) {
+            this._unlisten();
+            this._setState(ConnectionState.IDLE);
+            this._settle(self.lastError);
+            return;
+        }
+        const delay = Math.min(options.maxBackoff, options.backoff * Math.pow(2, self.attempts - 1));
+        this._setState(ConnectionState.BACKOFF);
+        const session = self.session;
+        self.timer = setTimeout(() => {
+            self.timer = 0;
+            self.session === session && this._run();
+        }, delay);
+    }
+    _scan() {
+        const { bluetooth, options } = Properties.of(this);
+        return _waitFor("bluetoothDeviceDiscovered", data => !!data && (_isSameId(data.mac, bluetooth.mac) || _isSameId(data.uuid, bluetooth.UUID)),
+            options.scanTimeout, () => native.MIOTBluetooth.startLeScan(options.scanTimeout, options.scanServices || []), "device not found")
+            .then(res => {
+                native.MIOTBluetooth.stopScan();
+                return res;
+            }, err => {
+                native.MIOTBluetooth.stopScan();
+                return Promise.reject(err);
+            });
+    }
+    /**
+     * 发现 options.services 中的服务和特征值，以及之前打开了通知的特征值，然后重新打开通知
+     */
+    _discover() {
+        const { bluetooth, options } = Properties.of(this);
+        const wanted = new Map();
+        const want = (service, characteristics) => {
+            const uuids = wanted.get(service) || new Set();
+            characteristics.forEach(c => uuids.add(c));
+            wanted.set(service, uuids);
+        };
+        Object.keys(options.services || {}).forEach(uuid => want(bluetooth.getService(uuid), options.services[uuid] || []));
+        const notifying = [];
+        if (options.restoreNotify) {
+            Properties.of(bluetooth).services.forEach(service => Properties.of(service).characteristics.forEach(character => {
+                if (Properties.of(character).notifying) {
+                    notifying.push(character);
+                    want(service, [character.UUID]);
+                }
+            }));
+        }
+        const services = [...wanted.keys()].filter(Boolean);
+        const missing = services.filter(service => !service.isDiscovered);
+        const discoverServices = missing.length < 1 ? Promise.resolve() :
+            _waitFor("bluetoothSeviceDiscovered", ble => ble === bluetooth && missing.every(service => service.isDiscovered),
+                options.discoverTimeout, () => bluetooth.startDiscoverServices(...missing.map(service => service.UUID)), "discover services timeout");
+        return discoverServices.then(() => Promise.all(services.map(service => {
+            const characteristics = [...wanted.get(service)].map(uuid => service.getCharacteristic(uuid)).filter(c => c && !c.isDiscovered);
+            if (characteristics.length < 1) {
+                return null;
+            }
+            return _waitFor("bluetoothCharacteristicDiscovered", (ble, srv) => ble === bluetooth && characteristics.every(c => c.isDiscovered),
+                options.discoverTimeout, () => service.startDiscoverCharacteristics(...characteristics.map(c => c.UUID)), "discover characteristics timeout");
+        }))).then(() => Promise.all(notifying.map(character => character.setNotify(true))));
+    }
+    //@native end
+}
+wrapPromiseErrors(IBluetoothConnection.prototype, ErrorSource.BLE);
+//@native begin
+/**
+ * 创建蓝牙连接管理
+ * @param {IBluetooth} bluetooth
+ */
+export function createBluetoothConnection(bluetooth) {
+    return Properties.init(new IBluetoothConnection(), {
+        bluetooth,
+        state: ConnectionState.IDLE,
+        options: { ...DEFAULT_OPTIONS },
+        listeners: new Set(),
+        waiters: [],
+        lastError: null,
+        attempts: 0,
+        session: 0,
+        timer: 0,
+        subscription: null
+    });
+}
+//@native end
@@ -38,6 +38,9 @@ import native, { buildEvents, Properties } from '../../native';
 import { IBluetoothService } from './CoreBluetooth';
 import { getBluetoothUUID128 } from './index';
 import RootDevice from '../BasicDevice';
+import { BluetoothError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../../MiotError';
+import GattQueue from './GattQueue';
+import { createBluetoothConnection } from './BluetoothConnection';
 // import Host from '../../Host';
 /**
  *
@@ -114,10 +117,33 @@ export class IBluetooth {
         //@native => false
         return Properties.of(this)._connecting;
     }
+    /**
+     * 连接管理，按状态管理连接过程，意外断开时自动重连并恢复通知，详见 IBluetoothConnection
+     * @since 10035
+     * @member
+     * @type {IBluetoothConnection}
+     * @readonly
+     * @example
+     * const connection = Device.getBluetoothLE().connection;
+     * const listener = connection.addListener(state => this.setState({ state }));
+     * connection.start({ services: { 'FE95': ['0010'] } });
+     * ...
+     * listener.remove();
+     * connection.stop();
+     */
+    get connection() {
+        //@native => null
+        const self = Properties.of(this);
+        if (!self._connection) {
+            self._connection = createBluetoothConnection(this);
+        }
+        return self._connection;
+    }
     /**
      * 打开蓝牙链接. option参数peripheralID为iOS 平台的可选参数，因为iOS平台无法获取普通 BLE 蓝牙设备的 Mac
      * peripheralID 可通过 startScan（）搜索周边蓝牙设备获取（如设备OTA中，设备固件切换，无小米蓝牙协议相关服务时需建立连接），或通过retrievePeripheralsWithServicesForIOS（）搜索已连接设备获取（如可穿戴长连接设备，无法发送 mibeacon）
      * 建立连接后，SDK 会用 peripheralID 充当 Mac 地址
+     * 连接失败时 reject BluetoothError，err.code 为统一的错误类型(见 ErrorCode)，err.nativeCode 为下面的错误码(iOS 已统一为相同的错误码)
      * error code :
      * 0 - 成功
      * -1: 请求失败
@@ -185,12 +211,12 @@ export class IBluetooth {
         //@mark andr done
         //@mark iOS  done
         if (!Number.isInteger(type)) {
-            return Promise.reject({ code: 101, msg: "the first param type is error, param type must be an integer" })
+            return Promise.reject(new BluetoothError(ErrorCode.INVALID_ARGUMENT, "the first param type is error, param type must be an integer", { nativeCode: 101 }))
         }
         const self = Properties.of(this);
         if (self._connecting && !native.isIOS) {
             //ios 下的connecting状态交由native管理
-            return Promise.reject({ code: 100, msg: "the bluetooth is connecting now, please waiting for a moment" });
+            return Promise.reject(new BluetoothError(ErrorCode.BUSY, "the bluetooth is connecting now, please waiting for a moment", { nativeCode: 100 }));
         }
         option = option || {};
         if (self.isConnected && !option.forceReconnect) {
@@ -216,7 +242,7 @@ export class IBluetooth {
         }
         if (mac_uuid_for_ios && !fakemac.deviceUUID) {
             if (!fakemac.mac) {
-                return Promise.reject({ code: 10, msg: "invalid bluetooth on IOS" });
+                return Promise.reject(new BluetoothError(ErrorCode.NOT_FOUND, "invalid bluetooth on IOS", { nativeCode: 10 }));
             }
             fakemac.deviceUUID = mac_uuid_for_ios.get(fakemac.mac);
             if (!fakemac.deviceUUID) {
@@ -233,17 +259,8 @@ export class IBluetooth {
                 self._disconnect_timeout = 0;
                 if (!ok) {
                     self.isConnected = false;
-                    if (native.isIOS) {
-                        //统一code ios:android
-                        let err_map = { 0: -6, 1: -15, 2: -7, 3: -10, 5: -1, 6: -16, 7: -18, 8: -20, 4: 0 }
-                        if (data.code !== undefined) {
-                            console.log(data.code)
-                            if (err_map[data.code] !== undefined) {
-                                data.code = err_map[data.code];
-                            }
-                        }
-                    }
-                    reject(data)
+                    // iOS 的错误码在 BluetoothError 中统一为 Android 的错误码
+                    reject(BluetoothError.fromConnect(data))
                     return;
                 }
                 self.isConnected = true;
@@ -320,7 +337,7 @@ export class IBluetooth {
      * @method
      * @param {int} type - 0 代表 writeWithResponse, 1 代表 writeWithoutResponse，理论上结果是一样的。
      * @return {Promise<number>} 最大长度
-     *        resolve: iOS时，返回系统返回的长度，Android返回160bit
+     *        resolve: iOS时，返回系统返回的长度，Android返回160bit(10035 开始，调用过 requestMTU 时返回 (MTU - 3) * 8)
      *        reject：iOS设备未连接会reject connect the device first，Android 不会走reject
      */
     maximumWriteValueLength(type = 0) {
@@ -337,12 +354,50 @@ export class IBluetooth {
                 });
             }
             else {
+                const { mtu } = Properties.of(this);
+                if (mtu > 0) {
+                    resolve((mtu - 3) * 8);
+                    return;
+                }
                 console.log("has no real methord,return default value 20 bytes.");
                 resolve(20 * 8);
             }
         });
         //@native end
     }
+    /**
+     * 协商 MTU，连接成功后调用，之后 maximumWriteValueLength 及特征值的 sendChunked 都会使用协商后的 MTU，断开连接后需要重新协商
+     * App 支持协商时向设备请求 mtu，否则根据 maximumWriteValueLength 查询当前连接的 MTU
+     * @since 10035
+     * @method
+     * @param {int} [mtu=247] 希望使用的 MTU，单位 byte
+     * @return {Promise<int>} 实际使用的 MTU，单位 byte，每包最多可以写入 MTU - 3 个 byte
+     *        reject：BluetoothError，设备未连接时 code 为 NOT_CONNECTED
+     */
+    requestMTU(mtu = 247) {
+        //@native :=> promise
+        const self = Properties.of(this);
+        if (!this.isConnected) {
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_CONNECTED, "connect the device first"));
+        }
+        return new Promise((resolve, reject) => {
+            if (typeof native.MIOTBluetooth.requestMtu === "function") {
+                native.MIOTBluetooth.requestMtu(self.fakemac.id, mtu, (ok, result) => {
+                    if (ok) {
+                        resolve(result);
+                    } else {
+                        reject(result);
+                    }
+                });
+                return;
+            }
+            resolve(this.maximumWriteValueLength(1).then(bits => Math.min(mtu, Math.floor(bits / 8) + 3)));
+        }).then(result => {
+            self.mtu = result;
+            return result;
+        });
+        //@native end
+    }
     /**
      * 
      * 更新版本号，蓝牙的版本号 connect 之后才能查看。
@@ -477,6 +532,7 @@ export class IBluetooth {
     }
     //@native end
 }
+wrapPromiseErrors(IBluetooth.prototype, ErrorSource.BLE);
 /**
  * 蓝牙事件名集合
  * @namespace BluetoothEvent
@@ -522,6 +578,8 @@ export const BluetoothEvent = {
                 ble.isConnected = isConnected;
                 //reset status of bluetoothLE
                 if (!isConnected) {
+                    GattQueue.cancel(ble.fakemac.id);
+                    ble.mtu = 0;
                     ble.services.forEach(s => {
                         const srv = Properties.of(s);
                         srv.isDiscovered = false;
@@ -751,6 +809,15 @@ export const BluetoothEvent = {
             emitter.emit(isEnabled);
         }
         //@native end
-    }
+    },
+    /**
+     * 蓝牙连接管理(IBluetooth.connection)的状态变更事件
+     * @event
+     * @since 10035
+     * @param {IBluetooth} bluetooh -蓝牙设备
+     * @param {string} state -新状态，见 ConnectionState
+     * @param {string} previous -之前的状态
+     */
+    bluetoothConnectionStateChanged: { local: true }
 };
 buildEvents(BluetoothEvent);
\ No newline at end of file
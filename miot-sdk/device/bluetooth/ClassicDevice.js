@@ -10,11 +10,12 @@
  */
 //@native
 import native, { buildEvents } from '../../native';
+import { BluetoothError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../../MiotError';
 /**
  * 经典蓝牙设备操作类
  * @interface
  */
-export default {
+export default wrapPromiseErrors({
     /**
      * 初始化经典蓝牙,返回的数据没有实际作用, 执行到catch表示初始化失败。
      * @since 10023
@@ -24,7 +25,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.create((isSuccess, result) => {
@@ -48,7 +49,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.connectSocket(macAddress, transportUUID, (isSuccess, result) => {
@@ -70,7 +71,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.disconnectSocket((isSuccess, result) => {
@@ -93,7 +94,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.write(data, (isSuccess, result) => {
@@ -117,7 +118,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.prepareBluetoothProfile(profile, (isSuccess, result) => {
@@ -141,7 +142,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.connectBluetoothProfile(macAddress, profile, (isSuccess, result) => {
@@ -165,7 +166,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.disconnectBluetoothProfile(macAddress, profile, (isSuccess, result) => {
@@ -190,7 +191,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.getBluetoothProfileState(macAddress, profile, (isSuccess, result) => {
@@ -212,7 +213,7 @@ export default {
         //@native :=> promise
         //@mark andr done
         if (native.isIOS) {
-            return new Promise.reject("ios is not support...")
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "ios is not support..."))
         }
         return new Promise((resolve, reject) => {
             native.ClassicBluetooth.destroy((isSuccess, result) => {
@@ -225,7 +226,7 @@ export default {
         });
         //@native end
     }
-}
+}, ErrorSource.BLE);
 /**
  * 经典蓝牙事件名集合
  * @namespace ClassicBluetoothEvent
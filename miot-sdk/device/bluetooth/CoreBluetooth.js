@@ -8,6 +8,8 @@
  * 蓝牙的开发，详见标准蓝牙BLE开发指南：https://iot.mi.com/new/doc/05-%E7%B1%B3%E5%AE%B6%E6%89%A9%E5%B1%95%E7%A8%8B%E5%BA%8F%E5%BC%80%E5%8F%91%E6%8C%87%E5%8D%97/04-%E8%AE%BE%E5%A4%87%E7%AE%A1%E7%90%86/03-%E6%8C%89%E8%AE%BE%E5%A4%87/02-%E8%93%9D%E7%89%99%E5%BC%80%E5%8F%91%E6%8C%87%E5%8D%97/03-%E6%A0%87%E5%87%86%E8%93%9D%E7%89%99BLE%E5%BC%80%E5%8F%91%E6%8C%87%E5%8D%97.html。
  * 本文件提供了蓝牙服务（Service）和蓝牙特征值（Characteristic）的读写监听方面的操作
  * 蓝牙的开发简化流程为：发现设备 - 连接设备 - 发现服务 - 发现特征值 - 特征值读写 - 断开连接,本文件主要涉及到发现服务 - 发现特征值 - 特征值读写这么几步
+ * 从 10035 开始，特征值的 read、write、writeWithoutResponse、setNotify 会按蓝牙设备放入 GATT 操作队列(见 GattQueue)逐个执行，
+ * 执行超时时以 BluetoothError(code 为 TIMEOUT) 失败，蓝牙断开时等待中的操作以 BluetoothError(code 为 CANCELLED) 失败
  * 
  * @example
  *
@@ -23,6 +25,17 @@
  */
 import native, { Properties } from '../../native';
 import { getBluetoothUUID128 } from './index';
+import { ErrorSource, wrapPromiseErrors } from '../../MiotError';
+import GattQueue from './GattQueue';
+import BleTransfer from './BleTransfer';
+//@native begin
+/**
+ * 把特征值的操作加入所属蓝牙设备的 GATT 操作队列
+ */
+function _enqueue({ fakemac, characteristicUUID }, name, options, task) {
+    return GattQueue.enqueue(fakemac.id, task, { ...(options || {}), name: `${ name } ${ characteristicUUID }` });
+}
+//@native end
 /**
  * BLE蓝牙特征值
  * @interface
@@ -85,17 +98,20 @@ export class IBluetoothCharacteristic {
     /**
      * 读取蓝牙数据
      * @method
+     * @param {object} [options] (API Level 10035新增)GATT 操作队列的参数，见 GattQueue
+     * @param {int} [options.priority=0] 优先级，优先级高的操作先执行
+     * @param {int} [options.timeout] 超时时间，单位毫秒，默认为 GattQueue.configure 中的 timeout
      * @returns {Promise<IBluetoothCharacteristic>} 
      *      resolve： 返回当前对象，value为读取到的value
      *      reject：100:设备正在连接中  101:设备不存在  102:服务或者特征值未发现
      */
-    read() {
+    read(options = null) {
         //@native :=> promise
         //@mark andr done
         //@mark iOS done
-        return new Promise((resolve, reject) => {
-            const self = Properties.of(this);
-            const { fakemac, serviceUUID, characteristicUUID } = self;
+        const self = Properties.of(this);
+        const { fakemac, serviceUUID, characteristicUUID } = self;
+        return _enqueue(self, "read", options, () => new Promise((resolve, reject) => {
             native.MIOTBluetooth.readHexStringWithCallback(fakemac.id, characteristicUUID, serviceUUID, (ok, data) => {
                 if (ok) {
                     self.value = data;
@@ -105,7 +121,7 @@ export class IBluetoothCharacteristic {
                 }
                 reject(data);
             });
-        });
+        }));
         //@native end
     }
     /**
@@ -113,17 +129,20 @@ export class IBluetoothCharacteristic {
      * 对应 writeWithResponse
      * @method
      * @param {*} value hexstring
+     * @param {object} [options] (API Level 10035新增)GATT 操作队列的参数，见 GattQueue
+     * @param {int} [options.priority=0] 优先级，优先级高的操作先执行
+     * @param {int} [options.timeout] 超时时间，单位毫秒，默认为 GattQueue.configure 中的 timeout
      * @returns {Promise<IBluetoothCharacteristic>}
      *      resolve： 返回当前对象，value为成功写入的value
      *      reject：100:设备正在连接中  102:服务或者特征值未发现
      */
-    write(value) {
+    write(value, options = null) {
         //@native :=> promise
         //@mark andr done
         //@mark iOS done
-        return new Promise((resolve, reject) => {
-            const self = Properties.of(this);
-            const { fakemac, serviceUUID, characteristicUUID } = self;
+        const self = Properties.of(this);
+        const { fakemac, serviceUUID, characteristicUUID } = self;
+        return _enqueue(self, "write", options, () => new Promise((resolve, reject) => {
             native.MIOTBluetooth.writeHexStringWithCallback(fakemac.id, value, characteristicUUID, serviceUUID, 0, (ok, error) => {
                 if (ok) {
                     self.value = value;
@@ -133,7 +152,7 @@ export class IBluetoothCharacteristic {
                 }
                 reject(error);
             });
-        });
+        }));
         //@native end
     }
     /**
@@ -141,17 +160,20 @@ export class IBluetoothCharacteristic {
      * 对应 writeWithoutResponse
      * @method
      * @param {*} value
+     * @param {object} [options] (API Level 10035新增)GATT 操作队列的参数，见 GattQueue
+     * @param {int} [options.priority=0] 优先级，优先级高的操作先执行
+     * @param {int} [options.timeout] 超时时间，单位毫秒，默认为 GattQueue.configure 中的 timeout
      * @returns {Promise<IBluetoothCharacteristic>}
      *      resolve： 返回当前对象，value为成功写入的value
      *      reject：{code: xxx, message: xxx} 100:设备正在连接中  102:服务或者特征值未发现
      */
-    writeWithoutResponse(value) {
+    writeWithoutResponse(value, options = null) {
         //@native :=> promise
         //@mark andr done
         //@mark iOS  done
-        return new Promise((resolve, reject) => {
-            const self = Properties.of(this);
-            const { fakemac, serviceUUID, characteristicUUID } = self;
+        const self = Properties.of(this);
+        const { fakemac, serviceUUID, characteristicUUID } = self;
+        return _enqueue(self, "writeWithoutResponse", options, () => new Promise((resolve, reject) => {
             native.MIOTBluetooth.writeHexStringWithCallback(fakemac.id, value, characteristicUUID, serviceUUID, 1, (ok, error) => {
                 if (ok) {
                     self.value = value;
@@ -161,13 +183,16 @@ export class IBluetoothCharacteristic {
                 }
                 reject(error);
             });
-        });
+        }));
         //@native end
     }
     /**
      * 设置数值变化监听开关，如果成功监听了，可以接收到属性变化事件bluetoothCharacteristicValueChanged
      * @method
      * @param {boolean} flag -true 打开监听, false 则关闭监听
+     * @param {object} [options] (API Level 10035新增)GATT 操作队列的参数，见 GattQueue
+     * @param {int} [options.priority=0] 优先级，优先级高的操作先执行
+     * @param {int} [options.timeout] 超时时间，单位毫秒，默认为 GattQueue.configure 中的 timeout
      * @example
      * ...
      *     import {BluetoothEvent} from 'miot/device/bluetooth'
@@ -185,21 +210,23 @@ export class IBluetoothCharacteristic {
      *      resolve：当前对象
      *      reject：{code: xxx, message: xxx}  100:设备正在连接中  102:服务或者特征值未发现
      */
-    setNotify(flag) {
+    setNotify(flag, options = null) {
         //@native :=> promise
         //@mark andr done
         //@mark iOS done
+        const self = Properties.of(this);
+        const { fakemac, serviceUUID, characteristicUUID } = self;
         if (native.isAndroid) {
-            return new Promise((resolve, reject) => {
-                const self = Properties.of(this);
-                const { fakemac, serviceUUID, characteristicUUID } = self;
+            return _enqueue(self, "setNotify", options, () => new Promise((resolve, reject) => {
                 native.MIOTBluetooth.setNotifyWithCallback(fakemac.id, flag, characteristicUUID, serviceUUID, (ok, error) => {
                     if (ok) {
+                        self.notifying = !!flag;
                         resolve(this);
                     } else {
                         // 如果失败，在进行一次indicate
                         native.MIOTBluetooth.setIndicationWithCallback(fakemac.id, flag, characteristicUUID, serviceUUID, (ok, error) => {
                             if (ok) {
+                                self.notifying = !!flag;
                                 resolve(this);
                                 return;
                             }
@@ -207,22 +234,58 @@ export class IBluetoothCharacteristic {
                         });
                     }
                 });
-            });
+            }));
         } else {
-            return new Promise((resolve, reject) => {
-                const self = Properties.of(this);
-                const { fakemac, serviceUUID, characteristicUUID } = self;
+            return _enqueue(self, "setNotify", options, () => new Promise((resolve, reject) => {
                 native.MIOTBluetooth.setNotifyWithCallback(fakemac.id, flag, characteristicUUID, serviceUUID, (ok, error) => {
                     if (ok) {
+                        self.notifying = !!flag;
                         resolve(this);
                         return;
                     }
                     reject(error);
                 });
-            });
+            }));
         }
         //@native end
     }
+    /**
+     * 分包发送大数据：按 MTU 将数据拆分为带序号的帧(帧格式见 BleTransfer)，逐帧写入
+     * @since 10035
+     * @method
+     * @param {Uint8Array|string} data 待发送的数据，Uint8Array 或者 hex 字符串
+     * @param {object} [options]
+     * @param {int} [options.mtu] 使用的 MTU，默认为 IBluetooth.requestMTU 协商的结果，没有协商时先协商一次
+     * @param {int} [options.ackEvery=1] 每 N 帧使用一次 write(writeWithResponse) 等待设备确认，其余帧使用 writeWithoutResponse，最后一帧总是 write；0 表示只有最后一帧使用 write
+     * @param {function(object)} [options.onProgress] 发送进度回调，参数为 {frames, totalFrames, bytes, totalBytes}
+     * @param {object} [options.codec] 帧编解码，默认为 DefaultFrameCodec
+     * @param {int} [options.priority=0] 每帧在 GATT 操作队列中的优先级
+     * @param {int} [options.timeout] 每帧的超时时间，单位毫秒
+     * @returns {Promise<int>}
+     *      resolve：发送的帧数
+     *      reject：BluetoothError，任意一帧写入失败时整个发送失败
+     */
+    sendChunked(data, options = {}) {
+        //@native :=> promise 0
+        return BleTransfer.send(this, data, options);
+        //@native end
+    }
+    /**
+     * 接收设备通过 notify 分包发来的数据，收到完整的消息后回调，需要先调用 setNotify(true)
+     * @since 10035
+     * @method
+     * @param {function(Uint8Array)} listener 收到完整消息时的回调
+     * @param {object} [options]
+     * @param {int} [options.timeout=5000] 超过此时间(毫秒)没有收到下一帧时，丢弃未完成的消息
+     * @param {function(object)} [options.onProgress] 接收进度回调，参数为 {frames, totalFrames}
+     * @param {object} [options.codec] 帧编解码，默认为 DefaultFrameCodec
+     * @returns {{remove:function}} 不再需要时调用 remove 取消接收
+     */
+    receiveChunked(listener, options = {}) {
+        //@native :=> {remove(){}}
+        return BleTransfer.receive(this, listener, options);
+        //@native end
+    }
 }
 /**
  * BLE蓝牙服务类
@@ -297,4 +360,6 @@ export class IBluetoothService {
         return character;
         //@native end
     }
-}
\ No newline at end of file
+}
+wrapPromiseErrors(IBluetoothCharacteristic.prototype, ErrorSource.BLE);
+wrapPromiseErrors(IBluetoothService.prototype, ErrorSource.BLE);
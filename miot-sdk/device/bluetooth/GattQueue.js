@@ -0,0 +1,145 @@
+/**
+ * @export public
+ * @doc_name 蓝牙操作队列模块
+ * @doc_index 6
+ * @doc_directory bluetooth
+ * @module miot/device/bluetooth
+ * @description
+ * 蓝牙 GATT 操作队列，IBluetoothCharacteristic 的 read、write、writeWithoutResponse、setNotify 内部都通过此模块执行：
+ * 1、串行：GATT 同一时刻只允许一个进行中的请求，同一个蓝牙设备的操作按顺序逐个执行，避免同时发起时 Android 丢弃操作
+ * 2、优先级：等待中的操作按 priority 从高到低执行，priority 相同时先进先出，用户操作可以排在后台轮询之前
+ * 3、超时：操作开始执行后 timeout 毫秒内没有返回时，以 BluetoothError(code 为 TIMEOUT) 失败，并继续执行下一个操作
+ * 4、取消：bluetoothConnectionStatusChanged 通知断开连接时，该设备进行中及等待中的操作都以 BluetoothError(code 为 CANCELLED) 失败
+ *
+ * @example
+ * import { GattQueue } from 'miot/device'
+ * // 修改默认超时时间
+ * GattQueue.configure({ timeout: 5000 });
+ * // 用户操作优先执行
+ * characteristic.write('0102', { priority: GattQueue.PRIORITY.HIGH });
+ * // 后台轮询
+ * characteristic.read({ priority: GattQueue.PRIORITY.LOW, timeout: 3000 });
+ */
+import { BluetoothError, ErrorCode } from '../../MiotError';
+//@native begin
+const PRIORITY = {
+    LOW: -1,
+    NORMAL: 0,
+    HIGH: 1
+};
+const config = {
+    timeout: 10000
+};
+// key => {running: op, waiting: [op]}
+const queues = new Map();
+function _settle(key, op, action) {
+    if (op.done) {
+        return;
+    }
+    op.done = true;
+    op.timer && clearTimeout(op.timer);
+    action();
+    const queue = queues.get(key);
+    if (queue && queue.running === op) {
+        queue.running = null;
+        _next(key);
+    }
+}
+function _next(key) {
+    const queue = queues.get(key);
+    if (!queue || queue.running) {
+        return;
+    }
+    const op = queue.waiting.shift();
+    if (!op) {
+        queues.delete(key);
+        return;
+    }
+    queue.running = op;
+    if (op.timeout > 0) {
+        op.timer = setTimeout(() => _settle(key, op, () => op.reject(new BluetoothError(ErrorCode.TIMEOUT,
+            `${ op.name } timeout after ${ op.timeout }ms`))), op.timeout);
+    }
+    Promise.resolve().then(op.task).then(res => _settle(key, op, () => op.resolve(res)),
+        err => _settle(key, op, () => op.reject(err)));
+}
+//@native end
+export default {
+    /**
+     * 操作的优先级，LOW(-1)、NORMAL(0)、HIGH(1)，也可以直接使用其它整数
+     * @type {object}
+     */
+    PRIORITY,
+    /**
+     * 修改队列配置
+     * @param {object} options
+     * @param {int} [options.timeout=10000] 每个操作的默认超时时间，单位毫秒，从操作开始执行时计算，0 表示不超时
+     * @returns {object} 修改后的配置
+     */
+    configure(options = {}) {
+        //@native :=> {}
+        Object.keys(options || {}).forEach(key => {
+            if (key in config && options[key] !== undefined) {
+                config[key] = options[key];
+            }
+        });
+        return { ...config };
+        //@native end
+    },
+    /**
+     * 将操作加入 key(一般为蓝牙设备的 mac 或 uuid) 对应的队列
+     * @param {string} key
+     * @param {function():Promise} task 执行操作的方法
+     * @param {object} [options]
+     * @param {int} [options.priority=0] 优先级，见 PRIORITY
+     * @param {int} [options.timeout] 超时时间，单位毫秒，默认为 configure 中的 timeout
+     * @param {string} [options.name='gatt operation'] 操作名称，用于错误信息
+     * @returns {Promise} task 的结果
+     */
+    enqueue(key, task, options = {}) {
+        //@native :=> promise
+        const { priority = PRIORITY.NORMAL, timeout = config.timeout, name = "gatt operation" } = options || {};
+        let queue = queues.get(key);
+        if (!queue) {
+            queue = { running: null, waiting: [] };
+            queues.set(key, queue);
+        }
+        return new Promise((resolve, reject) => {
+            const op = { task, priority, timeout, name, resolve, reject };
+            const at = queue.waiting.findIndex(w => w.priority < priority);
+            at < 0 ? queue.waiting.push(op) : queue.waiting.splice(at, 0, op);
+            _next(key);
+        });
+        //@native end
+    },
+    /**
+     * 取消 key 对应队列中进行中及等待中的所有操作，这些操作以 BluetoothError(code 为 CANCELLED) 失败
+     * 进行中的操作无法真正撤回，只是不再等待它的结果
+     * @param {string} key
+     * @param {string} [reason='device disconnected'] 错误信息
+     * @returns {int} 取消的操作数量
+     */
+    cancel(key, reason = "device disconnected") {
+        //@native => 0
+        const queue = queues.get(key);
+        if (!queue) {
+            return 0;
+        }
+        queues.delete(key);
+        const ops = [...(queue.running ? [queue.running] : []), ...queue.waiting];
+        queue.running = null;
+        queue.waiting = [];
+        ops.forEach(op => _settle(key, op, () => op.reject(new BluetoothError(ErrorCode.CANCELLED, `${ op.name } cancelled, ${ reason }`))));
+        return ops.length;
+    },
+    /**
+     * key 对应队列中进行中及等待中的操作数量
+     * @param {string} key
+     * @returns {int}
+     */
+    size(key) {
+        //@native => 0
+        const queue = queues.get(key);
+        return queue ? queue.waiting.length + (queue.running ? 1 : 0) : 0;
+    }
+};
@@ -28,6 +28,7 @@
  *
  */
 import native, { Properties } from '../../native';
+import { ErrorSource, wrapPromiseErrors } from '../../MiotError';
 /**
  * 蓝牙锁相关
  * @interface
@@ -104,6 +105,7 @@ export default class IBluetoothLock {
      * 如当日 10:19 生成，则该组密码在 10:00 ~ 10:30（当前刷新间隔） 以及 10:30 ~ 11:00 (下一个刷新间隔) 有效。
      * 密码组中每条密码使用一次即过期。
      * 注意设备上获取当前时间（UTC，精度为秒）的准确性由设备保证，否则会有计算误差。
+     * 如果锁的固件使用标准的 HOTP/TOTP 或临时密码，可以使用 miot/utils/otp 在 js 中离线生成，不依赖此方法
      * @method
      * @param {int} interval 时间间隔，单位为分钟，类型为 number，传入 10 到 60 的整数（建议用整数10，20，30，40，50，60）
      * @param {int} digits 密码位数，类型为 number，传入 6 到 8 的整数
@@ -241,4 +243,5 @@ export default class IBluetoothLock {
         })
         //@native end
     }
-}
\ No newline at end of file
+}
+wrapPromiseErrors(IBluetoothLock.prototype, ErrorSource.BLE);
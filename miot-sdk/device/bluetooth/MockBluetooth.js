@@ -0,0 +1,650 @@
+/**
+ * @export public
+ * @doc_name 蓝牙模拟外设模块
+ * @doc_index 10
+ * @doc_directory bluetooth
+ * @module miot/test
+ * @description
+ * 模拟蓝牙外设，用 js 实现 native.MIOTBluetooth 中扫描、连接、发现、读写、通知等接口，并按原生相同的格式发出蓝牙事件，
+ * IBluetooth、IBluetoothService、IBluetoothCharacteristic、BluetoothEvent 以及 GattQueue、BleTransfer、IBluetoothConnection、IScanSession
+ * 都可以像连接真实设备一样使用，不需要手机和硬件即可测试蓝牙协议，iOS(按 uuid 连接)和 Android(按 mac 连接)的行为相同：
+ * 1、外设：声明服务、特征值及其属性(read、write、writeWithoutResponse、notify、indicate)和初始值，扫描时按 scanRecord 广播
+ * 2、读写：read 返回特征值的当前值，write 保存写入的值，可以通过 onRead、onWrite 自定义响应，通过 notify 模拟设备上报
+ * 3、异常：模拟连接失败、随机断开、服务发现缓慢、操作延迟以及 MTU 限制(写入超过 MTU - 3 字节时失败)
+ * 4、记录：history 中保存所有的 GATT 操作，便于断言
+ * 需要在创建 IBluetooth 之前调用 install
+ * 在 Node(例如 jest) 中运行时，需要先通过 SimulatorSetup 补齐原生模块(见模拟器运行环境模块)，
+ * 测试 iOS 或 Android 的行为时，先调用 setupNativeModules({ platform }) 切换平台，再加载 miot 的模块
+ *
+ * @example
+ * import { MockBluetooth } from 'miot/test'
+ * import { Bluetooth } from 'miot/device'
+ *
+ * const [peripheral] = MockBluetooth.install({
+ *     peripherals: [{
+ *         mac: 'A4:C1:38:00:11:22', name: 'MJ_HT', maxMTU: 185,
+ *         services: {
+ *             'FE95': {
+ *                 '0004': { properties: ['read'], value: '312E302E30' },
+ *                 '0010': { properties: ['write', 'notify'] }
+ *             }
+ *         }
+ *     }]
+ * });
+ * // 写入 0010 时通过通知回复
+ * peripheral.onWrite('FE95', '0010', value => {
+ *     peripheral.notify('FE95', '0010', value === '01' ? '0100' : 'FF');
+ * });
+ * // 下一次连接失败
+ * peripheral.failConnect(1, -7);
+ * const ble = Bluetooth.createBluetoothLE('A4:C1:38:00:11:22');
+ * ...
+ * MockBluetooth.uninstall();
+ */
+//@native begin
+import native, { MIOTEventEmitter, Properties } from '../../native';
+import { getBluetoothUUID128 } from './index';
+import { hexToBytes, bytesToHex, concatBytes, utf8ToBytes } from '../../utils/bytes';
+// 与原生(Android)相同的错误码
+const CODE_FAILED = -1;
+const CODE_INVALID_ARGUMENT = -3;
+const CODE_NOT_SUPPORTED = -4;
+const CODE_BLUETOOTH_DISABLED = -5;
+const CODE_NOT_CONNECTED = -6;
+const CODE_TIMEOUT = -7;
+const DEFAULT_MTU = 23;
+// iOS getBluetoothStateCallback 中蓝牙已打开的状态
+const IOS_POWERED_ON = 5;
+const IOS_POWERED_OFF = 4;
+// 安装前的 native.MIOTBluetooth，未安装时为 undefined
+let original;
+let installed = false;
+const config = {
+    enabled: true,
+    advertiseInterval: 1000,
+    random: Math.random
+};
+// id(大写的 mac 或 uuid) => IMockPeripheral
+const peripherals = new Map();
+const scan = { timer: 0, stopTimer: 0, services: [] };
+function _failure(code, message) {
+    return { code, message };
+}
+function _later(ms, fn) {
+    ms > 0 ? setTimeout(fn, ms) : Promise.resolve().then(fn);
+}
+function _find(id) {
+    return id ? peripherals.get(String(id).toUpperCase()) || null : null;
+}
+function _hex(value) {
+    return String(value === undefined || value === null ? "" : value).toUpperCase();
+}
+function _buildScanRecord(options) {
+    const structures = [Uint8Array.of(2, 0x01, 0x06)];
+    const ad = (type, data) => structures.push(concatBytes([Uint8Array.of(data.length + 1, type), data]));
+    if (options.name) {
+        ad(0x09, utf8ToBytes(options.name));
+    }
+    Object.keys(options.serviceData || {}).forEach(uuid => {
+        const data = hexToBytes(options.serviceData[uuid]) || new Uint8Array(0);
+        const id = parseInt(uuid, 16);
+        ad(0x16, concatBytes([Uint8Array.of(id & 0xFF, (id >> 8) & 0xFF), data]));
+    });
+    if (options.manufacturerData) {
+        const { companyId, data } = options.manufacturerData;
+        ad(0xFF, concatBytes([Uint8Array.of(companyId & 0xFF, (companyId >> 8) & 0xFF), hexToBytes(data || "") || new Uint8Array(0)]));
+    }
+    return bytesToHex(concatBytes(structures));
+}
+// {serviceUUID: {characteristicUUID: {...}}} 或 [{uuid, characteristics: [{uuid, ...}]}]
+function _normalizeServices(services) {
+    const result = new Map();
+    const list = Array.isArray(services) ? services : Object.keys(services || {}).map(uuid => ({
+        uuid,
+        characteristics: Object.keys(services[uuid] || {}).map(c => ({ uuid: c, ...services[uuid][c] }))
+    }));
+    list.forEach(({ uuid, characteristics = [] }) => {
+        const chars = new Map();
+        characteristics.forEach(c => {
+            chars.set(getBluetoothUUID128(c.uuid), {
+                uuid: c.uuid,
+                properties: new Set(c.properties || ["read", "write", "writeWithoutResponse", "notify"]),
+                value: _hex(c.value),
+                onRead: c.onRead || null,
+                onWrite: c.onWrite || null,
+                notifying: false
+            });
+        });
+        result.set(getBluetoothUUID128(uuid), { uuid, characteristics: chars });
+    });
+    return result;
+}
+function _emitStatus(peripheral, isConnected) {
+    MIOTEventEmitter.emit("bluetoothConnectionStatusChanged", { mac: peripheral.id, isConnected });
+}
+function _advertise() {
+    new Set(peripherals.values()).forEach(peripheral => {
+        const self = Properties.of(peripheral);
+        if (!self.advertising || self.connected) {
+            return;
+        }
+        const matched = scan.services.length === 0 || scan.services.some(uuid => self.services.has(getBluetoothUUID128(uuid)) ||
+            Object.keys(self.serviceData || {}).some(s => getBluetoothUUID128(s) === getBluetoothUUID128(uuid)));
+        matched && MIOTEventEmitter.emit("bluetoothDeviceDiscovered", {
+            mac: self.mac,
+            uuid: self.uuid,
+            name: self.name,
+            rssi: self.rssi,
+            scanRecord: self.scanRecord
+        });
+    });
+}
+function _stopScan() {
+    scan.timer && clearInterval(scan.timer);
+    scan.stopTimer && clearTimeout(scan.stopTimer);
+    scan.timer = 0;
+    scan.stopTimer = 0;
+}
+// 对已连接的外设执行 GATT 操作，callback 为原生格式的 (ok, data)
+function _gatt(id, callback, task) {
+    const peripheral = _find(id);
+    if (!peripheral || !peripheral.isConnected) {
+        _later(0, () => callback(false, _failure(CODE_NOT_CONNECTED, "peripheral is not connected")));
+        return;
+    }
+    const self = Properties.of(peripheral);
+    _later(self.latency, () => {
+        if (!self.connected) {
+            callback(false, _failure(CODE_NOT_CONNECTED, "peripheral is not connected"));
+            return;
+        }
+        if (self.disconnectProbability > 0 && config.random() < self.disconnectProbability) {
+            peripheral.disconnect();
+            callback(false, _failure(CODE_NOT_CONNECTED, "peripheral disconnected"));
+            return;
+        }
+        Promise.resolve().then(() => task(peripheral)).then(result => callback(true, result),
+            err => callback(false, err && err.code !== undefined ? err : _failure(CODE_FAILED, String(err && err.message || err))));
+    });
+}
+function _characteristic(peripheral, serviceUUID, characteristicUUID, property) {
+    const service = Properties.of(peripheral).services.get(getBluetoothUUID128(serviceUUID));
+    const characteristic = service && service.characteristics.get(getBluetoothUUID128(characteristicUUID));
+    if (!characteristic) {
+        throw _failure(CODE_INVALID_ARGUMENT, `characteristic ${ characteristicUUID } of service ${ serviceUUID } not found`);
+    }
+    if (property && !property.some(p => characteristic.properties.has(p))) {
+        throw _failure(CODE_NOT_SUPPORTED, `characteristic ${ characteristicUUID } does not support ${ property.join(" or ") }`);
+    }
+    return characteristic;
+}
+function _createModule() {
+    const setNotify = property => (id, flag, characteristicUUID, serviceUUID, callback) => _gatt(id, callback, peripheral => {
+        const characteristic = _characteristic(peripheral, serviceUUID, characteristicUUID, [property]);
+        characteristic.notifying = !!flag;
+        peripheral._record(property, serviceUUID, characteristicUUID, !!flag);
+        return true;
+    });
+    const module = {
+        isBluetoothOpen(callback) {
+            _later(0, () => callback(config.enabled));
+        },
+        getBluetoothStateCallback(callback) {
+            _later(0, () => callback(config.enabled ? IOS_POWERED_ON : IOS_POWERED_OFF));
+        },
+        openBluetooth() {
+            MockBluetooth.setEnabled(true);
+        },
+        startLeScan(durationInMillis, serviceUUIDs) {
+            _stopScan();
+            if (!config.enabled) {
+                MIOTEventEmitter.emit("bluetoothDeviceDiscoverFailed", { error: _failure(CODE_BLUETOOTH_DISABLED, "bluetooth is disabled") });
+                return;
+            }
+            scan.services = serviceUUIDs || [];
+            _later(0, _advertise);
+            scan.timer = setInterval(_advertise, config.advertiseInterval);
+            if (durationInMillis > 0) {
+                scan.stopTimer = setTimeout(_stopScan, durationInMillis);
+            }
+        },
+        startScan(durationInMillis, isBLE, serviceUUIDs) {
+            module.startLeScan(durationInMillis, serviceUUIDs);
+        },
+        stopScan() {
+            _stopScan();
+        },
+        connect(id, type, option, callback) {
+            const peripheral = _find(id);
+            const self = peripheral && Properties.of(peripheral);
+            _later(self ? self.connectDelay : 0, () => {
+                if (!config.enabled) {
+                    callback(false, _failure(CODE_BLUETOOTH_DISABLED, "bluetooth is disabled"));
+                    return;
+                }
+                if (!peripheral) {
+                    callback(false, _failure(CODE_TIMEOUT, `peripheral ${ id } not found`));
+                    return;
+                }
+                peripheral._record("connect");
+                if (self.connectFailures.length > 0) {
+                    callback(false, _failure(self.connectFailures.shift(), "connect failed"));
+                    return;
+                }
+                if (!self.connected) {
+                    self.connected = true;
+                    self.mtu = DEFAULT_MTU;
+                    _emitStatus(peripheral, true);
+                }
+                // 与 Android 一致，连接后需要再发现服务和特征值
+                callback(true, { services: [] });
+            });
+        },
+        disconnectDeviceWithDelay(id, delay) {
+            const peripheral = _find(id);
+            peripheral && setTimeout(() => {
+                peripheral._record("disconnect");
+                peripheral.isConnected && peripheral.disconnect();
+            }, delay > 0 ? delay : 0);
+        },
+        discoverServices(id, serviceUUIDs) {
+            const peripheral = _find(id);
+            if (!peripheral || !peripheral.isConnected) {
+                _later(0, () => MIOTEventEmitter.emit("bluetoothSeviceDiscoverFailed", { mac: id, error: _failure(CODE_NOT_CONNECTED, "peripheral is not connected") }));
+                return;
+            }
+            const self = Properties.of(peripheral);
+            const wanted = (serviceUUIDs || []).map(getBluetoothUUID128);
+            _later(self.discoveryDelay, () => {
+                if (!self.connected) {
+                    return;
+                }
+                const found = [...self.services.entries()].filter(([full]) => wanted.length === 0 || wanted.indexOf(full) >= 0).map(([, s]) => s.uuid);
+                peripheral._record("discoverServices", null, null, found);
+                MIOTEventEmitter.emit("bluetoothSeviceDiscovered", { mac: id, foundUUIDs: found });
+            });
+        },
+        discoverCharacteristics(id, characteristicUUIDs, serviceUUID) {
+            const peripheral = _find(id);
+            const service = peripheral && Properties.of(peripheral).services.get(getBluetoothUUID128(serviceUUID));
+            if (!peripheral || !peripheral.isConnected || !service) {
+                _later(0, () => MIOTEventEmitter.emit("bluetoothCharacteristicDiscoverFailed", {
+                    mac: id, serviceUUID, error: _failure(service ? CODE_NOT_CONNECTED : CODE_INVALID_ARGUMENT, "discover characteristics failed")
+                }));
+                return;
+            }
+            const self = Properties.of(peripheral);
+            const wanted = (characteristicUUIDs || []).map(getBluetoothUUID128);
+            _later(self.discoveryDelay, () => {
+                if (!self.connected) {
+                    return;
+                }
+                const found = [...service.characteristics.entries()].filter(([full]) => wanted.length === 0 || wanted.indexOf(full) >= 0).map(([, c]) => c.uuid);
+                peripheral._record("discoverCharacteristics", serviceUUID, null, found);
+                MIOTEventEmitter.emit("bluetoothCharacteristicDiscovered", { mac: id, serviceUUID, foundUUIDs: found });
+            });
+        },
+        readHexStringWithCallback(id, characteristicUUID, serviceUUID, callback) {
+            _gatt(id, callback, peripheral => {
+                const characteristic = _characteristic(peripheral, serviceUUID, characteristicUUID, ["read"]);
+                peripheral._record("read", serviceUUID, characteristicUUID);
+                if (!characteristic.onRead) {
+                    return characteristic.value;
+                }
+                return Promise.resolve(characteristic.onRead(peripheral)).then(value => {
+                    value !== undefined && (characteristic.value = _hex(value));
+                    return characteristic.value;
+                });
+            });
+        },
+        writeHexStringWithCallback(id, value, characteristicUUID, serviceUUID, type, callback) {
+            _gatt(id, callback, peripheral => {
+                const withResponse = type !== 1;
+                const characteristic = _characteristic(peripheral, serviceUUID, characteristicUUID, [withResponse ? "write" : "writeWithoutResponse"]);
+                const hex = _hex(value);
+                const maxLength = peripheral.mtu - 3;
+                if (hex.length / 2 > maxLength) {
+                    throw _failure(CODE_INVALID_ARGUMENT, `data length ${ hex.length / 2 } exceeds ${ maxLength } bytes (mtu ${ peripheral.mtu })`);
+                }
+                peripheral._record(withResponse ? "write" : "writeWithoutResponse", serviceUUID, characteristicUUID, hex);
+                characteristic.value = hex;
+                return Promise.resolve(characteristic.onWrite && characteristic.onWrite(hex, peripheral, withResponse)).then(() => hex);
+            });
+        },
+        setNotifyWithCallback: setNotify("notify"),
+        setIndicationWithCallback: setNotify("indicate"),
+        readRSSI(id, callback) {
+            _gatt(id, callback, peripheral => Properties.of(peripheral).rssi);
+        },
+        requestMtu(id, mtu, callback) {
+            _gatt(id, callback, peripheral => {
+                const self = Properties.of(peripheral);
+                self.mtu = Math.max(DEFAULT_MTU, Math.min(mtu, self.maxMTU));
+                peripheral._record("requestMtu", null, null, self.mtu);
+                return self.mtu;
+            });
+        },
+        maximumWriteValueLengthForType(type, callback) {
+            const peripheral = [...new Set(peripherals.values())].find(p => p.isConnected);
+            _later(0, () => peripheral ? callback(true, (peripheral.mtu - 3) * 8) : callback(false, "connect the device first"));
+        },
+        getVersion(id, isCrypto, callback) {
+            _gatt(id, callback, peripheral => Properties.of(peripheral).version);
+        }
+    };
+    return module;
+}
+//@native end
+/**
+ * 模拟的蓝牙外设，通过 MockBluetooth.install 或 MockBluetooth.addPeripheral 创建
+ * @interface
+ */
+export class IMockPeripheral {
+    /**
+     * @param {object} options 见 MockBluetooth.addPeripheral
+     * @ignore
+     */
+    constructor(options = {}) {
+        //@native begin
+        const { mac = "", uuid = "", name = "", rssi = -60, maxMTU = 247, connectDelay = 0, discoveryDelay = 0, latency = 0,
+            disconnectProbability = 0, version = "1.0.0", advertising = true, serviceData = {}, manufacturerData = null } = options;
+        if (!mac && !uuid) {
+            throw new Error("mac or uuid is required for mock peripheral");
+        }
+        Properties.init(this, {
+            mac: mac.toUpperCase(),
+            uuid: uuid.toUpperCase(),
+            name, rssi, maxMTU, connectDelay, discoveryDelay, latency, disconnectProbability, version, advertising, serviceData,
+            scanRecord: options.scanRecord ? _hex(options.scanRecord) : _buildScanRecord({ name, serviceData, manufacturerData }),
+            services: _normalizeServices(options.services),
+            connected: false,
+            mtu: DEFAULT_MTU,
+            connectFailures: [],
+            history: []
+        });
+        //@native end
+    }
+    /**
+     * 原生接口中使用的 id，Android 为 mac，iOS 为 uuid(没有 uuid 时为 mac)
+     * @type {string}
+     * @readonly
+     */
+    get id() {
+        //@native => ""
+        const { mac, uuid } = Properties.of(this);
+        return native.isAndroid ? (mac || uuid) : (uuid || mac);
+    }
+    /**
+     * @type {string}
+     * @readonly
+     */
+    get mac() {
+        //@native => ""
+        return Properties.of(this).mac;
+    }
+    /**
+     * @type {string}
+     * @readonly
+     */
+    get uuid() {
+        //@native => ""
+        return Properties.of(this).uuid;
+    }
+    /**
+     * 是否已连接
+     * @type {boolean}
+     * @readonly
+     */
+    get isConnected() {
+        //@native => false
+        return Properties.of(this).connected;
+    }
+    /**
+     * 当前协商的 MTU，未协商时为 23
+     * @type {int}
+     * @readonly
+     */
+    get mtu() {
+        //@native => 23
+        return Properties.of(this).mtu;
+    }
+    /**
+     * 所有 GATT 操作的记录，每项为 {op, serviceUUID, characteristicUUID, value, time}
+     * op 为 connect、disconnect、discoverServices、discoverCharacteristics、read、write、writeWithoutResponse、notify、indicate、requestMtu
+     * @type {Array<object>}
+     * @readonly
+     */
+    get history() {
+        //@native => []
+        return Properties.of(this).history;
+    }
+    /**
+     * 获取特征值的当前值
+     * @param {string} serviceUUID
+     * @param {string} characteristicUUID
+     * @returns {string} hex 字符串，特征值不存在时返回 undefined
+     */
+    getValue(serviceUUID, characteristicUUID) {
+        //@native => undefined
+        try {
+            return _characteristic(this, serviceUUID, characteristicUUID).value;
+        } catch (err) {
+            return undefined;
+        }
+    }
+    /**
+     * 修改特征值的当前值，不会发出通知
+     * @param {string} serviceUUID
+     * @param {string} characteristicUUID
+     * @param {string} value hex 字符串
+     */
+    setValue(serviceUUID, characteristicUUID, value) {
+        //@native
+        _characteristic(this, serviceUUID, characteristicUUID).value = _hex(value);
+    }
+    /**
+     * 模拟设备通过 notify/indicate 上报数据，已连接并且打开了通知时触发 BluetoothEvent.bluetoothCharacteristicValueChanged
+     * @param {string} serviceUUID
+     * @param {string} characteristicUUID
+     * @param {string} value hex 字符串
+     * @returns {boolean} 是否发出了通知
+     */
+    notify(serviceUUID, characteristicUUID, value) {
+        //@native => false
+        const characteristic = _characteristic(this, serviceUUID, characteristicUUID);
+        characteristic.value = _hex(value);
+        if (!Properties.of(this).connected || !characteristic.notifying) {
+            return false;
+        }
+        MIOTEventEmitter.emit("bluetoothCharacteristicValueChanged", {
+            mac: this.id, serviceUUID, characteristicUUID, value: characteristic.value
+        });
+        return true;
+    }
+    /**
+     * 自定义读取特征值的响应
+     * @param {string} serviceUUID
+     * @param {string} characteristicUUID
+     * @param {function(IMockPeripheral):string} handler 返回 hex 字符串(可以是 Promise)，返回 undefined 时使用当前值；抛出 {code, message} 时读取失败
+     * @returns {IMockPeripheral} this
+     */
+    onRead(serviceUUID, characteristicUUID, handler) {
+        //@native => this
+        _characteristic(this, serviceUUID, characteristicUUID).onRead = handler;
+        return this;
+    }
+    /**
+     * 自定义写入特征值的响应，写入的值已经保存为当前值
+     * @param {string} serviceUUID
+     * @param {string} characteristicUUID
+     * @param {function(string, IMockPeripheral, boolean)} handler 参数为写入的 hex 字符串、当前外设以及是否为 writeWithResponse；
+     * 抛出 {code, message} 时写入失败
+     * @returns {IMockPeripheral} this
+     */
+    onWrite(serviceUUID, characteristicUUID, handler) {
+        //@native => this
+        _characteristic(this, serviceUUID, characteristicUUID).onWrite = handler;
+        return this;
+    }
+    /**
+     * 接下来的 times 次连接失败
+     * @param {int} [times=1]
+     * @param {int} [code=-1] 失败的错误码，同 IBluetooth.connect 的错误码
+     * @returns {IMockPeripheral} this
+     */
+    failConnect(times = 1, code = CODE_FAILED) {
+        //@native => this
+        for (let i = 0; i < times; i++) {
+            Properties.of(this).connectFailures.push(code);
+        }
+        return this;
+    }
+    /**
+     * 模拟设备主动断开连接，触发 BluetoothEvent.bluetoothConnectionStatusChanged
+     */
+    disconnect() {
+        //@native
+        const self = Properties.of(this);
+        if (!self.connected) {
+            return;
+        }
+        self.connected = false;
+        self.mtu = DEFAULT_MTU;
+        self.services.forEach(s => s.characteristics.forEach(c => (c.notifying = false)));
+        _emitStatus(this, false);
+    }
+    /**
+     * 修改模拟参数，可以修改 rssi、maxMTU、connectDelay、discoveryDelay、latency、disconnectProbability、advertising，含义见 MockBluetooth.addPeripheral
+     * @param {object} options
+     * @returns {IMockPeripheral} this
+     */
+    configure(options = {}) {
+        //@native => this
+        ["rssi", "maxMTU", "connectDelay", "discoveryDelay", "latency", "disconnectProbability", "advertising"].forEach(key => {
+            options[key] !== undefined && (Properties.of(this)[key] = options[key]);
+        });
+        return this;
+    }
+    //@native begin
+    _record(op, serviceUUID = null, characteristicUUID = null, value = undefined) {
+        Properties.of(this).history.push({ op, serviceUUID, characteristicUUID, value, time: Date.now() });
+    }
+    //@native end
+}
+const MockBluetooth = {
+    /**
+     * 是否已经安装
+     * @type {boolean}
+     * @readonly
+     */
+    get isInstalled() {
+        //@native => false
+        return installed;
+    },
+    /**
+     * 安装模拟外设，替换 native.MIOTBluetooth，已经安装时会先卸载
+     * 没有模拟的原生接口(例如蓝牙锁相关接口)仍然使用原来的 native.MIOTBluetooth
+     * @param {object} [options]
+     * @param {Array<object>} [options.peripherals=[]] 外设列表，每项的参数见 addPeripheral
+     * @param {boolean} [options.enabled=true] 手机蓝牙是否打开
+     * @param {int} [options.advertiseInterval=1000] 扫描时外设的广播间隔，单位毫秒
+     * @param {function():number} [options.random=Math.random] 随机断开使用的随机数，测试时可以传入固定的序列
+     * @returns {Array<IMockPeripheral>} 创建的外设
+     */
+    install(options = {}) {
+        //@native :=> []
+        installed && this.uninstall();
+        const { peripherals: list = [], enabled = true, advertiseInterval = 1000, random = Math.random } = options || {};
+        Object.assign(config, { enabled, advertiseInterval, random });
+        original = native.MIOTBluetooth;
+        native.MIOTBluetooth = { ...(original || {}), ..._createModule() };
+        installed = true;
+        return list.map(item => this.addPeripheral(item));
+        //@native end
+    },
+    /**
+     * 卸载，恢复原来的 native.MIOTBluetooth，已连接的外设会先断开
+     */
+    uninstall() {
+        //@native
+        if (!installed) {
+            return;
+        }
+        _stopScan();
+        new Set(peripherals.values()).forEach(p => p.disconnect());
+        peripherals.clear();
+        native.MIOTBluetooth = original;
+        original = undefined;
+        installed = false;
+    },
+    /**
+     * 添加外设
+     * @param {object} options
+     * @param {string} options.mac 外设 mac，Android 使用 mac 连接，mac 与 uuid 至少需要一个
+     * @param {string} [options.uuid] 外设 uuid，iOS 使用 uuid(peripheralID) 连接
+     * @param {string} [options.name] 广播的名称
+     * @param {int} [options.rssi=-60] 信号强度
+     * @param {object|Array} options.services 服务及特征值，格式为 {serviceUUID: {characteristicUUID: {properties, value, onRead, onWrite}}}
+     * 或者 [{uuid, characteristics: [{uuid, properties, value, onRead, onWrite}]}]，
+     * properties 为 read、write、writeWithoutResponse、notify、indicate 的数组，默认为 read、write、writeWithoutResponse、notify
+     * @param {object} [options.serviceData] 广播中的服务数据，{UUID16: hex}，例如 {FE95: '...'}
+     * @param {object} [options.manufacturerData] 广播中的厂商数据，{companyId, data: hex}
+     * @param {string} [options.scanRecord] 完整的广播数据 hex，设置后忽略 name、serviceData、manufacturerData
+     * @param {int} [options.maxMTU=247] 外设支持的最大 MTU，requestMTU 的结果不会超过此值
+     * @param {int} [options.connectDelay=0] 连接耗时，单位毫秒
+     * @param {int} [options.discoveryDelay=0] 发现服务或特征值的耗时，单位毫秒
+     * @param {int} [options.latency=0] 每次读写等操作的耗时，单位毫秒
+     * @param {number} [options.disconnectProbability=0] 每次操作时随机断开的概率，0 - 1
+     * @param {string} [options.version='1.0.0'] getVersion 返回的固件版本
+     * @param {boolean} [options.advertising=true] 扫描时是否可以发现，已连接的外设不会广播
+     * @returns {IMockPeripheral}
+     */
+    addPeripheral(options) {
+        //@native :=> null
+        const peripheral = new IMockPeripheral(options);
+        peripheral.mac && peripherals.set(peripheral.mac, peripheral);
+        peripheral.uuid && peripherals.set(peripheral.uuid, peripheral);
+        return peripheral;
+        //@native end
+    },
+    /**
+     * 移除外设，已连接时会先断开
+     * @param {string} id mac 或 uuid
+     */
+    removePeripheral(id) {
+        //@native
+        const peripheral = _find(id);
+        if (!peripheral) {
+            return;
+        }
+        peripheral.disconnect();
+        peripheral.mac && peripherals.delete(peripheral.mac);
+        peripheral.uuid && peripherals.delete(peripheral.uuid);
+    },
+    /**
+     * 获取外设
+     * @param {string} id mac 或 uuid
+     * @returns {IMockPeripheral} 不存在时返回 null
+     */
+    peripheral(id) {
+        //@native => null
+        return _find(id);
+    },
+    /**
+     * 模拟手机蓝牙打开或关闭，触发 BluetoothEvent.bluetoothStatusChanged，关闭时断开所有外设并停止扫描
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        //@native
+        if (config.enabled === !!enabled) {
+            return;
+        }
+        config.enabled = !!enabled;
+        if (!enabled) {
+            _stopScan();
+            new Set(peripherals.values()).forEach(p => p.disconnect());
+        }
+        MIOTEventEmitter.emit("bluetoothStatusChanged", { isEnabled: config.enabled });
+    }
+};
+export default MockBluetooth;
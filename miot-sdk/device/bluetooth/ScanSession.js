@@ -0,0 +1,351 @@
+/**
+ * @export public
+ * @doc_name 蓝牙扫描会话模块
+ * @doc_index 9
+ * @doc_directory bluetooth
+ * @module miot/device/bluetooth
+ * @description
+ * 蓝牙扫描会话，在 Bluetooth.startScan 的基础上提供：
+ * 1、过滤：按设备名称前缀、mac、厂商 id(companyId)、最小信号强度(RSSI)过滤扫描结果，也可以传入自定义的 filter
+ * 2、去重：同一个设备(Android 为 mac，iOS 为 uuid)只对应一条记录，多次广播只更新记录
+ * 3、信号平滑：对 RSSI 做滑动平均或卡尔曼滤波，避免列表按信号排序时频繁跳动
+ * 4、事件：设备第一次出现时触发 appeared，之后的广播触发 updated(可以通过 updateInterval 限制频率)，
+ *    超过 staleTimeout 没有收到广播时触发 lost 并移除记录
+ * 5、生命周期：页面卸载时需要调用 stop 停止会话；插件退出时会自动停止
+ * 多个会话可以同时进行，共用同一个原生扫描，最后一个会话停止时才停止原生扫描
+ *
+ * @example
+ * import { Bluetooth } from 'miot/device/bluetooth'
+ *
+ * componentDidMount() {
+ *     this._session = Bluetooth.createScanSession({ services: ['FE95'], namePrefix: 'MJ_', minRSSI: -80 });
+ *     this._session.addListener('appeared', () => this.setState({ devices: this._session.devices }));
+ *     this._session.addListener('lost', () => this.setState({ devices: this._session.devices }));
+ *     this._session.start();
+ * }
+ *
+ * componentWillUnmount() {
+ *     this._session.stop();
+ * }
+ */
+import native, { PackageExitAction, Properties } from '../../native';
+import { BluetoothEvent } from './BluetoothDevice';
+import Advertisement from './Advertisement';
+import { BluetoothError, ErrorCode } from '../../MiotError';
+//@native begin
+const EVENTS = ["appeared", "updated", "lost"];
+const DEFAULT_OPTIONS = {
+    services: [],
+    namePrefix: null,
+    macs: null,
+    manufacturerId: null,
+    minRSSI: null,
+    filter: null,
+    smoothing: "average",
+    windowSize: 5,
+    processNoise: 0.01,
+    measurementNoise: 3,
+    staleTimeout: 10000,
+    updateInterval: 1000,
+    bindkeys: {}
+};
+// 原生扫描每次持续的时间，结束后如果还有进行中的会话则重新开始
+const NATIVE_SCAN_DURATION = 30000;
+// 所有进行中的会话共用原生扫描
+const scanner = { sessions: new Set(), timer: 0, services: null };
+function _list(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return Array.isArray(value) ? value : [value];
+}
+function _scanServices() {
+    const services = new Set();
+    for (const session of scanner.sessions) {
+        const list = Properties.of(session).options.services || [];
+        if (list.length === 0) {
+            // 有会话不限制服务时扫描全部设备
+            return [];
+        }
+        list.forEach(uuid => services.add(String(uuid).toUpperCase()));
+    }
+    return [...services].sort();
+}
+// 会话变化后更新原生扫描，服务列表没有变化时不重新开始，避免 Android 频繁开始扫描被系统限制
+function _updateScan(restart = false) {
+    if (scanner.sessions.size === 0) {
+        scanner.timer && clearTimeout(scanner.timer);
+        scanner.timer = 0;
+        scanner.services = null;
+        native.MIOTBluetooth.stopScan();
+        return;
+    }
+    const services = _scanServices();
+    const changed = !scanner.services || scanner.services.join() !== services.join();
+    if (!changed && !restart) {
+        return;
+    }
+    scanner.timer && clearTimeout(scanner.timer);
+    scanner.services && native.MIOTBluetooth.stopScan();
+    scanner.services = services;
+    native.MIOTBluetooth.startLeScan(NATIVE_SCAN_DURATION, services);
+    scanner.timer = setTimeout(() => _updateScan(true), NATIVE_SCAN_DURATION);
+}
+function _createSmoother(options) {
+    const { smoothing, windowSize, processNoise, measurementNoise } = options;
+    if (smoothing === "kalman") {
+        let estimate = null;
+        let error = 1;
+        return rssi => {
+            if (estimate === null) {
+                estimate = rssi;
+                return rssi;
+            }
+            error += processNoise;
+            const gain = error / (error + measurementNoise);
+            estimate += gain * (rssi - estimate);
+            error *= (1 - gain);
+            return Math.round(estimate * 10) / 10;
+        };
+    }
+    if (smoothing === "average") {
+        const samples = [];
+        return rssi => {
+            samples.push(rssi);
+            samples.length > windowSize && samples.shift();
+            return Math.round(samples.reduce((sum, v) => sum + v, 0) / samples.length * 10) / 10;
+        };
+    }
+    return rssi => rssi;
+}
+//@native end
+/**
+ * 蓝牙扫描会话，通过 Bluetooth.createScanSession 创建
+ * @interface
+ */
+export class IScanSession {
+    /**
+     * 是否正在扫描
+     * @member
+     * @type {boolean}
+     * @readonly
+     */
+    get isScanning() {
+        //@native => false
+        return scanner.sessions.has(this);
+    }
+    /**
+     * 当前的设备列表，按平滑后的 rssi 从大到小排序
+     * 每个设备为 {id, mac, uuid, name, rssi, rawRssi, txPower, advertisement, miBeacon, firstSeen, lastSeen, count}
+     * id 为去重使用的 mac 或 uuid，rssi 为平滑后的信号强度，rawRssi 为最近一次广播的信号强度，
+     * advertisement、miBeacon 为 Advertisement.parseScanResult 的解析结果，count 为收到的广播次数
+     * @member
+     * @type {Array<object>}
+     * @readonly
+     */
+    get devices() {
+        //@native => []
+        const { devices } = Properties.of(this);
+        return [...devices.values()].map(d => d.device).sort((a, b) => b.rssi - a.rssi);
+    }
+    /**
+     * 监听设备变化
+     * @param {string} event appeared、updated 或 lost
+     * @param {function(object, IScanSession)} listener 参数为 devices 中的设备及当前会话
+     * @returns {{remove:function}}
+     */
+    addListener(event, listener) {
+        //@native => {remove(){}}
+        if (EVENTS.indexOf(event) < 0) {
+            throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, `unknown scan event ${ event }, should be one of ${ EVENTS.join(", ") }`);
+        }
+        const { listeners } = Properties.of(this);
+        listeners[event].add(listener);
+        return {
+            remove() {
+                listeners[event].delete(listener);
+            }
+        };
+    }
+    /**
+     * 开始扫描，已经开始时不做处理。会话不再使用时(如页面 componentWillUnmount)需要调用 stop
+     * @returns {IScanSession} 当前会话
+     */
+    start() {
+        //@native => this
+        const self = Properties.of(this);
+        if (scanner.sessions.has(this)) {
+            return this;
+        }
+        self.subscription = BluetoothEvent.bluetoothDeviceDiscovered.addListener(result => this._onDiscovered(result));
+        self.staleTimer = setInterval(() => this._sweep(), Math.max(500, Math.min(self.options.staleTimeout / 2, 5000)));
+        self.exitAction = () => this.stop();
+        PackageExitAction.register(self.exitAction);
+        scanner.sessions.add(this);
+        _updateScan();
+        return this;
+    }
+    /**
+     * 停止扫描，已发现的设备会保留在 devices 中，不会触发 lost
+     * @returns {void}
+     */
+    stop() {
+        //@native begin
+        const self = Properties.of(this);
+        if (!scanner.sessions.has(this)) {
+            return;
+        }
+        scanner.sessions.delete(this);
+        self.subscription && self.subscription.remove();
+        self.subscription = null;
+        self.staleTimer && clearInterval(self.staleTimer);
+        self.staleTimer = 0;
+        PackageExitAction.unregister(self.exitAction);
+        _updateScan();
+        //@native end
+    }
+    /**
+     * 清空设备列表，之后收到广播的设备会重新触发 appeared
+     * @returns {void}
+     */
+    clear() {
+        //@native begin
+        Properties.of(this).devices.clear();
+        //@native end
+    }
+    /**
+     * 处理原生的扫描结果
+     * @ignore
+     */
+    _onDiscovered(result) {
+        //@native begin
+        const self = Properties.of(this);
+        const { options } = self;
+        const id = result && (result.mac || result.uuid);
+        if (!id) {
+            return;
+        }
+        const parsed = Advertisement.parseScanResult(result, { bindkeys: options.bindkeys });
+        if (!this._accept(parsed)) {
+            return;
+        }
+        const now = Date.now();
+        const rawRssi = typeof parsed.rssi === "number" ? parsed.rssi : parseInt(parsed.rssi);
+        let entry = self.devices.get(id);
+        const appeared = !entry;
+        if (appeared) {
+            entry = { smoother: _createSmoother(options), notified: 0, device: { id, firstSeen: now, count: 0 } };
+            self.devices.set(id, entry);
+        }
+        const { device } = entry;
+        Object.assign(device, {
+            mac: parsed.mac || device.mac,
+            uuid: parsed.uuid || device.uuid,
+            name: parsed.name || device.name,
+            rssi: isNaN(rawRssi) ? device.rssi : entry.smoother(rawRssi),
+            rawRssi: isNaN(rawRssi) ? device.rawRssi : rawRssi,
+            txPower: parsed.advertisement ? parsed.advertisement.txPower : device.txPower,
+            advertisement: parsed.advertisement || device.advertisement,
+            miBeacon: parsed.miBeacon || device.miBeacon,
+            lastSeen: now,
+            count: device.count + 1
+        });
+        if (appeared) {
+            entry.notified = now;
+            this._emit("appeared", device);
+        } else if (now - entry.notified >= options.updateInterval) {
+            entry.notified = now;
+            this._emit("updated", device);
+        }
+        //@native end
+    }
+    /**
+     * 按过滤条件判断是否保留扫描结果
+     * @ignore
+     */
+    _accept(parsed) {
+        //@native => false
+        const { options } = Properties.of(this);
+        const { namePrefix, macs, manufacturerId, minRSSI, filter } = options;
+        const prefixes = _list(namePrefix);
+        if (prefixes && !prefixes.some(prefix => (parsed.name || "").startsWith(prefix))) {
+            return false;
+        }
+        const macList = _list(macs);
+        if (macList && !macList.some(mac => String(mac).toUpperCase() === String(parsed.mac || parsed.uuid || "").toUpperCase())) {
+            return false;
+        }
+        const companies = _list(manufacturerId);
+        if (companies) {
+            const data = parsed.advertisement ? parsed.advertisement.manufacturerData : [];
+            if (!data.some(item => companies.indexOf(item.companyId) >= 0)) {
+                return false;
+            }
+        }
+        if (typeof minRSSI === "number" && !(parsed.rssi >= minRSSI)) {
+            return false;
+        }
+        return !filter || !!filter(parsed);
+    }
+    /**
+     * 移除超过 staleTimeout 没有收到广播的设备
+     * @ignore
+     */
+    _sweep() {
+        //@native begin
+        const { devices, options } = Properties.of(this);
+        const expire = Date.now() - options.staleTimeout;
+        [...devices.entries()].forEach(([id, entry]) => {
+            if (entry.device.lastSeen < expire) {
+                devices.delete(id);
+                this._emit("lost", entry.device);
+            }
+        });
+        //@native end
+    }
+    /**
+     * @ignore
+     */
+    _emit(event, device) {
+        //@native begin
+        Properties.of(this).listeners[event].forEach(listener => {
+            try {
+                listener(device, this);
+            } catch (err) {
+                // 监听者的异常不能影响其他监听者，交给全局的异常处理
+                setTimeout(() => {
+                    throw err;
+                }, 0);
+            }
+        });
+        //@native end
+    }
+}
+/**
+ * 创建蓝牙扫描会话，同 Bluetooth.createScanSession
+ * @param {object} [options] 见 Bluetooth.createScanSession
+ * @returns {IScanSession}
+ */
+export function createScanSession(options = {}) {
+    //@native begin
+    const merged = { ...DEFAULT_OPTIONS };
+    Object.keys(options || {}).forEach(key => {
+        if (options[key] !== undefined) {
+            merged[key] = options[key];
+        }
+    });
+    if (["average", "kalman", "none"].indexOf(merged.smoothing) < 0) {
+        throw new BluetoothError(ErrorCode.INVALID_ARGUMENT, `unknown smoothing ${ merged.smoothing }, should be average, kalman or none`);
+    }
+    merged.services = _list(merged.services) || [];
+    merged.windowSize = Math.max(1, merged.windowSize | 0);
+    return Properties.init(new IScanSession(), {
+        options: merged,
+        devices: new Map(),
+        listeners: { appeared: new Set(), updated: new Set(), lost: new Set() },
+        subscription: null,
+        staleTimer: 0,
+        exitAction: null
+    });
+    //@native end
+}
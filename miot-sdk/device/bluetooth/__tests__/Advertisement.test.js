@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import Advertisement from '../Advertisement';
+import { ErrorCode } from '../../../MiotError';
+
+const hex = value => Buffer.from(value, "hex");
+const MAC = "A4:C1:38:00:11:22";
+// 广播中的 mac 为小端
+const MAC_LE = "22110038c1a4";
+// 温湿度对象 0x100D：25.3℃，45.0%
+const OBJECT = "0d1004fd00c201";
+const BINDKEY = "00112233445566778899aabbccddeeff";
+// 用 Node 的 AES-CCM 按 MiBeacon v5 的格式生成加密的服务数据
+function encryptedBeacon(bindkey) {
+    const head = "5858" + "5b04" + "12";
+    const extCounter = "010000";
+    const nonce = Buffer.concat([hex(MAC_LE), hex("5b0412"), hex(extCounter)]);
+    const cipher = crypto.createCipheriv("aes-128-ccm", hex(bindkey), nonce, { authTagLength: 4 });
+    cipher.setAAD(hex("11"), { plaintextLength: OBJECT.length / 2 });
+    const encrypted = Buffer.concat([cipher.update(hex(OBJECT)), cipher.final()]).toString("hex");
+    return head + MAC_LE + encrypted + extCounter + cipher.getAuthTag().toString("hex");
+}
+describe("Advertisement.parseMiBeacon", () => {
+    it("parses a plain beacon with mac and objects", () => {
+        const beacon = Advertisement.parseMiBeacon("5050" + "5b04" + "12" + MAC_LE + OBJECT);
+        expect(beacon.version).toBe(5);
+        expect(beacon.productId).toBe(0x045B);
+        expect(beacon.frameCounter).toBe(0x12);
+        expect(beacon.mac.toUpperCase()).toBe(MAC);
+        expect(beacon.encrypted).toBe(false);
+        expect(beacon.objects[0].name).toBe("temperatureAndHumidity");
+        expect(beacon.values).toEqual({ temperature: 25.3, humidity: 45 });
+    });
+    it("decrypts a v5 beacon with the bindkey", () => {
+        const beacon = Advertisement.parseMiBeacon(encryptedBeacon(BINDKEY), { bindkey: BINDKEY });
+        expect(beacon.encrypted).toBe(true);
+        expect(beacon.decrypted).toBe(true);
+        expect(beacon.error).toBeUndefined();
+        expect(beacon.values).toEqual({ temperature: 25.3, humidity: 45 });
+    });
+    it("leaves objects empty without a bindkey", () => {
+        const beacon = Advertisement.parseMiBeacon(encryptedBeacon(BINDKEY));
+        expect(beacon.decrypted).toBe(false);
+        expect(beacon.objects).toEqual([]);
+        expect(beacon.error).toBeUndefined();
+    });
+    it("reports a wrong bindkey as PARSE_ERROR", () => {
+        const beacon = Advertisement.parseMiBeacon(encryptedBeacon(BINDKEY), { bindkey: "ffeeddccbbaa99887766554433221100" });
+        expect(beacon.decrypted).toBe(false);
+        expect(beacon.values).toEqual({});
+        expect(beacon.error.code).toBe(ErrorCode.PARSE_ERROR);
+    });
+    it("does not decrypt old versions", () => {
+        const beacon = Advertisement.parseMiBeacon("5830" + "5b04" + "12" + MAC_LE + "00000000", { bindkey: BINDKEY });
+        expect(beacon.version).toBe(3);
+        expect(beacon.error.code).toBe(ErrorCode.NOT_SUPPORTED);
+    });
+    it("returns null for data too short to be a beacon", () => {
+        expect(Advertisement.parseMiBeacon("5050")).toBeNull();
+    });
+});
+describe("Advertisement.parseScanResult", () => {
+    it("finds and decrypts the mibeacon service data in an android scan record", () => {
+        const serviceData = "95fe" + encryptedBeacon(BINDKEY);
+        const name = Buffer.from("LYWSD03MMC").toString("hex");
+        const scanRecord = "020106" + (serviceData.length / 2 + 1).toString(16).padStart(2, "0") + "16" + serviceData +
+            (name.length / 2 + 1).toString(16).padStart(2, "0") + "09" + name + "0000";
+        const result = Advertisement.parseScanResult({ mac: MAC, rssi: -60, scanRecord }, { bindkeys: { [MAC]: BINDKEY } });
+        expect(result.name).toBe("LYWSD03MMC");
+        expect(result.advertisement.flags).toBe(6);
+        expect(result.miBeacon.values.temperature).toBe(25.3);
+    });
+    it("reads service data from an ios advertisement dictionary", () => {
+        const advertisementData = { kCBAdvDataServiceData: { fe95: "5050" + "5b04" + "12" + MAC_LE + OBJECT }, kCBAdvDataLocalName: "sensor" };
+        const result = Advertisement.parseScanResult({ uuid: "1234", advertisementData });
+        expect(result.name).toBe("sensor");
+        expect(result.miBeacon.values.humidity).toBe(45);
+    });
+});
@@ -0,0 +1,187 @@
+import { ErrorCode } from '../../../MiotError';
+import { crc32 } from '../../../utils/checksum';
+
+const MAC = "A4:C1:38:00:11:22";
+const FRAGMENT_SIZE = 64;
+function load() {
+    const modules = {};
+    jest.isolateModules(() => {
+        require("../../SimulatorSetup").setupNativeModules({ platform: "android" });
+        modules.MockBluetooth = require("../MockBluetooth").default;
+        modules.Bluetooth = require("../index").default;
+        modules.BleOta = require("../BleOta").default;
+        modules.OtaState = require("../BleOta").OtaState;
+        modules.protocol = require("../BleOta").ExampleDfuProtocol;
+        modules.ConnectionState = require("../BluetoothConnection").ConnectionState;
+    });
+    return modules;
+}
+function hex(bytes) {
+    return Buffer.from(bytes).toString("hex");
+}
+function le(value, length) {
+    return Array.from({ length }, (v, i) => (value >>> (i * 8)) & 0xFF);
+}
+/**
+ * 按 ExampleDfuProtocol 实现的模拟固件，hooks 可以在分片结束或数据包写入时注入故障
+ */
+function installFirmware(peripheral, protocol, hooks = {}) {
+    const { command, status } = protocol;
+    const firmware = { fragments: [], lastFragment: -1, current: null, commands: [] };
+    const reply = (cmd, code, payload = []) => {
+        peripheral.notify("FE95", "0017", hex([...le(cmd, 2), code, ...payload]));
+    };
+    peripheral.onWrite("FE95", "0018", value => {
+        const packet = Buffer.from(value, "hex");
+        firmware.current.data.push(...(hooks.packet ? hooks.packet(firmware.current, packet.subarray(2)) : packet.subarray(2)));
+    });
+    peripheral.onWrite("FE95", "0017", value => {
+        const bytes = Buffer.from(value, "hex");
+        const cmd = bytes.readUInt16LE(0);
+        firmware.commands.push(cmd);
+        switch (cmd) {
+            case command.GET_INFO:
+                reply(cmd, status.SUCCESS, [...le(FRAGMENT_SIZE, 2), ...le(firmware.lastFragment < 0 ? 0xFFFF : firmware.lastFragment, 2)]);
+                break;
+            case command.FRAGMENT:
+                firmware.current = { index: bytes.readUInt16LE(2), length: bytes.readUInt32LE(4), data: [] };
+                reply(cmd, status.SUCCESS);
+                break;
+            case command.FRAGMENT_DONE: {
+                const { index, data } = firmware.current;
+                if (crc32(Uint8Array.from(data)) !== bytes.readUInt32LE(4)) {
+                    reply(cmd, status.CRC_ERROR);
+                    break;
+                }
+                firmware.fragments[index] = data;
+                firmware.lastFragment = index;
+                reply(cmd, status.SUCCESS);
+                hooks.fragmentDone && hooks.fragmentDone(index);
+                break;
+            }
+            case command.VERIFY: {
+                const image = Uint8Array.from([].concat(...firmware.fragments));
+                const ok = image.length === bytes.readUInt32LE(2) && crc32(image) === bytes.readUInt32LE(6);
+                reply(cmd, ok ? status.SUCCESS : status.CRC_ERROR);
+                break;
+            }
+            case command.ACTIVATE:
+                reply(cmd, status.SUCCESS);
+                break;
+            default:
+                reply(cmd, status.INVALID_PARAM);
+        }
+    });
+    return firmware;
+}
+describe("BleOta with MockBluetooth", () => {
+    const image = Uint8Array.from({ length: FRAGMENT_SIZE * 4 + 10 }, (v, i) => (i * 7) & 0xFF);
+    let MockBluetooth, Bluetooth, BleOta, OtaState, ConnectionState, protocol, peripheral, ble;
+    beforeEach(() => {
+        ({ MockBluetooth, Bluetooth, BleOta, OtaState, ConnectionState, protocol } = load());
+        [peripheral] = MockBluetooth.install({
+            peripherals: [{
+                mac: MAC, maxMTU: 40,
+                services: {
+                    "FE95": {
+                        "0017": { properties: ["write", "notify"] },
+                        "0018": { properties: ["write", "writeWithoutResponse"] }
+                    }
+                }
+            }]
+        });
+        ble = Bluetooth.createBluetoothLE(MAC);
+    });
+    afterEach(() => {
+        MockBluetooth.uninstall();
+    });
+    it("transfers every fragment, verifies and activates the image", () => {
+        const firmware = installFirmware(peripheral, protocol);
+        const ota = BleOta.create(ble, { image, crc32: crc32(image), protocol });
+        const states = [];
+        ota.addListener(({ state }) => states[states.length - 1] !== state && states.push(state));
+        return ota.start().then(() => {
+            expect(ota.state).toBe(OtaState.DONE);
+            expect(ota.progress).toBe(1);
+            expect(Array.from([].concat(...firmware.fragments))).toEqual(Array.from(image));
+            expect(states).toEqual(expect.arrayContaining([OtaState.CONNECTING, OtaState.PREPARING, OtaState.TRANSFERRING, OtaState.VERIFYING, OtaState.DONE]));
+            // 由升级建立的连接在结束时断开
+            expect(ble.connection.state).not.toBe(ConnectionState.READY);
+        });
+    });
+    it("resends a fragment whose crc32 the device rejects", () => {
+        let corrupted = false;
+        const firmware = installFirmware(peripheral, protocol, {
+            packet(fragment, data) {
+                if (fragment.index === 1 && !corrupted) {
+                    corrupted = true;
+                    return data.map(byte => byte ^ 0xFF);
+                }
+                return data;
+            }
+        });
+        const ota = BleOta.create(ble, { image, protocol });
+        return ota.start().then(() => {
+            const { command } = protocol;
+            expect(corrupted).toBe(true);
+            expect(firmware.commands.filter(cmd => cmd === command.FRAGMENT_DONE)).toHaveLength(6);
+            expect(Array.from([].concat(...firmware.fragments))).toEqual(Array.from(image));
+        });
+    });
+    it("fails with CHECKSUM_MISMATCH after the fragment retries are used up", () => {
+        installFirmware(peripheral, protocol, {
+            packet: (fragment, data) => (fragment.index === 0 ? data.map(byte => byte ^ 0xFF) : data)
+        });
+        const ota = BleOta.create(ble, { image, fragmentRetries: 1, protocol });
+        return ota.start().then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.CHECKSUM_MISMATCH);
+            expect(ota.state).toBe(OtaState.FAILED);
+        });
+    });
+    it("resumes after the last acknowledged fragment when the device disconnects", () => {
+        let dropped = false;
+        const firmware = installFirmware(peripheral, protocol, {
+            fragmentDone(index) {
+                if (index === 1 && !dropped) {
+                    dropped = true;
+                    // 确认分片 1 之后断开，下一个分片开始前传输中断
+                    peripheral.disconnect();
+                }
+            }
+        });
+        const ota = BleOta.create(ble, { image, maxResumes: 1, protocol });
+        return ota.start().then(() => {
+            const { command } = protocol;
+            expect(dropped).toBe(true);
+            expect(firmware.commands.filter(cmd => cmd === command.GET_INFO)).toHaveLength(2);
+            // 续传时从分片 2 开始，不会重发已确认的分片 0 和 1
+            expect(firmware.commands.filter(cmd => cmd === command.FRAGMENT)).toHaveLength(5);
+            expect(Array.from([].concat(...firmware.fragments))).toEqual(Array.from(image));
+            expect(peripheral.history.filter(item => item.op === "connect").length).toBeGreaterThan(1);
+        });
+    }, 10000);
+    it("requires a complete protocol", () => {
+        const invalid = expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT });
+        expect(() => BleOta.create(ble, { image })).toThrow(invalid);
+        const { parseInfo, ...incomplete } = protocol;
+        expect(parseInfo).toBeDefined();
+        expect(() => BleOta.create(ble, { image, protocol: incomplete })).toThrow(expect.objectContaining({ message: expect.stringContaining("parseInfo") }));
+        // 在示例协议的基础上覆盖字段
+        const ota = BleOta.create(ble, { image, protocol: { ...protocol, controlUUID: "0019" } });
+        expect(ota.state).toBe(OtaState.IDLE);
+    });
+    it("rejects with CANCELLED when cancelled", () => {
+        installFirmware(peripheral, protocol);
+        const ota = BleOta.create(ble, { image, protocol });
+        const promise = ota.start();
+        ota.cancel();
+        return promise.then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.CANCELLED);
+            expect(ota.state).toBe(OtaState.CANCELLED);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+import BleTransfer, { DefaultFrameCodec } from '../BleTransfer';
+import { BluetoothError, ErrorCode } from '../../../MiotError';
+
+function range(length) {
+    return Uint8Array.from({ length }, (v, i) => i & 0xFF);
+}
+describe("BleTransfer.split", () => {
+    it("splits data into numbered frames", () => {
+        const frames = BleTransfer.split(range(10), 8);
+        expect(frames).toHaveLength(3);
+        expect(Array.from(frames[0])).toEqual([0, 0, 3, 0, 0, 1, 2, 3]);
+        expect(Array.from(frames[2])).toEqual([2, 0, 3, 0, 8, 9]);
+    });
+    it("accepts hex strings and sends empty data as one frame", () => {
+        expect(Array.from(BleTransfer.split("0a0b", 20)[0])).toEqual([0, 0, 1, 0, 10, 11]);
+        expect(Array.from(BleTransfer.split(new Uint8Array(0), 20)[0])).toEqual([0, 0, 1, 0]);
+    });
+    it("rejects frames too small for the header", () => {
+        expect(() => BleTransfer.split(range(4), 4)).toThrow(BluetoothError);
+        expect(() => BleTransfer.split(range(4), 4)).toThrow(/too small/);
+    });
+});
+describe("BleTransfer.createAssembler", () => {
+    it("reassembles out of order frames and ignores duplicates", () => {
+        const messages = [];
+        const progress = [];
+        const assembler = BleTransfer.createAssembler(message => messages.push(Array.from(message)), {
+            onProgress: ({ frames }) => progress.push(frames)
+        });
+        const frames = BleTransfer.split(range(10), 8);
+        assembler.push(frames[2]);
+        assembler.push(frames[2]);
+        assembler.push(frames[0]);
+        assembler.push("0100");
+        assembler.push(frames[1]);
+        expect(messages).toEqual([Array.from(range(10))]);
+        expect(progress).toEqual([1, 2, 3]);
+    });
+    it("drops an unfinished message after the timeout", () => {
+        jest.useFakeTimers();
+        const messages = [];
+        const assembler = BleTransfer.createAssembler(message => messages.push(message), { timeout: 100 });
+        const first = BleTransfer.split(range(10), 8);
+        assembler.push(first[0]);
+        assembler.push(first[1]);
+        jest.advanceTimersByTime(100);
+        assembler.push(first[2]);
+        expect(messages).toHaveLength(0);
+        jest.useRealTimers();
+    });
+});
+describe("BleTransfer.send", () => {
+    it("writes with response every ackEvery frames and on the last frame", () => {
+        const writes = [];
+        const record = kind => hex => {
+            writes.push([kind, hex]);
+            return Promise.resolve();
+        };
+        const characteristic = { write: record("write"), writeWithoutResponse: record("withoutResponse") };
+        const progress = [];
+        return BleTransfer.send(characteristic, range(20), { mtu: 11, ackEvery: 2, onProgress: p => progress.push(p) }).then(count => {
+            expect(count).toBe(5);
+            expect(writes.map(([kind]) => kind)).toEqual(["withoutResponse", "write", "withoutResponse", "write", "write"]);
+            expect(writes[0][1]).toBe("0000050000010203");
+            expect(progress[4]).toEqual({ frames: 5, totalFrames: 5, bytes: 20, totalBytes: 20 });
+        });
+    });
+    it("stops at the first failed write", () => {
+        const characteristic = {
+            write: jest.fn(() => Promise.resolve()),
+            writeWithoutResponse: jest.fn(() => Promise.reject(new BluetoothError(ErrorCode.NOT_CONNECTED, "disconnected")))
+        };
+        return BleTransfer.send(characteristic, range(20), { mtu: 11, ackEvery: 0 }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.NOT_CONNECTED);
+            expect(characteristic.writeWithoutResponse).toHaveBeenCalledTimes(1);
+        });
+    });
+});
+describe("DefaultFrameCodec", () => {
+    it("rejects invalid frames", () => {
+        expect(DefaultFrameCodec.decode(Uint8Array.from([0, 0, 0, 0]))).toBeNull();
+        expect(DefaultFrameCodec.decode(Uint8Array.from([2, 0, 2, 0]))).toBeNull();
+        expect(DefaultFrameCodec.decode(Uint8Array.from([1, 0]))).toBeNull();
+    });
+});
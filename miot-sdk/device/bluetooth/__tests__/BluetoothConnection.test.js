@@ -0,0 +1,151 @@
+const MAC = "A4:C1:38:00:11:22";
+// 每个用例从头加载 native 及蓝牙模块
+function load() {
+    const modules = {};
+    jest.isolateModules(() => {
+        require("../../SimulatorSetup").setupNativeModules({ platform: "android" });
+        modules.MockBluetooth = require("../MockBluetooth").default;
+        modules.Bluetooth = require("../index").default;
+        modules.BluetoothEvent = require("../BluetoothDevice").BluetoothEvent;
+        modules.ConnectionState = require("../BluetoothConnection").ConnectionState;
+        modules.ErrorCode = require("../../../MiotError").ErrorCode;
+    });
+    return modules;
+}
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+describe("IBluetoothConnection", () => {
+    let MockBluetooth, Bluetooth, BluetoothEvent, ConnectionState, ErrorCode, peripheral, ble, connection, states, events, subscriptions;
+    beforeEach(() => {
+        ({ MockBluetooth, Bluetooth, BluetoothEvent, ConnectionState, ErrorCode } = load());
+        [peripheral] = MockBluetooth.install({
+            peripherals: [{
+                mac: MAC, name: "MJ_HT",
+                services: { "FE95": { "0010": { properties: ["write", "notify"] }, "0004": { properties: ["read"], value: "01" } } }
+            }]
+        });
+        ble = Bluetooth.createBluetoothLE(MAC);
+        connection = ble.connection;
+        // 记录状态变化及其时间
+        states = [];
+        events = [];
+        subscriptions = [
+            connection.addListener((state, previous) => states.push({ state, previous, time: Date.now() })),
+            BluetoothEvent.bluetoothConnectionStateChanged.addListener((bluetooth, state, previous) => bluetooth === ble && events.push([state, previous]))
+        ];
+    });
+    afterEach(() => {
+        subscriptions.forEach(s => s.remove());
+        return connection.stop().then(() => MockBluetooth.uninstall());
+    });
+    // 等待进入 state，count 为第几次进入
+    function waitState(state, count = 1) {
+        return new Promise(resolve => {
+            const check = () => (states.filter(s => s.state === state).length >= count ? resolve() : setTimeout(check, 5));
+            check();
+        });
+    }
+    it("connects, discovers services and reports each state", () => {
+        return connection.start({ services: { "FE95": ["0010"] } }).then(result => {
+            expect(result).toBe(ble);
+            expect(connection.isReady).toBe(true);
+            expect(states.map(s => s.state)).toEqual([ConnectionState.CONNECTING, ConnectionState.DISCOVERING, ConnectionState.READY]);
+            expect(events).toEqual([
+                [ConnectionState.CONNECTING, ConnectionState.IDLE],
+                [ConnectionState.DISCOVERING, ConnectionState.CONNECTING],
+                [ConnectionState.READY, ConnectionState.DISCOVERING]
+            ]);
+            expect(ble.getService("FE95").getCharacteristic("0010").isDiscovered).toBe(true);
+            // 已经 ready 时直接 resolve
+            return connection.start();
+        }).then(result => {
+            expect(result).toBe(ble);
+            return connection.stop();
+        }).then(() => {
+            expect(connection.state).toBe(ConnectionState.IDLE);
+            expect(states.slice(-2).map(s => s.state)).toEqual([ConnectionState.DISCONNECTING, ConnectionState.IDLE]);
+            expect(peripheral.isConnected).toBe(false);
+        });
+    });
+    it("retries failed connects with a capped exponential backoff", () => {
+        peripheral.failConnect(3, -7);
+        return connection.start({ backoff: 40, maxBackoff: 60 }).then(() => {
+            const connecting = states.filter(s => s.state === ConnectionState.CONNECTING);
+            const backoff = states.filter(s => s.state === ConnectionState.BACKOFF);
+            expect(connecting.length).toBe(4);
+            expect(backoff.length).toBe(3);
+            // 等待时间依次为 40、60(80 超过上限)、60(160 超过上限)
+            const waits = backoff.map((s, i) => connecting[i + 1].time - s.time);
+            expect(waits[0]).toBeGreaterThanOrEqual(35);
+            expect(waits[1]).toBeGreaterThanOrEqual(55);
+            expect(waits[2]).toBeGreaterThanOrEqual(55);
+            expect(waits[2]).toBeLessThan(150);
+            expect(connection.attempts).toBe(0);
+            expect(connection.lastError).toBeNull();
+            expect(peripheral.history.filter(h => h.op === "connect").length).toBe(4);
+        });
+    });
+    it("gives up after maxRetries with the last error", () => {
+        peripheral.failConnect(5, -7);
+        return connection.start({ backoff: 5, maxRetries: 2 }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.TIMEOUT);
+            expect(err).toBe(connection.lastError);
+            expect(connection.attempts).toBe(3);
+            expect(connection.state).toBe(ConnectionState.IDLE);
+            expect(peripheral.history.filter(h => h.op === "connect").length).toBe(3);
+        });
+    });
+    it("reconnects after an unexpected disconnect and restores notify", () => {
+        const character = () => ble.getService("FE95").getCharacteristic("0010");
+        return connection.start({ services: { "FE95": ["0010"] }, backoff: 10 }).then(() => character().setNotify(true)).then(() => {
+            peripheral.disconnect();
+            expect(connection.state).toBe(ConnectionState.BACKOFF);
+            expect(connection.lastError.code).toBe(ErrorCode.NOT_CONNECTED);
+            return waitState(ConnectionState.READY, 2);
+        }).then(() => {
+            expect(states.map(s => s.state).slice(3)).toEqual([
+                ConnectionState.BACKOFF, ConnectionState.CONNECTING, ConnectionState.DISCOVERING, ConnectionState.READY
+            ]);
+            expect(peripheral.history.filter(h => h.op === "notify").map(h => h.value)).toEqual([true, true]);
+            const received = new Promise(resolve => {
+                const subscription = BluetoothEvent.bluetoothCharacteristicValueChanged.addListener((bluetooth, service, c, value) => {
+                    subscription.remove();
+                    resolve(value);
+                });
+            });
+            peripheral.notify("FE95", "0010", "AB");
+            return received;
+        }).then(value => {
+            expect(value.toUpperCase()).toBe("AB");
+        });
+    });
+    it("reconnects when an operation disconnects at random", () => {
+        return connection.start({ services: { "FE95": ["0004"] }, backoff: 10 }).then(() => {
+            peripheral.configure({ disconnectProbability: 1 });
+            return ble.getService("FE95").getCharacteristic("0004").read().then(() => {
+                throw new Error("should fail");
+            }, () => {
+                peripheral.configure({ disconnectProbability: 0 });
+                return waitState(ConnectionState.READY, 2);
+            });
+        }).then(() => {
+            expect(states.filter(s => s.state === ConnectionState.BACKOFF).length).toBe(1);
+            return ble.getService("FE95").getCharacteristic("0004").read();
+        }).then(character => {
+            expect(character.value).toBe("01");
+        });
+    });
+    it("stops retrying when stopped during backoff", () => {
+        peripheral.failConnect(1, -7);
+        const started = connection.start({ backoff: 100 }).catch(err => err);
+        return waitState(ConnectionState.BACKOFF).then(() => connection.stop()).then(() => started).then(err => {
+            expect(err.code).toBe(ErrorCode.CANCELLED);
+            expect(connection.state).toBe(ConnectionState.IDLE);
+            return delay(150);
+        }).then(() => {
+            expect(peripheral.history.filter(h => h.op === "connect").length).toBe(1);
+            expect(states.map(s => s.state)).toEqual([ConnectionState.CONNECTING, ConnectionState.BACKOFF, ConnectionState.IDLE]);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+import GattQueue from '../GattQueue';
+import { BluetoothError, ErrorCode } from '../../../MiotError';
+
+// 返回一个手动完成的操作，started 记录开始执行的顺序
+function deferred(name, started) {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    const task = () => {
+        started.push(name);
+        return promise;
+    };
+    return { task, resolve, reject };
+}
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+describe("GattQueue", () => {
+    it("runs operations of the same device one at a time", () => {
+        const started = [];
+        const a = deferred("a", started);
+        const b = deferred("b", started);
+        const other = deferred("other", started);
+        const results = Promise.all([GattQueue.enqueue("mac1", a.task), GattQueue.enqueue("mac1", b.task), GattQueue.enqueue("mac2", other.task)]);
+        return tick().then(() => {
+            expect(started).toEqual(["a", "other"]);
+            expect(GattQueue.size("mac1")).toBe(2);
+            a.resolve(1);
+            other.resolve(3);
+            return tick();
+        }).then(() => {
+            expect(started).toEqual(["a", "other", "b"]);
+            b.resolve(2);
+            return results;
+        }).then(values => {
+            expect(values).toEqual([1, 2, 3]);
+            expect(GattQueue.size("mac1")).toBe(0);
+        });
+    });
+    it("runs waiting operations by priority, first in first out", () => {
+        const started = [];
+        const running = deferred("running", started);
+        const ops = [["low", GattQueue.PRIORITY.LOW], ["normal1"], ["high", GattQueue.PRIORITY.HIGH], ["normal2"]];
+        const all = [GattQueue.enqueue("mac3", running.task)].concat(ops.map(([name, priority]) => {
+            return GattQueue.enqueue("mac3", () => started.push(name), { priority });
+        }));
+        running.resolve();
+        return Promise.all(all).then(() => {
+            expect(started).toEqual(["running", "high", "normal1", "normal2", "low"]);
+        });
+    });
+    it("fails a hung operation with TIMEOUT and continues with the next", () => {
+        const hung = GattQueue.enqueue("mac4", () => new Promise(() => { }), { timeout: 20, name: "read" });
+        const next = GattQueue.enqueue("mac4", () => "next");
+        return hung.then(() => {
+            throw new Error("should time out");
+        }, err => {
+            expect(err).toBeInstanceOf(BluetoothError);
+            expect(err.code).toBe(ErrorCode.TIMEOUT);
+            expect(err.message).toContain("read");
+            return next;
+        }).then(res => {
+            expect(res).toBe("next");
+        });
+    });
+    it("cancels running and waiting operations", () => {
+        const running = GattQueue.enqueue("mac5", () => new Promise(() => { }));
+        const waiting = GattQueue.enqueue("mac5", () => "never");
+        expect(GattQueue.cancel("mac5")).toBe(2);
+        expect(GattQueue.size("mac5")).toBe(0);
+        return Promise.all([running, waiting].map(p => p.then(() => null, err => err.code))).then(codes => {
+            expect(codes).toEqual([ErrorCode.CANCELLED, ErrorCode.CANCELLED]);
+        });
+    });
+});
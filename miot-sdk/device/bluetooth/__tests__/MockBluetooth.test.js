@@ -0,0 +1,141 @@
+const MAC = "A4:C1:38:00:11:22";
+const UUID = "6F1A2B3C-0000-4000-8000-00805F9B34FB";
+// 每个平台都从头加载 native 及蓝牙模块，Platform.OS 需要在加载前设置
+function load(platform) {
+    const modules = {};
+    jest.isolateModules(() => {
+        require("../../SimulatorSetup").setupNativeModules({ platform });
+        modules.MockBluetooth = require("../MockBluetooth").default;
+        modules.Bluetooth = require("../index").default;
+        modules.BluetoothEvent = require("../BluetoothDevice").BluetoothEvent;
+        modules.GattQueue = require("../GattQueue").default;
+        modules.BleTransfer = require("../BleTransfer").default;
+    });
+    return modules;
+}
+function waitFor(event, predicate = () => true) {
+    return new Promise(resolve => {
+        const subscription = event.addListener((...args) => {
+            if (predicate(...args)) {
+                subscription.remove();
+                resolve(args);
+            }
+        });
+    });
+}
+describe.each(["ios", "android"])("MockBluetooth on %s", platform => {
+    let MockBluetooth, Bluetooth, BluetoothEvent, GattQueue, BleTransfer, peripheral, ble;
+    // Android 使用 mac 连接，iOS 使用 uuid(peripheralID) 连接
+    const id = platform === "ios" ? UUID : MAC;
+    beforeEach(() => {
+        ({ MockBluetooth, Bluetooth, BluetoothEvent, GattQueue, BleTransfer } = load(platform));
+        [peripheral] = MockBluetooth.install({
+            peripherals: [{
+                mac: MAC, uuid: UUID, name: "MJ_HT", maxMTU: 64,
+                services: {
+                    "FE95": {
+                        "0004": { properties: ["read"], value: "312E302E30" },
+                        "0010": { properties: ["write", "writeWithoutResponse", "notify"] }
+                    }
+                }
+            }]
+        });
+        ble = Bluetooth.createBluetoothLE(id);
+    });
+    afterEach(() => {
+        MockBluetooth.uninstall();
+    });
+    function connect() {
+        const discovered = waitFor(BluetoothEvent.bluetoothCharacteristicDiscovered);
+        return ble.connect(3).then(() => {
+            const services = waitFor(BluetoothEvent.bluetoothSeviceDiscovered);
+            ble.startDiscoverServices("FE95");
+            return services;
+        }).then(() => {
+            ble.getService("FE95").startDiscoverCharacteristics("0004", "0010");
+            return discovered;
+        }).then(() => ble.getService("FE95"));
+    }
+    it("connects, discovers and reads through IBluetooth", () => {
+        return connect().then(service => {
+            expect(ble.isConnected).toBe(true);
+            expect(peripheral.isConnected).toBe(true);
+            return service.getCharacteristic("0004").read();
+        }).then(characteristic => {
+            expect(characteristic.value).toBe("312E302E30");
+            expect(peripheral.history.map(item => item.op)).toEqual(["connect", "discoverServices", "discoverCharacteristics", "read"]);
+        });
+    });
+    it("runs characteristic operations one at a time through GattQueue", () => {
+        peripheral.configure({ latency: 5 });
+        return connect().then(service => {
+            const characteristic = service.getCharacteristic("0010");
+            const writes = ["01", "02", "03"].map(value => characteristic.write(value));
+            expect(GattQueue.size(peripheral.id)).toBe(3);
+            return Promise.all(writes);
+        }).then(() => {
+            expect(peripheral.history.filter(item => item.op === "write").map(item => item.value)).toEqual(["01", "02", "03"]);
+            expect(GattQueue.size(peripheral.id)).toBe(0);
+        });
+    });
+    it("rejects writes larger than the negotiated mtu", () => {
+        return connect().then(service => service.getCharacteristic("0010").write("00".repeat(21))).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.message).toMatch(/exceeds 20 bytes/);
+        });
+    });
+    it("sends chunked data with BleTransfer within the mtu", () => {
+        const received = BleTransfer.createAssembler(() => {});
+        const frames = [];
+        peripheral.onWrite("FE95", "0010", value => {
+            frames.push(value);
+            received.push(value);
+        });
+        return connect().then(service => ble.requestMTU(247).then(mtu => {
+            expect(mtu).toBe(64);
+            return service.getCharacteristic("0010").sendChunked(Uint8Array.from({ length: 200 }, (v, i) => i), { ackEvery: 2 });
+        })).then(count => {
+            expect(count).toBe(frames.length);
+            expect(frames.every(frame => frame.length / 2 <= 61)).toBe(true);
+            const ops = peripheral.history.filter(item => item.op === "write" || item.op === "writeWithoutResponse").map(item => item.op);
+            expect(ops[0]).toBe("writeWithoutResponse");
+            expect(ops[1]).toBe("write");
+            expect(ops[ops.length - 1]).toBe("write");
+        });
+    });
+    it("receives chunked notifications with BleTransfer", () => {
+        const message = Uint8Array.from({ length: 50 }, (v, i) => 255 - i);
+        let subscription;
+        return connect().then(service => {
+            const characteristic = service.getCharacteristic("0010");
+            const received = new Promise(resolve => {
+                subscription = characteristic.receiveChunked(resolve);
+            });
+            return characteristic.setNotify(true).then(() => {
+                BleTransfer.split(message, 20).reverse().forEach(frame => {
+                    expect(peripheral.notify("FE95", "0010", Buffer.from(frame).toString("hex"))).toBe(true);
+                });
+                return received;
+            });
+        }).then(result => {
+            subscription.remove();
+            expect(Array.from(result)).toEqual(Array.from(message));
+        });
+    });
+    it("cancels queued operations when the peripheral disconnects", () => {
+        peripheral.configure({ latency: 20 });
+        return connect().then(service => {
+            const characteristic = service.getCharacteristic("0010");
+            const first = characteristic.write("01");
+            const second = characteristic.write("02");
+            const disconnected = waitFor(BluetoothEvent.bluetoothConnectionStatusChanged, (bluetooth, isConnected) => !isConnected);
+            peripheral.disconnect();
+            return disconnected.then(() => Promise.all([first.catch(err => err), second.catch(err => err)]));
+        }).then(([first, second]) => {
+            expect(ble.isConnected).toBe(false);
+            expect(first).toBeInstanceOf(Error);
+            expect(second).toBeInstanceOf(Error);
+        });
+    });
+});
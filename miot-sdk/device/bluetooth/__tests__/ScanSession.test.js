@@ -0,0 +1,149 @@
+const MAC = "A4:C1:38:00:11:22";
+// 每个用例从头加载 native 及蓝牙模块
+function load() {
+    const modules = {};
+    jest.isolateModules(() => {
+        require("../../SimulatorSetup").setupNativeModules({ platform: "android" });
+        modules.MockBluetooth = require("../MockBluetooth").default;
+        modules.Bluetooth = require("../index").default;
+        modules.ErrorCode = require("../../../MiotError").ErrorCode;
+        modules.native = require("../../../native").default;
+    });
+    return modules;
+}
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+function waitFor(session, event, count = 1) {
+    return new Promise(resolve => {
+        const received = [];
+        const subscription = session.addListener(event, device => {
+            received.push({ ...device });
+            if (received.length >= count) {
+                subscription.remove();
+                resolve(received);
+            }
+        });
+    });
+}
+describe("IScanSession", () => {
+    let MockBluetooth, Bluetooth, ErrorCode, native, sessions;
+    beforeEach(() => {
+        ({ MockBluetooth, Bluetooth, ErrorCode, native } = load());
+        sessions = [];
+    });
+    afterEach(() => {
+        sessions.forEach(session => session.stop());
+        MockBluetooth.uninstall();
+    });
+    function install(peripherals, advertiseInterval = 20) {
+        return MockBluetooth.install({ peripherals, advertiseInterval });
+    }
+    function create(options) {
+        const session = Bluetooth.createScanSession(options);
+        sessions.push(session);
+        return session;
+    }
+    it("filters by name, mac, manufacturer and rssi", () => {
+        install([
+            { mac: MAC, name: "MJ_HT", rssi: -50, manufacturerData: { companyId: 0x038F, data: "01" } },
+            { mac: "A4:C1:38:00:11:33", name: "MJ_LT", rssi: -90 },
+            { mac: "A4:C1:38:00:11:44", name: "Other", rssi: -40 }
+        ]);
+        const names = session => session.devices.map(device => device.name).sort();
+        const byName = create({ namePrefix: "MJ_" }).start();
+        const byMac = create({ macs: ["a4:c1:38:00:11:33"] }).start();
+        const byCompany = create({ manufacturerId: 0x038F }).start();
+        const byRSSI = create({ minRSSI: -80 }).start();
+        const custom = create({ namePrefix: ["MJ_", "Oth"], filter: result => result.rssi > -60 }).start();
+        return delay(100).then(() => {
+            expect(names(byName)).toEqual(["MJ_HT", "MJ_LT"]);
+            expect(names(byMac)).toEqual(["MJ_LT"]);
+            expect(names(byCompany)).toEqual(["MJ_HT"]);
+            expect(names(byRSSI)).toEqual(["MJ_HT", "Other"]);
+            expect(names(custom)).toEqual(["MJ_HT", "Other"]);
+            // 按信号强度排序
+            expect(byRSSI.devices.map(device => device.name)).toEqual(["Other", "MJ_HT"]);
+        });
+    });
+    it("keeps one record per device and limits updated events", () => {
+        install([{ mac: MAC, name: "MJ_HT" }], 10);
+        const session = create({ updateInterval: 0 });
+        const appeared = jest.fn();
+        session.addListener("appeared", appeared);
+        const updated = waitFor(session, "updated", 3);
+        session.start();
+        return updated.then(devices => {
+            expect(appeared).toHaveBeenCalledTimes(1);
+            expect(session.devices.length).toBe(1);
+            const [device] = session.devices;
+            expect(device).toMatchObject({ id: MAC, mac: MAC, name: "MJ_HT" });
+            expect(devices.map(d => d.count)).toEqual([2, 3, 4]);
+            expect(device.lastSeen).toBeGreaterThanOrEqual(device.firstSeen);
+            // updateInterval 内的广播只更新记录
+            const limited = create({ updateInterval: 10000 });
+            const events = jest.fn();
+            limited.addListener("updated", events);
+            limited.start();
+            return delay(80).then(() => {
+                expect(limited.devices[0].count).toBeGreaterThan(2);
+                expect(events).not.toHaveBeenCalled();
+            });
+        });
+    });
+    it("smooths rssi with a moving average or a kalman filter", () => {
+        const [peripheral] = install([{ mac: MAC, name: "MJ_HT", rssi: -60 }]);
+        const average = create({ windowSize: 2, updateInterval: 0 });
+        const kalman = create({ smoothing: "kalman", updateInterval: 0 });
+        const none = create({ smoothing: "none", updateInterval: 0 });
+        const appeared = Promise.all([average, kalman, none].map(session => waitFor(session, "appeared")));
+        [average, kalman, none].forEach(session => session.start());
+        return appeared.then(() => {
+            peripheral.configure({ rssi: -40 });
+            return Promise.all([average, kalman, none].map(session => waitFor(session, "updated", 2)));
+        }).then(([a, k, n]) => {
+            // 窗口为 2 时第一次更新为两次广播的平均值，之后完全为新值
+            expect(a.map(d => [d.rssi, d.rawRssi])).toEqual([[-50, -40], [-40, -40]]);
+            expect(k[0].rssi).toBeGreaterThan(-60);
+            expect(k[0].rssi).toBeLessThan(-40);
+            expect(k[1].rssi).toBeGreaterThan(k[0].rssi);
+            expect(n.map(d => d.rssi)).toEqual([-40, -40]);
+            expect(() => Bluetooth.createScanSession({ smoothing: "median" })).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+        });
+    });
+    it("reports devices lost after staleTimeout", () => {
+        const [peripheral] = install([{ mac: MAC, name: "MJ_HT" }]);
+        const session = create({ staleTimeout: 100 });
+        return waitFor(session.start(), "appeared").then(() => {
+            peripheral.configure({ advertising: false });
+            return waitFor(session, "lost");
+        }).then(([device]) => {
+            expect(device.id).toBe(MAC);
+            expect(Date.now() - device.lastSeen).toBeGreaterThanOrEqual(100);
+            expect(session.devices).toEqual([]);
+            // 重新广播后再次出现
+            peripheral.configure({ advertising: true });
+            return waitFor(session, "appeared");
+        }).then(([device]) => {
+            expect(device.count).toBe(1);
+        });
+    });
+    it("keeps devices after stop and stops the native scan with the last session", () => {
+        install([{ mac: MAC, name: "MJ_HT" }]);
+        const first = create({}).start();
+        const second = create({ services: ["FE95"] }).start();
+        const stopScan = jest.spyOn(native.MIOTBluetooth, "stopScan");
+        return waitFor(first, "appeared").then(() => {
+            first.stop();
+            expect(first.isScanning).toBe(false);
+            expect(second.isScanning).toBe(true);
+            const count = first.devices[0].count;
+            return delay(60).then(() => {
+                expect(first.devices[0].count).toBe(count);
+                stopScan.mockClear();
+                second.stop();
+                expect(stopScan).toHaveBeenCalledTimes(1);
+                first.clear();
+                expect(first.devices).toEqual([]);
+            });
+        });
+    });
+});
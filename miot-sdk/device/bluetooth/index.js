@@ -38,6 +38,8 @@
 import native, { Properties } from '../../native';
 import { IBluetooth as BluetoothDevice, getMacUuid, setMacUuid, IBluetooth } from './BluetoothDevice'
 import LockDevice from './LockDevice';
+import { createScanSession } from './ScanSession';
+import { BluetoothError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../../MiotError';
 export const getBluetoothUUID128 = id => {
     if (!id || id == '') return null;
     id = id.toUpperCase();
@@ -111,7 +113,7 @@ export function takeBluetooth(mac, uuid, isClassic = false) {
  * 蓝牙操作入口类
  * @interface
  */
-export default {
+export default wrapPromiseErrors({
     /**
      * 标准化蓝牙UUID为128位大写
      * @param {string} id
@@ -243,6 +245,38 @@ export default {
         native.MIOTBluetooth.stopScan();
         //@native end
     },
+    /**
+     * 创建蓝牙扫描会话，支持过滤、去重、信号平滑以及设备出现/更新/消失事件，详见 IScanSession
+     * 会话共用原生扫描，使用会话时不要再直接调用 startScan、stopScan
+     * @since 10035
+     * @param {object} [options]
+     * @param {Array<string>} [options.services=[]] 扫描包含了这些服务的设备，同 startScan 的 serviceUUIDs，为空时扫描全部
+     * @param {string|Array<string>} [options.namePrefix] 只保留名称以此开头的设备
+     * @param {string|Array<string>} [options.macs] 只保留这些 mac(iOS 为 uuid) 的设备
+     * @param {int|Array<int>} [options.manufacturerId] 只保留厂商数据中 companyId 为此值的设备
+     * @param {int} [options.minRSSI] 只保留信号强度不小于此值的广播
+     * @param {function(object):boolean} [options.filter] 自定义过滤，参数为 Advertisement.parseScanResult 的结果
+     * @param {string} [options.smoothing='average'] 信号平滑方式：average(滑动平均)、kalman(卡尔曼滤波)、none
+     * @param {int} [options.windowSize=5] 滑动平均的窗口大小
+     * @param {number} [options.processNoise=0.01] 卡尔曼滤波的过程噪声，越大越跟随最新的信号
+     * @param {number} [options.measurementNoise=3] 卡尔曼滤波的测量噪声，越大越平滑
+     * @param {int} [options.staleTimeout=10000] 超过此时间(毫秒)没有收到广播的设备视为消失
+     * @param {int} [options.updateInterval=1000] 同一设备两次 updated 事件的最小间隔(毫秒)，0 表示每次广播都通知
+     * @param {object} [options.bindkeys={}] 设备 mac => bindkey，用于解密 MiBeacon
+     * @returns {IScanSession}
+     * @example
+     * import {Bluetooth} from 'miot/device/bluetooth'
+     * const session = Bluetooth.createScanSession({ services: ['FE95'], minRSSI: -80, smoothing: 'kalman' });
+     * session.addListener('appeared', device => console.log(device.id, device.name, device.rssi));
+     * session.start();
+     * // 页面卸载时
+     * session.stop();
+     */
+    createScanSession(options = {}) {
+        //@native :=> null
+        return createScanSession(options);
+        //@native end
+    },
     /**
      * iOS 平台获取已连接 BLE的蓝牙设备，适用于可穿戴长连接设备，一般此种类型的设备不需要断开。此方法可以理解为，根据UUID去获取已经连接的蓝牙设备
      * 已经连接的蓝牙设备不会发送广播，所以通过下面两行代码连接，必定返回失败：
@@ -253,7 +287,7 @@ export default {
      * @example
      *   Bluetooth.retrievePeripheralsForIOS("PeripheralUUID1","PeripheralUUID2","PeripheralUUID3")
      * @returns {Promise<Map<uuid,IBluetooth>>} resolve: 返回一个map，key为UUID，value为IBluetooth对象
-     *           reject: false（android调用时）
+     *           reject: BluetoothError，code 为 NOT_SUPPORTED（android调用时）
      */
     retrievePeripheralsForIOS(...UUIDs) {
         //@native :=> promise
@@ -263,7 +297,7 @@ export default {
                     resolve(result);
                 });
             } else {
-                reject(false);
+                reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "only supported on iOS"));
             }
         })
         //@native end
@@ -276,7 +310,7 @@ export default {
      * @example
      *   Bluetooth.retrievePeripheralsWithServicesForIOS("serviceUUID1","serviceUUID2","serviceUUID3")
      * @returns {Promise<Map<uuid,IBluetooth>>}  resolve：返回一个map，key为UUID，value为IBluetooth对象
-     *            reject：false（android调用时）
+     *            reject：BluetoothError，code 为 NOT_SUPPORTED（android调用时）
      */
     retrievePeripheralsWithServicesForIOS(...UUIDs) {
         //@native :=> promise
@@ -286,7 +320,7 @@ export default {
                     resolve(result);
                 });
             } else {
-                reject(false);
+                reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "only supported on iOS"));
             }
         })
         //@native end
@@ -371,8 +405,8 @@ export default {
                 native.MIOTBluetooth.setAlertConfigs(mac, alert, enable, result => resolve(result));
             })
         } else {
-            Promise.reject("not MIUI");
+            return Promise.reject(new BluetoothError(ErrorCode.NOT_SUPPORTED, "not MIUI"));
         }
         //@native end
     },
-};
\ No newline at end of file
+}, ErrorSource.BLE);
\ No newline at end of file
@@ -1,6 +1,7 @@
 //@native begin
 import native, { Properties } from './../native';
 import { BasicDevice, _find_device } from './BasicDevice';
+import { DeviceError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
 //@native end
 export default class IDeviceGateWay {
   // @native begin
@@ -25,14 +26,14 @@ export default class IDeviceGateWay {
    * @since 10020
    * @returns {Promise<BasicDevice[]>}
    *    resolve：array<BasicDevice> 设备列表
-   *    reject：{code: xxx, message: xxx} -1:找不到设备  其他code：网络错误
+   *    reject：DeviceError，当前设备是子设备时 code 为 NOT_FOUND  其他：网络错误
    */
   getSubDevices() {
     //@native :=> promise []
     let { device } = _find_device(this.deviceID);
     const self = Properties.of(device);
     if (self.parentDevice && Object.keys(self.parentDevice).length > 0) {
-      return Promise.reject('parent device exist, current device is a sub device, can not load sub devices');
+      return Promise.reject(new DeviceError(ErrorCode.NOT_FOUND, 'parent device exist, current device is a sub device, can not load sub devices'));
     }
     if (self._subDevices) {
       return Promise.resolve(self._subDevices);
@@ -87,7 +88,7 @@ export default class IDeviceGateWay {
    * @param {string} [did=Device.deviceID] 蓝牙网关的did，可以为空，为空时默认取当前的Device.deviceID
    * @returns {Promise} 
    *    resolve：返回数组设备信息的promise， {"mesh":[Device], "normal":[Device]}
-   *    reject：{code: xxx, error: xxx, extra:xxx} code固定等于-1，error.code： -1:获取设备列表失败  -2:网关设备不存在，请检查是否在线  401:无法获取配置信息  404:无法查询到相关设备
+   *    reject：DeviceError，err.error 为原生返回的错误，err.nativeCode： -1:获取设备列表失败  -2:网关设备不存在，请检查是否在线  401:无法获取配置信息  404:无法查询到相关设备
    */
   getLinkedBTDevices(did = null) {
     //@native :=> promise []
@@ -95,11 +96,14 @@ export default class IDeviceGateWay {
     return new Promise((resolve, reject) => {
       native.MIOTDevice.getLinkedBTDevices(did, (ok, res) => {
         if (!ok || !res) {
-          return reject({ code: -1, error: res, extra: 'fetch bledevice info failed' });
+          return reject(new DeviceError(ErrorCode.REQUEST_FAILED, 'fetch bledevice info failed', {
+            nativeCode: res && res.code, native: res, extra: { error: res, extra: 'fetch bledevice info failed' }
+          }));
         }
         resolve(res);
       })
     })
     //@native end
   }
-}
\ No newline at end of file
+}
+wrapPromiseErrors(IDeviceGateWay.prototype, ErrorSource.DEVICE);
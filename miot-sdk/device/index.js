@@ -19,6 +19,11 @@
  * * index.js 设备管理相关入口文件，会导出大家需要的所有模块。
  * * BasicDevice.js 设备基础功能文件，主要包含了设备基础信息，设备属性修改，设备版本获取，设备事件等功能。
  * * WifiDevice.js Wifi设备功能文件，主要提供了设备通过网络交互的部分功能，比如：获取设备网络信息，下发RPC命令，加载设备属性，获取设备信息，绑定到homekit，设备升级，属性/事件订阅等。
+ * * DeviceStore.js 设备属性状态缓存文件，保存设备属性的最新值，自动处理属性加载、消息订阅和推送，通过Device.getDeviceWifi().store使用。
+ * * RequestScheduler.js 设备请求调度文件，负责合并属性读取请求、去重进行中的只读请求以及限制每个设备的并发请求数。
+ * * RequestPolicy.js 设备及云端请求的超时、重试和退避策略文件。
+ * * Simulator.js 设备模拟器文件，用 js 模拟设备通信相关的原生模块，不需要米家 App 和真实设备即可运行插件，只用于测试，从 miot/test 引入。
+ * * SimulatorSetup.js 模拟器运行环境文件，在 Node(例如 jest) 中补齐米家 App 的原生模块，需要在其它模块加载之前运行。
  * * Gateway.js 网关管理类文件，涉及到网关的部分操作，暂未暴露功能给开发者使用。
  * * bluetooth 蓝牙功能开发文件夹，提供了蓝牙开发的各种支持
  * 
@@ -58,6 +63,15 @@ import MIOTBluetooth from './bluetooth';
 import { IBluetooth as BluetoothDevice, BluetoothEvent as MIOTBluetoothEvent } from './bluetooth/BluetoothDevice'
 import { IBluetoothService as MIOTIBluetoothService, IBluetoothCharacteristic as MIOTIBluetoothCharacteristic } from './bluetooth/CoreBluetooth';
 import LockDevice from './bluetooth/LockDevice';
+import MIOTDeviceStore from './DeviceStore';
+import MIOTRequestScheduler from './RequestScheduler';
+import MIOTRequestPolicy from './RequestPolicy';
+import MIOTGattQueue from './bluetooth/GattQueue';
+import MIOTIBluetoothConnection, { ConnectionState as MIOTConnectionState } from './bluetooth/BluetoothConnection';
+import MIOTBleTransfer, { DefaultFrameCodec as MIOTDefaultFrameCodec } from './bluetooth/BleTransfer';
+import MIOTAdvertisement from './bluetooth/Advertisement';
+import { IScanSession as MIOTIScanSession } from './bluetooth/ScanSession';
+import MIOTBleOta, { IBleOta as MIOTIBleOta, OtaState as MIOTOtaState, ExampleDfuProtocol as MIOTExampleDfuProtocol } from './bluetooth/BleOta';
 import ClassicBluetoothFactory, { ClassicBluetoothEvent as MIOTClassicBluetoothEvent } from './bluetooth/ClassicDevice';
 export const Device = BasicDevice;
 export const DeviceEvent = MIOTDeviceEvent;
@@ -69,6 +83,21 @@ export const ClassicBluetooth = ClassicBluetoothFactory;
 export const ClassicBluetoothEvent = MIOTClassicBluetoothEvent;
 export const IBluetoothService = MIOTIBluetoothService;
 export const IBluetoothCharacteristic = MIOTIBluetoothCharacteristic;
+export const IDeviceStore = MIOTDeviceStore;
+export const RequestScheduler = MIOTRequestScheduler;
+export const RequestPolicy = MIOTRequestPolicy;
+export const GattQueue = MIOTGattQueue;
+export const IBluetoothConnection = MIOTIBluetoothConnection;
+export const ConnectionState = MIOTConnectionState;
+export const BleTransfer = MIOTBleTransfer;
+export const DefaultFrameCodec = MIOTDefaultFrameCodec;
+export const Advertisement = MIOTAdvertisement;
+export const IScanSession = MIOTIScanSession;
+export const BleOta = MIOTBleOta;
+export const IBleOta = MIOTIBleOta;
+export const OtaState = MIOTOtaState;
+export const ExampleDfuProtocol = MIOTExampleDfuProtocol;
 export default {
-    Device, DeviceEvent, Bluetooth, BluetoothEvent, IBluetooth, IBluetoothLock, ClassicBluetooth, ClassicBluetoothEvent, IBluetoothService, IBluetoothCharacteristic
+    Device, DeviceEvent, Bluetooth, BluetoothEvent, IBluetooth, IBluetoothLock, ClassicBluetooth, ClassicBluetoothEvent, IBluetoothService, IBluetoothCharacteristic, IDeviceStore,
+    RequestScheduler, RequestPolicy, GattQueue, IBluetoothConnection, ConnectionState, BleTransfer, DefaultFrameCodec, Advertisement, IScanSession, BleOta, IBleOta, OtaState, ExampleDfuProtocol
 }
\ No newline at end of file
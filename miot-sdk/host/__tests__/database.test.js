@@ -0,0 +1,216 @@
+import { ErrorCode } from "../../MiotError";
+
+// jest 中没有 SQLite，用一个记录 SQL 的连接代替：
+// 支持 PRAGMA user_version 以及事务中对它的修改和回滚，SELECT 返回 mockSqlite.rows 中预先设置的结果，
+// 与 mockSqlite.fail 匹配的语句执行失败
+const mockSqlite = { log: [], versions: {}, rows: [], fail: null };
+jest.mock("react-native-sqlite-storage/lib/sqlite.core", () => ({
+    SQLiteFactory: class {
+        openDatabase({ name }, success) {
+            let pending = null;
+            const result = (rows = [], rowsAffected = 0) => ({ rows: { length: rows.length, item: i => rows[i] }, rowsAffected, insertId: rowsAffected });
+            const connection = {
+                executeSql(sql, params, ok, error) {
+                    mockSqlite.log.push(params.length > 0 ? [sql, params] : sql);
+                    if (mockSqlite.fail && mockSqlite.fail.test(sql)) {
+                        error({ code: 1, message: `failed: ${ sql }` });
+                    } else if (sql === "PRAGMA user_version") {
+                        ok(result([{ user_version: mockSqlite.versions[name] || 0 }]));
+                    } else if (sql.startsWith("PRAGMA user_version = ")) {
+                        pending = Number(sql.slice("PRAGMA user_version = ".length));
+                        ok(result());
+                    } else if (sql === "COMMIT" || sql === "ROLLBACK") {
+                        if (sql === "COMMIT" && pending !== null) {
+                            mockSqlite.versions[name] = pending;
+                        }
+                        pending = null;
+                        ok(result());
+                    } else if (sql.startsWith("SELECT")) {
+                        ok(result(mockSqlite.rows.shift() || []));
+                    } else {
+                        ok(result([], sql.startsWith("INSERT") ? (sql.match(/\(\?/g) || []).length : 0));
+                    }
+                },
+                close(ok) {
+                    ok();
+                }
+            };
+            setTimeout(() => success(), 0);
+            return connection;
+        }
+        deleteDatabase(options, ok) {
+            ok();
+        }
+    }
+}));
+function load() {
+    jest.resetModules();
+    require("../../device/SimulatorSetup").setupNativeModules({ platform: "android" });
+    return require("../database").default;
+}
+// 从第 from 条开始执行过的语句，不含参数
+function statements(from = 0) {
+    return mockSqlite.log.slice(from).map(entry => Array.isArray(entry) ? entry[0] : entry);
+}
+describe("Host.database", () => {
+    let database;
+    beforeEach(() => {
+        Object.assign(mockSqlite, { log: [], versions: {}, rows: [], fail: null });
+        database = load();
+    });
+    it("runs pending migrations in separate transactions", () => {
+        const migrations = [
+            "CREATE TABLE weight (time INTEGER, value REAL)",
+            ["ALTER TABLE weight ADD COLUMN member TEXT", "CREATE INDEX weight_time ON weight (time)"]
+        ];
+        return database.open("health", { migrations }).then(db => {
+            expect(db.version).toBe(2);
+            expect(statements()).toEqual([
+                "PRAGMA user_version",
+                "BEGIN", migrations[0], "PRAGMA user_version = 1", "COMMIT",
+                "BEGIN", migrations[1][0], migrations[1][1], "PRAGMA user_version = 2", "COMMIT"
+            ]);
+            return db.close();
+        }).then(() => {
+            mockSqlite.log = [];
+            return database.open("health", { migrations });
+        }).then(db => {
+            expect(db.version).toBe(2);
+            expect(statements()).toEqual(["PRAGMA user_version"]);
+        });
+    });
+    it("stays at the last version when a migration fails", () => {
+        mockSqlite.fail = /member/;
+        const migrations = ["CREATE TABLE weight (time INTEGER)", "ALTER TABLE weight ADD COLUMN member TEXT"];
+        return database.open("health", { migrations }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.MIGRATION_FAILED);
+            expect(err).toMatchObject({ database: "health", fromVersion: 0, toVersion: 2, failedVersion: 2 });
+            expect(statements().slice(-2)).toEqual([migrations[1], "ROLLBACK"]);
+            expect(mockSqlite.versions["/databases/health.db"]).toBe(1);
+            // 修复后重新打开，只执行失败的迁移
+            mockSqlite.fail = null;
+            mockSqlite.log = [];
+            return database.open("health", { migrations });
+        }).then(db => {
+            expect(db.version).toBe(2);
+            expect(statements()).toEqual(["PRAGMA user_version", "BEGIN", migrations[1], "PRAGMA user_version = 2", "COMMIT"]);
+        });
+    });
+    it("rejects a database newer than the migrations", () => {
+        mockSqlite.versions["/databases/health.db"] = 3;
+        return database.open("health", { migrations: ["CREATE TABLE a (id INTEGER)"] }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.MIGRATION_FAILED);
+            expect(err).toMatchObject({ fromVersion: 3, toVersion: 1, failedVersion: 3 });
+        });
+    });
+    it("commits or rolls back transactions and queues other statements", () => {
+        return database.open("health").then(db => {
+            const start = mockSqlite.log.length;
+            const committed = db.transaction(tx => tx.execute("INSERT INTO weight (value) VALUES (?)", [60])
+                .then(() => tx.execute("UPDATE weight SET member = ?", ["me"]))
+                .then(() => "done"));
+            const queued = db.execute("DELETE FROM weight");
+            const failed = db.transaction(tx => tx.execute("DELETE FROM weight").then(() => {
+                throw new Error("cancel");
+            }));
+            return Promise.all([committed, queued, failed.catch(err => err)]).then(([result, , err]) => {
+                expect(result).toBe("done");
+                expect(err.message).toBe("cancel");
+                expect(statements(start)).toEqual([
+                    "BEGIN", "INSERT INTO weight (value) VALUES (?)", "UPDATE weight SET member = ?", "COMMIT",
+                    "DELETE FROM weight",
+                    "BEGIN", "DELETE FROM weight", "ROLLBACK"
+                ]);
+            });
+        });
+    });
+    it("builds queries and keeps the builder unchanged after first", () => {
+        return database.open("health").then(db => {
+            const start = mockSqlite.log.length;
+            const query = db.table("weight").select("time", "value").where("member", "me").where("time", ">=", 100).orderBy("time", "DESC");
+            mockSqlite.rows = [[{ time: 200, value: 60 }], [{ time: 200, value: 60 }, { time: 100, value: 61 }]];
+            return query.first().then(row => {
+                expect(row).toEqual({ time: 200, value: 60 });
+                expect(query.toSQL()).toEqual({
+                    sql: "SELECT \"time\", \"value\" FROM \"weight\" WHERE \"member\" = ? AND \"time\" >= ? ORDER BY \"time\" DESC",
+                    params: ["me", 100]
+                });
+                return query.all();
+            }).then(rows => {
+                expect(rows.length).toBe(2);
+                expect(mockSqlite.log.slice(start)).toEqual([
+                    ["SELECT \"time\", \"value\" FROM \"weight\" WHERE \"member\" = ? AND \"time\" >= ? ORDER BY \"time\" DESC LIMIT 1 OFFSET 0", ["me", 100]],
+                    ["SELECT \"time\", \"value\" FROM \"weight\" WHERE \"member\" = ? AND \"time\" >= ? ORDER BY \"time\" DESC", ["me", 100]]
+                ]);
+                return query.first();
+            }).then(row => {
+                expect(row).toBeNull();
+            });
+        });
+    });
+    it("allows only columns and aggregates in select", () => {
+        return database.open("health").then(db => {
+            const query = db.table("weight").select("COUNT(*) AS n", "max(weight.time) as latest", "COUNT(DISTINCT member)", "value AS v");
+            expect(query.toSQL().sql).toBe("SELECT COUNT(*) AS \"n\", MAX(\"weight\".\"time\") AS \"latest\", COUNT(DISTINCT \"member\"), \"value\" AS \"v\" FROM \"weight\"");
+            const invalid = expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT });
+            ["time FROM weight; DROP TABLE weight --", "LOWER(member)", "1 = 1", "COUNT(*) AS n, value", ""].forEach(column => {
+                expect(() => db.table("weight").select(column)).toThrow(invalid);
+            });
+        });
+    });
+    it("returns the opened database and rejects different migrations", () => {
+        const migrations = ["CREATE TABLE weight (time INTEGER)"];
+        return database.open("health", { migrations }).then(db => {
+            return Promise.all([database.open("health"), database.open("health", { migrations: ["CREATE TABLE weight (time INTEGER)"] })]).then(([a, b]) => {
+                expect(a).toBe(db);
+                expect(b).toBe(db);
+                return database.open("health", { migrations: [...migrations, "ALTER TABLE weight ADD COLUMN member TEXT"] });
+            }).then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.code).toBe(ErrorCode.INVALID_ARGUMENT);
+                // 关闭后可以按新的迁移重新打开
+                return db.close().then(() => database.open("health", { migrations: [...migrations, "ALTER TABLE weight ADD COLUMN member TEXT"] }));
+            }).then(reopened => {
+                expect(reopened).not.toBe(db);
+                expect(reopened.version).toBe(2);
+            });
+        });
+    });
+    it("rejects unsafe identifiers and operators", () => {
+        return database.open("health").then(db => {
+            expect(() => db.table("weight; DROP TABLE weight")).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+            expect(() => db.table("weight").where("time", "OR 1 =", 1)).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+            return database.open("../other").then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.code).toBe(ErrorCode.INVALID_ARGUMENT);
+            });
+        });
+    });
+    it("inserts many rows in batches inside one transaction", () => {
+        const rows = [];
+        for (let i = 0; i < 1000; i++) {
+            rows.push({ time: i, value: i });
+        }
+        return database.open("health").then(db => {
+            const start = mockSqlite.log.length;
+            return db.table("weight").insert(rows).then(result => {
+                // 每条 2 个参数，每批最多 499 条
+                expect(result.rowsAffected).toBe(1000);
+                expect(statements(start).map(sql => sql.split(" VALUES")[0])).toEqual([
+                    "BEGIN",
+                    "INSERT INTO \"weight\" (\"time\", \"value\")",
+                    "INSERT INTO \"weight\" (\"time\", \"value\")",
+                    "INSERT INTO \"weight\" (\"time\", \"value\")",
+                    "COMMIT"
+                ]);
+                expect(mockSqlite.log[start + 3][1].length).toBe(2 * 2);
+            });
+        });
+    });
+});
@@ -0,0 +1,327 @@
+import { ErrorCode } from '../../MiotError';
+// 每个用例重新加载模块：新的原生存储，storage 模块中缓存的索引也会清空
+// 不用 jest.isolateModules，主 registry 中已经加载的模块(例如 native)在其中会被复用
+function load() {
+    jest.resetModules();
+    require("../../device/SimulatorSetup").setupNativeModules({ platform: "android" });
+    return require("../storage");
+}
+describe("Host.storage", () => {
+    let storage, StorageEvent, events, subscription;
+    beforeEach(() => {
+        ({ default: storage, StorageEvent } = load());
+        events = [];
+        subscription = StorageEvent.storageChanged.addListener(event => events.push(event));
+    });
+    afterEach(() => {
+        subscription.remove();
+    });
+    it("sets, gets, removes and lists keys", () => {
+        return storage.save({ "history-1": 1, "history-2": { a: 2 }, other: "x" })
+            .then(() => storage.get("history-2"))
+            .then(value => {
+                expect(value).toEqual({ a: 2 });
+                return storage.keys("history-");
+            })
+            .then(keys => {
+                expect(keys.sort()).toEqual(["history-1", "history-2"]);
+                return storage.remove("history-1");
+            })
+            .then(() => Promise.all([storage.get("history-1"), storage.keys()]))
+            .then(([removed, keys]) => {
+                expect(removed).toBeFalsy();
+                expect(keys.sort()).toEqual(["history-2", "other"]);
+                expect(events.map(event => event.action)).toEqual(["set", "set", "set", "remove"]);
+                expect(events[3]).toEqual({ action: "remove", keys: ["history-1"], deviceID: undefined });
+            });
+    });
+    it("rejects expired values with StorageError EXPIRED", () => {
+        const now = jest.spyOn(Date.prototype, "getTime").mockReturnValue(1000);
+        return storage.set("token", "abc", { expire: 100 }).then(() => {
+            now.mockReturnValue(1100);
+            return storage.get("token");
+        }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            now.mockRestore();
+            expect(err.code).toBe(ErrorCode.EXPIRED);
+            expect(err.key).toBe("token");
+        });
+    });
+    it("rejects non-array keys", () => {
+        return storage.load("key").then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.INVALID_ARGUMENT);
+        });
+    });
+    it("isolates device namespaces and clears one device", () => {
+        const a = storage.namespace("1001");
+        const b = storage.namespace("1002");
+        return Promise.all([a.set("mode", 1), b.set("mode", 2), storage.set("mode", 0)])
+            .then(() => Promise.all([a.get("mode"), b.get("mode"), storage.get("mode"), a.keys(), storage.keys()]))
+            .then(([first, second, global, keys, globalKeys]) => {
+                expect([first, second, global]).toEqual([1, 2, 0]);
+                expect(keys).toEqual(["mode"]);
+                expect(globalKeys).toEqual(["mode"]);
+                return a.clear();
+            })
+            .then(() => Promise.all([a.get("mode"), b.get("mode"), storage.get("mode")]))
+            .then(([first, second, global]) => {
+                expect(first).toBeFalsy();
+                expect([second, global]).toEqual([2, 0]);
+                expect(events[events.length - 1]).toEqual({ action: "clear", keys: ["mode"], deviceID: "1001" });
+            });
+    });
+    it("clears plugin data and namespaces but keeps internal keys", () => {
+        const store = storage.createStore("settings", { defaults: { mode: "auto" } });
+        return Promise.all([storage.set("a", 1), storage.namespace("1001").set("b", 2), store.set({ mode: "manual" }), storage.set("__miot_internal__token", "key")])
+            .then(() => storage.clear())
+            .then(() => Promise.all([storage.get("a"), storage.namespace("1001").get("b"), store.get(), storage.get("__miot_internal__token"), storage.keys()]))
+            .then(([a, b, settings, secure, keys]) => {
+                expect(a).toBeFalsy();
+                expect(b).toBeFalsy();
+                expect(settings).toEqual({ mode: "manual" });
+                expect(secure).toBe("key");
+                expect(keys).toEqual([]);
+                const cleared = events.filter(event => event.action === "clear");
+                expect(cleared).toEqual(expect.arrayContaining([
+                    { action: "clear", keys: ["a"], deviceID: undefined },
+                    { action: "clear", keys: ["b"], deviceID: "1001" }
+                ]));
+            });
+    });
+});
+describe("Host.storage.createStore", () => {
+    let storage, StorageEvent;
+    beforeEach(() => {
+        ({ default: storage, StorageEvent } = load());
+    });
+    // 模拟插件升级：先以版本 1 保存数据，之后用新的迁移函数重新创建同名的存储
+    function saveVersion1(data) {
+        return storage.createStore("settings").set(data);
+    }
+    it("returns defaults before anything is saved", () => {
+        const store = storage.createStore("settings", { defaults: { mode: "auto" } });
+        return store.get().then(data => {
+            expect(data).toEqual({ mode: "auto" });
+            data.mode = "changed";
+            return store.get();
+        }).then(data => {
+            expect(data).toEqual({ mode: "auto" });
+        });
+    });
+    it("migrates old data once and keeps a backup", () => {
+        const toV2 = jest.fn(data => ({ ...data, mode: ["auto", "manual"][data.mode] }));
+        const toV3 = jest.fn(data => Promise.resolve({ ...data, schedule: [] }));
+        return saveVersion1({ mode: 1 })
+            .then(() => storage.createStore("settings", { migrations: [toV2, toV3] }).get())
+            .then(data => {
+                expect(data).toEqual({ mode: "manual", schedule: [] });
+                return Promise.all([storage.get("__miot_store__settings"), storage.createStore("settings", { migrations: [toV2, toV3] }).getBackup()]);
+            })
+            .then(([envelope, backup]) => {
+                expect(envelope).toEqual({ version: 3, data: { mode: "manual", schedule: [] } });
+                expect(backup).toEqual({ version: 1, data: { mode: 1 }, time: expect.any(Number) });
+                return storage.createStore("settings", { migrations: [toV2, toV3] }).get();
+            })
+            .then(data => {
+                expect(data).toEqual({ mode: "manual", schedule: [] });
+                expect(toV2).toHaveBeenCalledTimes(1);
+                expect(toV3).toHaveBeenCalledTimes(1);
+            });
+    });
+    it("keeps the old version when a migration fails", () => {
+        const events = [];
+        const subscription = StorageEvent.migrationFailed.addListener(event => events.push(event));
+        const cause = new Error("bad data");
+        const store = storage.createStore("settings", {
+            migrations: [data => ({ ...data, step: 2 }), () => {
+                throw cause;
+            }]
+        });
+        return saveVersion1({ mode: 1 })
+            .then(() => store.get())
+            .then(() => {
+                throw new Error("should fail");
+            }, err => {
+                subscription.remove();
+                expect(err.code).toBe(ErrorCode.MIGRATION_FAILED);
+                expect(err).toMatchObject({ store: "settings", fromVersion: 1, toVersion: 3, failedVersion: 2, cause });
+                expect(store.lastError).toBe(err);
+                expect(events).toEqual([{ store: "settings", deviceID: undefined, fromVersion: 1, toVersion: 3, failedVersion: 2, error: err }]);
+                return Promise.all([storage.get("__miot_store__settings"), store.getBackup()]);
+            })
+            .then(([envelope, backup]) => {
+                expect(envelope).toEqual({ version: 1, data: { mode: 1 } });
+                expect(backup).toBeNull();
+                // 迁移失败后仍然可以直接以当前版本覆盖
+                return store.set({ mode: "auto" });
+            })
+            .then(() => store.get())
+            .then(data => {
+                expect(data).toEqual({ mode: "auto" });
+                expect(store.lastError).toBeNull();
+            });
+    });
+    it("rejects data saved by a newer version", () => {
+        const store = storage.createStore("settings", { migrations: [data => data] });
+        return storage.set("__miot_store__settings", { version: 3, data: {} })
+            .then(() => store.get())
+            .then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.code).toBe(ErrorCode.MIGRATION_FAILED);
+                expect(err).toMatchObject({ fromVersion: 3, toVersion: 2, failedVersion: 3 });
+            });
+    });
+    it("migrates data saved with Host.storage.set as version 1", () => {
+        const store = storage.createStore("settings", {
+            legacyKey: "settings",
+            defaults: { mode: "auto" },
+            migrations: [mode => ({ mode })]
+        });
+        return storage.set("settings", "manual")
+            .then(() => store.get())
+            .then(data => {
+                expect(data).toEqual({ mode: "manual" });
+                return store.reset();
+            })
+            .then(() => Promise.all([store.get(), storage.get("settings"), storage.get("__miot_store__settings")]))
+            .then(([data, legacy, envelope]) => {
+                expect(data).toEqual({ mode: "auto" });
+                expect(legacy).toBeFalsy();
+                expect(envelope).toBeFalsy();
+            });
+    });
+    it("restores the backup and migrates it again", () => {
+        const broken = storage.createStore("settings", { migrations: [() => ({ mode: "broken" })] });
+        return saveVersion1({ mode: 1 })
+            .then(() => broken.get())
+            .then(data => {
+                expect(data).toEqual({ mode: "broken" });
+                return broken.restoreBackup();
+            })
+            .then(restored => {
+                expect(restored).toBe(true);
+                return storage.createStore("settings", { migrations: [data => ({ mode: ["auto", "manual"][data.mode] })] }).get();
+            })
+            .then(data => {
+                expect(data).toEqual({ mode: "manual" });
+                return storage.createStore("other").restoreBackup();
+            })
+            .then(restored => {
+                expect(restored).toBe(false);
+            });
+    });
+    it("saves stores of a device in its namespace", () => {
+        const store = storage.createStore("settings", { deviceID: "1001" });
+        return store.set({ mode: 1 })
+            .then(() => Promise.all([storage.namespace("1001").get("__miot_store__settings"), storage.createStore("settings").get()]))
+            .then(([envelope, global]) => {
+                expect(envelope.data).toEqual({ mode: 1 });
+                expect(global).toBeNull();
+                return storage.namespace("1001").clear();
+            })
+            .then(() => storage.createStore("settings", { deviceID: "1001" }).get())
+            .then(data => {
+                expect(data).toBeNull();
+            });
+    });
+    it("validates the version against migrations", () => {
+        expect(() => storage.createStore("settings", { version: 3, migrations: [data => data] })).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+        expect(() => storage.createStore("", {})).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+    });
+});
+describe("Host.storage quota, sweep and stats", () => {
+    let storage, StorageEvent, events, subscription, now;
+    beforeEach(() => {
+        ({ default: storage, StorageEvent } = load());
+        events = [];
+        subscription = StorageEvent.storageChanged.addListener(event => events.push(event));
+        now = jest.spyOn(Date.prototype, "getTime").mockReturnValue(1000);
+    });
+    afterEach(() => {
+        subscription.remove();
+        now.mockRestore();
+    });
+    // 每条数据的 JSON 为 {"value":"xxxx","expire":0,"time":1000}，大小相同
+    const SIZE = JSON.stringify({ value: "xxxx", expire: 0, time: 1000 }).length;
+    it("evicts least recently used values when over quota", () => {
+        return storage.set("a", "xxxx")
+            .then(() => {
+                now.mockReturnValue(2000);
+                return storage.set("b", "xxxx");
+            })
+            .then(() => {
+                now.mockReturnValue(3000);
+                return storage.get("a");
+            })
+            .then(() => storage.stats())
+            .then(stats => {
+                expect(stats).toEqual({ count: 2, bytes: 2 * SIZE, quota: 0 });
+                storage.setQuota(2 * SIZE);
+                now.mockReturnValue(4000);
+                return storage.set("c", "xxxx");
+            })
+            .then(() => Promise.all([storage.keys(), storage.get("b"), storage.stats()]))
+            .then(([keys, b, stats]) => {
+                expect(keys.sort()).toEqual(["a", "c"]);
+                expect(b).toBeFalsy();
+                expect(stats).toEqual({ count: 2, bytes: 2 * SIZE, quota: 2 * SIZE });
+                expect(events[events.length - 1]).toEqual({ action: "evict", keys: ["b"], deviceID: undefined });
+            });
+    });
+    it("evicts existing values when the quota is lowered", () => {
+        return Promise.all([storage.set("a", "xxxx"), storage.namespace("1001").set("b", "xxxx"), storage.set("__miot_internal", "xxxx")])
+            .then(() => {
+                storage.setQuota(SIZE);
+                return storage.stats();
+            })
+            .then(stats => {
+                // 内部使用的 key 不计入配额，也不会被淘汰
+                expect(stats).toEqual({ count: 2, bytes: 2 * SIZE, quota: SIZE });
+                expect(events.filter(event => event.action === "evict")).toEqual([
+                    { action: "evict", keys: ["a"], deviceID: undefined }
+                ]);
+                return Promise.all([storage.get("__miot_internal"), storage.namespace("1001").get("b")]);
+            })
+            .then(values => {
+                expect(values).toEqual(["xxxx", "xxxx"]);
+            });
+    });
+    it("rejects a value larger than the quota without saving it", () => {
+        storage.setQuota(SIZE);
+        return storage.set("a", "xxxxx").then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.QUOTA_EXCEEDED);
+            expect(err).toMatchObject({ key: "a", size: SIZE + 1, quota: SIZE });
+            return storage.get("a");
+        }).then(value => {
+            expect(value).toBeFalsy();
+            expect(events).toEqual([]);
+        });
+    });
+    it("validates the quota", () => {
+        expect(() => storage.setQuota(-1)).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+        expect(() => storage.setQuota(1.5)).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+    });
+    it("sweeps expired values", () => {
+        return Promise.all([storage.set("token", "abc", { expire: 100 }), storage.namespace("1001").set("token", "abc", { expire: 500 }), storage.set("name", "abc")])
+            .then(() => {
+                now.mockReturnValue(1100);
+                return storage.sweep();
+            })
+            .then(count => {
+                expect(count).toBe(1);
+                expect(events[events.length - 1]).toEqual({ action: "expire", keys: ["token"], deviceID: undefined });
+                return Promise.all([storage.keys(), storage.namespace("1001").get("token"), storage.stats()]);
+            })
+            .then(([keys, token, stats]) => {
+                expect(keys).toEqual(["name"]);
+                expect(token).toBe("abc");
+                expect(stats.count).toBe(2);
+            });
+    });
+});
@@ -6,6 +6,7 @@
  * @module miot/host/crypto
  * @description 
  * 加密模块
+ * 需要同步执行或者 AES-GCM/CCM、HMAC、HKDF、ECDH 等算法时，请使用纯 js 实现的 miot/utils/crypto
  * @example
  * import {Host} from 'miot'
  * ...
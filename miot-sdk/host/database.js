@@ -0,0 +1,795 @@
+/**
+ * @export public
+ * @doc_name 数据库模块
+ * @doc_index 8
+ * @doc_directory host
+ * @module miot/host/database
+ * @since 10035
+ * @description
+ * 基于 SQLite 的本地数据库，数据库文件保存在扩展程序的沙盒目录中(同 Host.file)，适合保存需要按条件查询的历史数据，例如体重秤、温湿度计的记录
+ * 1、参数化查询：SQL 中使用 ? 占位，参数通过数组传入，不要拼接字符串
+ * 2、事务：transaction 的回调可以执行多条语句并返回 Promise，全部成功后提交，任何一步失败都会回滚
+ * 3、迁移：open 时传入 migrations，按 PRAGMA user_version 记录的版本依次执行，用于插件升级时修改表结构
+ * 4、查询构造器：table(name) 返回 IQueryBuilder，常用的增删改查不需要手写 SQL
+ * 5、导入云端数据：importDeviceData 把 Service.smarthome.getDeviceData 的结果写入表中，配合 latestDeviceDataTime 增量同步
+ * 注意事项：
+ * 1、每条 SQL 只能包含一个语句
+ * 2、同一个数据库的操作按调用顺序依次执行，事务进行中其他操作会等待事务结束，因此事务回调中请使用 tx 而不是 db 执行语句
+ * 3、失败时 reject StorageError(见 {@link module:miot/MiotError})，SQL 错误的 code 为 REQUEST_FAILED，错误中的 sql 为出错的语句
+ * @example
+ * import { Host, Service, Device } from 'miot';
+ *
+ * Host.database.open('history', {
+ *   migrations: [
+ *     // 0 => 1
+ *     'CREATE TABLE weight (id INTEGER PRIMARY KEY AUTOINCREMENT, time INTEGER NOT NULL, value REAL NOT NULL)',
+ *     // 1 => 2
+ *     ['ALTER TABLE weight ADD COLUMN member TEXT', 'CREATE INDEX weight_time ON weight (time)']
+ *   ]
+ * }).then(db => {
+ *   db.table('weight').insert({ time: Date.now(), value: 61.5, member: 'me' });
+ *   db.table('weight').where('time', '>=', start).orderBy('time', 'DESC').limit(20).all().then(rows => ...);
+ *   db.query('SELECT member, AVG(value) AS avg FROM weight WHERE time >= ? GROUP BY member', [start]).then(rows => ...);
+ *   db.transaction(tx => tx.execute('DELETE FROM weight WHERE member = ?', ['guest'])
+ *     .then(() => tx.table('weight').insert(rows)));
+ * });
+ *
+ * // 增量同步设备上报的数据
+ * const params = { did: Device.deviceID, type: 'prop', key: 'temperature' };
+ * db.latestDeviceDataTime(params)
+ *   .then(time => Service.smarthome.getDeviceData({ ...params, uid: Service.account.ID, time_start: time + 1, time_end: now, limit: 1000 }))
+ *   .then(records => db.importDeviceData(records));
+ */
+//@native begin
+// 直接使用 callback 形式的 core，不受插件调用 SQLite.enablePromise 的影响；
+// 宿主打包时会替换为 bin/fixbug/sqlite.core
+import { SQLiteFactory } from 'react-native-sqlite-storage/lib/sqlite.core';
+import native, { PackageExitAction, Properties } from "../native";
+import { ErrorCode, ErrorSource, StorageError, wrapPromiseErrors } from '../MiotError';
+// 数据库文件保存在沙盒的 DATABASE_FOLDER 目录中，文件名为 name + ".db"
+const DATABASE_FOLDER = "databases";
+const DEVICE_DATA_TABLE = "device_data";
+// SQLite 默认每条语句最多 999 个参数，批量插入时按此分批
+const MAX_VARIABLES = 999;
+const OPERATORS = ["=", "==", "!=", "<>", "<", "<=", ">", ">=", "LIKE", "NOT LIKE", "GLOB", "IS", "IS NOT"];
+// select 中允许的聚合函数
+const AGGREGATES = ["COUNT", "SUM", "AVG", "MIN", "MAX", "TOTAL"];
+const IDENTIFIER = "[A-Za-z_]\\w*(?:\\.[A-Za-z_]\\w*)?";
+// 列名、聚合函数(如 COUNT(*)、MAX(time))，可以带 AS 别名
+const COLUMN_PATTERN = new RegExp(`^(?:(${ IDENTIFIER })|(\\w+)\\(\\s*(\\*|(?:DISTINCT\\s+)?${ IDENTIFIER })\\s*\\))(?:\\s+AS\\s+([A-Za-z_]\\w*))?$`, "i");
+const factory = new SQLiteFactory();
+// name => { opening: Promise<IDatabase>, migrations }，同一个数据库只打开一次
+const databases = new Map();
+function _closeAll() {
+  databases.forEach(({ opening }) => opening.then(db => db.close()).catch(() => null));
+  databases.clear();
+}
+// 迁移相同：SQL 语句相同，函数为同一个对象
+function _sameMigrations(a, b) {
+  return a.length === b.length && a.every((migration, i) => {
+    const other = b[i];
+    if (Array.isArray(migration) && Array.isArray(other)) {
+      return _sameMigrations(migration, other);
+    }
+    return migration === other;
+  });
+}
+function _path(name) {
+  if (!name || typeof name !== "string" || !/^[\w.-]+$/.test(name) || name.startsWith(".")) {
+    throw new StorageError(ErrorCode.INVALID_ARGUMENT, `invalid database name: ${ name }`);
+  }
+  return `${ native.MIOTFile.storageBasePath }/${ DATABASE_FOLDER }/${ name }.db`;
+}
+function _param(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === "function") {
+    throw new StorageError(ErrorCode.INVALID_ARGUMENT, "function can not be used as sql parameter");
+  }
+  // 数组和对象按 JSON 保存，读取后需要自行 JSON.parse
+  return value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+}
+function _sqlError(err, sql) {
+  const message = err && err.message || String(err);
+  return new StorageError(ErrorCode.REQUEST_FAILED, message, { nativeCode: err && err.code, native: err, extra: { sql } });
+}
+function _closedError(self) {
+  return new StorageError(ErrorCode.REQUEST_FAILED, `database ${ self.name } is closed`);
+}
+// 直接在原生连接上执行，调用者负责排队
+function _execute(self, sql, params = []) {
+  if (!self.connection) {
+    return Promise.reject(_closedError(self));
+  }
+  if (!Array.isArray(params)) {
+    return Promise.reject(new StorageError(ErrorCode.INVALID_ARGUMENT, "sql parameters should be an array"));
+  }
+  let values = null;
+  try {
+    values = params.map(_param);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return new Promise((resolve, reject) => {
+    self.connection.executeSql(sql, values, result => {
+      const rows = [];
+      for (let i = 0; i < result.rows.length; i++) {
+        rows.push(result.rows.item(i));
+      }
+      resolve({ rows, rowsAffected: result.rowsAffected, insertId: result.insertId });
+    }, err => {
+      reject(_sqlError(err, sql));
+      // 返回 false 表示错误已经处理
+      return false;
+    });
+  });
+}
+// 同一个数据库的操作依次执行，事务在提交或回滚之前一直占用队列
+function _enqueue(self, task) {
+  const result = self.queue.then(() => {
+    if (!self.connection) {
+      throw _closedError(self);
+    }
+    return task();
+  });
+  self.queue = result.catch(() => null);
+  return result;
+}
+function _runTransaction(self, callback) {
+  const tx = Properties.init(new ITransaction(), {
+    database: self,
+    finished: false,
+    run: (sql, params) => Properties.of(tx).finished
+      ? Promise.reject(new StorageError(ErrorCode.REQUEST_FAILED, "transaction is already finished", { extra: { sql } }))
+      : _execute(self, sql, params),
+    transaction: fn => Promise.resolve().then(() => fn(tx))
+  });
+  const finish = () => {
+    Properties.of(tx).finished = true;
+  };
+  return _execute(self, "BEGIN").then(() => callback(tx)).then(result => {
+    finish();
+    return _execute(self, "COMMIT").then(() => result);
+  }, err => {
+    finish();
+    return _execute(self, "ROLLBACK").catch(() => null).then(() => Promise.reject(err));
+  });
+}
+function _rows(run, sql, params) {
+  return run(sql, params).then(result => result.rows);
+}
+function _migrationFailed(self, fromVersion, toVersion, failedVersion, cause) {
+  return new StorageError(ErrorCode.MIGRATION_FAILED, `migrate database ${ self.name } to version ${ failedVersion } failed: ${ cause && cause.message || cause }`, {
+    extra: { database: self.name, fromVersion, toVersion, failedVersion, cause }
+  });
+}
+function _applyMigration(migration, tx) {
+  if (typeof migration === "function") {
+    return Promise.resolve(migration(tx));
+  }
+  const statements = Array.isArray(migration) ? migration : [migration];
+  return statements.reduce((previous, sql) => previous.then(() => tx.execute(sql)), Promise.resolve());
+}
+// 每个版本在单独的事务中迁移，user_version 与表结构一起提交，失败时停留在上一个版本
+function _migrate(self, migrations) {
+  return _rows((sql, params) => _execute(self, sql, params), "PRAGMA user_version").then(rows => {
+    const fromVersion = rows[0] ? rows[0].user_version : 0;
+    const toVersion = migrations.length;
+    if (fromVersion > toVersion) {
+      throw _migrationFailed(self, fromVersion, toVersion, fromVersion, new Error(`database version ${ fromVersion } is newer than ${ toVersion }`));
+    }
+    let chain = Promise.resolve();
+    for (let version = fromVersion; version < toVersion; version++) {
+      chain = chain.then(() => _runTransaction(self, tx => _applyMigration(migrations[version], tx)
+        .then(() => tx.execute(`PRAGMA user_version = ${ version + 1 }`)))
+        .catch(err => Promise.reject(_migrationFailed(self, fromVersion, toVersion, version + 1, err))));
+    }
+    return chain.then(() => {
+      self.version = toVersion;
+    });
+  });
+}
+function _open(name, migrations) {
+  const self = {
+    name,
+    path: _path(name),
+    version: 0,
+    connection: null,
+    queue: null
+  };
+  self.queue = new Promise((resolve, reject) => {
+    const connection = factory.openDatabase({ name: self.path }, () => resolve(connection), err => {
+      reject(_sqlError(err, null));
+    });
+  }).then(connection => {
+    self.connection = connection;
+    return _migrate(self, migrations).catch(err => _closeConnection(self).then(() => Promise.reject(err)));
+  });
+  const opening = self.queue.then(() => Properties.init(new IDatabase(), self));
+  self.queue = opening.catch(() => null);
+  return opening;
+}
+function _closeConnection(self) {
+  const connection = self.connection;
+  self.connection = null;
+  if (!connection) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => connection.close(resolve, resolve));
+}
+function _quote(identifier) {
+  if (typeof identifier !== "string" || !/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)?$/.test(identifier)) {
+    throw new StorageError(ErrorCode.INVALID_ARGUMENT, `invalid identifier: ${ identifier }`);
+  }
+  return identifier.split(".").map(part => `"${ part }"`).join(".");
+}
+function _column(column) {
+  if (column === "*") {
+    return column;
+  }
+  const match = typeof column === "string" ? column.trim().match(COLUMN_PATTERN) : null;
+  if (!match || (match[2] && AGGREGATES.indexOf(match[2].toUpperCase()) < 0)) {
+    throw new StorageError(ErrorCode.INVALID_ARGUMENT, `invalid column: ${ column }, should be a column name or ${ AGGREGATES.join("/") }(column) with an optional AS alias`);
+  }
+  const [, name, aggregate, argument, alias] = match;
+  let sql = name ? _quote(name) : null;
+  if (aggregate) {
+    const distinct = /^DISTINCT\s+/i.test(argument);
+    const target = argument.replace(/^DISTINCT\s+/i, "");
+    sql = `${ aggregate.toUpperCase() }(${ distinct ? "DISTINCT " : "" }${ target === "*" ? "*" : _quote(target) })`;
+  }
+  return alias ? `${ sql } AS ${ _quote(alias) }` : sql;
+}
+function _where(self) {
+  if (self.conditions.length === 0) {
+    return { sql: "", params: [] };
+  }
+  return {
+    sql: ` WHERE ${ self.conditions.map(condition => condition.sql).join(" AND ") }`,
+    params: self.conditions.reduce((params, condition) => params.concat(condition.params), [])
+  };
+}
+function _builder(run, transaction, table) {
+  return Properties.init(new IQueryBuilder(), {
+    run,
+    transaction,
+    table: _quote(table),
+    columns: ["*"],
+    conditions: [],
+    orders: [],
+    limit: -1,
+    offset: 0
+  });
+}
+// 复制查询构造器，first 等方法在副本上修改，不影响调用者继续使用原来的构造器
+function _copy(builder) {
+  const self = Properties.of(builder);
+  return Properties.init(new IQueryBuilder(), {
+    ...self,
+    columns: self.columns.slice(),
+    conditions: self.conditions.slice(),
+    orders: self.orders.slice()
+  });
+}
+function _executor(self) {
+  return {
+    run: (sql, params) => _enqueue(self, () => _execute(self, sql, params)),
+    transaction: fn => _enqueue(self, () => _runTransaction(self, fn))
+  };
+}
+function _deviceDataTable(run, table) {
+  return run(`CREATE TABLE IF NOT EXISTS ${ _quote(table) } (did TEXT NOT NULL, uid TEXT, type TEXT NOT NULL, key TEXT NOT NULL, time INTEGER NOT NULL, value TEXT, PRIMARY KEY (did, type, key, time))`);
+}
+//@native end
+/**
+ * 查询构造器，通过 db.table(name) 或 tx.table(name) 创建，where/orderBy 等方法返回自身，可以链式调用
+ * 表名和列名只能包含字母、数字和下划线，值都作为参数传入
+ * @since 10035
+ * @interface
+ * @example
+ * db.table('weight')
+ *   .select('time', 'value')
+ *   .where('member', 'me')
+ *   .where('time', '>=', start)
+ *   .orderBy('time', 'DESC')
+ *   .limit(20)
+ *   .all()
+ *   .then(rows => ...)
+ */
+export class IQueryBuilder {
+  /**
+   * 指定查询的列，默认为 *
+   * @param {...string} columns 列名，或者 COUNT、SUM、AVG、MIN、MAX、TOTAL 聚合函数，都可以带别名，例如 'time'、'COUNT(*) AS n'、'MAX(time) AS latest'；
+   * 不支持其它表达式，需要时请使用 db.query 直接执行 SQL
+   * @returns {IQueryBuilder}
+   */
+  select(...columns) {
+    //@native :=> this
+    Properties.of(this).columns = columns.length > 0 ? columns.map(_column) : ["*"];
+    return this;
+    //@native end
+  }
+  /**
+   * 添加条件，多个条件之间为 AND
+   * where(column, value) 等同于 where(column, '=', value)，value 为 null 时为 IS NULL
+   * where({ column: value, ... }) 等同于依次调用 where(column, value)
+   * @param {string|object} column 列名
+   * @param {string} [operator] =、!=、<、<=、>、>=、LIKE、NOT LIKE、GLOB、IS、IS NOT
+   * @param {any} value
+   * @returns {IQueryBuilder}
+   */
+  where(column, operator, value) {
+    //@native :=> this
+    if (column !== null && typeof column === "object") {
+      Object.keys(column).forEach(key => this.where(key, column[key]));
+      return this;
+    }
+    if (arguments.length === 2) {
+      value = operator;
+      operator = value === null || value === undefined ? "IS" : "=";
+    }
+    const op = String(operator).toUpperCase();
+    if (OPERATORS.indexOf(op) < 0) {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, `unsupported operator: ${ operator }`);
+    }
+    Properties.of(this).conditions.push({ sql: `${ _quote(column) } ${ op } ?`, params: [value] });
+    return this;
+    //@native end
+  }
+  /**
+   * 添加 IN 条件，values 为空数组时没有结果
+   * @param {string} column 列名
+   * @param {Array} values
+   * @returns {IQueryBuilder}
+   */
+  whereIn(column, values) {
+    //@native :=> this
+    if (!Array.isArray(values)) {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, "values should be an array");
+    }
+    const sql = values.length > 0 ? `${ _quote(column) } IN (${ values.map(() => "?").join(", ") })` : "0";
+    Properties.of(this).conditions.push({ sql, params: values });
+    return this;
+    //@native end
+  }
+  /**
+   * 排序，可以多次调用
+   * @param {string} column 列名
+   * @param {string} [direction='ASC'] ASC 或 DESC
+   * @returns {IQueryBuilder}
+   */
+  orderBy(column, direction = "ASC") {
+    //@native :=> this
+    const dir = String(direction).toUpperCase();
+    if (dir !== "ASC" && dir !== "DESC") {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, `invalid order direction: ${ direction }`);
+    }
+    Properties.of(this).orders.push(`${ _quote(column) } ${ dir }`);
+    return this;
+    //@native end
+  }
+  /**
+   * 限制返回的条数
+   * @param {int} count
+   * @returns {IQueryBuilder}
+   */
+  limit(count) {
+    //@native :=> this
+    Properties.of(this).limit = Math.max(0, parseInt(count) || 0);
+    return this;
+    //@native end
+  }
+  /**
+   * 跳过前 count 条，一般与 limit 一起用于分页
+   * @param {int} count
+   * @returns {IQueryBuilder}
+   */
+  offset(count) {
+    //@native :=> this
+    Properties.of(this).offset = Math.max(0, parseInt(count) || 0);
+    return this;
+    //@native end
+  }
+  /**
+   * 生成查询语句，用于调试
+   * @returns {{sql: string, params: Array}}
+   */
+  toSQL() {
+    //@native :=> { sql: "", params: [] }
+    const self = Properties.of(this);
+    const where = _where(self);
+    let sql = `SELECT ${ self.columns.join(", ") } FROM ${ self.table }${ where.sql }`;
+    if (self.orders.length > 0) {
+      sql += ` ORDER BY ${ self.orders.join(", ") }`;
+    }
+    if (self.limit >= 0 || self.offset > 0) {
+      sql += ` LIMIT ${ self.limit } OFFSET ${ self.offset }`;
+    }
+    return { sql, params: where.params };
+    //@native end
+  }
+  /**
+   * 查询所有符合条件的记录
+   * @returns {Promise<object[]>}
+   */
+  all() {
+    //@native :=> Promise.resolve([]);
+    return Promise.resolve().then(() => {
+      const { sql, params } = this.toSQL();
+      return _rows(Properties.of(this).run, sql, params);
+    });
+    //@native end
+  }
+  /**
+   * 查询第一条记录，不会修改当前构造器的 limit
+   * @returns {Promise<object|null>} 没有记录时为 null
+   */
+  first() {
+    //@native :=> Promise.resolve(null);
+    return _copy(this).limit(1).all().then(rows => rows[0] || null);
+    //@native end
+  }
+  /**
+   * 统计符合条件的记录条数，忽略 select、orderBy、limit 和 offset
+   * @returns {Promise<int>}
+   */
+  count() {
+    //@native :=> Promise.resolve(0);
+    const self = Properties.of(this);
+    return Promise.resolve().then(() => {
+      const where = _where(self);
+      return _rows(self.run, `SELECT COUNT(*) AS count FROM ${ self.table }${ where.sql }`, where.params);
+    }).then(rows => rows[0].count);
+    //@native end
+  }
+  /**
+   * 插入一条或多条记录，多条记录时在一个事务中分批插入，所有记录的列以第一条记录为准
+   * @param {object|object[]} rows
+   * @param {object} [options]
+   * @param {string} [options.onConflict] 主键或唯一约束冲突时的处理方式，'replace' 覆盖，'ignore' 忽略，默认失败
+   * @returns {Promise<{insertId: int, rowsAffected: int}>} insertId 为最后插入的 rowid
+   */
+  insert(rows, options = {}) {
+    //@native :=> promise
+    const self = Properties.of(this);
+    return Promise.resolve().then(() => {
+      const list = Array.isArray(rows) ? rows : [rows];
+      if (list.length === 0) {
+        return { insertId: undefined, rowsAffected: 0 };
+      }
+      const columns = Object.keys(list[0] || {});
+      if (columns.length === 0) {
+        throw new StorageError(ErrorCode.INVALID_ARGUMENT, "inserted row should have at least one column");
+      }
+      const conflict = { replace: " OR REPLACE", ignore: " OR IGNORE" }[options.onConflict] || "";
+      const prefix = `INSERT${ conflict } INTO ${ self.table } (${ columns.map(_quote).join(", ") }) VALUES `;
+      const placeholder = `(${ columns.map(() => "?").join(", ") })`;
+      const batchSize = Math.max(1, Math.floor(MAX_VARIABLES / columns.length));
+      const insertBatch = (run, start) => {
+        const batch = list.slice(start, start + batchSize);
+        const params = batch.reduce((all, row) => all.concat(columns.map(column => row[column])), []);
+        return run(prefix + batch.map(() => placeholder).join(", "), params);
+      };
+      if (list.length <= batchSize) {
+        return insertBatch(self.run, 0).then(({ insertId, rowsAffected }) => ({ insertId, rowsAffected }));
+      }
+      return self.transaction(tx => {
+        const run = Properties.of(tx).run;
+        const total = { insertId: undefined, rowsAffected: 0 };
+        let chain = Promise.resolve();
+        for (let start = 0; start < list.length; start += batchSize) {
+          chain = chain.then(() => insertBatch(run, start)).then(({ insertId, rowsAffected }) => {
+            total.insertId = insertId;
+            total.rowsAffected += rowsAffected;
+          });
+        }
+        return chain.then(() => total);
+      });
+    });
+    //@native end
+  }
+  /**
+   * 更新符合条件的记录
+   * @param {object} values 要更新的列和值
+   * @returns {Promise<int>} 更新的条数
+   */
+  update(values) {
+    //@native :=> Promise.resolve(0);
+    const self = Properties.of(this);
+    return Promise.resolve().then(() => {
+      const columns = Object.keys(values || {});
+      if (columns.length === 0) {
+        throw new StorageError(ErrorCode.INVALID_ARGUMENT, "nothing to update");
+      }
+      const where = _where(self);
+      const sql = `UPDATE ${ self.table } SET ${ columns.map(column => `${ _quote(column) } = ?`).join(", ") }${ where.sql }`;
+      return self.run(sql, columns.map(column => values[column]).concat(where.params));
+    }).then(result => result.rowsAffected);
+    //@native end
+  }
+  /**
+   * 删除符合条件的记录，没有条件时删除所有记录
+   * @returns {Promise<int>} 删除的条数
+   */
+  delete() {
+    //@native :=> Promise.resolve(0);
+    const self = Properties.of(this);
+    const where = _where(self);
+    return self.run(`DELETE FROM ${ self.table }${ where.sql }`, where.params).then(result => result.rowsAffected);
+    //@native end
+  }
+}
+wrapPromiseErrors(IQueryBuilder.prototype, ErrorSource.STORAGE);
+/**
+ * 事务，由 db.transaction 传给回调，只在回调返回的 Promise 结束之前可用
+ * @since 10035
+ * @interface
+ */
+export class ITransaction {
+  /**
+   * 执行一条 SQL 语句
+   * @param {string} sql
+   * @param {Array} [params=[]] ? 占位符对应的参数，Date 转为毫秒数，数组和对象转为 JSON
+   * @returns {Promise<{rows: object[], rowsAffected: int, insertId: int}>}
+   */
+  execute(sql, params = []) {
+    //@native => promise
+    return Properties.of(this).run(sql, params);
+  }
+  /**
+   * 查询
+   * @param {string} sql
+   * @param {Array} [params=[]]
+   * @returns {Promise<object[]>}
+   */
+  query(sql, params = []) {
+    //@native => Promise.resolve([]);
+    return _rows(Properties.of(this).run, sql, params);
+  }
+  /**
+   * 查询第一条记录
+   * @param {string} sql
+   * @param {Array} [params=[]]
+   * @returns {Promise<object|null>}
+   */
+  queryOne(sql, params = []) {
+    //@native => Promise.resolve(null);
+    return this.query(sql, params).then(rows => rows[0] || null);
+  }
+  /**
+   * 在事务中使用查询构造器
+   * @param {string} name 表名
+   * @returns {IQueryBuilder}
+   */
+  table(name) {
+    //@native :=> null
+    const self = Properties.of(this);
+    return _builder(self.run, self.transaction, name);
+    //@native end
+  }
+}
+wrapPromiseErrors(ITransaction.prototype, ErrorSource.STORAGE);
+/**
+ * 数据库，通过 Host.database.open 获取
+ * @since 10035
+ * @interface
+ */
+export class IDatabase {
+  /**
+   * 名称
+   * @type {string}
+   * @readonly
+   */
+  get name() {
+    //@native => ""
+    return Properties.of(this).name;
+  }
+  /**
+   * 当前的版本，即 open 时 migrations 的长度
+   * @type {int}
+   * @readonly
+   */
+  get version() {
+    //@native => 0
+    return Properties.of(this).version;
+  }
+  /**
+   * 是否已经打开，close 之后为 false
+   * @type {boolean}
+   * @readonly
+   */
+  get isOpen() {
+    //@native => false
+    return !!Properties.of(this).connection;
+  }
+  /**
+   * 执行一条 SQL 语句
+   * @param {string} sql
+   * @param {Array} [params=[]] ? 占位符对应的参数，Date 转为毫秒数，数组和对象转为 JSON
+   * @returns {Promise<{rows: object[], rowsAffected: int, insertId: int}>}
+   * @example
+   * db.execute('UPDATE weight SET member = ? WHERE member IS NULL', ['me']).then(({ rowsAffected }) => ...)
+   */
+  execute(sql, params = []) {
+    //@native => promise
+    return _executor(Properties.of(this)).run(sql, params);
+  }
+  /**
+   * 查询
+   * @param {string} sql
+   * @param {Array} [params=[]]
+   * @returns {Promise<object[]>} 每一行为 { 列名: 值 }
+   */
+  query(sql, params = []) {
+    //@native => Promise.resolve([]);
+    return _rows(_executor(Properties.of(this)).run, sql, params);
+  }
+  /**
+   * 查询第一条记录
+   * @param {string} sql
+   * @param {Array} [params=[]]
+   * @returns {Promise<object|null>} 没有记录时为 null
+   */
+  queryOne(sql, params = []) {
+    //@native => Promise.resolve(null);
+    return this.query(sql, params).then(rows => rows[0] || null);
+  }
+  /**
+   * 在事务中执行，回调返回的 Promise 成功后提交，失败(或者回调抛出异常)时回滚
+   * 回调中请使用 tx 执行语句，使用 db 会等待事务结束，导致事务无法完成
+   * @param {function(ITransaction): Promise} callback
+   * @returns {Promise<any>} 回调的返回值
+   * @example
+   * db.transaction(tx => tx.queryOne('SELECT balance FROM account WHERE id = ?', [1])
+   *   .then(({ balance }) => tx.execute('UPDATE account SET balance = ? WHERE id = ?', [balance - 10, 1])))
+   */
+  transaction(callback) {
+    //@native :=> promise
+    if (typeof callback !== "function") {
+      return Promise.reject(new StorageError(ErrorCode.INVALID_ARGUMENT, "transaction callback should be a function"));
+    }
+    return _executor(Properties.of(this)).transaction(callback);
+    //@native end
+  }
+  /**
+   * 使用查询构造器
+   * @param {string} name 表名
+   * @returns {IQueryBuilder}
+   */
+  table(name) {
+    //@native :=> null
+    const executor = _executor(Properties.of(this));
+    return _builder(executor.run, executor.transaction, name);
+    //@native end
+  }
+  /**
+   * 把 Service.smarthome.getDeviceData 返回的记录写入表中，表不存在时自动创建
+   * 表的列为 did、uid、type、key、time(秒)、value(原始字符串)，(did, type, key, time) 相同的记录会被覆盖，因此可以重复导入
+   * @param {Array<{did: string, uid: string, type: string, key: string, time: number, value: string}>} records
+   * @param {object} [options]
+   * @param {string} [options.table='device_data'] 表名
+   * @returns {Promise<int>} 写入的条数
+   */
+  importDeviceData(records, options = {}) {
+    //@native :=> Promise.resolve(0);
+    const { table = DEVICE_DATA_TABLE } = options;
+    if (!Array.isArray(records)) {
+      return Promise.reject(new StorageError(ErrorCode.INVALID_ARGUMENT, "records should be an array"));
+    }
+    const rows = records.filter(record => record && record.did && record.key && record.time !== undefined).map(record => ({
+      did: String(record.did),
+      uid: record.uid === undefined || record.uid === null ? null : String(record.uid),
+      type: String(record.type || ""),
+      key: String(record.key),
+      time: parseInt(record.time),
+      value: typeof record.value === "string" ? record.value : JSON.stringify(record.value === undefined ? null : record.value)
+    }));
+    return this.transaction(tx => _deviceDataTable(Properties.of(tx).run, table)
+      .then(() => rows.length > 0 ? tx.table(table).insert(rows, { onConflict: "replace" }) : { rowsAffected: 0 }))
+      .then(() => rows.length);
+    //@native end
+  }
+  /**
+   * 查询已导入的设备数据中最新的时间，用于增量同步时作为 getDeviceData 的 time_start
+   * @param {object} params
+   * @param {string} params.did 设备 ID
+   * @param {string} params.type prop 或 event
+   * @param {string} params.key 属性或事件名
+   * @param {object} [options]
+   * @param {string} [options.table='device_data'] 表名
+   * @returns {Promise<int>} 最新记录的 time(秒)，没有记录时为 0
+   */
+  latestDeviceDataTime({ did, type, key }, options = {}) {
+    //@native :=> Promise.resolve(0);
+    const { table = DEVICE_DATA_TABLE } = options;
+    const executor = _executor(Properties.of(this));
+    return Promise.resolve()
+      .then(() => _deviceDataTable(executor.run, table))
+      .then(() => _builder(executor.run, executor.transaction, table)
+        .select("MAX(time) AS time")
+        .where({ did: String(did), type: String(type || ""), key: String(key) })
+        .first())
+      .then(row => row && row.time || 0);
+    //@native end
+  }
+  /**
+   * 关闭数据库，会等待进行中的操作结束；之后需要重新 open
+   * @returns {Promise}
+   */
+  close() {
+    //@native :=> promise
+    const self = Properties.of(this);
+    databases.delete(self.name);
+    return _enqueue(self, () => _closeConnection(self)).catch(err => {
+      if (self.connection) {
+        throw err;
+      }
+    });
+    //@native end
+  }
+}
+wrapPromiseErrors(IDatabase.prototype, ErrorSource.STORAGE);
+export default wrapPromiseErrors({
+  /**
+   * 打开(不存在时创建)数据库，并执行未执行过的迁移
+   * 数据库的版本保存在 PRAGMA user_version 中，新建的数据库为 0，migrations[i] 把数据库从版本 i 升级到 i + 1
+   * 每个版本在单独的事务中执行，失败时回滚并停留在上一个版本，reject StorageError，code 为 MIGRATION_FAILED，
+   * 错误中包含 database、fromVersion、toVersion、failedVersion 和 cause(原始错误)
+   * 同一个数据库重复 open 返回同一个对象；已经打开时不传 migrations 直接返回，传入与打开时不同的 migrations 时 reject StorageError，code 为 INVALID_ARGUMENT
+   * @param {string} [name='default'] 名称，只能包含字母、数字、'_'、'-' 和 '.'
+   * @param {object} [options]
+   * @param {Array<string|string[]|function>} [options.migrations=[]] 迁移，可以是 SQL 语句、SQL 语句数组，或者参数为 ITransaction、返回 Promise 的函数
+   * @returns {Promise<IDatabase>}
+   */
+  open(name = "default", options = {}) {
+    //@native :=> Promise.resolve(null);
+    const { migrations = [] } = options;
+    const opened = databases.get(name);
+    if (opened) {
+      if (options.migrations !== undefined && !_sameMigrations(opened.migrations, migrations)) {
+        return Promise.reject(new StorageError(ErrorCode.INVALID_ARGUMENT, `database ${ name } is already opened with different migrations`));
+      }
+      return opened.opening;
+    }
+    if (!Array.isArray(migrations) || migrations.some(migration => !migration || ["string", "function", "object"].indexOf(typeof migration) < 0)) {
+      return Promise.reject(new StorageError(ErrorCode.INVALID_ARGUMENT, "migrations should be an array of sql, sql array or function"));
+    }
+    let opening = null;
+    try {
+      opening = _open(name, migrations);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    // 重复注册会被忽略
+    PackageExitAction.register(_closeAll);
+    const entry = { opening, migrations: migrations.slice() };
+    databases.set(name, entry);
+    // 打开失败(例如迁移失败)时下次重新打开
+    opening.catch(() => {
+      if (databases.get(name) === entry) {
+        databases.delete(name);
+      }
+    });
+    return opening;
+    //@native end
+  },
+  /**
+   * 删除数据库文件，已经打开时先关闭
+   * @param {string} name
+   * @returns {Promise}
+   */
+  deleteDatabase(name) {
+    //@native :=> promise
+    const opened = databases.get(name);
+    return Promise.resolve(opened && opened.opening)
+      .then(db => db && db.close(), () => null)
+      .then(() => new Promise((resolve, reject) => {
+        factory.deleteDatabase({ name: _path(name) }, () => resolve(), err => reject(_sqlError(err, null)));
+      }));
+    //@native end
+  }
+}, ErrorSource.STORAGE);
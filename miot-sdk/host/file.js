@@ -26,9 +26,13 @@
  *    ...
  * });
  * ...
+ * 从 10035 开始，失败时统一 reject StorageError(见 {@link module:miot/MiotError})
+ * 文件内容以明文保存，不要保存密码、钥匙等敏感数据，原因见 {@link module:miot/host/storage}
+ * 需要按时间、条件查询的记录(例如传感器历史数据)，建议使用 Host.database(见 {@link module:miot/host/database})，不必每次读取并解析整个文件
  */
 //@native
 import native, { buildEvents } from "../native";
+import { ErrorCode, ErrorSource, StorageError, wrapPromiseErrors } from '../MiotError';
 export const FileEvent = {
     /**
      * 文件下载时的进度事件通知
@@ -48,7 +52,7 @@ export const FileEvent = {
 };
 //@native
 buildEvents(FileEvent)
-export default {
+export default wrapPromiseErrors({
     /**
      * 读取沙盒内文件列表
      * * @param {string} subFolder 读取沙盒文件夹下某子文件夹中文件内容，用于解压缩文件中带有文件夹，或者读取指定文件夹解压后的文件,标准path结构，不以'/'开头
@@ -76,7 +80,7 @@ export default {
                 if (isSuccess) {
                     resolve(result);
                 } else {
-                    reject(false, result);
+                    reject(StorageError.from(result, null, ErrorCode.REQUEST_FAILED));
                 }
             })
         });
@@ -586,7 +590,7 @@ export default {
                 if (isSuccess) {
                     resolve(subData);
                 } else {
-                    reject(false);
+                    reject(new StorageError(ErrorCode.REQUEST_FAILED, "native call failed"));
                 }
             });
         });
@@ -800,7 +804,7 @@ export default {
                 if (isSuccess) {
                     resolve(colorValues);
                 } else {
-                    reject(false);
+                    reject(new StorageError(ErrorCode.REQUEST_FAILED, "native call failed"));
                 }
             });
         });
@@ -811,4 +815,4 @@ export default {
         return "";
     }
     //@native end
-};
\ No newline at end of file
+}, ErrorSource.STORAGE);
\ No newline at end of file
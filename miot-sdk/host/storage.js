@@ -8,8 +8,16 @@
  * 本地轻量级存储服务, 键值对格式
  * 对于key-value的数据存储，我们提供的能力具体如下：
  * 1、单个key-value的数据存储  2、批量key-value的数据存储
+ * 3、删除、枚举和清空(10035)  4、按设备隔离的命名空间(10035)，见 namespace
+ * 5、带版本和迁移的存储(10035)，插件升级改变数据结构时使用，见 createStore
+ * 6、过期数据在扩展程序加载后自动清理(10035)，可以用 setQuota 限制占用的空间，用 stats 查看使用情况
+ * 7、数据以明文保存，不要保存密码、钥匙等敏感数据；加密存储需要 App 提供按扩展程序和账号派生密钥的原生密钥库接口，API Level 10035 的 App 还没有提供，SDK 暂不提供加密存储
  * 注意事项：
- * 1、目前删除设备没有做自动清除本地缓存的能力(计划安排中)
+ * 1、从 10035 开始，通过 Host.ui.openDeleteDeviceWithCallback 删除设备后，会自动清空该设备的命名空间；不在命名空间中的数据不会被清除
+ * 2、不兼容的变化：从 10035 开始，失败时统一 reject StorageError(见 {@link module:miot/MiotError})，如数据过期时 code 为 EXPIRED，不再 reject 字符串 "expired"；
+ *    set 和 save 从 10035 开始返回 Promise
+ * 3、keys 和 clear 依赖 10035 开始维护的 key 索引，此前版本保存的 key 需要重新 set 或者直接 remove
+ * 4、数据发生变化时会触发 StorageEvent.storageChanged
  * @example
  * import { Host} from "miot";
  * Host.storage.get("key-1").then(res => {
@@ -18,16 +26,583 @@
  *    console.log("error", error)
  * });
  */
+//@native begin
+import Device from "../device/BasicDevice";
+import native, { buildEvents, Properties, Utils } from "../native";
+import { ErrorCode, ErrorSource, StorageError, wrapPromiseErrors } from '../MiotError';
+// 原生只提供按 key 读写，key 的索引由 js 维护，保存在 INDEX_KEY 中
+// 索引格式为 { fullKey: [size, atime, expireAt] }，size 为 utf8 字节数，atime 为最近读写时间，expireAt 为 0 表示不过期
+const INDEX_KEY = "__miot_storage_index__";
+// 命名空间中的 key 保存为 NAMESPACE_PREFIX + deviceID + "/" + key
+const NAMESPACE_PREFIX = "__miot_device__";
+// createStore 的数据保存在 STORE_PREFIX + name 中，迁移前的备份保存在 STORE_BACKUP_PREFIX + name 中
+const STORE_PREFIX = "__miot_store__";
+const STORE_BACKUP_PREFIX = "__miot_store_backup__";
+// 以此开头的 key 由 SDK 内部使用，keys 不返回，不触发 storageChanged，不计入配额，也不会被淘汰
+const INTERNAL_PREFIX = "__miot_";
+// 只更新 atime 时延迟写入索引，避免每次 get 都写一次
+const TOUCH_SAVE_DELAY = 2000;
+let indexPromise = null;
+let indexQueue = Promise.resolve();
+let touchTimer = null;
+let quota = 0;
+function _fullKey(namespace, key) {
+  return namespace ? `${ NAMESPACE_PREFIX }${ namespace }/${ key }` : String(key);
+}
+function _splitKey(fullKey) {
+  if (!fullKey.startsWith(NAMESPACE_PREFIX)) {
+    return { namespace: null, key: fullKey };
+  }
+  const separator = fullKey.indexOf("/", NAMESPACE_PREFIX.length);
+  return { namespace: fullKey.slice(NAMESPACE_PREFIX.length, separator), key: fullKey.slice(separator + 1) };
+}
+function _byteLength(text) {
+  let length = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      length += 1;
+    } else if (code < 0x800) {
+      length += 2;
+    } else if (code >= 0xD800 && code < 0xDC00 && i + 1 < text.length) {
+      // 代理对，合计 4 字节
+      length += 4;
+      i++;
+    } else {
+      length += 3;
+    }
+  }
+  return length;
+}
+function _readRaw(fullKey) {
+  return new Promise(resolve => native.MIOTHost.loadInfoCallback(fullKey, resolve));
+}
+function _meta(raw) {
+  const { expire, time } = JSON.parse(raw);
+  return { size: _byteLength(raw), atime: time || 0, expireAt: expire > 0 ? time + expire : 0 };
+}
+function _loadIndex() {
+  if (!indexPromise) {
+    indexPromise = _readRaw(INDEX_KEY).then(value => {
+      const index = new Map();
+      let data = null;
+      try {
+        data = value ? JSON.parse(value) : null;
+      } catch (err) {
+        console.warn("storage index is broken, rebuild it", err);
+      }
+      if (data) {
+        Object.keys(data).forEach(fullKey => {
+          const [size, atime, expireAt] = data[fullKey];
+          index.set(fullKey, { size, atime, expireAt });
+        });
+      }
+      return index;
+    });
+  }
+  return indexPromise;
+}
+function _saveIndex(index) {
+  const data = {};
+  index.forEach(({ size, atime, expireAt }, fullKey) => {
+    data[fullKey] = [size, atime, expireAt];
+  });
+  native.MIOTHost.saveInfo(INDEX_KEY, JSON.stringify(data));
+}
+// 按调用顺序串行修改索引，update 返回 false 时表示索引没有变化
+function _updateIndex(update) {
+  const result = indexQueue.then(_loadIndex).then(index => {
+    const value = update(index);
+    if (value !== false) {
+      touchTimer && clearTimeout(touchTimer);
+      touchTimer = null;
+      _saveIndex(index);
+    }
+    return value;
+  });
+  indexQueue = result.catch(() => {});
+  return result;
+}
+function _touch(fullKey) {
+  _loadIndex().then(index => {
+    const meta = index.get(fullKey);
+    if (!meta) {
+      return;
+    }
+    meta.atime = new Date().getTime();
+    if (!touchTimer) {
+      touchTimer = setTimeout(() => {
+        touchTimer = null;
+        _updateIndex(() => true);
+      }, TOUCH_SAVE_DELAY);
+    }
+  });
+}
+function _emit(namespace, action, keys) {
+  keys = keys.filter(key => !key.startsWith(INTERNAL_PREFIX));
+  if (keys.length > 0) {
+    StorageEvent.storageChanged.emit({ action, keys, deviceID: namespace || undefined });
+  }
+}
+// 按命名空间分组触发事件
+function _emitGroups(action, fullKeys) {
+  const groups = new Map();
+  fullKeys.forEach(fullKey => {
+    const { namespace, key } = _splitKey(fullKey);
+    groups.set(namespace, (groups.get(namespace) || []).concat(key));
+  });
+  groups.forEach((keys, namespace) => _emit(namespace, action, keys));
+}
+function _get(fullKey) {
+  return _readRaw(fullKey).then(value => {
+    if (value) {
+      let res = JSON.parse(value);
+      if (res.expire > 0 && res.expire + res.time <= new Date().getTime()) {
+        throw new StorageError(ErrorCode.EXPIRED, "expired", { extra: { key: _splitKey(fullKey).key } });
+      }
+      _touch(fullKey);
+      return res.value;
+    }
+    return value;
+  });
+}
+// 超出配额时按 atime 从旧到新淘汰，不淘汰 keep 以及内部使用的 key，返回被淘汰的 key
+function _evict(index, keep) {
+  if (!quota) {
+    return [];
+  }
+  const evictable = [...index.keys()].filter(fullKey => !_splitKey(fullKey).key.startsWith(INTERNAL_PREFIX));
+  let total = 0;
+  evictable.forEach(fullKey => {
+    total += index.get(fullKey).size;
+  });
+  const evicted = [];
+  const candidates = evictable
+    .filter(fullKey => fullKey !== keep)
+    .sort((a, b) => index.get(a).atime - index.get(b).atime);
+  for (const fullKey of candidates) {
+    if (total <= quota) {
+      break;
+    }
+    total -= index.get(fullKey).size;
+    native.MIOTHost.saveInfo(fullKey, "");
+    index.delete(fullKey);
+    evicted.push(fullKey);
+  }
+  return evicted;
+}
+function _set(namespace, key, val, opt) {
+  const fullKey = _fullKey(namespace, key);
+  let value = {
+    "value": val,
+    "expire": opt ? opt.expire : 0,
+    "time": new Date().getTime()
+  };
+  const raw = JSON.stringify(value);
+  const meta = _meta(raw);
+  if (quota && meta.size > quota) {
+    return Promise.reject(new StorageError(ErrorCode.QUOTA_EXCEEDED, `value of ${ key } is ${ meta.size } bytes, larger than quota ${ quota }`, {
+      extra: { key: String(key), size: meta.size, quota }
+    }));
+  }
+  native.MIOTHost.saveInfo(fullKey, raw);
+  _emit(namespace, "set", [String(key)]);
+  return _updateIndex(index => {
+    index.set(fullKey, meta);
+    return _evict(index, fullKey);
+  }).then(evicted => {
+    _emitGroups("evict", evicted);
+  });
+}
+function _load(namespace, keys) {
+  if (Utils.typeName(keys) !== "array") {
+    return Promise.reject(new StorageError(ErrorCode.INVALID_ARGUMENT, "传入参数不是数组"));
+  }
+  return Promise.all(keys.map(key => _get(_fullKey(namespace, key))));
+}
+// 原生没有删除接口，写入空字符串后 get 的结果与从未 set 过一致
+function _remove(fullKeys, action) {
+  fullKeys.forEach(fullKey => native.MIOTHost.saveInfo(fullKey, ""));
+  return _updateIndex(index => {
+    const size = index.size;
+    fullKeys.forEach(fullKey => index.delete(fullKey));
+    return index.size !== size;
+  }).then(() => {
+    _emitGroups(action, fullKeys);
+  });
+}
+function _removeMany(namespace, keys) {
+  if (Utils.typeName(keys) !== "array") {
+    return Promise.reject(new StorageError(ErrorCode.INVALID_ARGUMENT, "传入参数不是数组"));
+  }
+  return _remove(keys.map(key => _fullKey(namespace, key)), "remove");
+}
+function _keys(namespace, prefix = "") {
+  return _loadIndex().then(index => [...index.keys()]
+    .map(_splitKey)
+    .filter(entry => entry.namespace === (namespace || null) && entry.key.startsWith(prefix) && !entry.key.startsWith(INTERNAL_PREFIX))
+    .map(entry => entry.key));
+}
+// namespace 为空时清空所有数据，包括各个设备的命名空间，但保留内部使用的 key(例如 createStore 的存储)
+// 清空命名空间(例如删除设备)时删除其中的全部数据
+function _clear(namespace) {
+  return _loadIndex().then(index => {
+    const fullKeys = [...index.keys()].filter(fullKey => {
+      const entry = _splitKey(fullKey);
+      return namespace ? entry.namespace === namespace : !entry.key.startsWith(INTERNAL_PREFIX);
+    });
+    return _remove(fullKeys, "clear");
+  });
+}
+// 返回过期的 key，等待进行中的索引修改完成后再判断
+function _scan() {
+  return indexQueue.then(_loadIndex).then(index => {
+    const now = new Date().getTime();
+    return [...index.keys()].filter(fullKey => {
+      const { expireAt } = index.get(fullKey);
+      return expireAt > 0 && expireAt <= now;
+    });
+  });
+}
+function _clone(data) {
+  return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+}
+// 依次执行 fromVersion 到 toVersion 之间的迁移，失败时 reject {version, error}，version 为失败的迁移的起始版本
+function _migrate(migrations, data, fromVersion, toVersion) {
+  let version = fromVersion;
+  const next = current => {
+    if (version >= toVersion) {
+      return current;
+    }
+    return new Promise(resolve => resolve(migrations[version - 1](current))).then(migrated => {
+      version++;
+      return next(migrated);
+    });
+  };
+  return next(_clone(data)).catch(error => Promise.reject({ version, error }));
+}
+function _readStore(self) {
+  return self.backend.get(self.key).then(envelope => {
+    if (envelope && envelope.version) {
+      return envelope;
+    }
+    if (!self.legacyKey) {
+      return null;
+    }
+    // 迁移之前直接用 Host.storage.set 保存的数据，作为版本 1
+    return self.backend.get(self.legacyKey).then(value => {
+      return value === "" || value === null || value === undefined ? null : { version: 1, data: value };
+    }, err => {
+      if (err && err.code === ErrorCode.EXPIRED) {
+        return null;
+      }
+      throw err;
+    });
+  });
+}
+function _migrationFailed(self, envelope, failedVersion, cause) {
+  const info = {
+    store: self.name,
+    deviceID: self.deviceID,
+    fromVersion: envelope.version,
+    toVersion: self.version,
+    failedVersion
+  };
+  const error = new StorageError(ErrorCode.MIGRATION_FAILED, `migrate store ${ self.name } from version ${ failedVersion } failed: ${ cause && cause.message || cause }`, {
+    extra: { ...info, cause }
+  });
+  self.lastError = error;
+  StorageEvent.migrationFailed.emit({ ...info, error });
+  return error;
+}
+function _loadStore(self) {
+  if (!self.loading) {
+    self.loading = _readStore(self).then(envelope => {
+      if (!envelope) {
+        return { version: self.version, data: _clone(self.defaults) };
+      }
+      if (envelope.version === self.version) {
+        return envelope;
+      }
+      if (envelope.version > self.version) {
+        throw _migrationFailed(self, envelope, envelope.version, new Error(`stored version ${ envelope.version } is newer than ${ self.version }`));
+      }
+      return _migrate(self.migrations, envelope.data, envelope.version, self.version).then(data => {
+        // 先写备份再写数据，中途退出时数据仍然是旧版本，下次读取时会重新迁移
+        const migrated = { version: self.version, data };
+        return self.backend.set(self.backupKey, { ...envelope, time: new Date().getTime() })
+          .then(() => self.backend.set(self.key, migrated))
+          .then(() => {
+            self.lastError = null;
+            return migrated;
+          });
+      }, ({ version, error }) => {
+        throw _migrationFailed(self, envelope, version, error);
+      });
+    });
+    // 失败时下次读取重试，例如插件修复了迁移函数或者调用了 reset
+    self.loading.catch(() => {
+      self.loading = null;
+    });
+  }
+  return self.loading;
+}
+//@native end
+/**
+ * 本地存储事件
+ * @since 10035
+ * @namespace StorageEvent
+ * @example
+ * import { StorageEvent } from 'miot/host/storage';
+ * const subscription = StorageEvent.storageChanged.addListener(({ action, keys, deviceID }) => {
+ *   ...
+ * });
+ * ...
+ * subscription.remove()
+ */
+export const StorageEvent = {
+  /**
+   * 数据发生变化，同一次 removeMany/clear/sweep 只触发一次(每个命名空间一次)
+   * @event
+   * @param {json} info {action, keys, deviceID} action 为 set、remove、clear、expire(sweep 清理过期数据) 或 evict(超出配额被淘汰)，keys 为变化的 key，deviceID 为命名空间对应的设备，不在命名空间中时为 undefined
+   */
+  storageChanged: { local: true },
+  /**
+   * createStore 创建的存储迁移失败，数据保持迁移前的版本不变，对应的 get 会 reject MIGRATION_FAILED
+   * @event
+   * @param {json} info {store, deviceID, fromVersion, toVersion, failedVersion, error} failedVersion 为执行失败的迁移的起始版本，error 为 StorageError
+   * @example
+   * StorageEvent.migrationFailed.addListener(({ store, failedVersion, error }) => {
+   *   Service.smarthome.reportLog(Device.model, `migrate ${ store } failed at ${ failedVersion }: ${ error.message }`);
+   * });
+   */
+  migrationFailed: { local: true }
+};
 //@native
-import native, { Utils } from "../native";
-export default {
+buildEvents(StorageEvent)
+/**
+ * 按设备隔离的存储空间，通过 Host.storage.namespace 获取，key 只在同一个设备中唯一
+ * 方法与 Host.storage 相同
+ * @since 10035
+ * @interface
+ */
+export class IStorageNamespace {
+  /**
+   * 命名空间对应的设备 ID
+   * @type {string}
+   * @readonly
+   */
+  get deviceID() {
+    //@native => ""
+    return Properties.of(this).deviceID;
+  }
+  /**
+   * 同 Host.storage.get
+   * @param {string} key
+   * @returns {Promise<object>}
+   */
+  get(key) {
+    //@native => Promise.resolve(null);
+    return _get(_fullKey(this.deviceID, key));
+  }
+  /**
+   * 同 Host.storage.set
+   * @param {string} key
+   * @param {object} val
+   * @param {object} [opt={ expire: 0 }]
+   * @returns {Promise}
+   */
+  set(key, val, opt = { expire: 0 }) {
+    //@native => promise
+    return _set(this.deviceID, key, val, opt);
+  }
+  /**
+   * 同 Host.storage.load
+   * @param {array} keys
+   * @returns {Promise<json[]>}
+   */
+  load(keys) {
+    //@native => promise
+    return _load(this.deviceID, keys);
+  }
+  /**
+   * 同 Host.storage.save
+   * @param {{key:value}} keyValues
+   * @param {object} [opt={ expire: 0 }]
+   * @returns {Promise}
+   */
+  save(keyValues, opt = { expire: 0 }) {
+    return Promise.all(Object.keys(keyValues).map(key => this.set(key, keyValues[key], opt)));
+  }
+  /**
+   * 同 Host.storage.remove
+   * @param {string} key
+   * @returns {Promise}
+   */
+  remove(key) {
+    //@native => promise
+    return _removeMany(this.deviceID, [key]);
+  }
+  /**
+   * 同 Host.storage.removeMany
+   * @param {array} keys
+   * @returns {Promise}
+   */
+  removeMany(keys) {
+    //@native => promise
+    return _removeMany(this.deviceID, keys);
+  }
+  /**
+   * 同 Host.storage.keys，只返回此命名空间中的 key
+   * @param {string} [prefix='']
+   * @returns {Promise<string[]>}
+   */
+  keys(prefix = "") {
+    //@native => Promise.resolve([]);
+    return _keys(this.deviceID, prefix);
+  }
+  /**
+   * 清空此命名空间中的数据
+   * @returns {Promise}
+   */
+  clear() {
+    //@native => promise
+    return _clear(this.deviceID);
+  }
+}
+wrapPromiseErrors(IStorageNamespace.prototype, ErrorSource.STORAGE);
+/**
+ * 带版本的存储，通过 Host.storage.createStore 创建，整体读写一个可以 JSON 序列化的对象
+ * 首次读取时，如果保存的数据版本低于声明的版本(一般发生在插件升级之后)，会依次执行迁移函数，全部成功后才写入，并备份迁移前的数据
+ * @since 10035
+ * @interface
+ */
+export class IVersionedStore {
+  /**
+   * 名称
+   * @type {string}
+   * @readonly
+   */
+  get name() {
+    //@native => ""
+    return Properties.of(this).name;
+  }
+  /**
+   * 声明的数据版本
+   * @type {int}
+   * @readonly
+   */
+  get version() {
+    //@native => 1
+    return Properties.of(this).version;
+  }
+  /**
+   * 最近一次迁移失败的错误(StorageError，code 为 MIGRATION_FAILED)，迁移成功或 reset 后为 null
+   * 错误中包含 store、fromVersion、toVersion、failedVersion 和 cause(迁移函数抛出的原始错误)
+   * @type {StorageError}
+   * @readonly
+   */
+  get lastError() {
+    //@native => null
+    return Properties.of(this).lastError || null;
+  }
+  /**
+   * 读取数据，必要时先执行迁移；没有保存过数据时返回 defaults
+   * @returns {Promise<object>} 迁移失败时 reject StorageError，code 为 MIGRATION_FAILED
+   */
+  get() {
+    //@native :=> Promise.resolve(null);
+    return _loadStore(Properties.of(this)).then(envelope => _clone(envelope.data));
+    //@native end
+  }
+  /**
+   * 保存数据，会等待进行中的迁移结束；迁移失败时也可以调用，直接以当前版本覆盖
+   * @param {object} data 可以 JSON 序列化的数据
+   * @returns {Promise}
+   */
+  set(data) {
+    //@native :=> promise
+    const self = Properties.of(this);
+    const envelope = { version: self.version, data: _clone(data) };
+    const previous = self.loading || Promise.resolve();
+    const saving = previous.catch(() => null).then(() => self.backend.set(self.key, envelope)).then(() => {
+      self.lastError = null;
+      return envelope;
+    });
+    self.loading = saving;
+    // 保存失败(例如超出配额)时下次读取重新从存储中加载
+    saving.catch(() => {
+      if (self.loading === saving) {
+        self.loading = null;
+      }
+    });
+    return saving.then(() => undefined);
+    //@native end
+  }
+  /**
+   * 读取、修改并保存数据
+   * @param {function} updater 参数为当前数据，返回新的数据，可以返回 Promise
+   * @returns {Promise<object>} 保存后的数据
+   * @example
+   * store.update(settings => ({ ...settings, nightMode: true }))
+   */
+  update(updater) {
+    //@native :=> promise
+    return this.get()
+      .then(updater)
+      .then(data => this.set(data).then(() => _clone(data)));
+    //@native end
+  }
+  /**
+   * 获取最近一次迁移前的备份
+   * @returns {Promise<{version: int, data: object, time: long}|null>} 没有备份时为 null
+   */
+  getBackup() {
+    //@native :=> Promise.resolve(null);
+    const self = Properties.of(this);
+    return self.backend.get(self.backupKey).then(backup => backup || null);
+    //@native end
+  }
+  /**
+   * 用备份覆盖当前数据，下次读取时会按当前的迁移函数重新迁移，用于修复有问题的迁移
+   * @returns {Promise<boolean>} 没有备份时返回 false
+   */
+  restoreBackup() {
+    //@native :=> promise
+    const self = Properties.of(this);
+    return this.getBackup().then(backup => {
+      if (!backup) {
+        return false;
+      }
+      const { version, data } = backup;
+      self.loading = null;
+      return self.backend.set(self.key, { version, data }).then(() => true);
+    });
+    //@native end
+  }
+  /**
+   * 删除数据(不删除备份)，之后读取返回 defaults
+   * @returns {Promise}
+   */
+  reset() {
+    //@native :=> promise
+    const self = Properties.of(this);
+    self.loading = null;
+    self.lastError = null;
+    return self.backend.removeMany(self.legacyKey ? [self.key, self.legacyKey] : [self.key]);
+    //@native end
+  }
+}
+wrapPromiseErrors(IVersionedStore.prototype, ErrorSource.STORAGE);
+export default wrapPromiseErrors({
   /**
    * 获取一个key 保存的字符串，如果已经调用 set 则返回对应的值，未调用 set 则返回空字串 ''
    * 如果value已过期，则会reject
+   * 不兼容的变化：10035 之前过期时 reject 字符串 "expired"，从 10035 开始 reject StorageError，code 为 EXPIRED，请改为判断 err.code
    * @param {string} key 
    * @return {Promise<string>}
    * 成功时：直接返回key 对于的 value
-   * 失败时："expired"
+   * 失败时：StorageError，过期时 code 为 ErrorCode.EXPIRED，err.key 为过期的 key
    * @example
    * import {Host} from 'miot'
    * ...
@@ -40,31 +615,14 @@ export default {
    * )
    * .catch(err => {
    *  //load val error 
-   *  if (err === 'expired') {console.log('value for key already expired')}
+   *  if (err.code === ErrorCode.EXPIRED) {console.log('value for key already expired')}
    * })
    * ...
    */
   get(key) {
     //@native :=> Promise.resolve(null);
     //@mark andr done
-    return new Promise((resolve, reject) => {
-      native.MIOTHost.loadInfoCallback(key, value => {
-        if (value) {
-          let res = JSON.parse(value);
-          if (res.expire > 0) {
-            if (res.expire + res.time > new Date().getTime()) {
-              resolve(res.value);
-            } else {
-              reject("expired");
-            }
-          } else {
-            resolve(res.value);
-          }
-        } else {
-          resolve(value);
-        }
-      });
-    });
+    return _get(key);
     //@native end
   },
   /**
@@ -72,7 +630,8 @@ export default {
    * @param {string} key 获取 value 时传入的唯一标识
    * @param {object} val 要保存的数据
    * @param {object} [opt={ expire: 0 }] opt.expire 有效期 从保存的时候开始 expire ms以内数据有效。 如果未传参或expire：0，表示一直有效，无期限
-   * @returns {void}
+   * @returns {Promise} 不兼容的变化：10035 之前没有返回值，从 10035 开始返回 Promise，写入索引后 resolve；
+   * 设置了配额(setQuota)且数据本身超过配额时 reject StorageError，code 为 QUOTA_EXCEEDED，此时不会保存，没有处理 reject 时会出现未处理的 Promise 错误
    * @example
    * import {Host} from 'miot'
    * ...
@@ -84,12 +643,7 @@ export default {
   set(key, val, opt = { expire: 0 }) {
     //@native begin 
     //@mark andr done
-    let value = {
-      "value": val,
-      "expire": opt ? opt.expire : 0,
-      "time": new Date().getTime()
-    };
-    native.MIOTHost.saveInfo(key, JSON.stringify(value));
+    return _set(null, key, val, opt);
     //@native end
   },
   /**
@@ -107,13 +661,7 @@ export default {
    */
   load(keys) {
     //@native :=> promise
-    if (Utils.typeName(keys) !== "array") {
-      return Promise.reject("传入参数不是数组");
-    }
-    let promiseArray = keys.map(key => {
-      return this.get(key);
-    });
-    return Promise.all(promiseArray);
+    return _load(null, keys);
     //@native end
   },
   /**
@@ -121,7 +669,7 @@ export default {
    * 每个 key 可单独更新数据，如果调用 set(key2,value4) 则只更新 key2，key1和 key3的值保持不变
    * @param {{key:value}} keyValues - 需要存储的数据
    * @param {object} [opt={ expire: 0 }] opt.expire 有效期 从保存的时候开始 expire ms以内数据有效。如果未传参或expire：0，表示一直有效，无期限
-   * @returns {void}
+   * @returns {Promise} 不兼容的变化：10035 之前没有返回值，从 10035 开始返回 Promise，所有数据保存后 resolve，任意一个失败时 reject，同 set
    * @example
    * import {Host} from 'miot'
    * ...
@@ -132,8 +680,179 @@ export default {
    * 
    */
   save(keyValues, opt = { expire: 0 }) {
-    for (let key in keyValues) {
-      this.set(key, keyValues[key], opt);
+    return Promise.all(Object.keys(keyValues).map(key => this.set(key, keyValues[key], opt)));
+  },
+  /**
+   * 删除一个 key，删除后 get 返回空字串 ''
+   * @since 10035
+   * @param {string} key
+   * @returns {Promise}
+   * @example
+   * import {Host} from 'miot'
+   * ...
+   * Host.storage.remove('key1').then(() => console.log('removed'))
+   */
+  remove(key) {
+    //@native => promise
+    return _removeMany(null, [key]);
+  },
+  /**
+   * 批量删除
+   * @since 10035
+   * @param {array} keys
+   * @returns {Promise}
+   */
+  removeMany(keys) {
+    //@native => promise
+    return _removeMany(null, keys);
+  },
+  /**
+   * 获取已保存的 key，不包括命名空间中的 key
+   * @since 10035
+   * @param {string} [prefix=''] 只返回以 prefix 开头的 key
+   * @returns {Promise<string[]>}
+   * @example
+   * import {Host} from 'miot'
+   * ...
+   * Host.storage.keys('history-').then(keys => Host.storage.load(keys))
+   */
+  keys(prefix = "") {
+    //@native => Promise.resolve([]);
+    return _keys(null, prefix);
+  },
+  /**
+   * 清空扩展程序保存的所有数据，包括所有设备的命名空间
+   * SDK 内部使用的数据不会被清空，例如 createStore 创建的存储(使用 IVersionedStore.reset 删除)
+   * @since 10035
+   * @returns {Promise}
+   */
+  clear() {
+    //@native => promise
+    return _clear(null);
+  },
+  /**
+   * 设置扩展程序本地存储的配额(包括所有设备的命名空间)，超出时按最近读写时间淘汰最久未使用的数据
+   * SDK 内部使用的数据(包括 createStore 创建的存储)不计入配额，也不会被淘汰，因此 stats 中的 bytes 可能大于配额
+   * 配额只在当前运行期间有效，一般在扩展程序入口处调用
+   * @since 10035
+   * @param {int} bytes 配额，单位为字节，按 utf8 编码后的 JSON 计算；0 表示不限制(默认)
+   * @example
+   * import {Host} from 'miot'
+   * ...
+   * Host.storage.setQuota(2 * 1024 * 1024);
+   */
+  setQuota(bytes) {
+    //@native begin
+    if (!(Number.isInteger(bytes) && bytes >= 0)) {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, "quota should be a non-negative integer");
     }
+    quota = bytes;
+    _updateIndex(index => _evict(index, null)).then(evicted => _emitGroups("evict", evicted));
+    //@native end
+  },
+  /**
+   * 统计本地存储的使用情况，只统计 10035 开始通过 set 保存过的数据，包括 SDK 内部使用的数据
+   * @since 10035
+   * @returns {Promise<{count: int, bytes: int, quota: int}>} count 为数据条数，bytes 为占用的字节数，quota 为当前配额(0 表示不限制)
+   */
+  stats() {
+    //@native :=> Promise.resolve({ count: 0, bytes: 0, quota: 0 });
+    return indexQueue.then(_loadIndex).then(index => {
+      let bytes = 0;
+      index.forEach(meta => {
+        bytes += meta.size;
+      });
+      return { count: index.size, bytes, quota };
+    });
+    //@native end
+  },
+  /**
+   * 删除所有过期的数据。扩展程序加载完成后会自动在后台调用一次，一般不需要手动调用
+   * @since 10035
+   * @returns {Promise<int>} 删除的条数
+   */
+  sweep() {
+    //@native :=> Promise.resolve(0);
+    return _scan().then(expired => _remove(expired, "expire").then(() => expired.length));
+    //@native end
+  },
+  /**
+   * 获取按设备隔离的存储空间，同一个扩展程序被多个设备使用时，避免数据相互覆盖
+   * 删除设备(Host.ui.openDeleteDeviceWithCallback)后会自动清空
+   * @since 10035
+   * @param {string} [deviceID=Device.deviceID] 设备 ID，默认为当前设备
+   * @returns {IStorageNamespace}
+   * @example
+   * import {Host} from 'miot'
+   * ...
+   * const storage = Host.storage.namespace();
+   * storage.set('lastMode', 2);
+   * storage.get('lastMode').then(mode => ...)
+   */
+  namespace(deviceID = Device.deviceID) {
+    //@native :=> null
+    if (!deviceID) {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, "deviceID is empty");
+    }
+    return Properties.init(new IStorageNamespace(), { deviceID: String(deviceID) });
+    //@native end
+  },
+  /**
+   * 创建带版本和迁移的存储，解决插件升级后数据结构变化导致旧数据不可用的问题
+   * 版本从 1 开始，migrations[i] 把数据从版本 i + 1 迁移到 i + 2，因此 version 为 migrations.length + 1
+   * 插件升级后保存的数据版本低于 version 时，在第一次读取时执行迁移，中间任何一步失败都不会写入，数据保持原来的版本，并触发 StorageEvent.migrationFailed
+   * 是否迁移只取决于数据版本，插件升级但数据结构没有变化时不需要修改 version
+   * @since 10035
+   * @param {string} name 名称，同一个扩展程序(或同一个设备的命名空间)中唯一
+   * @param {object} [options]
+   * @param {int} [options.version] 数据版本，默认为 migrations.length + 1
+   * @param {Array<function>} [options.migrations=[]] 迁移函数，参数为旧数据，返回新数据，可以返回 Promise
+   * @param {object} [options.defaults=null] 没有保存过数据时 get 的返回值
+   * @param {string} [options.legacyKey] 之前使用 Host.storage.set 保存数据的 key，没有保存过数据时从这里读取并作为版本 1 迁移
+   * @param {string} [options.deviceID] 设备 ID，传入时保存在该设备的命名空间中
+   * @returns {IVersionedStore}
+   * @example
+   * import {Host} from 'miot'
+   * ...
+   * const settings = Host.storage.createStore('settings', {
+   *   legacyKey: 'settings',
+   *   defaults: { mode: 'auto', schedule: [] },
+   *   migrations: [
+   *     // 1 => 2，mode 从数字改为字符串
+   *     data => ({ ...data, mode: ['auto', 'manual'][data.mode] }),
+   *     // 2 => 3，新增 schedule
+   *     data => ({ ...data, schedule: [] })
+   *   ]
+   * });
+   * settings.get().then(data => ...);
+   * settings.update(data => ({ ...data, mode: 'manual' }));
+   */
+  createStore(name, options = {}) {
+    //@native :=> null
+    const { migrations = [], defaults = null, legacyKey, deviceID } = options;
+    if (!name || typeof name !== "string") {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, "store name should be a non-empty string");
+    }
+    if (!Array.isArray(migrations) || migrations.some(migration => typeof migration !== "function")) {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, "migrations should be an array of functions");
+    }
+    const version = options.version === undefined ? migrations.length + 1 : options.version;
+    if (version !== migrations.length + 1) {
+      throw new StorageError(ErrorCode.INVALID_ARGUMENT, `version ${ version } requires ${ version - 1 } migrations, got ${ migrations.length }`);
+    }
+    return Properties.init(new IVersionedStore(), {
+      name,
+      version,
+      migrations,
+      defaults,
+      legacyKey,
+      deviceID,
+      key: STORE_PREFIX + name,
+      backupKey: STORE_BACKUP_PREFIX + name,
+      backend: deviceID ? this.namespace(deviceID) : this,
+      loading: null,
+      lastError: null
+    });
+    //@native end
   }
-};
\ No newline at end of file
+}, ErrorSource.STORAGE);
\ No newline at end of file
@@ -20,6 +20,7 @@ import { DeviceEventEmitter, NativeModules } from 'react-native';
 import Device from "../device/BasicDevice";
 import native from "../native";
 import { Entrance } from "../Package";
+import Storage from "./storage";
 // const resolveAssetSource = require('resolveAssetSource');
 const resolveAssetSource = require('react-native/Libraries/Image/resolveAssetSource');
 //@native begin
@@ -109,12 +110,14 @@ export default {
    * android 设备暂不支持该方法 会直接reject(false)
    * 删除设备
    * 注意：此方法只做删除设备的活，不会返回上一页。所以在then里面，需要自己调用closeCurrentPage
+   * 从 10035 开始，删除成功后会清空该设备在 Host.storage 中的命名空间
    */
   openDeleteDeviceWithCallback() {
     return new Promise((resolve, reject) => {
       if (native.isAndroid) reject(false);
       native.MIOTHost.openDeleteDeviceWithCallback((ok) => {
         if (ok) {
+          Storage.namespace(Device.deviceID).clear().catch(err => console.warn("purge device storage failed", err));
           resolve(true)
         } else {
           reject(false)
@@ -651,6 +654,7 @@ export default {
   //@native end
   /**
    * 打开一次性密码设置页
+   * 需要在插件中自行生成或校验密码时，可以使用 miot/utils/otp
    * @param {string} did   设备did
    * @param {int} interval  时间间隔，即密码组的刷新时间间隔，单位为分钟，类型为 number，传入 10 到 60 的整数
    * @param {int} digits 密码位数，类型为 number，传入 6 到 8 的整数
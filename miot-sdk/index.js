@@ -22,11 +22,13 @@ import { BluetoothEvent as MIOTBluetoothEvent } from './device/bluetooth/Bluetoo
 import HostInstance, { HostEvent as HostEventNames } from './Host';
 import { AudioEvent as AudioEventNames } from './host/audio';
 import { FileEvent as FileEventNames } from './host/file';
+import { StorageEvent as StorageEventNames } from './host/storage';
 import PackageInstance, { Entrance as Entrances, PackageEvent as PackageEventNames } from './Package';
 import { RootDeviceProperties } from "./Properties";
 import ResourcesPack from './resources';
 import ServiceInstance from './Service';
 import { SceneType as SceneTypeNames } from './service/scene';
+import MIOTError, { ErrorCode as MIOTErrorCode, ErrorSource as MIOTErrorSource, DeviceError as MIOTDeviceError, BluetoothError as MIOTBluetoothError, CloudError as MIOTCloudError, StorageError as MIOTStorageError } from './MiotError';
 //@native :api_level
 const pkg = require("./package.json")
 /**
@@ -128,6 +130,18 @@ export const ClassicBluetoothEvent = MIOTClassicBluetoothEvent;
 export const SceneType = SceneTypeNames;
 export const FileEvent = FileEventNames;
 export const AudioEvent = AudioEventNames;
+export const StorageEvent = StorageEventNames;
+/**
+ * {@link module:miot/MiotError}
+ * @export
+ */
+export const MiotError = MIOTError;
+export const ErrorCode = MIOTErrorCode;
+export const ErrorSource = MIOTErrorSource;
+export const DeviceError = MIOTDeviceError;
+export const BluetoothError = MIOTBluetoothError;
+export const CloudError = MIOTCloudError;
+export const StorageError = MIOTStorageError;
 import * as Utils from './utils';
 /**
  * @export
@@ -137,6 +151,7 @@ export default {
     API_LEVEL, Package, PackageEvent, Entrance, DeviceProperties,
     Service, Host, HostEvent, Resources,
     SceneType,
-    FileEvent, AudioEvent,
+    FileEvent, AudioEvent, StorageEvent,
+    MiotError, ErrorCode, ErrorSource,
     Utils
 }
\ No newline at end of file
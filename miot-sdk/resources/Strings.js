@@ -85,7 +85,12 @@ let strings = {
   firmwareUpgradeNew_sub: '',
   handling: '',
   error: '',
-  createLightGroup: ''
+  createLightGroup: '',
+  bleOtaPreparing: '',
+  bleOtaTransferring: '',
+  bleOtaVerifying: '',
+  bleOtaSuccess: '',
+  bleOtaFailed: ''
 }
 strings = getStrings({
   zh: {
@@ -148,7 +153,12 @@ strings = getStrings({
     error: '处理失败，请稍后再试',
     createLightGroup: '创建灯组（新）',
     manageLightGroup: '灯组管理（新）',
-    deleteLightGroup: '解散灯组'
+    deleteLightGroup: '解散灯组',
+    bleOtaPreparing: '正在准备升级...',
+    bleOtaTransferring: '正在升级，请保持手机靠近设备',
+    bleOtaVerifying: '正在校验固件...',
+    bleOtaSuccess: '升级成功',
+    bleOtaFailed: '升级失败，请稍后再试'
   },
   zh_tw: {
     setting: '設定',
@@ -210,7 +220,12 @@ strings = getStrings({
     error: '處理失敗，請重試',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: '正在準備更新...',
+    bleOtaTransferring: '正在更新，請保持手機靠近裝置',
+    bleOtaVerifying: '正在校驗韌體...',
+    bleOtaSuccess: '更新成功',
+    bleOtaFailed: '更新失敗，請稍後再試'
   },
   zh_hk: {
     setting: '設定',
@@ -272,7 +287,12 @@ strings = getStrings({
     error: '處理失敗，請重試',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: '正在準備更新...',
+    bleOtaTransferring: '正在更新，請保持手機靠近裝置',
+    bleOtaVerifying: '正在校驗韌體...',
+    bleOtaSuccess: '更新成功',
+    bleOtaFailed: '更新失敗，請稍後再試'
   },
   en: {
     setting: 'Settings',
@@ -334,7 +354,12 @@ strings = getStrings({
     error: 'Could not operate, please try again later',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   ko: {
     setting: '설정',
@@ -396,7 +421,12 @@ strings = getStrings({
     error: '다시 시도',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   ru: {
     setting: 'Настройки',
@@ -458,7 +488,12 @@ strings = getStrings({
     error: 'Попробовать снова',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   es: {
     setting: 'Configuración',
@@ -520,7 +555,12 @@ strings = getStrings({
     error: 'Reintentar',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   fr: {
     setting: 'Paramètres',
@@ -582,7 +622,12 @@ strings = getStrings({
     error: 'Réessayer',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   it: {
     setting: 'Impostazioni',
@@ -644,7 +689,12 @@ strings = getStrings({
     error: 'Riprova',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   de: {
     setting: 'Einstellungen',
@@ -706,7 +756,12 @@ strings = getStrings({
     error: 'Erneut versuchen',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   id: {
     setting: 'Pengaturan',
@@ -768,7 +823,12 @@ strings = getStrings({
     error: 'Coba lagi',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   pl: {
     setting: 'Ustawienia',
@@ -830,7 +890,12 @@ strings = getStrings({
     error: 'Spróbuj ponownie',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   vi: {
     setting: 'Cài đặt',
@@ -892,7 +957,12 @@ strings = getStrings({
     error: 'Thử lại',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   ja: {
     setting: '設定',
@@ -954,7 +1024,12 @@ strings = getStrings({
     error: '再試行する',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   th: {
     setting: 'การตั้งค่า',
@@ -1016,7 +1091,12 @@ strings = getStrings({
     error: 'ลองอีกครั้ง',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   tr: {
     setting: 'Ayarlar',
@@ -1078,7 +1158,12 @@ strings = getStrings({
     error: 'Kon niet werken, probeer het later opnieuw.',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   nl: {
     setting: 'Instellingen',
@@ -1140,7 +1225,12 @@ strings = getStrings({
     error: 'Kon niet werken, probeer het later opnieuw',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   },
   pt: {
     setting: 'Configurações',
@@ -1202,7 +1292,12 @@ strings = getStrings({
     error: 'Não foi possível operar, tente novamente mais tarde',
     createLightGroup: 'Create light group(new)',
     manageLightGroup: 'Manage devices(new)',
-    deleteLightGroup: 'Disband light group'
+    deleteLightGroup: 'Disband light group',
+    bleOtaPreparing: 'Preparing to update...',
+    bleOtaTransferring: 'Updating, keep your phone close to the device',
+    bleOtaVerifying: 'Verifying firmware...',
+    bleOtaSuccess: 'Updated successfully',
+    bleOtaFailed: 'Couldn\'t update, try again later'
   }
 });
 export default strings;
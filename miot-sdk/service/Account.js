@@ -20,6 +20,7 @@
  */
 //@native
 import native, { Properties } from '../native';
+import { ErrorSource, wrapPromiseErrors } from '../MiotError';
 /**
  * @interface
  * @description
@@ -224,4 +225,5 @@ class IAccount {
     //@native end
   }
 }
+wrapPromiseErrors(IAccount.prototype, ErrorSource.CLOUD);
 export default IAccount;
\ No newline at end of file
@@ -0,0 +1,70 @@
+import native from '../../native';
+import Spec from '../spec';
+import { ErrorCode } from '../../MiotError';
+
+const lightSpec = {
+    type: "urn:miot-spec-v2:device:light:0000A001:xiaomi-v1:1",
+    services: [{
+        iid: 2,
+        type: "urn:miot-spec-v2:service:light:00007802:xiaomi-v1:1",
+        properties: [
+            { iid: 2, type: "urn:miot-spec-v2:property:brightness:0000000D:xiaomi-v1:1", format: "uint8", access: ["read", "write"], "value-range": [1, 100, 1] }
+        ]
+    }]
+};
+let sent;
+beforeEach(() => {
+    sent = [];
+    native.MIOTSpec.getSpecString = jest.fn((did, callback) => callback(false, { code: -1, message: "offline" }));
+    native.MIOTRPC.standardCall = jest.fn((path, params, callback) => {
+        sent.push(params.params);
+        callback(true, params.params.map(({ did, siid, piid }) => ({ did, siid, piid, code: 0 })));
+    });
+});
+describe("setPropertiesValue", () => {
+    it("sends without fetching the spec when none is cached", () => {
+        return Spec.setPropertiesValue([{ did: "2001", siid: 2, piid: 2, value: 1000 }]).then(res => {
+            expect(res[0].code).toBe(0);
+            expect(sent).toHaveLength(1);
+            expect(native.MIOTSpec.getSpecString).not.toHaveBeenCalled();
+        });
+    });
+    it("does not use the cache for devices without a model", () => {
+        return Spec.primeSpecCache("2002", lightSpec).then(res => {
+            expect(res).toBe(true);
+            return Spec.setPropertiesValue([{ did: "2002", siid: 2, piid: 2, value: 0 }]);
+        }).then(() => {
+            expect(sent).toHaveLength(1);
+            return Spec.getSpecString("2002");
+        }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.isOffline()).toBe(true);
+            expect(native.MIOTSpec.getSpecString).toHaveBeenCalledTimes(1);
+        });
+    });
+});
+describe("getPropertiesValue", () => {
+    it("merges reads of the same device and keeps other devices independent", () => {
+        native.MIOTRPC.standardCall = jest.fn((path, params, callback) => {
+            sent.push(params.params);
+            if (params.params[0].did === "2006") {
+                callback(false, { code: -2, message: "failed" });
+                return;
+            }
+            callback(true, params.params.map(({ did, siid, piid }) => ({ did, siid, piid, code: 0, value: piid })));
+        });
+        return Promise.all([
+            Spec.getPropertiesValue([{ did: "2005", siid: 2, piid: 1 }]),
+            Spec.getPropertiesValue([{ did: "2005", siid: 2, piid: 1 }, { did: "2005", siid: 2, piid: 2 }]),
+            Spec.getPropertiesValue([{ did: "2006", siid: 2, piid: 1 }]).catch(err => err),
+            Spec.getPropertiesValue([{ did: "2007", siid: 2, piid: 3 }, { did: "2005", siid: 2, piid: 2 }])
+        ]).then(([a, b, failed, c]) => {
+            expect(a).toEqual([{ did: "2005", siid: 2, piid: 1, code: 0, value: 1 }]);
+            expect(b.map(item => item.value)).toEqual([1, 2]);
+            expect(failed.code).toBe(ErrorCode.REQUEST_FAILED);
+            expect(c.map(item => `${ item.did }.${ item.piid }`)).toEqual(["2007.3", "2005.2"]);
+            expect(sent.map(params => params.map(p => `${ p.did }.${ p.piid }`)).sort()).toEqual([["2005.1", "2005.2"], ["2006.1"], ["2007.3"]]);
+        });
+    });
+});
@@ -0,0 +1,255 @@
+import { ErrorCode } from "../../MiotError";
+
+const lightSpec = {
+    type: "urn:miot-spec-v2:device:light:0000A001:xiaomi-v1:1",
+    description: "Light",
+    services: [{
+        iid: 2,
+        type: "urn:miot-spec-v2:service:light:00007802:xiaomi-v1:1",
+        description: "Light",
+        properties: [
+            { iid: 1, type: "urn:miot-spec-v2:property:on:00000006:xiaomi-v1:1", description: "Switch Status", format: "bool", access: ["read", "write", "notify"] },
+            { iid: 2, type: "urn:miot-spec-v2:property:brightness:0000000D:xiaomi-v1:1", description: "Brightness", format: "uint8", access: ["read", "write", "notify"], "value-range": [1, 100, 1] },
+            { iid: 3, type: "urn:miot-spec-v2:property:color-temperature:0000000F:xiaomi-v1:1", description: "Color Temperature", format: "uint32", access: ["read", "notify"], "value-range": [2700, 6500, 1] }
+        ],
+        actions: [
+            { iid: 1, type: "urn:miot-spec-v2:action:toggle:00002811:xiaomi-v1:1", description: "Toggle", in: [], out: [] },
+            { iid: 2, type: "urn:miot-spec-v2:action:brightness-up:00002828:xiaomi-v1:1", description: "Brightness Up", in: [2], out: [2] }
+        ]
+    }]
+};
+// 每个用例重新加载模块，模拟器和 spec 的缓存互不影响
+function load() {
+    jest.resetModules();
+    require("../../device/SimulatorSetup").setupNativeModules({ platform: "android" });
+    return {
+        native: require("../../native").default,
+        Simulator: require("../../device/Simulator").default,
+        Spec: require("../spec").default
+    };
+}
+describe("ISpecDevice", () => {
+    let native, Simulator, Spec, device, calls;
+    beforeEach(() => {
+        ({ native, Simulator, Spec } = load());
+        device = Simulator.install({ devices: [{ did: "1001", model: "xiaomi.light.v1", spec: lightSpec }] });
+        // 记录发给云端的请求
+        calls = [];
+        const standardCall = native.MIOTRPC.standardCall;
+        native.MIOTRPC.standardCall = (path, params, callback) => {
+            calls.push({ path, params: params.params });
+            standardCall(path, params, callback);
+        };
+    });
+    afterEach(() => {
+        Simulator.uninstall();
+    });
+    it("finds services, properties and actions by iid, urn, type name and description", () => {
+        return Spec.loadSpec("1001").then(spec => {
+            expect(spec.isLoaded).toBe(true);
+            expect(spec.type).toBe(lightSpec.type);
+            const light = spec.service("light");
+            expect(light.iid).toBe(2);
+            expect(spec.service(2)).toBe(light);
+            expect(spec.service("2")).toBe(light);
+            expect(spec.service(lightSpec.services[0].type)).toBe(light);
+            expect(spec.service("LIGHT")).toBe(light);
+            const brightness = light.property("brightness");
+            expect([brightness.did, brightness.siid, brightness.iid]).toEqual(["1001", 2, 2]);
+            expect(brightness.format).toBe("uint8");
+            expect(brightness.valueRange).toEqual([1, 100, 1]);
+            expect(light.property("Brightness")).toBe(brightness);
+            expect(light.property(2)).toBe(brightness);
+            expect(light.property("urn:miot-spec-v2:property:brightness:0000000D:xiaomi-v1:1")).toBe(brightness);
+            expect(light.property("color temperature")).toBe(light.property("color-temperature"));
+            expect(light.action("toggle").iid).toBe(1);
+            expect(light.action("Brightness Up").iid).toBe(2);
+            expect(light.properties.map(property => property.iid)).toEqual([1, 2, 3]);
+            expect(spec.service("fan")).toBeNull();
+            expect(light.property("speed")).toBeNull();
+            expect(light.action(9)).toBeNull();
+            // 同一个 did 返回同一个对象
+            expect(Spec.createSpec("1001")).toBe(spec);
+        });
+    });
+    it("reads and writes properties with did, siid and piid", () => {
+        device.setValue("prop.2.2", 30, false);
+        return Spec.loadSpec("1001").then(spec => {
+            const brightness = spec.service("light").property("brightness");
+            return brightness.get().then(value => {
+                expect(value).toBe(30);
+                expect(brightness.value).toBe(30);
+                expect(brightness.code).toBe(0);
+                return brightness.set(80);
+            }).then(value => {
+                expect(value).toBe(80);
+                expect(brightness.value).toBe(80);
+                expect(device.getValue("prop.2.2")).toBe(80);
+                expect(calls).toEqual([
+                    { path: "/miotspec/prop/get", params: [{ did: "1001", siid: 2, piid: 2 }] },
+                    { path: "/miotspec/prop/set", params: [{ did: "1001", siid: 2, piid: 2, value: 80 }] }
+                ]);
+            });
+        });
+    });
+    it("rejects invalid values before sending and device errors after", () => {
+        return Spec.loadSpec("1001").then(spec => {
+            const light = spec.service("light");
+            expect(light.property("brightness").validate(0)).toMatchObject({ did: "1001", siid: 2, piid: 2, value: 0, constraint: "value-range" });
+            return light.property("brightness").set(0).then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.code).toBe(ErrorCode.INVALID_ARGUMENT);
+                expect(calls).toEqual([]);
+                // 不做本地检查时由设备拒绝，code 不为 0 时 reject DeviceError
+                return Spec.setPropertiesValue([{ did: "1001", siid: 2, piid: 3, value: 3000 }], { validate: false });
+            }).then(res => {
+                expect(res[0].code).not.toBe(0);
+                device.setOnline(false);
+                return light.property("brightness").get();
+            }).then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.isOffline()).toBe(true);
+            });
+        });
+    });
+    it("invokes actions with in arguments", () => {
+        const handler = jest.fn(([step]) => {
+            device.setValue("prop.2.2", device.getValue("prop.2.2") + step);
+            return [device.getValue("prop.2.2")];
+        });
+        device.onAction(2, 2, handler);
+        return Spec.loadSpec("1001").then(spec => spec.service("light").action("brightness-up").invoke(10)).then(res => {
+            expect(handler).toHaveBeenCalledWith([10], device);
+            expect(res).toMatchObject({ did: "1001", siid: 2, aiid: 2, code: 0, out: [11] });
+            expect(calls).toEqual([{ path: "/miotspec/action", params: { did: "1001", siid: 2, aiid: 2, in: [10] } }]);
+        });
+    });
+});
+describe("Service.spec cache", () => {
+    const lightSpecV2 = { ...lightSpec, type: "urn:miot-spec-v2:device:light:0000A001:xiaomi-v1:2" };
+    let native, Simulator, Spec, HostFile, fetched, sent;
+    beforeEach(() => {
+        ({ native, Simulator, Spec } = load());
+        HostFile = require("../../host/file").default;
+        // 根设备 1001 有 model，云端返回第 2 版；1002 不是根设备，找不到 model
+        Simulator.install({
+            devices: [
+                { did: "1001", model: "xiaomi.light.v1", spec: lightSpecV2 },
+                { did: "1002", model: "xiaomi.light.v1", spec: lightSpecV2 }
+            ]
+        });
+        const getSpecString = native.MIOTSpec.getSpecString;
+        fetched = jest.fn(getSpecString);
+        native.MIOTSpec.getSpecString = fetched;
+        sent = [];
+        const standardCall = native.MIOTRPC.standardCall;
+        native.MIOTRPC.standardCall = (path, params, callback) => {
+            sent.push(params.params);
+            standardCall(path, params, callback);
+        };
+    });
+    afterEach(() => {
+        Simulator.uninstall();
+    });
+    function offline() {
+        native.MIOTSpec.getSpecString = jest.fn((did, callback) => callback(false, { code: -1, message: "offline" }));
+        return native.MIOTSpec.getSpecString;
+    }
+    it("returns the cache at once and revalidates it once in the background", () => {
+        return Spec.primeSpecCache("xiaomi.light.v1", lightSpec).then(res => {
+            expect(res).toBe(true);
+            return Spec.getSpecString("1001");
+        }).then(data => {
+            // 先返回预置的第 1 版，云端的第 2 版成为当前版本
+            expect(JSON.parse(data).type).toBe(lightSpec.type);
+            expect(fetched).toHaveBeenCalledTimes(1);
+            return new Promise(resolve => setTimeout(resolve, 50));
+        }).then(() => Promise.all([
+            Spec.getSpecString("1001"),
+            Spec.getCachedSpec("xiaomi.light.v1"),
+            Spec.getCachedSpec("xiaomi.light.v1", 1),
+            HostFile.readFile("miot_spec_cache/xiaomi.light.v1.json"),
+            HostFile.readFile("miot_spec_cache/xiaomi.light.v1@2.json")
+        ])).then(([data, current, previous, pointer, file]) => {
+            expect(JSON.parse(data).type).toBe(lightSpecV2.type);
+            expect(fetched).toHaveBeenCalledTimes(1);
+            expect(current).toMatchObject({ model: "xiaomi.light.v1", version: 2, spec: lightSpecV2 });
+            expect(previous).toMatchObject({ version: 1, spec: lightSpec });
+            expect(JSON.parse(pointer)).toEqual({ model: "xiaomi.light.v1", version: 2 });
+            expect(JSON.parse(file).spec).toEqual(lightSpecV2);
+            // 已经有更高的版本时，预置只补充该版本的缓存，不改变当前版本
+            return Spec.primeSpecCache("xiaomi.light.v1", { ...lightSpec, type: lightSpec.type.replace(/1$/, "0") });
+        }).then(res => {
+            expect(res).toBe(false);
+            return Promise.all([Spec.getCachedSpec("xiaomi.light.v1"), Spec.getCachedSpec("xiaomi.light.v1", 0)]);
+        }).then(([current, primed]) => {
+            expect(current.version).toBe(2);
+            expect(primed.version).toBe(0);
+        });
+    });
+    it("updates a loaded spec device when the cloud has a new version", () => {
+        return Spec.primeSpecCache("xiaomi.light.v1", lightSpec)
+            .then(() => Spec.loadSpec("1001"))
+            .then(spec => new Promise(resolve => setTimeout(() => resolve(spec), 50)))
+            .then(spec => {
+                expect(spec.type).toBe(lightSpecV2.type);
+                expect(spec.service("light").property("brightness").iid).toBe(2);
+            });
+    });
+    it("validates writes against the cache without fetching the spec", () => {
+        return Spec.primeSpecCache("xiaomi.light.v1", lightSpec).then(() => {
+            return Spec.setPropertiesValue([{ did: "1001", siid: 2, piid: 2, value: 0 }]);
+        }).then(() => {
+            throw new Error("should fail");
+        }, err => {
+            expect(err.code).toBe(ErrorCode.INVALID_ARGUMENT);
+            expect(err.errors[0].constraint).toBe("value-range");
+            expect(sent).toHaveLength(0);
+            expect(fetched).not.toHaveBeenCalled();
+            return Spec.setPropertiesValue([{ did: "1001", siid: 2, piid: 2, value: 0 }], { validate: false });
+        }).then(res => {
+            expect(res[0].code).not.toBe(0);
+            expect(sent).toHaveLength(1);
+        });
+    });
+    it("falls back to the cache while the cloud is unavailable", () => {
+        // 上次插件运行时写入 Host.file 的缓存
+        return Promise.all([
+            HostFile.writeFile("miot_spec_cache/xiaomi.light.v1.json", JSON.stringify({ model: "xiaomi.light.v1", version: 2 })),
+            HostFile.writeFile("miot_spec_cache/xiaomi.light.v1@2.json", JSON.stringify({ model: "xiaomi.light.v1", version: 2, time: 1, spec: lightSpecV2 }))
+        ]).then(() => {
+            const failed = offline();
+            return Spec.getSpecString("1001").then(data => {
+                expect(JSON.parse(data).type).toBe(lightSpecV2.type);
+                expect(failed).toHaveBeenCalledTimes(1);
+                // 校验失败后下次获取时再校验
+                return new Promise(resolve => setTimeout(resolve, 50)).then(() => Spec.getSpecString("1001"));
+            }).then(() => {
+                expect(failed).toHaveBeenCalledTimes(2);
+                return Spec.getSpecString("1001", { cache: false });
+            }).then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.isOffline()).toBe(true);
+                return Spec.clearSpecCache("xiaomi.light.v1");
+            }).then(() => Spec.getSpecString("1001")).then(() => {
+                throw new Error("should fail");
+            }, err => {
+                expect(err.isOffline()).toBe(true);
+                return HostFile.isFileExists("miot_spec_cache/xiaomi.light.v1@2.json");
+            }).then(exists => {
+                expect(exists).toBe(false);
+            });
+        });
+    });
+    it("does not cache devices without a model", () => {
+        return Spec.getSpecString("1002").then(() => Spec.getSpecString("1002")).then(() => {
+            expect(fetched).toHaveBeenCalledTimes(2);
+            return Spec.getCachedSpec("1002");
+        }).then(entry => {
+            expect(entry).toBeNull();
+        });
+    });
+});
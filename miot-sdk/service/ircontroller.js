@@ -7,7 +7,8 @@
  */
 //@native
 import native, { Properties } from "../native";
-export default {
+import { ErrorSource, wrapPromiseErrors } from '../MiotError';
+export default wrapPromiseErrors({
     /**
      * （查） 获取所有遥控器列表
      * - /v2/irdevice/controllers
@@ -404,4 +405,4 @@ export default {
         });
         //@native end
     },
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
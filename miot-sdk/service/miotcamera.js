@@ -10,6 +10,7 @@
 //@native
 import {Device} from "miot"
 import { NativeModules, Platform } from 'react-native';
+import { ErrorSource, wrapPromiseErrors } from '../MiotError';
 /**
  * MISS 命令
  * @namespace MISSCommand
@@ -102,7 +103,7 @@ export const AlarmEventType = {
     EventType_BabyCry: 1 << 6,
 };
 Object.freeze(AlarmEventType);
-export default {
+export default wrapPromiseErrors({
     /**
      * 连接设备
      * @param {string} callbackName 链接状态变更回调 { state: MISSConnectState, error: MISSError }
@@ -282,4 +283,4 @@ export default {
     showFaceRecognize(isVip) {
         NativeModules.MHCameraSDK.showFaceRecognize(Device.deviceID, isVip)
     },
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
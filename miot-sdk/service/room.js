@@ -21,6 +21,7 @@
  */
 //@native begin
 import native, { Properties } from '../native';
+import { CloudError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
 //@native end
 export class IMHRoom {
   /**
@@ -78,9 +79,10 @@ export class IMHRoom {
     //@native end
   }
 }
+wrapPromiseErrors(IMHRoom.prototype, ErrorSource.CLOUD);
 //@native
 let cachedRooms;
-export default {
+export default wrapPromiseErrors({
   /**
    * 获取所有房间列表
    * @since 10020
@@ -123,10 +125,10 @@ export default {
   createRoom(name) {
     //@native begin
     if (!name) {
-      return new Promise.reject({ code: -2, message: '房间名称不能为空' });
+      return Promise.reject(new CloudError(ErrorCode.INVALID_ARGUMENT, '房间名称不能为空', { nativeCode: -2 }));
     }
     if (typeof name !== 'string') {
-      return new Promise.reject({ code: -3, message: '房间名称必须是字符串' });
+      return Promise.reject(new CloudError(ErrorCode.INVALID_ARGUMENT, '房间名称必须是字符串', { nativeCode: -3 }));
     }
     return new Promise((resolve, reject) => {
       native.MHRoom.addNewRoomWithName(name, (suc, res) => {
@@ -147,4 +149,4 @@ export default {
     });
     //@native end
   }
-};
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
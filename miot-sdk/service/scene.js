@@ -46,6 +46,7 @@
  */
 //@native
 import native, { Properties } from "../native";
+import { CloudError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
 /**
  * 场景类型
  * @namespace SceneType
@@ -273,7 +274,7 @@ export class IScene {
     reload() {
         //@native :=> promise
         if (this.isNew) {
-            return Promise.reject(false);
+            return Promise.reject(new CloudError(ErrorCode.NOT_FOUND, "scene is not saved yet"));
         }
         const self = Properties.of(this);
         return new Promise((resolve, reject) => {
@@ -295,7 +296,7 @@ export class IScene {
     start() {
         //@native :=> promise false
         if (this.isNew) {
-            return Promise.reject(false);
+            return Promise.reject(new CloudError(ErrorCode.NOT_FOUND, "scene is not saved yet"));
         }
         return new Promise((resolve, reject) => {
             native.MIOTRPC.standardCall("/scene/start", { us_id: this.sceneID }, (ok, res) => {
@@ -327,6 +328,7 @@ export class IScene {
         //@native end
     }
 }
+wrapPromiseErrors(IScene.prototype, ErrorSource.CLOUD);
 /**
  * 创建场景 
  * @param {string} deviceID 设备id
@@ -386,7 +388,7 @@ function loadScenes(deviceID, sceneType, opt = null) {
 /**
  * @export
  */
-export default {
+export default wrapPromiseErrors({
     /**
      * 创建场景
      * @param {string} deviceID 设备id
@@ -747,4 +749,4 @@ export default {
         //@native end
     },
     //@native end
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
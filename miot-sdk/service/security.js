@@ -13,6 +13,7 @@
  * @doc_directory service
  * @module miot/service/security
  * @description 安全相关服务
+ * Host.storage 和 Host.file 以明文保存数据，不要在本地保存钥匙、密码等敏感数据，需要时通过 loadSecureKeys 重新获取
  * @example
  *
  * import {Service} from 'miot'
@@ -33,6 +34,8 @@
  */
 //@native begin
 import native, { Properties } from "../native";
+import { CloudError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
+import { createTemporaryPassword } from '../utils/otp';
 // result：格式
 // const demo = {"bleshare":[
 //                 {"keyid":183038048,
@@ -155,6 +158,24 @@ export class ISecureKey {
         // return Properties.of(this).data.isoutofdate;
         //@native end
     }
+    /**
+     * 按钥匙的生效时间和过期时间生成离线临时密码，锁的主人可以把密码连同分享的钥匙一起发给访客，访客无需联网即可在锁上输入
+     * 有效期超过 99 个 step 时请调大 step，或者分多个时段生成
+     * @since 10035
+     * @param {Uint8Array} secret 与锁共享的密钥，由锁的固件约定
+     * @param {object} [options] 同 utils/otp 的 createTemporaryPassword，start 和 end 默认为 activeTime 和 expireTime
+     * @returns {{password: string, start: number, end: number, uses: int}}
+     * @example
+     * Service.security.shareSecureKey(deviceID, shareUid, { status: 1, activeTime, expireTime })
+     *   .then(key => {
+     *     const { password } = key.createTemporaryPassword(lockSecret, { uses: 1 });
+     *     ...
+     *   })
+     */
+    createTemporaryPassword(secret, options = {}) {
+        //@native => null
+        return createTemporaryPassword(secret, { start: this.activeTime, end: this.expireTime, ...options });
+    }
     /**
      * 保存 /share/bluetoothkeyshare
      * @returns {Promise}
@@ -163,7 +184,7 @@ export class ISecureKey {
         //@native :=> promise
         const self = Properties.of(this);
         if (!self.data.keyid) {
-            return Promise.reject();
+            return Promise.reject(new CloudError(ErrorCode.NOT_FOUND, "keyid is empty"));
         }
         /**
             dataObj.put("type", "update");
@@ -192,7 +213,7 @@ export class ISecureKey {
         //@native :=> promise false
         const self = Properties.of(this);
         if (!self.data.keyid) {
-            return Promise.reject();
+            return Promise.reject(new CloudError(ErrorCode.NOT_FOUND, "keyid is empty"));
         }
         return new Promise((resolve, reject) => {
             shareSecureKeyAPIWithNativeCall("bledelete", this.deviceID, { keyid: self.data.keyid }, (ok, res) => {
@@ -207,10 +228,11 @@ export class ISecureKey {
         //@native end
     }
 }
+wrapPromiseErrors(ISecureKey.prototype, ErrorSource.CLOUD);
 /**
  * @export
  */
-export default {
+export default wrapPromiseErrors({
     /**
      * 加载设备的安全锁 /share/bluetoothkeyshare
      * @param {*} deviceID 设备ID
@@ -236,7 +258,7 @@ export default {
      * @param deviceID 被分享设备ID
      * @param shareUid 被分享人
      * @param {{status,activeTime,expireTime,weekdays,readonly}} [settings={}] readonly = true, 则被分享人不可接收锁push，false则被分享人可接收锁push，（family关系用户不受这个字段影响）。status:分享类别，1：暂时，2：周期，3：永久; weekdays 生效日期（星期几，例如周一和周三对应1和3，[1, 3]），仅在status=2时不可为空
-     * @returns {Promise<ISecureKey>} 分享成功返回锁的信息；reject的时候返回的是object，如果该锁已经分享给被分享人会返回失败，错误码为-101；其他错误情形留意返回的错误信息
+     * @returns {Promise<ISecureKey>} 分享成功返回锁的信息；reject的时候返回的是CloudError，如果该锁已经分享给被分享人会返回失败，code 为 ALREADY_EXISTS(nativeCode 为-101)；其他错误情形留意返回的错误信息
      *
      */
     shareSecureKey(deviceID, shareUid, settings = {}) {
@@ -273,13 +295,13 @@ export default {
                             return resolve(Properties.init(new ISecureKey(), { data: keydata, did: deviceID }));
                         } else if (ok && res == 'ok') {
                             //如果res为ok，则表示该用户已经被分享过
-                            return reject({ code: -101, message: 'key already shared to target user' })
+                            return reject(new CloudError(ErrorCode.ALREADY_EXISTS, 'key already shared to target user', { nativeCode: -101 }))
                         }
                         reject(res);
                     })
                 });
             }
-            return new Promise.reject("share user not found ", shareUid)
+            return Promise.reject(new CloudError(ErrorCode.NOT_FOUND, `share user not found ${ shareUid }`))
         });
         //@native end
     },
@@ -302,4 +324,4 @@ export default {
         })
         //@native end
     }
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
@@ -9,6 +9,7 @@
  */
 //@native
 import native from "../native";
+import { CloudError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
 /**
  * 成员类型
  * @namespace MemberType
@@ -26,7 +27,7 @@ export const MemberType = {
     Pet: 'pet'
 };
 Object.freeze(MemberType)
-export default {
+export default wrapPromiseErrors({
     /**
      * @typedef {Object} UserInfo
      * @property {number} uid user id; since 10010
@@ -1198,7 +1199,7 @@ export default {
      */
     getMiWatchConfig() {
         if (native.isAndroid) {
-            return new Promise.reject("not support android yet");
+            return Promise.reject(new CloudError(ErrorCode.NOT_SUPPORTED, "not support android yet"));
         }
         return new Promise((resolve, reject) => {
             native.MIOTHost.getMiWatchConfigWithCallback((ok, res) => {
@@ -1767,4 +1768,4 @@ export default {
         })
         //@native end
     }
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
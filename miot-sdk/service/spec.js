@@ -7,7 +7,7 @@
  * @description
  * 主要面向的是支持Spec协议的设备， 通过提供的API可以实现与设备之间进行通信等功能;
  * 该模块提供的能力大致如下:
- * 1、获取设备的Spec信息  2、获取或修改设备的属性值  3、请求调用设备的方法
+ * 1、获取设备的Spec信息  2、获取或修改设备的属性值  3、请求调用设备的方法  4、根据Spec信息生成设备模型(ISpecDevice)，按名称查找服务、属性和方法
  * @example
  * import { Service } from "miot";
  * Service.spec.getSpecString(xxx).then(res => {
@@ -15,735 +15,942 @@
  * }).catch(error => {
  *    console.log("error", error)
  * });
+ * Service.spec.loadSpec(Device.deviceID).then(spec => {
+ *   spec.service('light').property('brightness').set(50);
+ * });
  */
-//import Device ,{_find_device} from './../Device'
 //@native
-import native from './../native'; // {Properties, buildEvents}
+import native, { Properties } from './../native';
+import { _find_device } from './../device/BasicDevice';
+import RequestScheduler from './../device/RequestScheduler';
+import RequestPolicy from './../device/RequestPolicy';
+import { CloudError, DeviceError, ErrorCode, ErrorSource, wrapPromiseErrors } from './../MiotError';
+import HostFile from './../host/file';
 const SET = "/miotspec/prop/set";
 const GET = "/miotspec/prop/get";
 const ACTION = "/miotspec/action";
-//
-///**
-// * spec 中的方法
-// * @interface
-// */
-//export class ISpecAction {
-//    /**
-//     * 请求参数，在发送请求前设置
-//     * @type {Array}
-//     *
-//     */
-//    set params(params: Array) {
-//        //@native => false
-//        Properties.of(this).params = params;
-//    }
-//
-//    /**
-//     * 获取设置的请求参数，发送请求的时候框架内部使用
-//     * @return {Array}
-//     */
-//    get params() {
-//        //@native => false
-//        return Properties.of(this).params;
-//    }
-//
-//    /**
-//     * 获取设备 id
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get did() {
-//        //@native => false
-//        return Properties.of(this).did;
-//    }
-//
-//    /**
-//     * 获取service iid
-//     * @type {int}
-//     * @readonly
-//     *
-//     */
-//    get siid() {
-//        //@native => false
-//        return Properties.of(this).siid;
-//    }
-//
-//    /**
-//     * 获取协议的 id
-//     * @type {int}
-//     * @readonly
-//     *
-//     */
-//    get iid() {
-//        //@native => false
-//        return Properties.of(this).protocol.iid;
-//    }
-//
-//    /**
-//     * 获取协议
-//     * @type {JSON}
-//     * @readonly
-//     *
-//     */
-//    get protocol() {
-//        //@native => false
-//        return Properties.of(this).protocol;
-//    }
-//
-//    /**
-//     * 获取type的 urn
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get type() {
-//        //@native => false
-//        return Properties.of(this).protocol.type;
-//    }
-//
-//    /**
-//     * 获取协议的描述
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get description() {
-//        //@native => false
-//        return Properties.of(this).protocol.description;
-//    }
-//
-//    /**
-//     * 获取协议的描述 输入参数列表
-//     * @type {Array}
-//     * @readonly
-//     *
-//     */
-//    get in() {
-//        //@native => false
-//        return Properties.of(this).protocol.in;
-//    }
-//
-//    /**
-//     * 获取协议的描述 输出参数列表
-//     * @type {Array}
-//     * @readonly
-//     *
-//     */
-//    get out() {
-//        //@native => false
-//        return Properties.of(this).protocol.out;
-//    }
-//}
-//
-///**
-// * spec 中的属性
-// * @interface
-// */
-//export class ISpecProperty {
-//
-//    /**
-//     *  从Native获取，如果 setPropertiesValue 接口返回失败，和设备的真实状态一致。
-//     * @return {Promise<any>}
-//     */
-//    getValue() {
-//        //@native :=> promise
-//        return new Promise((resolve, reject) => {
-//            native.MIOTSpec.getProperty(this.did, this.siid, this.iid, (ok, res) => {
-//                if (ok) {
-//                    resolve(res ? JSON.parse(res) : res);
-//                } else {
-//                    reject(res);
-//                }
-//            })
-//        })
-//        //@native end
-//    }
-//
-//    /**
-//     * js 中缓存值，如果 setPropertiesValue 调用失败，和设备的真实状态不一致。
-//     * @return {any}
-//     */
-//    get value() {
-//        //@native => false
-//        return Properties.of(this).value;
-//    }
-//
-//    /**
-//     * 请求设置硬件属性的请求参数
-//     * @type {any}
-//     * @param value
-//     */
-//    set value(value) {
-//        //@native => false
-//        Properties.of(this).value = value;
-//    }
-//
-//    /**
-//     * 请求设置硬件属性的响应码
-//     * @type {int}
-//     */
-//    get code() {
-//        //@native => false
-//        return Properties.of(this).code;
-//    }
-//
-//    /**
-//     * 请求设置硬件属性的响应码
-//     * @type {int}
-//     */
-//    set code(code) {
-//        //@native => false
-//        Properties.of(this).code = code;
-//    }
-//
-//    /**
-//     * 获取设备 id
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get did() {
-//        //@native => false
-//        return Properties.of(this).did;
-//    }
-//
-//    /**
-//     * 获取service iid
-//     * @type {int}
-//     * @readonly
-//     *
-//     */
-//    get siid() {
-//        //@native => false
-//        return Properties.of(this).siid;
-//    }
-//
-//    /**
-//     * 获取协议 id
-//     * @type {int}
-//     * @readonly
-//     *
-//     */
-//    get iid() {
-//        //@native => false
-//        return Properties.of(this).protocol.iid;
-//    }
-//
-//    /**
-//     * 获取协议
-//     * @type {JSON}
-//     * @readonly
-//     *
-//     */
-//    get protocol() {
-//        //@native => false
-//        return Properties.of(this).protocol;
-//    }
-//
-//    /**
-//     * 获取type的 urn
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get type() {
-//        //@native => false
-//        return Properties.of(this).protocol.type;
-//    }
-//
-//    /**
-//     * 获取协议的描述
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get description() {
-//        //@native => false
-//        return Properties.of(this).protocol.description;
-//    }
-//
-//    /**
-//     * 获取协议的 value 类型, bool、uint8、uint16、uint32、int8、int16、int32、int64、float、string、hex
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get format() {
-//        //@native => false
-//        return Properties.of(this).protocol.format;
-//    }
-//
-//    /**
-//     * 获取协议的权限，read、write、notify
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get access() {
-//        //@native => false
-//        return Properties.of(this).protocol.access;
-//    }
-//
-//    /**
-//     * 获取协议的单位
-//     * percentage(百分比)
-//     * celsius    摄氏度
-//     * seconds    秒
-//     * minutes    分
-//     * hours    小时
-//     * days    天
-//     * kelvin    开氏温标
-//     * pascal    帕斯卡(大气压强单位)
-//     * arcdegrees    弧度(角度单位)
-//     * rgb    RGB(颜色)
-//     * watt    瓦特(功率)
-//     * litre    升
-//     * ppm    ppm浓度
-//     * lux    勒克斯(照度)
-//     * mg/m3    毫克每立方米
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get unit() {
-//        //@native => false
-//        return Properties.of(this).protocol.unit;
-//    }
-//
-//    /**
-//     * 获取协议的取值范围
-//     * @type {Array} [16, 32, 0.5] 最小值，最大值，步进
-//     * @readonly
-//     *
-//     */
-//    get valueRange() {
-//        //@native => false
-//        return Properties.of(this).protocol['value-range'];
-//    }
-//
-//    /**
-//     * 获取协议的取值列表[ {"value": 1, "description": "Monday"},{"value": 2, "description": "Tuesday"},{"value": 3, "description": "Wednesday"}]
-//     * @type {Array}
-//     * @readonly
-//     *
-//     */
-//    get valueList() {
-//        //@native => false
-//        return Properties.of(this).protocol['value-list'];
-//    }
-//
-//    /**
-//     * 获取协议的字符串最大长度
-//     * @type {int}
-//     * @readonly
-//     *
-//     */
-//    get maxLength() {
-//        //@native => false
-//        return Properties.of(this).protocol['max-length'];
-//    }
-//}
-//
-///**
-// * spec 中的服务，包含 property:ISpecProperty,action:ISpecAction,event:暂时未使用到
-// * @interface
-// */
-//export class ISpecService {
-//
-//    /**
-//     * 获取协议下的 property
-//     * @type {ISpecProperty}
-//     * @readonly
-//     *
-//     */
-//    getProperty(piid) {
-//        //@native => false
-//        return this.getProperties().get(piid);
-//    }
-//
-//    /**
-//     * 获取协议下的所有 property
-//     * @type {ISpecProperty[]}
-//     * @readonly
-//     *
-//     */
-//    getProperties() {
-//        //@native :=> promise
-//        //@mark andr done
-//        //@mark iOS done
-//        let properties = Properties.of(this).properties;
-//        if (!properties) {
-//            properties = Properties.of(this).properties = new Map();
-//            const protocolProperties = Properties.of(this).protocol.properties;
-//            if (protocolProperties) {
-//                protocolProperties.forEach(item => {
-//                    properties.set(item.iid, Properties.init(new ISpecProperty(), {
-//                        did: this.did, siid: this.iid, protocol: item
-//                    }));
-//                })
-//            }
-//        }
-//        return properties;
-//        //@native end
-//    }
-//
-//    /**
-//     * 获取协议下的 action
-//     * @type {ISpecAction}
-//     * @readonly
-//     *
-//     */
-//    getAction(aiid) {
-//        //@native => false
-//        return this.getActions().get(aiid);
-//    }
-//
-//    /**
-//     * 获取协议下的所有 action
-//     * @type {ISpecAction[]}
-//     * @readonly
-//     *
-//     */
-//    getActions() {
-//        //@native :=> promise
-//        //@mark andr done
-//        //@mark iOS done
-//        let actions = Properties.of(this).actions;
-//        if (!actions) {
-//            actions = Properties.of(this).actions = new Map();
-//            const protocolActions = Properties.of(this).protocol.actions;
-//            if (protocolActions) {
-//                protocolActions.forEach(item => {
-//                    actions.set(item.iid, Properties.init(new ISpecAction(), {
-//                        did: this.did, siid: this.iid, protocol: item
-//                    }));
-//                })
-//            }
-//        }
-//        return actions;
-//        //@native end
-//    }
-//
-//    /**
-//     * 获取设备 id
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get did() {
-//        //@native => false
-//        return Properties.of(this).did;
-//    }
-//
-//    /**
-//     * 获取协议的 iid
-//     * @type {int}
-//     * @readonly
-//     *
-//     */
-//    get iid() {
-//        //@native => false
-//        return Properties.of(this).protocol.iid;
-//    }
-//
-//    /**
-//     * 获取协议
-//     * @type {JSON}
-//     * @readonly
-//     *
-//     */
-//    get protocol() {
-//        //@native => false
-//        return Properties.of(this).protocol;
-//    }
-//
-//    /**
-//     * 获取type的 urn
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get type() {
-//        //@native => false
-//        return Properties.of(this).protocol.type;
-//    }
-//
-//    /**
-//     * 获取协议的描述
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get description() {
-//        //@native => false
-//        return Properties.of(this).protocol.description;
-//    }
-//}
-//
-///**
-// *
-// * miot spec 的封装
-// * @interface
-// *
-// *
-// */
-//export class IDeviceSpec {
-//
-//    /**
-//     * 从 Native 获取到 spec 的描述文件，根据描述文件可以生成设备的属性和方法，必须先调用这个方法,如果不支持 spec 会 catch error
-//     * @return {Promise<ISpecDevice>}
-//     */
-//    initFromNative() {
-//        return new Promise((resolve, reject) => {
-//            if (this.protocol) {
-//                resolve(this);
-//            } else {
-//                native.MIOTSpec.getSpecString(Properties.of(this).did, (ok, data) => {
-//                    if (ok && data) {
-//                        Properties.of(this).protocol = JSON.parse(data);
-//                        resolve(this);
-//                        return;
-//                    }
-//                    reject(data);
-//                });
-//            }
-//        });
-//    }
-//
-//    /**
-//     * 获取协议下的 service
-//     * @type {ISpecService}
-//     * @readonly
-//     *
-//     */
-//    getService(siid) {
-//        //@native => false
-//        return this.getServices().get(siid);
-//    }
-//
-//    /**
-//     * 获取协议下的 service
-//     * @type {IDeviceSpecService[]}
-//     * @readonly
-//     *
-//     */
-//    getService(id) {
-//        //@native :=> promise
-//        //@mark andr done
-//        //@mark iOS done
-//        let services = Properties.of(this).services;
-//        if (!services) {
-//            services = Properties.of(this).services = new Map();
-//            const protocolServices = Properties.of(this).protocol.services;
-//            if (protocolServices) {
-//                protocolServices.forEach(item => {
-//                    services.set(item.iid, Properties.init(new ISpecService(), {
-//                        did: this.did, protocol: item
-//                    }));
-//                })
-//            }
-//        }
-//        return services;
-//        //@native end
-//    }
-//
-//    /**
-//     * 获取设备 id
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get did() {
-//        //@native => false
-//        return Properties.of(this).did;
-//    }
-//
-//    /**
-//     * 获取协议
-//     * @type {JSON}
-//     * @readonly
-//     *
-//     */
-//    get protocol() {
-//        //@native => false
-//        return Properties.of(this).protocol;
-//    }
-//
-//    /**
-//     * 获取type的 urn
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get type() {
-//        //@native => false
-//        return Properties.of(this).protocol.type;
-//    }
-//
-//    /**
-//     * 获取协议的描述
-//     * @type {string}
-//     * @readonly
-//     *
-//     */
-//    get description() {
-//        //@native => false
-//        return Properties.of(this).protocol.description;
-//    }
-//
-//    /**
-//     * 订阅设备消息
-//     * @method
-//     * @param {...ISpecProperty} props
-//     * @returns {Promise<EventSubscription>}
-//     *
-//     */
-//    subscribeMessages(...props: ISpecProperty) {
-//        //@native :=> promise {}
-//        let params = [];
-//        props.forEach((item) => {
-//            params.push("prop." + item.siid + "." + item.iid)
-//        });
-//        return Device.getDeviceWifi().subscribeMessages(...params);
-//        //@native end
-//    }
-//
-//    /**
-//     * 请求获取设备的属性值,获取成功后可以通过 ISpecProperty.value 或者 ISpecProperty.getValue 获取
-//     * @param {...ISpecProperty} props
-//     * @return {Promise<ISpecDevice>}
-//     */
-//    getPropertiesValue(...props: ISpecProperty) {
-//        //@native :=> promise
-//        let params = [];
-//        props.forEach(prop => {
-//            params.push({did: prop.did, siid: prop.siid, piid: prop.iid});
-//        });
-//        return new Promise((resolve, reject) => {
-//            native.MIOTRPC.standardCall(GET, {'params': params}, (ok, res) => {
-//                if (ok) {
-//                    res.forEach(item => {
-//                        try {
-//                            let prop = _find_device(item.did).device.getSpecDevice().getService(item.siid).getProperty(item.piid);
-//                            prop.value = item.value;
-//                            prop.code = item.code;//值为0 才能生效
-//                            native.MIOTSpec.setProperty(prop.did, prop.siid, prop.iid, prop.code, JSON.stringify(prop.value));
-//                        } catch (e) {
-//                            console.log(e);
-//                        }
-//                    });
-//                    resolve(this);
-//                } else {
-//                    reject(this);
-//                }
-//            })
-//        })
-//        //@native end
-//    }
-//
-//    /**
-//     * 请求设置设备的属性值，设置成功后会更新 Native
-//     * @param {...ISpecProperty} props
-//     * @return {Promise<ISpecDevice>}
-//     */
-//    setPropertiesValue(...props: ISpecProperty) {
-//        //@native :=> promise
-//        let params = [];
-//        props.forEach(prop => {
-//            params.push({did: prop.did, siid: prop.siid, piid: prop.iid, value: prop.value});
-//        });
-//        return new Promise((resolve, reject) => {
-//            native.MIOTRPC.standardCall(SET, {'params': params}, (ok, res) => {
-//                if (ok) {
-//                    res.forEach(item => {
-//                        try {
-//                            let prop = _find_device(item.did).device.getSpecDevice().getService(item.siid).getProperty(item.piid);
-//                            prop.code = item.code;//值为0 才能生效
-//                            native.MIOTSpec.setProperty(prop.did, prop.siid, prop.iid, prop.code, JSON.stringify(prop.value));
-//                        } catch (e) {
-//                            console.log(e);
-//                        }
-//                    });
-//                    resolve(this);
-//                } else {
-//                    reject(this);
-//                }
-//            })
-//        })
-//        //@native end
-//    }
-//
-//    /**
-//     * 请求调用设备的方法
-//     * @param {ISpecAction} action
-//     * @return {Promise<JSON>}
-//     */
-//    doAction(action: ISpecAction) {
-//        //@native :=> promise
-//        let params = {did: action.did, siid: action.siid, aiid: action.iid, in: action.params};
-//        return new Promise((resolve, reject) => {
-//            native.MIOTRPC.standardCall(ACTION, {'params': params}, (ok, res) => {
-//                if (ok) {
-//                    resolve(res);
-//                } else {
-//                    reject(res);
-//                }
-//            })
-//        })
-//        //@native end
-//    }
-//}
-export default {
-    ///**
-    // * 创建Spec设备,  miot/Device.getDeviceSpec() 或者 DeviceSpec.createSpec(miot/Device.deviceID)
-    // * @method
-    // * @param {string} deviceID
-    // * @returns {ISpecDevice}
-    // */
-    //createSpec(deviceID) {
-    //    //@native :=> null
-    //    return Properties.init(new ISpecDevice(), {did: deviceID});
-    //    //@native end
-    //},
+/**
+ * 从 urn 中解析出类型名称, 例如 urn:miot-spec-v2:property:brightness:0000000D:yeelink-v1:1 => brightness
+ * @private
+ */
+function _typeName(type) {
+    if (!type || typeof type !== "string") {
+        return "";
+    }
+    const parts = type.split(":");
+    return parts.length > 3 ? parts[3] : type;
+}
+/**
+ * 判断 spec 协议描述是否匹配 key; key 为数字时匹配 iid, 为字符串时依次匹配完整 urn、urn 中的类型名称及 description(忽略大小写)
+ * @private
+ */
+function _isMatched(protocol, key) {
+    if (!protocol) {
+        return false;
+    }
+    if (typeof key === "number") {
+        return protocol.iid === key;
+    }
+    if (typeof key !== "string" || key.length < 1) {
+        return false;
+    }
+    if (/^\d+$/.test(key)) {
+        return protocol.iid === parseInt(key);
+    }
+    if (protocol.type === key) {
+        return true;
+    }
+    const lower = key.toLowerCase();
+    return _typeName(protocol.type).toLowerCase() === lower
+        || (protocol.description || "").toLowerCase() === lower;
+}
+/**
+ * 在 Map<iid, object> 中查找匹配 key 的对象
+ * @private
+ */
+function _findIn(map, key) {
+    if (typeof key === "number" && map.has(key)) {
+        return map.get(key);
+    }
+    for (const item of map.values()) {
+        if (_isMatched(Properties.of(item).protocol, key)) {
+            return item;
+        }
+    }
+    return null;
+}
+/**
+ * 各整数 format 的取值范围
+ * @private
+ */
+const INTEGER_RANGES = {
+    uint8: [0, 0xFF], uint16: [0, 0xFFFF], uint32: [0, 0xFFFFFFFF],
+    int8: [-0x80, 0x7F], int16: [-0x8000, 0x7FFF], int32: [-0x80000000, 0x7FFFFFFF],
+    int64: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER]
+};
+/**
+ * 按 spec 中的 format、value-range、value-list、max-length、access 检查待写入的值
+ * @private
+ * @returns {object} 不满足约束时返回 {constraint, expected, message}, 否则返回 null
+ */
+export function _checkValue(protocol, value) {
+    const fail = (constraint, expected, message) => ({ constraint, expected, message });
+    const access = protocol.access || [];
+    if (access.indexOf("write") < 0) {
+        return fail("access", access, "property is not writable");
+    }
+    const { format } = protocol;
+    if (format === "bool") {
+        if (typeof value !== "boolean") {
+            return fail("format", format, "value should be a boolean");
+        }
+    } else if (INTEGER_RANGES[format]) {
+        const [min, max] = INTEGER_RANGES[format];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return fail("format", format, `value should be an integer between ${ min } and ${ max }`);
+        }
+    } else if (format === "float") {
+        if (typeof value !== "number" || !isFinite(value)) {
+            return fail("format", format, "value should be a number");
+        }
+    } else if (format === "string" || format === "hex") {
+        if (typeof value !== "string") {
+            return fail("format", format, "value should be a string");
+        }
+        if (format === "hex" && !/^([0-9a-fA-F]{2})*$/.test(value)) {
+            return fail("format", format, "value should be a hex string");
+        }
+        const maxLength = protocol['max-length'];
+        if (maxLength > 0 && value.length > maxLength) {
+            return fail("max-length", maxLength, `value length should not exceed ${ maxLength }`);
+        }
+    }
+    const range = protocol['value-range'];
+    if (Array.isArray(range) && range.length >= 2 && typeof value === "number") {
+        const [min, max, step] = range;
+        if (value < min || value > max) {
+            return fail("value-range", range, `value should be between ${ min } and ${ max }`);
+        }
+        if (step > 0) {
+            const steps = (value - min) / step;
+            if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+                return fail("value-step", range, `value should be ${ min } plus a multiple of ${ step }`);
+            }
+        }
+    }
+    const list = protocol['value-list'];
+    if (Array.isArray(list) && list.length > 0 && !list.some(item => item.value === value)) {
+        return fail("value-list", list.map(item => item.value), "value should be one of value-list");
+    }
+    return null;
+}
+/**
+ * spec 中的方法
+ * @interface
+ */
+export class ISpecAction {
+    /**
+     * 获取设备 id
+     * @type {string}
+     * @readonly
+     */
+    get did() {
+        //@native => ""
+        return Properties.of(this).did;
+    }
+    /**
+     * 获取service iid
+     * @type {int}
+     * @readonly
+     */
+    get siid() {
+        //@native => 0
+        return Properties.of(this).siid;
+    }
+    /**
+     * 获取方法的 iid, 即 aiid
+     * @type {int}
+     * @readonly
+     */
+    get iid() {
+        //@native => 0
+        return Properties.of(this).protocol.iid;
+    }
+    /**
+     * 获取协议
+     * @type {JSON}
+     * @readonly
+     */
+    get protocol() {
+        //@native => null
+        return Properties.of(this).protocol;
+    }
+    /**
+     * 获取type的 urn
+     * @type {string}
+     * @readonly
+     */
+    get type() {
+        //@native => ""
+        return Properties.of(this).protocol.type;
+    }
+    /**
+     * 获取 urn 中的类型名称，例如 urn:miot-spec-v2:action:toggle:00002811:yeelink-v1:1 的 name 为 toggle
+     * @type {string}
+     * @readonly
+     */
+    get name() {
+        //@native => ""
+        return _typeName(Properties.of(this).protocol.type);
+    }
+    /**
+     * 获取协议的描述
+     * @type {string}
+     * @readonly
+     */
+    get description() {
+        //@native => ""
+        return Properties.of(this).protocol.description;
+    }
+    /**
+     * 获取协议的描述 输入参数列表, 元素为同一 service 下 property 的 piid
+     * @type {Array}
+     * @readonly
+     */
+    get in() {
+        //@native => []
+        return Properties.of(this).protocol.in || [];
+    }
+    /**
+     * 获取协议的描述 输出参数列表, 元素为同一 service 下 property 的 piid
+     * @type {Array}
+     * @readonly
+     */
+    get out() {
+        //@native => []
+        return Properties.of(this).protocol.out || [];
+    }
+    /**
+     * 调用设备的方法，内部根据 did/siid/aiid 组装参数并调用 Service.spec.doAction
+     * @since 10035
+     * @param {...any} args 输入参数，顺序与 in 中声明的顺序一致
+     * @return {Promise<JSON>} 同 Service.spec.doAction
+     * @example
+     * spec.service('light').action('toggle').invoke().then(res => {});
+     */
+    invoke(...args) {
+        //@native :=> promise
+        const { did, siid, protocol } = Properties.of(this);
+        return Spec.doAction({ did, siid, aiid: protocol.iid, in: args });
+        //@native end
+    }
+}
+wrapPromiseErrors(ISpecAction.prototype, ErrorSource.CLOUD);
+/**
+ * spec 中的属性
+ * @interface
+ */
+export class ISpecProperty {
+    /**
+     * js 中缓存值，最近一次 get 或 set 成功后的值
+     * @type {any}
+     * @readonly
+     */
+    get value() {
+        //@native => null
+        return Properties.of(this).value;
+    }
+    /**
+     * 最近一次 get 或 set 请求的响应码，0 表示成功
+     * @type {int}
+     * @readonly
+     */
+    get code() {
+        //@native => 0
+        return Properties.of(this).code;
+    }
+    /**
+     * 获取设备 id
+     * @type {string}
+     * @readonly
+     */
+    get did() {
+        //@native => ""
+        return Properties.of(this).did;
+    }
+    /**
+     * 获取service iid
+     * @type {int}
+     * @readonly
+     */
+    get siid() {
+        //@native => 0
+        return Properties.of(this).siid;
+    }
+    /**
+     * 获取属性的 iid, 即 piid
+     * @type {int}
+     * @readonly
+     */
+    get iid() {
+        //@native => 0
+        return Properties.of(this).protocol.iid;
+    }
+    /**
+     * 获取协议
+     * @type {JSON}
+     * @readonly
+     */
+    get protocol() {
+        //@native => null
+        return Properties.of(this).protocol;
+    }
+    /**
+     * 获取type的 urn
+     * @type {string}
+     * @readonly
+     */
+    get type() {
+        //@native => ""
+        return Properties.of(this).protocol.type;
+    }
+    /**
+     * 获取 urn 中的类型名称，例如 urn:miot-spec-v2:property:brightness:0000000D:yeelink-v1:1 的 name 为 brightness
+     * @type {string}
+     * @readonly
+     */
+    get name() {
+        //@native => ""
+        return _typeName(Properties.of(this).protocol.type);
+    }
+    /**
+     * 获取协议的描述
+     * @type {string}
+     * @readonly
+     */
+    get description() {
+        //@native => ""
+        return Properties.of(this).protocol.description;
+    }
+    /**
+     * 获取协议的 value 类型, bool、uint8、uint16、uint32、int8、int16、int32、int64、float、string、hex
+     * @type {string}
+     * @readonly
+     */
+    get format() {
+        //@native => ""
+        return Properties.of(this).protocol.format;
+    }
+    /**
+     * 获取协议的权限，read、write、notify
+     * @type {Array<string>}
+     * @readonly
+     */
+    get access() {
+        //@native => []
+        return Properties.of(this).protocol.access || [];
+    }
+    /**
+     * 获取协议的单位, 例如 percentage、celsius、seconds、kelvin 等
+     * @type {string}
+     * @readonly
+     */
+    get unit() {
+        //@native => ""
+        return Properties.of(this).protocol.unit;
+    }
+    /**
+     * 获取协议的取值范围
+     * @type {Array} [16, 32, 0.5] 最小值，最大值，步进
+     * @readonly
+     */
+    get valueRange() {
+        //@native => null
+        return Properties.of(this).protocol['value-range'];
+    }
+    /**
+     * 获取协议的取值列表[ {"value": 1, "description": "Monday"},{"value": 2, "description": "Tuesday"}]
+     * @type {Array}
+     * @readonly
+     */
+    get valueList() {
+        //@native => null
+        return Properties.of(this).protocol['value-list'];
+    }
+    /**
+     * 获取协议的字符串最大长度
+     * @type {int}
+     * @readonly
+     */
+    get maxLength() {
+        //@native => 0
+        return Properties.of(this).protocol['max-length'];
+    }
+    /**
+     * 按 spec 描述检查一个待写入的值是否合法，检查项包括 access、format、value-range(含步进)、value-list、max-length
+     * @since 10035
+     * @param {any} value
+     * @return {object} 合法时返回 null；否则返回 {did, siid, piid, value, constraint, expected, message}，constraint 为不满足的约束名称
+     * @example
+     * const error = spec.service('light').property('brightness').validate(50.5);
+     * //error.constraint === 'value-step'
+     */
+    validate(value) {
+        //@native => null
+        const { did, siid, protocol } = Properties.of(this);
+        const error = _checkValue(protocol, value);
+        return error ? { did, siid, piid: protocol.iid, value, ...error } : null;
+    }
+    /**
+     * 从设备读取属性值，内部调用 Service.spec.getPropertiesValue
+     * @since 10035
+     * @return {Promise<any>}
+     * 成功时：属性值
+     * 失败时：DeviceError(设备返回的 code 不为 0 时，nativeCode 为设备返回的 code) 或 CloudError
+     * @example
+     * spec.service('light').property('brightness').get().then(value => {});
+     */
+    get() {
+        //@native :=> promise
+        const self = Properties.of(this);
+        const { did, siid, protocol } = self;
+        return Spec.getPropertiesValue([{ did, siid, piid: protocol.iid }]).then(res => {
+            const item = (res || [])[0] || {};
+            self.code = item.code;
+            if (item.code !== 0) {
+                return Promise.reject(DeviceError.from(item));
+            }
+            self.value = item.value;
+            return item.value;
+        });
+        //@native end
+    }
+    /**
+     * 设置设备的属性值，内部调用 Service.spec.setPropertiesValue
+     * @since 10035
+     * @param {any} value
+     * @return {Promise<any>}
+     * 成功时：设置的值 (code 为 0 或 1)
+     * 失败时：DeviceError(设备返回的 code 不为 0 或 1 时，nativeCode 为设备返回的 code) 或 CloudError
+     * @example
+     * spec.service('light').property('brightness').set(50).then(value => {});
+     */
+    set(value) {
+        //@native :=> promise
+        const self = Properties.of(this);
+        const { did, siid, protocol } = self;
+        return Spec.setPropertiesValue([{ did, siid, piid: protocol.iid, value }]).then(res => {
+            const item = (res || [])[0] || {};
+            self.code = item.code;
+            if (item.code !== 0 && item.code !== 1) {
+                return Promise.reject(DeviceError.from(item));
+            }
+            self.value = value;
+            return value;
+        });
+        //@native end
+    }
+}
+wrapPromiseErrors(ISpecProperty.prototype, ErrorSource.CLOUD);
+/**
+ * spec 中的服务，包含 property:ISpecProperty,action:ISpecAction,event:暂时未使用到
+ * @interface
+ */
+export class ISpecService {
+    /**
+     * 获取设备 id
+     * @type {string}
+     * @readonly
+     */
+    get did() {
+        //@native => ""
+        return Properties.of(this).did;
+    }
+    /**
+     * 获取服务的 iid, 即 siid
+     * @type {int}
+     * @readonly
+     */
+    get iid() {
+        //@native => 0
+        return Properties.of(this).protocol.iid;
+    }
+    /**
+     * 获取协议
+     * @type {JSON}
+     * @readonly
+     */
+    get protocol() {
+        //@native => null
+        return Properties.of(this).protocol;
+    }
+    /**
+     * 获取type的 urn
+     * @type {string}
+     * @readonly
+     */
+    get type() {
+        //@native => ""
+        return Properties.of(this).protocol.type;
+    }
+    /**
+     * 获取 urn 中的类型名称，例如 urn:miot-spec-v2:service:light:00007802:yeelink-v1:1 的 name 为 light
+     * @type {string}
+     * @readonly
+     */
+    get name() {
+        //@native => ""
+        return _typeName(Properties.of(this).protocol.type);
+    }
+    /**
+     * 获取协议的描述
+     * @type {string}
+     * @readonly
+     */
+    get description() {
+        //@native => ""
+        return Properties.of(this).protocol.description;
+    }
+    /**
+     * 获取服务下的所有 property
+     * @type {ISpecProperty[]}
+     * @readonly
+     */
+    get properties() {
+        //@native => []
+        return [...this._getProperties().values()];
+    }
+    /**
+     * 获取服务下的所有 action
+     * @type {ISpecAction[]}
+     * @readonly
+     */
+    get actions() {
+        //@native => []
+        return [...this._getActions().values()];
+    }
+    /**
+     * 查找服务下的 property
+     * @since 10035
+     * @param {int|string} key piid, 完整的 urn, urn 中的类型名称(如 brightness) 或 description
+     * @return {ISpecProperty} 找不到时返回 null
+     */
+    property(key) {
+        //@native => null
+        return _findIn(this._getProperties(), key);
+    }
+    /**
+     * 查找服务下的 action
+     * @since 10035
+     * @param {int|string} key aiid, 完整的 urn, urn 中的类型名称(如 toggle) 或 description
+     * @return {ISpecAction} 找不到时返回 null
+     */
+    action(key) {
+        //@native => null
+        return _findIn(this._getActions(), key);
+    }
+    //@native begin
+    _getProperties() {
+        const self = Properties.of(this);
+        if (!self.properties) {
+            self.properties = new Map();
+            (self.protocol.properties || []).forEach(item => {
+                self.properties.set(item.iid, Properties.init(new ISpecProperty(), {
+                    did: self.did, siid: self.protocol.iid, protocol: item
+                }));
+            });
+        }
+        return self.properties;
+    }
+    _getActions() {
+        const self = Properties.of(this);
+        if (!self.actions) {
+            self.actions = new Map();
+            (self.protocol.actions || []).forEach(item => {
+                self.actions.set(item.iid, Properties.init(new ISpecAction(), {
+                    did: self.did, siid: self.protocol.iid, protocol: item
+                }));
+            });
+        }
+        return self.actions;
+    }
+    //@native end
+}
+wrapPromiseErrors(ISpecService.prototype, ErrorSource.CLOUD);
+/**
+ * miot spec 设备模型，由 getSpecString 返回的 spec 描述生成
+ * @interface
+ */
+export class ISpecDevice {
+    /**
+     * 从 Native 获取到 spec 的描述文件，根据描述文件可以生成设备的服务、属性和方法，必须先调用这个方法,如果不支持 spec 会 catch error
+     * @since 10035
+     * @return {Promise<ISpecDevice>}
+     */
+    initFromNative() {
+        //@native :=> promise
+        const self = Properties.of(this);
+        if (self.protocol) {
+            return Promise.resolve(this);
+        }
+        return Spec.getSpecString(self.did).then(data => {
+            self.protocol = typeof data === "string" ? JSON.parse(data) : data;
+            self.services = null;
+            return this;
+        });
+        //@native end
+    }
+    /**
+     * spec 描述是否已经加载
+     * @type {boolean}
+     * @readonly
+     */
+    get isLoaded() {
+        //@native => false
+        return !!Properties.of(this).protocol;
+    }
+    /**
+     * 获取设备 id
+     * @type {string}
+     * @readonly
+     */
+    get did() {
+        //@native => ""
+        return Properties.of(this).did;
+    }
+    /**
+     * 获取协议
+     * @type {JSON}
+     * @readonly
+     */
+    get protocol() {
+        //@native => null
+        return Properties.of(this).protocol;
+    }
+    /**
+     * 获取type的 urn
+     * @type {string}
+     * @readonly
+     */
+    get type() {
+        //@native => ""
+        return (Properties.of(this).protocol || {}).type;
+    }
+    /**
+     * 获取协议的描述
+     * @type {string}
+     * @readonly
+     */
+    get description() {
+        //@native => ""
+        return (Properties.of(this).protocol || {}).description;
+    }
+    /**
+     * 获取设备的所有 service
+     * @type {ISpecService[]}
+     * @readonly
+     */
+    get services() {
+        //@native => []
+        return [...this._getServices().values()];
+    }
+    /**
+     * 查找设备的 service
+     * @since 10035
+     * @param {int|string} key siid, 完整的 urn, urn 中的类型名称(如 light) 或 description
+     * @return {ISpecService} 找不到时返回 null
+     * @example
+     * Service.spec.loadSpec(Device.deviceID).then(spec => {
+     *   spec.service('light').property('brightness').set(50);
+     * });
+     */
+    service(key) {
+        //@native => null
+        return _findIn(this._getServices(), key);
+    }
+    //@native begin
+    _getServices() {
+        const self = Properties.of(this);
+        if (!self.services) {
+            self.services = new Map();
+            ((self.protocol || {}).services || []).forEach(item => {
+                self.services.set(item.iid, Properties.init(new ISpecService(), {
+                    did: self.did, protocol: item
+                }));
+            });
+        }
+        return self.services;
+    }
+    //@native end
+}
+wrapPromiseErrors(ISpecDevice.prototype, ErrorSource.CLOUD);
+//@native begin
+const specDevices = new Map();
+const SPEC_CACHE_FOLDER = "miot_spec_cache";
+// model@version => {model, version, time, spec}
+const specCache = new Map();
+// model => 当前使用的 spec 版本
+const specCurrent = new Map();
+// 本次插件运行期间已经从云端校验过的 model
+const specRevalidated = new Set();
+/**
+ * 解析 spec 描述, 兼容字符串和对象
+ * @private
+ */
+function _parseSpec(data) {
+    return typeof data === "string" ? JSON.parse(data) : data;
+}
+/**
+ * 从 spec 的 urn 中解析版本号, 例如 urn:miot-spec-v2:device:light:0000A001:yeelink-v1:2 => 2
+ * @private
+ */
+function _specVersion(spec) {
+    const parts = ((spec && spec.type) || "").split(":");
+    return parseInt(parts[parts.length - 1]) || 0;
+}
+/**
+ * 获取 did 对应设备的 model, 找不到设备或者没有 model 时返回 null, 此时不使用缓存
+ * @private
+ */
+function _specModel(did) {
+    const { device } = _find_device(did);
+    return (device && device.model) || null;
+}
+/**
+ * 每个版本的 spec 保存在 model@version.json 中, model.json 记录当前使用的版本
+ * @private
+ */
+function _specCacheFile(model, version) {
+    return version === undefined ? `${ SPEC_CACHE_FOLDER }/${ model }.json` : `${ SPEC_CACHE_FOLDER }/${ model }@${ version }.json`;
+}
+/**
+ * 读取 model 当前使用的 spec 版本, 没有缓存时 resolve null
+ * @private
+ */
+function _currentSpecVersion(model) {
+    if (specCurrent.has(model)) {
+        return Promise.resolve(specCurrent.get(model));
+    }
+    return HostFile.readFile(_specCacheFile(model)).then(content => {
+        const current = content ? JSON.parse(content) : null;
+        if (current && typeof current.version === "number") {
+            specCurrent.set(model, current.version);
+            return current.version;
+        }
+        return null;
+    }).catch(() => null);
+}
+/**
+ * 依次从内存和 Host.file 中读取缓存, 不指定 version 时读取当前使用的版本, 不存在时 resolve null
+ * @private
+ */
+function _readSpecCache(model, version) {
+    return (version === undefined ? _currentSpecVersion(model) : Promise.resolve(version)).then(version => {
+        if (version === null) {
+            return null;
+        }
+        const key = `${ model }@${ version }`;
+        if (specCache.has(key)) {
+            return specCache.get(key);
+        }
+        return HostFile.readFile(_specCacheFile(model, version)).then(content => {
+            const entry = content ? JSON.parse(content) : null;
+            if (entry && entry.spec && entry.version === version) {
+                specCache.set(key, entry);
+                return entry;
+            }
+            return null;
+        }).catch(() => null);
+    });
+}
+/**
+ * 写入 model@version 的缓存, current 为 true 时同时把它设为 model 当前使用的版本
+ * @private
+ */
+function _writeSpecCache(model, spec, current = true) {
+    const version = _specVersion(spec);
+    const entry = { model, version, time: new Date().getTime(), spec };
+    specCache.set(`${ model }@${ version }`, entry);
+    const writes = [HostFile.writeFile(_specCacheFile(model, version), JSON.stringify(entry))];
+    if (current) {
+        specCurrent.set(model, version);
+        writes.push(HostFile.writeFile(_specCacheFile(model), JSON.stringify({ model, version })));
+    }
+    return Promise.all(writes).catch(() => false).then(() => entry);
+}
+function _fetchSpecFromNative(did) {
+    return RequestPolicy.run(() => new Promise((resolve, reject) => {
+        native.MIOTSpec.getSpecString(did, (ok, data) => {
+            if (ok && data) {
+                resolve(data);
+                return;
+            }
+            reject(data);
+        });
+    }), null, { source: ErrorSource.CLOUD, idempotent: true });
+}
+/**
+ * 从云端获取 spec 并写入缓存(没有 model 时不缓存), 已创建的 ISpecDevice 在版本变化时同步更新
+ * @private
+ */
+function _revalidateSpec(did, model) {
+    model && specRevalidated.add(model);
+    return _fetchSpecFromNative(did).then(data => {
+        const spec = _parseSpec(data);
+        const device = specDevices.get(did);
+        if (device && device.isLoaded && _specVersion(device.protocol) !== _specVersion(spec)) {
+            Properties.of(device).protocol = spec;
+            Properties.of(device).services = null;
+        }
+        return model ? _writeSpecCache(model, spec).then(() => data) : data;
+    }, err => {
+        model && specRevalidated.delete(model);
+        return Promise.reject(err);
+    });
+}
+/**
+ * 只使用已加载或者本地缓存的 spec 描述创建 ISpecDevice, 不发起网络请求; 都没有时 resolve null
+ * @private
+ */
+function _loadCachedSpec(did) {
+    const device = specDevices.get(did);
+    if (device && device.isLoaded) {
+        return Promise.resolve(device);
+    }
+    const model = _specModel(did);
+    return (model ? _readSpecCache(model) : Promise.resolve(null)).then(entry => {
+        if (!entry) {
+            return null;
+        }
+        const spec = Spec.createSpec(did);
+        if (!spec.isLoaded) {
+            Properties.of(spec).protocol = entry.spec;
+            Properties.of(spec).services = null;
+        }
+        return spec;
+    });
+}
+function _getPropertiesValue(params) {
+    return new Promise((resolve, reject) => {
+        native.MIOTRPC.standardCall(GET, { 'params': params }, (ok, res) => {
+            if (ok) {
+                resolve(res);
+            } else {
+                reject(res);
+            }
+        })
+    });
+}
+/**
+ * 合并同一设备多次 getPropertiesValue 的参数为一个请求, 并按 did/siid/piid 拆分结果
+ * @private
+ */
+function _getPropertiesValueBatch(items) {
+    const keyOf = ({ did, siid, piid }) => `${ did }.${ siid }.${ piid }`;
+    const merged = new Map();
+    items.forEach(params => params.forEach(p => merged.has(keyOf(p)) || merged.set(keyOf(p), p)));
+    return RequestPolicy.run(() => _getPropertiesValue([...merged.values()]), null, { source: ErrorSource.CLOUD, idempotent: true, limit: items[0][0].did }).then(res => {
+        if (items.length === 1 && items[0].length === merged.size) {
+            return [res];
+        }
+        const results = new Map((Array.isArray(res) ? res : []).map(item => [keyOf(item), item]));
+        return items.map(params => params.map(p => results.get(keyOf(p)) || { did: p.did, siid: p.siid, piid: p.piid, code: -1 }));
+    });
+}
+/**
+ * 将 getCurrentSpecValue 在 Android 和 iOS 上不同的返回格式统一为 [{did, siid, piid, code, value}]
+ * @private
+ */
+function _normalizeSpecValues(res) {
+    if (typeof res === "string") {
+        res = res ? JSON.parse(res) : [];
+    }
+    if (res && !Array.isArray(res)) {
+        res = typeof res.result === "string" ? JSON.parse(res.result || "[]") : res.result;
+    }
+    return Array.isArray(res) ? res.filter(item => item && item.code === 0) : [];
+}
+//@native end
+const Spec = {
+    /**
+     * 创建Spec设备, 返回的对象需要调用 initFromNative 加载 spec 描述后才能使用; 同一个 did 返回同一个对象
+     * @since 10035
+     * @method
+     * @param {string} deviceID
+     * @returns {ISpecDevice}
+     */
+    createSpec(deviceID) {
+        //@native :=> null
+        let spec = specDevices.get(deviceID);
+        if (!spec) {
+            spec = Properties.init(new ISpecDevice(), { did: deviceID });
+            specDevices.set(deviceID, spec);
+        }
+        return spec;
+        //@native end
+    },
+    /**
+     * 创建并加载Spec设备，之后可以通过 urn 类型名称或者 description 查找服务、属性和方法，不再需要手写 siid/piid/aiid
+     * @since 10035
+     * @param {string} deviceID
+     * @returns {Promise<ISpecDevice>}
+     * 失败时：同 getSpecString
+     * @example
+     * Service.spec.loadSpec(Device.deviceID).then(spec => {
+     *   const brightness = spec.service('light').property('brightness');
+     *   brightness.get().then(value => console.log(value));
+     *   brightness.set(80);
+     *   spec.service('light').action('toggle').invoke();
+     * });
+     */
+    loadSpec(deviceID) {
+        //@native :=> promise
+        return this.createSpec(deviceID).initFromNative();
+        //@native end
+    },
     /**
      * 请求获取设备的属性值； 由于是发起网络请求，数据的正确性可以通过抓包来查看；
      * 只要网络请求成功会代码会执行到then（与具体是否获取到设备属性值无关）， 网络请求失败则会执行到catch
+     * 从 10035 开始，同一时刻对同一设备的多次调用会经 RequestScheduler 合并为一个请求(相同的 did/siid/piid 只请求一次)，再拆分为各自的结果；
+     * 不同设备的属性分别请求，一个设备的请求失败不影响其他设备；params 包含多个设备时，结果按设备依次排列
      * code 具体表示什么意思可以查看： https://iot.mi.com/new/doc/05-米家扩展程序开发指南/05-功能接口/06-MIOT-Spec.html
      * @param {Array}  params [{did: 1, siid: 1, piid: 1},{did: 1, siid:2, piid: 3},……]
+     * @param {object} [policy=null] (API Level 10035新增)本次调用的超时及重试策略，覆盖 RequestPolicy 的全局配置；传入时不再与其他请求合并
      * @return {Promise<JSON>}
      * 成功时分两种情况：
      * 获取设备属性成功时： [{"did":"xxx","siid":x,"piid":x,"code":0，value: xxx },……]
      * 获取设备属性失败时： [{"did":"xxx","siid":x,"piid":x,"code":xxx},……]
-     * 失败时：{code:xxx, message:xxx}
+     * 失败时：CloudError {code:xxx, message:xxx, nativeCode:xxx, attempts:x, timeout:false}
      */
-    getPropertiesValue(params) {
+    getPropertiesValue(params, policy = null) {
         //@native :=> promise
-        return new Promise((resolve, reject) => {
-            native.MIOTRPC.standardCall(GET, { 'params': params }, (ok, res) => {
-                if (ok) {
-                    resolve(res);
-                } else {
-                    reject(res);
-                }
-            })
-        })
+        if (!Array.isArray(params) || params.length < 1 || policy) {
+            return RequestPolicy.run(() => _getPropertiesValue(params), policy, { source: ErrorSource.CLOUD, idempotent: true });
+        }
+        const groups = new Map();
+        params.forEach(p => groups.has(p.did) ? groups.get(p.did).push(p) : groups.set(p.did, [p]));
+        return Promise.all([...groups].map(([did, group]) => RequestScheduler.batch(`miotspec#get#${ did }`, group, _getPropertiesValueBatch)))
+            .then(results => results.length === 1 ? results[0] : [].concat(...results));
         //@native end
     },
     /**
      * 请求设置设备的属性值，由于是发起网络请求，数据的正确性可以通过抓包来查看；
      * 只要网络请求成功会代码会执行到then（与具体是否获取到设备属性值无关）， 网络请求失败则会执行到catch
      * code 具体表示什么意思可以查看： https://iot.mi.com/new/doc/05-米家扩展程序开发指南/05-功能接口/06-MIOT-Spec.html
+     * 从 10035 开始，发送请求前会按设备的 spec 描述检查每个值(见 validatePropertiesValue)，有任何一个不合法则整个请求不会发出；
+     * 检查只使用已经加载或者本地缓存的 spec 描述，不会为此发起网络请求，没有 spec 描述的设备不做检查
      * @param {Array} params [{did: 1, siid: 1, piid: 1, value:'any'},{did: 1, siid:2, piid: 3, value: 'any'},……]
+     * @param {object} [options={ validate: true }] options.validate 为 false 时不做本地检查，直接发送请求；options.policy 为本次调用的超时及重试策略(10035新增)，写入默认不重试，见 RequestPolicy 的 retryUnsafe
      * @return {Promise<JSON>}
      * 成功时分两种情况：
      * 设置设备属性成功时：  [{"did":"xxx","siid":x,"piid":x,"code":0 },……]
      * 设置设备属性失败时：  [{"did":"xxx","siid":x,"piid":x,"code":xxx },……]
-     * 失败时：{code:xxx, message:xxx}
+     * 失败时：CloudError {code:xxx, message:xxx, nativeCode:xxx, attempts:x, timeout:false}
+     * 本地检查失败时：CloudError {code:"INVALID_ARGUMENT", message:xxx, errors:[{did, siid, piid, value, constraint, expected, message},……]}
      */
-    setPropertiesValue(params) {
+    setPropertiesValue(params, options = { validate: true }) {
         //@native :=> promise
-        return new Promise((resolve, reject) => {
+        const send = () => RequestPolicy.run(() => new Promise((resolve, reject) => {
             native.MIOTRPC.standardCall(SET, { 'params': params }, (ok, res) => {
                 if (ok) {
                     resolve(res);
@@ -751,7 +958,53 @@ export default {
                     reject(res);
                 }
             })
-        })
+        }), options && options.policy, { source: ErrorSource.CLOUD });
+        if ((options && options.validate === false) || !Array.isArray(params)) {
+            return send();
+        }
+        return this.validatePropertiesValue(params).then(errors => {
+            if (errors.length > 0) {
+                const { siid, piid, constraint } = errors[0];
+                return Promise.reject(new CloudError(ErrorCode.INVALID_ARGUMENT,
+                    `invalid value for siid ${ siid } piid ${ piid }, ${ constraint } not satisfied`, { extra: { errors } }));
+            }
+            return send();
+        });
+        //@native end
+    },
+    /**
+     * 按设备的 spec 描述检查待设置的属性值，不发送设置请求。
+     * 只使用已经通过 loadSpec 加载、getSpecString 缓存或者 primeSpecCache 预置的 spec 描述，不发起网络请求，没有 spec 描述的设备不做检查
+     * @since 10035
+     * @param {Array} params 同 setPropertiesValue
+     * @return {Promise<Array>} 不合法的项 [{did, siid, piid, value, constraint, expected, message},……]，全部合法时为空数组
+     * constraint 取值：property(spec 中不存在此属性)、access、format、value-range、value-step、value-list、max-length
+     * @example
+     * Service.spec.validatePropertiesValue([{did, siid: 2, piid: 2, value: 33.3}]).then(errors => {
+     *   errors.forEach(e => console.log(e.siid, e.piid, e.constraint, e.message));
+     * });
+     */
+    validatePropertiesValue(params) {
+        //@native :=> promise []
+        const dids = [...new Set((params || []).map(p => p.did))];
+        return Promise.all(dids.map(did => _loadCachedSpec(did))).then(specs => {
+            const errors = [];
+            params.forEach(({ did, siid, piid, value }) => {
+                const spec = specs[dids.indexOf(did)];
+                if (!spec) {
+                    return;
+                }
+                const service = spec.service(siid);
+                const prop = service && service.property(piid);
+                if (!prop) {
+                    errors.push({ did, siid, piid, value, constraint: "property", expected: null, message: "property not found in spec" });
+                    return;
+                }
+                const error = prop.validate(value);
+                error && errors.push(error);
+            });
+            return errors;
+        });
         //@native end
     },
     /**
@@ -759,15 +1012,16 @@ export default {
      * 只要网络请求成功会代码会执行到then（与具体是否获取到设备属性值无关）， 网络请求失败则会执行到catch
      * code 具体表示什么意思可以查看： https://iot.mi.com/new/doc/05-米家扩展程序开发指南/05-功能接口/06-MIOT-Spec.html
      * @param {JSON} params {did: action.did, siid: action.siid, aiid: action.iid, in: action.params},其中，action.params为数组。例如 {did: 1, siid: 1, aiid: 1, in: [17,"shanghai"]}
+     * @param {object} [policy=null] (API Level 10035新增)本次调用的超时及重试策略，覆盖 RequestPolicy 的全局配置；action 默认不重试，见 RequestPolicy 的 retryUnsafe
      * @return {Promise<JSON>}
      * 成功时分两种情况：
      * 方法执行成功时：  {"did":"xxx","siid":x,"piid":x,"code":0 }
      * 方法执行失败时：  {"did":"xxx","siid":x,"piid":x,"code":xxx }
-     * 失败时：{code:xxx, message:xxx}
+     * 失败时：CloudError {code:xxx, message:xxx, nativeCode:xxx, attempts:x, timeout:false}
      */
-    doAction(params) {
+    doAction(params, policy = null) {
         //@native :=> promise
-        return new Promise((resolve, reject) => {
+        return RequestPolicy.run(() => new Promise((resolve, reject) => {
             native.MIOTRPC.standardCall(ACTION, { 'params': params }, (ok, res) => {
                 if (ok) {
                     resolve(res);
@@ -775,28 +1029,102 @@ export default {
                     reject(res);
                 }
             })
-        })
+        }), policy, { source: ErrorSource.CLOUD })
         //@native end
     },
     /**
      * 获取设备的spec详情, 由于是发起网络请求，数据的正确性可以通过抓包来查看；
      * 只要网络请求成功会代码会执行到then（与具体是否获取到设备属性值无关）， 网络请求失败则会执行到catch
+     * 从 10035 开始，spec 详情会按设备 model 及 spec 版本缓存在 Host.file 中(stale-while-revalidate)：
+     * 有缓存时直接返回该 model 当前版本的缓存，同时在后台从云端校验一次(每次插件运行每个 model 一次)，云端的版本即为之后使用的版本；
+     * 没有缓存时从云端获取。因此云端较慢或者不可用时，只要有缓存(或者通过 primeSpecCache 预置了插件内置的 spec 文件)依然可以立刻获得 spec。
+     * 找不到 did 对应的设备(Device 及其子设备)或者设备没有 model 时不使用缓存。
      * @param did 设备的did
+     * @param {object} [options={ cache: true }] options.cache 为 false 时忽略缓存，直接从云端获取(获取成功后依然会写入缓存)
      * @return {Promise<JSON>} 设备的Spec属性详情
      * 方法执行成功时：直接返回设备具体内容，json结构字符串
-     * 失败时：{code:xxx, message:xxx}
+     * 失败时：CloudError {code:xxx, message:xxx, nativeCode:xxx}
      */
-    getSpecString(did) {
+    getSpecString(did, options = { cache: true }) {
         // @native :=> promise
-        return new Promise((resolve, reject) => {
-            native.MIOTSpec.getSpecString(did, (ok, data) => {
-                if (ok && data) {
-                    resolve(data);
-                    return;
-                }
-                reject(data);
-            });
-        })
+        const model = _specModel(did);
+        if (!model || (options && options.cache === false)) {
+            return _revalidateSpec(did, model);
+        }
+        return _readSpecCache(model).then(entry => {
+            if (!entry) {
+                return _revalidateSpec(did, model);
+            }
+            if (!specRevalidated.has(model)) {
+                // 后台校验失败时继续使用缓存, 下次获取时再校验
+                _revalidateSpec(did, model).catch(() => null);
+            }
+            return JSON.stringify(entry.spec);
+        });
+        // @native end
+    },
+    /**
+     * 用插件内置的 spec 描述文件预置缓存，这样第一次打开插件时也不需要等待云端返回。
+     * 只有还没有缓存或者缓存的当前版本低于预置的版本时，预置的版本才会成为当前版本；已有的同版本缓存不会被覆盖
+     * @since 10035
+     * @param {string} model 设备 model，一般为 Device.model
+     * @param {JSON|string} spec spec 描述，例如 require('../Resources/spec.json')
+     * @return {Promise<boolean>} 预置的版本是否成为了当前版本
+     * @example
+     * Service.spec.primeSpecCache(Device.model, require('../Resources/spec.json')).then(() => {
+     *   return Service.spec.loadSpec(Device.deviceID);
+     * });
+     */
+    primeSpecCache(model, spec) {
+        // @native :=> promise false
+        if (!model || !spec) {
+            return Promise.resolve(false);
+        }
+        spec = _parseSpec(spec);
+        const version = _specVersion(spec);
+        return Promise.all([_currentSpecVersion(model), _readSpecCache(model, version)]).then(([current, entry]) => {
+            if (current !== null && current >= version) {
+                return entry ? false : _writeSpecCache(model, spec, false).then(() => false);
+            }
+            return entry ? _writeSpecCache(model, entry.spec).then(() => true) : _writeSpecCache(model, spec).then(() => true);
+        });
+        // @native end
+    },
+    /**
+     * 读取 model 对应的 spec 缓存
+     * @since 10035
+     * @param {string} model 设备 model
+     * @param {int} [version] spec 版本，不指定时读取当前使用的版本
+     * @return {Promise<JSON>} {model, version, time, spec}，没有缓存时为 null
+     */
+    getCachedSpec(model, version) {
+        // @native :=> promise null
+        return _readSpecCache(model, version);
+        // @native end
+    },
+    /**
+     * 删除 model 对应的 spec 缓存
+     * @since 10035
+     * @param {string} model 设备 model
+     * @param {int} [version] spec 版本，不指定时删除当前使用的版本，之后 getSpecString 会重新从云端获取
+     * @return {Promise<boolean>}
+     */
+    clearSpecCache(model, version) {
+        // @native :=> promise true
+        return _currentSpecVersion(model).then(current => {
+            version === undefined && (version = current);
+            const files = [];
+            if (version !== null) {
+                specCache.delete(`${ model }@${ version }`);
+                files.push(_specCacheFile(model, version));
+            }
+            if (version === current) {
+                specCurrent.delete(model);
+                specRevalidated.delete(model);
+                files.push(_specCacheFile(model));
+            }
+            return Promise.all(files.map(file => HostFile.deleteFile(file))).then(() => true).catch(() => false);
+        });
         // @native end
     },
     /**
@@ -805,14 +1133,15 @@ export default {
      * 使用方式：let data = await Service.spec.getCurrentSpecValue(did);
      * @since 10003
      * @param did 设备的did，必传
-     * @return {} 缓存的设备的miotSpec属性，
-     * 方法执行成功时,Android iOS返回数据格式不一样
-     * Android：string类型, {"code":0, "result":"[]"} or {"code":0, "result":"[{"did":"xxx","siid":x,"piid":x,"code":0 }, ...]"}
-     * iOS： 返回值同上面的getPropertiesValue方法。此方法只返回code为0（get成功）的数据
+     * @return {Promise<Array>} 缓存的设备的miotSpec属性，
+     * 从 10035 开始，Android 和 iOS 返回统一的格式，与 getPropertiesValue 相同，且只包含 code 为 0（get成功）的数据：
+     * [{"did":"xxx","siid":x,"piid":x,"code":0,"value":xxx }, ...]，没有数据时为 []
      */
     getCurrentSpecValue(did) {
         // @native :=> promise
-        return native.MIOTSpec.getCurrentSpecValueWithDid(did);
+        return Promise.resolve(native.MIOTSpec.getCurrentSpecValueWithDid(did)).then(_normalizeSpecValues);
         // @native end
     }
-}
\ No newline at end of file
+};
+wrapPromiseErrors(Spec, ErrorSource.CLOUD);
+export default Spec;
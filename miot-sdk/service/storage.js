@@ -9,7 +9,8 @@
  */
 //@native
 import native from '../native';
-export default {
+import { CloudError, ErrorCode, ErrorSource, wrapPromiseErrors } from '../MiotError';
+export default wrapPromiseErrors({
   /**
    * 读取米家的用户配置信息 /user/get_user_config（获取/user/set_user_config写入的用户配置）
    * @param {number} componentId 厂商APP_ID(Cloud ID)，需要向小米申请, 0 和 1 预留
@@ -64,7 +65,7 @@ export default {
     //@native :=> promise
     const params = Object.keys(data || []).map(key => ({ "component_id": componentId, key, data: data[key] || {} }))
     if (!componentId || params.length < 1) {
-      return Promise.reject();
+      return Promise.reject(new CloudError(ErrorCode.INVALID_ARGUMENT, "componentId or data is empty"));
     }
     return new Promise((resolve, reject) => {
       native.MIOTRPC.standardCall("/user/set_user_config", params, (ok, res) => {
@@ -114,7 +115,7 @@ export default {
     // const params = { model, key, data }
     const params = this._convertParamsForThirdUserConfig(model, key, data);
     if (!params) {
-      return new Promise.reject("data is too long, cannot save...");
+      return Promise.reject(new CloudError(ErrorCode.INVALID_ARGUMENT, "data is too long, cannot save..."));
     }
     return new Promise((resolve, reject) => {
       native.MIOTRPC.standardCall("/user/set_third_user_config", params, (ok, res) => {
@@ -307,4 +308,4 @@ export default {
     return resultData;
   },
   //@native end
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
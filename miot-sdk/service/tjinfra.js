@@ -7,9 +7,10 @@
  */
 //@native
 import native from "../native";
+import { ErrorSource, wrapPromiseErrors } from '../MiotError';
 //@native
 const { TJInfra } = native;
-export default {
+export default wrapPromiseErrors({
     /**
      * createClient
      * @param {String} name 
@@ -465,4 +466,4 @@ export default {
         return data;
     }
     //@native end
-}
\ No newline at end of file
+}, ErrorSource.CLOUD);
\ No newline at end of file
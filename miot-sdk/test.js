@@ -0,0 +1,30 @@
+/**
+ * @export public
+ * @doc_name 测试工具模块
+ * @doc_index 9
+ * @doc_directory sdk
+ * @module miot/test
+ * @description
+ * 只用于测试(例如 jest)和调试包的工具，会替换米家 App 的原生模块，不要在插件的正式代码中引入，miot 及 miot/device 不会导出这些模块：
+ * Simulator 设备模拟器，ISimulatedDevice 为模拟的设备，见 device/Simulator.js
+ * MockBluetooth 蓝牙模拟外设，IMockPeripheral 为模拟的外设，见 device/bluetooth/MockBluetooth.js
+ * 在 Node 中运行时，需要先加载 miot/device/SimulatorSetup 补齐原生模块(见模拟器运行环境模块)
+ *
+ * @example
+ * import { Simulator, MockBluetooth } from 'miot/test'
+ * import { Device } from 'miot'
+ *
+ * const device = Simulator.install({ devices: [{ did: '1234', model: 'xiaomi.light.v1', props: { power: 'on' } }] });
+ * Device.getDeviceWifi().callMethod('get_prop', ['power']).then(res => console.log(res.result));
+ * ...
+ * Simulator.uninstall();
+ */
+import MIOTSimulator, { ISimulatedDevice as MIOTISimulatedDevice } from './device/Simulator';
+import MIOTMockBluetooth, { IMockPeripheral as MIOTIMockPeripheral } from './device/bluetooth/MockBluetooth';
+export const Simulator = MIOTSimulator;
+export const ISimulatedDevice = MIOTISimulatedDevice;
+export const MockBluetooth = MIOTMockBluetooth;
+export const IMockPeripheral = MIOTIMockPeripheral;
+export default {
+    Simulator, ISimulatedDevice, MockBluetooth, IMockPeripheral
+};
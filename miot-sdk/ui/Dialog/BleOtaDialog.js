@@ -0,0 +1,132 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { OtaState } from '../../device/bluetooth/BleOta';
+import { strings } from '../../resources';
+import ProgressDialog from './ProgressDialog';
+/**
+ * @export
+ * @since 10035
+ * @module BleOtaDialog
+ * @description 蓝牙固件升级弹窗，在 ProgressDialog 中显示 IBleOta 的状态和进度
+ * @param {IBleOta} ota - 通过 BleOta.create 创建的升级对象
+ * @param {bool} visible - 是否显示 modal, 默认`false`
+ * @param {bool} autoStart - 显示时是否自动调用 ota.start，默认`true`；由弹窗开始的升级在弹窗卸载时会被取消(ota.cancel)
+ * @param {object} messages - 覆盖各状态显示的文字，key 为 OtaState 中的状态，例如`{ transferring: '...' }`
+ * @param {number} finishDelay - 升级结束后显示结果文字的时间，之后调用 onFinish，默认`1500`
+ * @param {string} color - progressBar 填充颜色，默认米家绿
+ * @param {function} onFinish - 升级结束时的回调，参数为失败的原因(BluetoothError)，成功时为`null`；一般在此回调中隐藏弹窗，弹窗卸载后不会再回调
+ * @example
+ * import { BleOtaDialog } from 'miot/ui/Dialog'
+ *
+ * <BleOtaDialog
+ *   visible={this.state.upgrading}
+ *   ota={this.ota}
+ *   onFinish={error => this.setState({ upgrading: false })}
+ * />
+ */
+export default class BleOtaDialog extends React.Component {
+  static propTypes = {
+    ota: PropTypes.object.isRequired,
+    visible: PropTypes.bool,
+    autoStart: PropTypes.bool,
+    messages: PropTypes.object,
+    finishDelay: PropTypes.number,
+    color: PropTypes.string,
+    onFinish: PropTypes.func,
+  }
+  static defaultProps = {
+    visible: false,
+    autoStart: true,
+    messages: {},
+    finishDelay: 1500,
+  }
+  constructor(props, context) {
+    super(props, context);
+    this.state = {
+      state: props.ota.state,
+      progress: props.ota.progress
+    };
+  }
+  componentDidMount() {
+    this.subscribe(this.props.ota);
+    this.props.visible && this.start();
+  }
+  componentWillReceiveProps(newProps) {
+    if (newProps.ota !== this.props.ota) {
+      this.subscribe(newProps.ota);
+    }
+    if (newProps.visible && !this.props.visible) {
+      this.start(newProps);
+    }
+  }
+  componentWillUnmount() {
+    this.unmounted = true;
+    this.subscription && this.subscription.remove();
+    this.subscription = null;
+    clearTimeout(this.timer);
+    this.timer = null;
+    // 由弹窗开始的升级没有结束时取消，避免离开页面后仍在传输
+    this.running && this.running.cancel();
+    this.running = null;
+  }
+  subscribe(ota) {
+    this.subscription && this.subscription.remove();
+    this.subscription = ota.addListener(({ state, progress }) => {
+      this.setState({ state, progress });
+    });
+    this.setState({ state: ota.state, progress: ota.progress });
+  }
+  start(props = this.props) {
+    const { ota, autoStart, finishDelay } = props;
+    if (!autoStart) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.running = ota;
+    const finish = error => {
+      if (this.running === ota) {
+        this.running = null;
+      }
+      if (this.unmounted) {
+        return;
+      }
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.props.onFinish && this.props.onFinish(error);
+      }, finishDelay);
+    };
+    ota.start().then(() => finish(null), finish);
+  }
+  getMessage() {
+    const { state } = this.state;
+    const custom = this.props.messages[state];
+    if (custom) {
+      return custom;
+    }
+    switch (state) {
+      case OtaState.TRANSFERRING:
+        return strings.bleOtaTransferring;
+      case OtaState.VERIFYING:
+      case OtaState.ACTIVATING:
+        return strings.bleOtaVerifying;
+      case OtaState.DONE:
+        return strings.bleOtaSuccess;
+      case OtaState.FAILED:
+      case OtaState.CANCELLED:
+        return strings.bleOtaFailed;
+      default:
+        return strings.bleOtaPreparing;
+    }
+  }
+  render() {
+    return (
+      <ProgressDialog
+        visible={this.props.visible}
+        message={this.getMessage()}
+        progress={Math.min(1, this.state.progress)}
+        color={this.props.color}
+        textColor={this.props.color}
+      />
+    );
+  }
+}
@@ -7,6 +7,7 @@ import PinCodeDialog from "./PinCodeDialog";
 import ShareDialog from "./ShareDialog";
 import ActionSheet from "./ActionSheet";
 import ChoiceDialog from "./ChoiceDialog";
+import BleOtaDialog from "./BleOtaDialog";
 export {
   /**
    * 通用弹窗容器，包括头部标题和底部按钮，内容自定义
@@ -43,5 +44,9 @@ export {
   /**
    * 选项弹窗，有选择态，可以定义是单选还是多选
    */
-  ChoiceDialog
+  ChoiceDialog,
+  /**
+   * 蓝牙固件升级弹窗，显示 IBleOta 的状态和进度
+   */
+  BleOtaDialog
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import { crc8, crc16, crc16ccitt, crc32, md5 } from '../checksum';
+import { utf8ToBytes, bytesToUtf8, hexToBytes, bytesToHex, toBytes } from '../bytes';
+
+// 各 CRC 算法的标准校验值都以 ASCII "123456789" 计算
+const CHECK = utf8ToBytes("123456789");
+describe("checksum", () => {
+    it("matches the catalogued check values", () => {
+        expect(crc32(CHECK)).toBe(0xCBF43926);
+        expect(crc8(CHECK)).toBe(0xF4);
+        expect(crc16(CHECK)).toBe(0x4B37);
+        expect(crc16ccitt(CHECK)).toBe(0x29B1);
+    });
+    it("continues a crc over split data", () => {
+        const [head, tail] = [CHECK.subarray(0, 4), CHECK.subarray(4)];
+        expect(crc32(tail, crc32(head))).toBe(crc32(CHECK));
+        expect(crc8(tail, crc8(head))).toBe(crc8(CHECK));
+        expect(crc16(tail, crc16(head))).toBe(crc16(CHECK));
+        expect(crc16ccitt(tail, crc16ccitt(head))).toBe(crc16ccitt(CHECK));
+    });
+    it("computes md5 like node crypto", () => {
+        expect(md5(new Uint8Array(0))).toBe("d41d8cd98f00b204e9800998ecf8427e");
+        [3, 55, 56, 64, 119, 1000].forEach(length => {
+            const data = Uint8Array.from({ length }, (v, i) => (i * 31) & 0xFF);
+            expect(md5(data)).toBe(crypto.createHash("md5").update(data).digest("hex"));
+        });
+    });
+});
+describe("bytes", () => {
+    it("converts between hex and bytes", () => {
+        expect(Array.from(hexToBytes("00A5ff"))).toEqual([0, 0xA5, 0xFF]);
+        expect(hexToBytes("abc")).toBeNull();
+        expect(hexToBytes("zz")).toBeNull();
+        expect(bytesToHex(Uint8Array.of(1, 0xAB), ":")).toMatch(/^01:ab$/i);
+        expect(Array.from(toBytes([1, 2]))).toEqual([1, 2]);
+    });
+    it("round trips utf8 text, including characters outside the BMP", () => {
+        const text = "米家 BLE 😀";
+        expect(Buffer.from(utf8ToBytes(text)).toString("utf8")).toBe(text);
+        expect(bytesToUtf8(Buffer.from(text, "utf8"))).toBe(text);
+        expect(bytesToUtf8(Uint8Array.of(0xC3))).toBeNull();
+    });
+});
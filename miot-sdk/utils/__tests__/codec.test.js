@@ -0,0 +1,83 @@
+import codec from '../codec';
+import { crc16 } from '../checksum';
+import { ErrorCode } from '../../MiotError';
+
+const Frame = codec.struct([
+    ["head", codec.constant(codec.uint8(), 0xA5)],
+    ["cmd", codec.uint8()],
+    ["flags", codec.bits([["locked", 1], ["alarm", 1], [null, 2], ["mode", 4]])],
+    ["seq", codec.uint16("be")],
+    ["length", codec.uint8()],
+    ["payload", codec.bytes("length")],
+    ["crc", codec.crc("crc16")]
+]);
+function hex(bytes) {
+    return Buffer.from(bytes).toString("hex");
+}
+function codeOf(fn) {
+    try {
+        fn();
+    } catch (err) {
+        return { code: err.code, path: err.path };
+    }
+    return null;
+}
+describe("codec", () => {
+    it("encodes integers with either byte order and checks their range", () => {
+        expect(hex(codec.uint16().encode(0x1234))).toBe("3412");
+        expect(hex(codec.uint32("be").encode(0x01020304))).toBe("01020304");
+        expect(hex(codec.int16().encode(-2))).toBe("feff");
+        expect(codec.int8().decode("80")).toBe(-128);
+        expect(codec.uint32().decode("ffffffff")).toBe(0xFFFFFFFF);
+        expect(codeOf(() => codec.uint8().encode(256)).code).toBe(ErrorCode.INVALID_ARGUMENT);
+        expect(codeOf(() => codec.uint16("middle")).code).toBe(ErrorCode.INVALID_ARGUMENT);
+    });
+    it("encodes a struct, fills the length field and appends the checksum", () => {
+        const bytes = Frame.encode({ cmd: 1, flags: { locked: true, alarm: false, mode: 3 }, seq: 1, payload: "0102" });
+        expect(hex(bytes.subarray(0, 8))).toBe("a50131000102" + "0102");
+        const crc = crc16(bytes.subarray(0, 8));
+        expect(Array.from(bytes.subarray(8))).toEqual([crc & 0xFF, crc >> 8]);
+        const frame = Frame.decode(hex(bytes));
+        expect(frame).toMatchObject({ head: 0xA5, cmd: 1, flags: { locked: true, alarm: false, mode: 3 }, seq: 1, length: 2, crc });
+        expect(Array.from(frame.payload)).toEqual([1, 2]);
+    });
+    it("reports the failing field and the error type when decoding", () => {
+        const bytes = Frame.encode({ cmd: 1, flags: {}, seq: 1, payload: "0102" });
+        const corrupted = Uint8Array.from(bytes);
+        corrupted[7] ^= 0xFF;
+        expect(codeOf(() => Frame.decode(corrupted))).toEqual({ code: ErrorCode.CHECKSUM_MISMATCH, path: "crc" });
+        expect(codeOf(() => Frame.decode(bytes.subarray(0, 6)))).toMatchObject({ code: ErrorCode.PARSE_ERROR });
+        const header = Uint8Array.from(bytes);
+        header[0] = 0x5A;
+        expect(codeOf(() => Frame.decode(header))).toEqual({ code: ErrorCode.PARSE_ERROR, path: "head" });
+        expect(codeOf(() => codec.uint8().decode("0102")).code).toBe(ErrorCode.PARSE_ERROR);
+        expect(codec.uint8().decode("0102", { allowTrailing: true })).toBe(1);
+    });
+    it("rejects a length field that disagrees with the data", () => {
+        expect(codeOf(() => Frame.encode({ cmd: 1, flags: {}, seq: 1, length: 3, payload: "0102" }))).toEqual({
+            code: ErrorCode.INVALID_ARGUMENT, path: "payload"
+        });
+    });
+    it("pads fixed strings and reads prefixed ones", () => {
+        const name = codec.string(6);
+        expect(hex(name.encode("米"))).toBe("e7b1b3000000");
+        expect(name.decode("e7b1b3000000")).toBe("米");
+        expect(codec.string(codec.uint8(), "ascii").decode("026869")).toBe("hi");
+        expect(codeOf(() => codec.string(2, "ascii").encode("米")).code).toBe(ErrorCode.INVALID_ARGUMENT);
+    });
+    it("reads tlv lists and leaves room for trailing fixed fields", () => {
+        const Packet = codec.struct([
+            ["items", codec.tlv({ types: { 1: ["temperature", codec.int16()], 2: ["name", codec.string()] } })],
+            [null, codec.reserved(1)],
+            ["crc", codec.crc("crc8")]
+        ]);
+        const bytes = Packet.encode({ items: [{ name: "temperature", value: -5 }, { type: 2, value: "ab" }, { type: 9, value: "ff" }] });
+        const { items } = Packet.decode(bytes);
+        expect(items).toEqual([
+            { type: 1, name: "temperature", value: -5 },
+            { type: 2, name: "name", value: "ab" },
+            { type: 9, value: Uint8Array.of(0xFF) }
+        ]);
+        expect(codeOf(() => Packet.encode({ items: [{ name: "humidity", value: 1 }] })).code).toBe(ErrorCode.INVALID_ARGUMENT);
+    });
+});
@@ -0,0 +1,148 @@
+import nodeCrypto from 'crypto';
+import { aes, ecdh, sha1, sha256, sha512, hmacSha1, hmacSha256, hmacSha512, hkdf } from '../crypto';
+import { ErrorCode } from '../../MiotError';
+
+const hex = value => Uint8Array.from(Buffer.from(value, "hex"));
+const toHex = bytes => Buffer.from(bytes).toString("hex");
+function data(length, seed = 1) {
+    return Uint8Array.from({ length }, (v, i) => (i * 13 + seed) & 0xFF);
+}
+function nodeCipher(algorithm, key, iv, input, options) {
+    const cipher = nodeCrypto.createCipheriv(algorithm, key, iv, options);
+    return Buffer.concat([cipher.update(input), cipher.final()]);
+}
+describe("hash and hmac", () => {
+    it("matches the FIPS 180 vectors", () => {
+        const abc = Uint8Array.from(Buffer.from("abc"));
+        expect(toHex(sha1(abc))).toBe("a9993e364706816aba3e25717850c26c9cd0d89d");
+        expect(toHex(sha256(abc))).toBe("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+        expect(toHex(sha512(abc))).toBe("ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a" +
+            "2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f");
+    });
+    it("matches node crypto across block boundaries", () => {
+        [0, 55, 56, 64, 111, 112, 128, 1000].forEach(length => {
+            const input = data(length);
+            const key = data(length % 150 + 1, 7);
+            expect(toHex(sha256(input))).toBe(nodeCrypto.createHash("sha256").update(input).digest("hex"));
+            expect(toHex(sha512(input))).toBe(nodeCrypto.createHash("sha512").update(input).digest("hex"));
+            expect(toHex(hmacSha1(key, input))).toBe(nodeCrypto.createHmac("sha1", key).update(input).digest("hex"));
+            expect(toHex(hmacSha256(key, input))).toBe(nodeCrypto.createHmac("sha256", key).update(input).digest("hex"));
+            expect(toHex(hmacSha512(key, input))).toBe(nodeCrypto.createHmac("sha512", key).update(input).digest("hex"));
+        });
+    });
+    it("derives keys with HKDF as in RFC 5869", () => {
+        const okm = hkdf(new Uint8Array(22).fill(0x0b), hex("000102030405060708090a0b0c"), hex("f0f1f2f3f4f5f6f7f8f9"), 42);
+        expect(toHex(okm)).toBe("3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865");
+        const secret = data(32);
+        expect(toHex(hkdf(secret, null, data(5), 80))).toBe(Buffer.from(nodeCrypto.hkdfSync("sha256", secret, Buffer.alloc(0), data(5), 80)).toString("hex"));
+    });
+});
+describe("aes", () => {
+    const key = data(16, 3);
+    it("encrypts a block as in FIPS 197", () => {
+        const rounds = aes.expandKey(hex("000102030405060708090a0b0c0d0e0f"));
+        const block = aes.encryptBlock(rounds, hex("00112233445566778899aabbccddeeff"));
+        expect(toHex(block)).toBe("69c4e0d86a7b0430d8cdb78070b4c55a");
+        expect(toHex(aes.decryptBlock(rounds, block))).toBe("00112233445566778899aabbccddeeff");
+    });
+    it("matches node crypto in ECB and CBC with PKCS#7 padding", () => {
+        const iv = data(16, 9);
+        [0, 15, 16, 33].forEach(length => {
+            const input = data(length);
+            const ecb = aes.ecbEncrypt(key, input);
+            expect(toHex(ecb)).toBe(nodeCipher("aes-128-ecb", key, null, input).toString("hex"));
+            expect(Array.from(aes.ecbDecrypt(key, ecb))).toEqual(Array.from(input));
+            const cbc = aes.cbcEncrypt(key, iv, input);
+            expect(toHex(cbc)).toBe(nodeCipher("aes-128-cbc", key, iv, input).toString("hex"));
+            expect(Array.from(aes.cbcDecrypt(key, iv, cbc))).toEqual(Array.from(input));
+        });
+    });
+    it("matches node crypto in GCM and returns null for a modified tag", () => {
+        const iv = data(12, 5);
+        const aad = data(7, 2);
+        const input = data(40);
+        const cipher = nodeCrypto.createCipheriv("aes-256-gcm", data(32), iv);
+        cipher.setAAD(aad);
+        const expected = Buffer.concat([cipher.update(input), cipher.final(), cipher.getAuthTag()]);
+        const sealed = aes.gcmEncrypt(data(32), iv, input, aad);
+        expect(toHex(sealed)).toBe(expected.toString("hex"));
+        expect(Array.from(aes.gcmDecrypt(data(32), iv, sealed, aad))).toEqual(Array.from(input));
+        sealed[sealed.length - 1] ^= 1;
+        expect(aes.gcmDecrypt(data(32), iv, sealed, aad)).toBeNull();
+    });
+    it("matches node crypto in CCM with short tags and returns null for modified data", () => {
+        const nonce = data(12, 4);
+        const aad = Uint8Array.of(0x11);
+        const input = data(21);
+        const cipher = nodeCrypto.createCipheriv("aes-128-ccm", key, nonce, { authTagLength: 4 });
+        cipher.setAAD(aad, { plaintextLength: input.length });
+        const expected = Buffer.concat([cipher.update(input), cipher.final(), cipher.getAuthTag()]);
+        const sealed = aes.ccmEncrypt(key, nonce, input, aad, 4);
+        expect(toHex(sealed)).toBe(expected.toString("hex"));
+        expect(Array.from(aes.ccmDecrypt(key, nonce, sealed, aad, 4))).toEqual(Array.from(input));
+        sealed[0] ^= 1;
+        expect(aes.ccmDecrypt(key, nonce, sealed, aad, 4)).toBeNull();
+    });
+});
+describe("ecdh", () => {
+    it("agrees on the shared secret with node crypto", () => {
+        const node = nodeCrypto.createECDH("prime256v1");
+        node.generateKeys();
+        const privateKey = Uint8Array.from(Buffer.from("c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721", "hex"));
+        const publicKey = ecdh.getPublicKey(privateKey);
+        const mine = nodeCrypto.createECDH("prime256v1");
+        mine.setPrivateKey(privateKey);
+        expect(toHex(publicKey)).toBe(mine.getPublicKey("hex"));
+        expect(toHex(ecdh.getPublicKey(privateKey, true))).toBe(mine.getPublicKey("hex", "compressed"));
+        const shared = ecdh.computeSharedSecret(privateKey, Uint8Array.from(node.getPublicKey()));
+        expect(toHex(shared)).toBe(node.computeSecret(Buffer.from(publicKey)).toString("hex"));
+        const compressed = Uint8Array.from(node.getPublicKey(null, "compressed"));
+        expect(toHex(ecdh.computeSharedSecret(privateKey, compressed))).toBe(toHex(shared));
+    });
+    it("rejects invalid private keys", () => {
+        expect(ecdh.isValidPrivateKey(new Uint8Array(32))).toBe(false);
+        expect(ecdh.isValidPrivateKey(new Uint8Array(32).fill(0xFF))).toBe(false);
+        expect(ecdh.isValidPrivateKey(data(31))).toBe(false);
+    });
+});
+describe("invalid arguments", () => {
+    it("throws MiotError with INVALID_ARGUMENT", () => {
+        const invalid = expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT });
+        expect(() => aes.ecbEncrypt(data(15), data(16))).toThrow(invalid);
+        expect(() => aes.cbcEncrypt(data(16), data(12), data(16))).toThrow(invalid);
+        expect(() => aes.ccmEncrypt(data(16), data(6), data(16))).toThrow(invalid);
+        expect(() => aes.gcmEncrypt(data(16), new Uint8Array(0), data(16))).toThrow(invalid);
+        expect(() => hkdf(data(32), null, null, 8161)).toThrow(invalid);
+        expect(() => ecdh.getPublicKey(new Uint8Array(32))).toThrow(invalid);
+        expect(() => ecdh.computeSharedSecret(data(32), data(65))).toThrow(invalid);
+    });
+});
+describe("randomBytes", () => {
+    function loadRandom() {
+        let random;
+        jest.isolateModules(() => {
+            random = require("../random");
+        });
+        return random;
+    }
+    const original = global.crypto;
+    afterEach(() => {
+        Object.defineProperty(global, "crypto", { value: original, configurable: true, writable: true });
+    });
+    it("uses crypto.getRandomValues when the runtime provides it", () => {
+        const getRandomValues = jest.fn(bytes => bytes.fill(7));
+        Object.defineProperty(global, "crypto", { value: { getRandomValues }, configurable: true, writable: true });
+        expect(Array.from(loadRandom().randomBytes(3))).toEqual([7, 7, 7]);
+        expect(getRandomValues).toHaveBeenCalled();
+    });
+    it("refuses to generate without a random source or seed", () => {
+        Object.defineProperty(global, "crypto", { value: undefined, configurable: true, writable: true });
+        const random = loadRandom();
+        expect(() => random.randomBytes(16)).toThrow(expect.objectContaining({ code: ErrorCode.NOT_SUPPORTED }));
+        expect(() => random.seedRandom(new Uint8Array(16))).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+        random.seedRandom(data(32));
+        const first = random.randomBytes(40);
+        expect(first).toHaveLength(40);
+        expect(toHex(random.randomBytes(40))).not.toBe(toHex(first));
+    });
+});
@@ -0,0 +1,107 @@
+import otp from '../otp';
+import { ErrorCode } from '../../MiotError';
+
+const ascii = text => Uint8Array.from(Buffer.from(text, "ascii"));
+// RFC 6238 附录 B 的密钥，按算法使用不同长度
+const SECRETS = {
+    sha1: ascii("12345678901234567890"),
+    sha256: ascii("12345678901234567890123456789012"),
+    sha512: ascii("1234567890123456789012345678901234567890123456789012345678901234")
+};
+describe("base32", () => {
+    it("encodes and decodes the RFC 4648 vectors", () => {
+        const vectors = { "": "", f: "MY======", fo: "MZXQ====", foo: "MZXW6===", foob: "MZXW6YQ=", fooba: "MZXW6YTB", foobar: "MZXW6YTBOI======" };
+        Object.keys(vectors).forEach(text => {
+            expect(otp.base32Encode(ascii(text), true)).toBe(vectors[text]);
+            expect(Buffer.from(otp.base32Decode(vectors[text])).toString("ascii")).toBe(text);
+        });
+        expect(Buffer.from(otp.base32Decode("mzxw 6ytb-oi")).toString("ascii")).toBe("foobar");
+        expect(() => otp.base32Decode("MZ1W")).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+    });
+});
+describe("hotp", () => {
+    it("matches the RFC 4226 appendix D values", () => {
+        const expected = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"];
+        expected.forEach((code, counter) => expect(otp.hotp(SECRETS.sha1, counter)).toBe(code));
+    });
+    it("looks ahead within the window", () => {
+        expect(otp.verifyHotp(SECRETS.sha1, "969429", 1)).toBeNull();
+        expect(otp.verifyHotp(SECRETS.sha1, "969429", 1, { window: 2 })).toBe(2);
+        expect(otp.verifyHotp(SECRETS.sha1, "969429", 4, { window: 5 })).toBeNull();
+    });
+    it("rejects invalid arguments", () => {
+        expect(() => otp.hotp(new Uint8Array(0), 0)).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+        expect(() => otp.hotp(SECRETS.sha1, 0, { digits: 5 })).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+        expect(() => otp.hotp(SECRETS.sha1, -1)).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+        expect(() => otp.hotp(SECRETS.sha1, 0, { algorithm: "md5" })).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT }));
+    });
+});
+describe("totp", () => {
+    it("matches the RFC 6238 appendix B values", () => {
+        const vectors = [
+            [59, "94287082", "46119246", "90693936"],
+            [1111111109, "07081804", "68084774", "25091201"],
+            [1111111111, "14050471", "67062674", "99943326"],
+            [1234567890, "89005924", "91819424", "93441116"],
+            [2000000000, "69279037", "90698825", "38618901"],
+            [20000000000, "65353130", "77737706", "47863826"]
+        ];
+        vectors.forEach(([time, ...codes]) => {
+            ["sha1", "sha256", "sha512"].forEach((algorithm, i) => {
+                expect(otp.totp(SECRETS[algorithm], { time, digits: 8, algorithm })).toBe(codes[i]);
+            });
+        });
+    });
+    it("accepts codes within the skew window on either side", () => {
+        const code = otp.totp(SECRETS.sha1, { time: 1000 });
+        expect(otp.verifyTotp(SECRETS.sha1, code, { time: 1000 })).toBe(0);
+        expect(otp.verifyTotp(SECRETS.sha1, code, { time: 1030 })).toBe(-1);
+        expect(otp.verifyTotp(SECRETS.sha1, code, { time: 970 })).toBe(1);
+        expect(otp.verifyTotp(SECRETS.sha1, code, { time: 1060 })).toBeNull();
+        expect(otp.verifyTotp(SECRETS.sha1, code, { time: 1060, window: 2 })).toBe(-2);
+        expect(otp.verifyTotp(SECRETS.sha1, Number(code), { time: 1000 })).toBeNull();
+    });
+});
+describe("temporary password", () => {
+    const secret = SECRETS.sha256;
+    const start = 1700000000;
+    it("aligns the validity to steps and carries it in the password", () => {
+        const result = otp.createTemporaryPassword(secret, { start: start + 100, end: start + 7000, uses: 3 });
+        expect(result.start).toBe(Math.floor((start + 100) / 3600) * 3600);
+        expect(result.end).toBe(Math.ceil((start + 7000) / 3600) * 3600);
+        expect(result.password).toMatch(/^\d{12}$/);
+        expect(result.password.slice(0, 3)).toBe(`0${ (result.end - result.start) / 3600 }3`);
+        expect(result.password.slice(3, 5)).toBe(String(result.start / 3600 % 100).padStart(2, "0"));
+        expect(otp.createTemporaryPassword(secret, { start: start + 100, end: start + 7000, uses: 3 }).password).toBe(result.password);
+    });
+    it("verifies only inside the validity window and with the same secret", () => {
+        const { password, start: from, end: to } = otp.createTemporaryPassword(secret, { start, end: start + 7200, uses: 0, digits: 12 });
+        expect(otp.verifyTemporaryPassword(secret, password, { time: from })).toEqual({ start: from, end: to, uses: 0 });
+        expect(otp.verifyTemporaryPassword(secret, password, { time: to - 1 })).toEqual({ start: from, end: to, uses: 0 });
+        expect(otp.verifyTemporaryPassword(secret, password, { time: from - 1 })).toBeNull();
+        expect(otp.verifyTemporaryPassword(secret, password, { time: to })).toBeNull();
+        expect(otp.verifyTemporaryPassword(SECRETS.sha1, password, { time: from })).toBeNull();
+        // 修改有效时长或次数后校验码不再匹配
+        const tampered = "09" + password.slice(2);
+        expect(otp.verifyTemporaryPassword(secret, tampered, { time: from })).toBeNull();
+        // 修改开始位置后校验码同样不再匹配
+        const moved = password.slice(0, 3) + String((from / 3600 + 99) % 100).padStart(2, "0") + password.slice(5);
+        expect(otp.verifyTemporaryPassword(secret, moved, { time: to - 1 })).toBeNull();
+        expect(otp.verifyTemporaryPassword(secret, "abc", { time: from })).toBeNull();
+    });
+    it("finds the start step when the validity crosses a multiple of 100 steps", () => {
+        const from = 472299 * 3600;
+        const { password, end } = otp.createTemporaryPassword(secret, { start: from, end: from + 5 * 3600, digits: 10 });
+        expect(password.slice(0, 5)).toBe("05199");
+        expect(otp.verifyTemporaryPassword(secret, password, { time: from + 3 * 3600 })).toEqual({ start: from, end, uses: 1 });
+        expect(otp.verifyTemporaryPassword(secret, password, { time: end })).toBeNull();
+        expect(otp.verifyTemporaryPassword(secret, password, { time: from - 1 })).toBeNull();
+    });
+    it("rejects invalid validity and uses", () => {
+        const invalid = expect.objectContaining({ code: ErrorCode.INVALID_ARGUMENT });
+        expect(() => otp.createTemporaryPassword(secret, { start, end: start })).toThrow(invalid);
+        expect(() => otp.createTemporaryPassword(secret, { start, end: start + 100 * 3600 })).toThrow(invalid);
+        expect(() => otp.createTemporaryPassword(secret, { start, end: start + 60, uses: 10 })).toThrow(invalid);
+        expect(() => otp.createTemporaryPassword(secret, { start, end: start + 60, digits: 9 })).toThrow(invalid);
+    });
+});
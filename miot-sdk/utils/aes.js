@@ -0,0 +1,481 @@
+//@native begin
+// 纯 js 的 AES 实现(ECB、CBC、CCM、GCM)，同步执行，数据统一使用 Uint8Array
+// 用于解析 MiBeacon 等不方便走原生 Host.crypto 的场景，大量数据加解密请优先使用原生接口
+import { MiotError, ErrorCode } from '../MiotError';
+import { equalBytes } from './bytes';
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+const RCON = [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80, 0x1B, 0x36];
+(function _initSBox() {
+  // 通过 GF(2^8) 上的乘法逆元与仿射变换生成 S 盒
+  let p = 1, q = 1;
+  do {
+    p = p ^ ((p << 1) & 0xFF) ^ (p & 0x80 ? 0x1B : 0);
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xFF;
+    q ^= q & 0x80 ? 0x09 : 0;
+    const x = q ^ (q << 1 | q >> 7) ^ (q << 2 | q >> 6) ^ (q << 3 | q >> 5) ^ (q << 4 | q >> 4);
+    SBOX[p] = (x ^ 0x63) & 0xFF;
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+  for (let i = 0; i < 256; i++) {
+    INV_SBOX[SBOX[i]] = i;
+  }
+})();
+function _xtime(b) {
+  return ((b << 1) ^ (b & 0x80 ? 0x1B : 0)) & 0xFF;
+}
+/**
+ * 密钥扩展，key 长度为 16、24 或 32 字节
+ * @returns {Array<Uint8Array>} 轮密钥
+ */
+export function expandKey(key) {
+  if (!(key instanceof Uint8Array) || [16, 24, 32].indexOf(key.length) < 0) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'aes key should be an Uint8Array of 16, 24 or 32 bytes');
+  }
+  const nk = key.length / 4;
+  const rounds = nk + 6;
+  const words = new Uint8Array(16 * (rounds + 1));
+  words.set(key);
+  for (let i = nk; i < 4 * (rounds + 1); i++) {
+    let t = words.slice((i - 1) * 4, i * 4);
+    if (i % nk === 0) {
+      t = Uint8Array.of(SBOX[t[1]] ^ RCON[i / nk - 1], SBOX[t[2]], SBOX[t[3]], SBOX[t[0]]);
+    } else if (nk > 6 && i % nk === 4) {
+      t = t.map(b => SBOX[b]);
+    }
+    for (let j = 0; j < 4; j++) {
+      words[i * 4 + j] = words[(i - nk) * 4 + j] ^ t[j];
+    }
+  }
+  const roundKeys = [];
+  for (let r = 0; r <= rounds; r++) {
+    roundKeys.push(words.subarray(r * 16, r * 16 + 16));
+  }
+  return roundKeys;
+}
+/**
+ * 加密一个 16 字节的分组
+ * @param {Array<Uint8Array>} roundKeys expandKey 的结果
+ * @param {Uint8Array} block
+ * @returns {Uint8Array}
+ */
+export function encryptBlock(roundKeys, block) {
+  const s = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    s[i] = block[i] ^ roundKeys[0][i];
+  }
+  const rounds = roundKeys.length - 1;
+  const t = new Uint8Array(16);
+  for (let r = 1; r <= rounds; r++) {
+    // SubBytes + ShiftRows
+    for (let i = 0; i < 16; i++) {
+      t[i] = SBOX[s[(i + 4 * (i % 4)) % 16]];
+    }
+    if (r < rounds) {
+      // MixColumns
+      for (let c = 0; c < 16; c += 4) {
+        const a0 = t[c], a1 = t[c + 1], a2 = t[c + 2], a3 = t[c + 3];
+        const all = a0 ^ a1 ^ a2 ^ a3;
+        s[c] = a0 ^ all ^ _xtime(a0 ^ a1);
+        s[c + 1] = a1 ^ all ^ _xtime(a1 ^ a2);
+        s[c + 2] = a2 ^ all ^ _xtime(a2 ^ a3);
+        s[c + 3] = a3 ^ all ^ _xtime(a3 ^ a0);
+      }
+    } else {
+      s.set(t);
+    }
+    for (let i = 0; i < 16; i++) {
+      s[i] ^= roundKeys[r][i];
+    }
+  }
+  return s;
+}
+/**
+ * 解密一个 16 字节的分组
+ * @param {Array<Uint8Array>} roundKeys expandKey 的结果
+ * @param {Uint8Array} block
+ * @returns {Uint8Array}
+ */
+export function decryptBlock(roundKeys, block) {
+  const rounds = roundKeys.length - 1;
+  const s = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    s[i] = block[i] ^ roundKeys[rounds][i];
+  }
+  const t = new Uint8Array(16);
+  for (let r = rounds - 1; r >= 0; r--) {
+    // InvShiftRows + InvSubBytes
+    for (let i = 0; i < 16; i++) {
+      t[i] = INV_SBOX[s[(i + 16 - 4 * (i % 4)) % 16]];
+    }
+    for (let i = 0; i < 16; i++) {
+      s[i] = t[i] ^ roundKeys[r][i];
+    }
+    if (r > 0) {
+      // InvMixColumns，先乘以 {04}x^2 + {05} 再做 MixColumns
+      for (let c = 0; c < 16; c += 4) {
+        const u = _xtime(_xtime(s[c] ^ s[c + 2]));
+        const v = _xtime(_xtime(s[c + 1] ^ s[c + 3]));
+        const a0 = s[c] ^ u, a1 = s[c + 1] ^ v, a2 = s[c + 2] ^ u, a3 = s[c + 3] ^ v;
+        const all = a0 ^ a1 ^ a2 ^ a3;
+        s[c] = a0 ^ all ^ _xtime(a0 ^ a1);
+        s[c + 1] = a1 ^ all ^ _xtime(a1 ^ a2);
+        s[c + 2] = a2 ^ all ^ _xtime(a2 ^ a3);
+        s[c + 3] = a3 ^ all ^ _xtime(a3 ^ a0);
+      }
+    }
+  }
+  return s;
+}
+function _pad(data, padding) {
+  if (!padding) {
+    if (data.length % 16) {
+      throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'data length should be a multiple of 16 without padding');
+    }
+    return data;
+  }
+  const size = 16 - (data.length % 16);
+  const padded = new Uint8Array(data.length + size);
+  padded.set(data);
+  padded.fill(size, data.length);
+  return padded;
+}
+function _unpad(data, padding) {
+  if (!padding) {
+    return data;
+  }
+  const size = data[data.length - 1];
+  if (!(size >= 1 && size <= 16) || size > data.length) {
+    return null;
+  }
+  for (let i = data.length - size; i < data.length; i++) {
+    if (data[i] !== size) {
+      return null;
+    }
+  }
+  return data.subarray(0, data.length - size);
+}
+function _checkIv(iv) {
+  if (!(iv instanceof Uint8Array) || iv.length !== 16) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'iv should be an Uint8Array of 16 bytes');
+  }
+}
+/**
+ * AES-ECB 加密
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data 明文
+ * @param {boolean} [padding=true] 是否使用 PKCS#7 填充，为 false 时明文长度需要是 16 的倍数
+ * @returns {Uint8Array} 密文
+ */
+export function ecbEncrypt(key, data, padding = true) {
+  const roundKeys = expandKey(key);
+  const input = _pad(data, padding);
+  const result = new Uint8Array(input.length);
+  for (let offset = 0; offset < input.length; offset += 16) {
+    result.set(encryptBlock(roundKeys, input.subarray(offset, offset + 16)), offset);
+  }
+  return result;
+}
+/**
+ * AES-ECB 解密
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data 密文
+ * @param {boolean} [padding=true] 是否使用 PKCS#7 填充
+ * @returns {Uint8Array|null} 明文，填充不正确时返回 null
+ */
+export function ecbDecrypt(key, data, padding = true) {
+  const roundKeys = expandKey(key);
+  if (data.length % 16 || (padding && data.length < 16)) {
+    return null;
+  }
+  const result = new Uint8Array(data.length);
+  for (let offset = 0; offset < data.length; offset += 16) {
+    result.set(decryptBlock(roundKeys, data.subarray(offset, offset + 16)), offset);
+  }
+  return _unpad(result, padding);
+}
+/**
+ * AES-CBC 加密
+ * @param {Uint8Array} key
+ * @param {Uint8Array} iv 16 字节
+ * @param {Uint8Array} data 明文
+ * @param {boolean} [padding=true] 是否使用 PKCS#7 填充，为 false 时明文长度需要是 16 的倍数
+ * @returns {Uint8Array} 密文
+ */
+export function cbcEncrypt(key, iv, data, padding = true) {
+  const roundKeys = expandKey(key);
+  _checkIv(iv);
+  const input = _pad(data, padding);
+  const result = new Uint8Array(input.length);
+  let previous = iv;
+  for (let offset = 0; offset < input.length; offset += 16) {
+    const block = Uint8Array.from(input.subarray(offset, offset + 16));
+    for (let i = 0; i < 16; i++) {
+      block[i] ^= previous[i];
+    }
+    previous = encryptBlock(roundKeys, block);
+    result.set(previous, offset);
+  }
+  return result;
+}
+/**
+ * AES-CBC 解密
+ * @param {Uint8Array} key
+ * @param {Uint8Array} iv 16 字节
+ * @param {Uint8Array} data 密文
+ * @param {boolean} [padding=true] 是否使用 PKCS#7 填充
+ * @returns {Uint8Array|null} 明文，填充不正确时返回 null
+ */
+export function cbcDecrypt(key, iv, data, padding = true) {
+  const roundKeys = expandKey(key);
+  _checkIv(iv);
+  if (data.length % 16 || (padding && data.length < 16)) {
+    return null;
+  }
+  const result = new Uint8Array(data.length);
+  let previous = iv;
+  for (let offset = 0; offset < data.length; offset += 16) {
+    const block = data.subarray(offset, offset + 16);
+    const plain = decryptBlock(roundKeys, block);
+    for (let i = 0; i < 16; i++) {
+      result[offset + i] = plain[i] ^ previous[i];
+    }
+    previous = block;
+  }
+  return _unpad(result, padding);
+}
+function _ccmCheck(key, nonce, tagLength) {
+  if (!(nonce instanceof Uint8Array) || nonce.length < 7 || nonce.length > 13) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'ccm nonce should be an Uint8Array of 7 to 13 bytes');
+  }
+  if (tagLength < 4 || tagLength > 16 || tagLength % 2) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'ccm tag length should be an even number between 4 and 16');
+  }
+  return expandKey(key);
+}
+function _ccmCounter(nonce, index) {
+  const l = 15 - nonce.length;
+  const block = new Uint8Array(16);
+  block[0] = l - 1;
+  block.set(nonce, 1);
+  for (let i = 15; i > nonce.length; i--, index = Math.floor(index / 256)) {
+    block[i] = index & 0xFF;
+  }
+  return block;
+}
+function _ccmMac(roundKeys, nonce, aad, data, tagLength) {
+  const l = 15 - nonce.length;
+  const b0 = new Uint8Array(16);
+  b0[0] = (aad.length > 0 ? 0x40 : 0) | (((tagLength - 2) / 2) << 3) | (l - 1);
+  b0.set(nonce, 1);
+  for (let i = 15, n = data.length; i > nonce.length; i--, n = Math.floor(n / 256)) {
+    b0[i] = n & 0xFF;
+  }
+  let mac = encryptBlock(roundKeys, b0);
+  const absorb = bytes => {
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+      const block = new Uint8Array(16);
+      block.set(bytes.subarray(offset, offset + 16));
+      for (let i = 0; i < 16; i++) {
+        block[i] ^= mac[i];
+      }
+      mac = encryptBlock(roundKeys, block);
+    }
+  };
+  if (aad.length > 0) {
+    if (aad.length >= 0xFF00) {
+      throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'ccm additional data is too long');
+    }
+    const header = new Uint8Array(2 + aad.length);
+    header[0] = aad.length >> 8;
+    header[1] = aad.length & 0xFF;
+    header.set(aad, 2);
+    absorb(header);
+  }
+  absorb(data);
+  return mac.subarray(0, tagLength);
+}
+function _ctr(roundKeys, nonce, data) {
+  const result = new Uint8Array(data.length);
+  for (let offset = 0; offset < data.length; offset += 16) {
+    const stream = encryptBlock(roundKeys, _ccmCounter(nonce, offset / 16 + 1));
+    for (let i = 0; i < 16 && offset + i < data.length; i++) {
+      result[offset + i] = data[offset + i] ^ stream[i];
+    }
+  }
+  return result;
+}
+/**
+ * AES-CCM 加密(RFC 3610)
+ * @param {Uint8Array} key
+ * @param {Uint8Array} nonce 7 - 13 字节
+ * @param {Uint8Array} data 明文
+ * @param {Uint8Array} [aad] 附加数据
+ * @param {int} [tagLength=16] 认证码长度
+ * @returns {Uint8Array} 密文 + 认证码
+ */
+export function ccmEncrypt(key, nonce, data, aad = new Uint8Array(0), tagLength = 16) {
+  const roundKeys = _ccmCheck(key, nonce, tagLength);
+  const mac = _ccmMac(roundKeys, nonce, aad, data, tagLength);
+  const s0 = encryptBlock(roundKeys, _ccmCounter(nonce, 0));
+  const result = new Uint8Array(data.length + tagLength);
+  result.set(_ctr(roundKeys, nonce, data));
+  for (let i = 0; i < tagLength; i++) {
+    result[data.length + i] = mac[i] ^ s0[i];
+  }
+  return result;
+}
+/**
+ * AES-CCM 解密并校验认证码
+ * @param {Uint8Array} key
+ * @param {Uint8Array} nonce 7 - 13 字节
+ * @param {Uint8Array} data 密文 + 认证码
+ * @param {Uint8Array} [aad] 附加数据
+ * @param {int} [tagLength=16] 认证码长度
+ * @returns {Uint8Array|null} 明文，认证失败时返回 null
+ */
+export function ccmDecrypt(key, nonce, data, aad = new Uint8Array(0), tagLength = 16) {
+  const roundKeys = _ccmCheck(key, nonce, tagLength);
+  if (data.length < tagLength) {
+    return null;
+  }
+  const plain = _ctr(roundKeys, nonce, data.subarray(0, data.length - tagLength));
+  const s0 = encryptBlock(roundKeys, _ccmCounter(nonce, 0));
+  const tag = data.subarray(data.length - tagLength).map((b, i) => b ^ s0[i]);
+  return equalBytes(tag, _ccmMac(roundKeys, nonce, aad, plain, tagLength)) ? plain : null;
+}
+// GF(2^128) 上的乘法，x、y 为 16 字节，按 GCM 的位序
+function _gfMul(x, y) {
+  const z = new Uint8Array(16);
+  const v = Uint8Array.from(y);
+  for (let i = 0; i < 128; i++) {
+    if (x[i >> 3] & (0x80 >> (i & 7))) {
+      for (let j = 0; j < 16; j++) {
+        z[j] ^= v[j];
+      }
+    }
+    const lsb = v[15] & 1;
+    for (let j = 15; j > 0; j--) {
+      v[j] = (v[j] >>> 1) | ((v[j - 1] & 1) << 7);
+    }
+    v[0] >>>= 1;
+    lsb && (v[0] ^= 0xE1);
+  }
+  return z;
+}
+function _ghash(h, aad, data) {
+  let y = new Uint8Array(16);
+  const absorb = bytes => {
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+      const block = new Uint8Array(16);
+      block.set(bytes.subarray(offset, offset + 16));
+      for (let i = 0; i < 16; i++) {
+        block[i] ^= y[i];
+      }
+      y = _gfMul(block, h);
+    }
+  };
+  absorb(aad);
+  absorb(data);
+  const lengths = new Uint8Array(16);
+  [aad.length * 8, data.length * 8].forEach((bits, k) => {
+    for (let i = 7; i >= 0; i--, bits = Math.floor(bits / 256)) {
+      lengths[k * 8 + i] = bits % 256;
+    }
+  });
+  absorb(lengths);
+  return y;
+}
+function _gcmInit(key, iv, tagLength) {
+  if (!(iv instanceof Uint8Array) || iv.length < 1) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'gcm iv should be a non-empty Uint8Array');
+  }
+  if (!(tagLength >= 4 && tagLength <= 16)) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'gcm tag length should be between 4 and 16');
+  }
+  const roundKeys = expandKey(key);
+  const h = encryptBlock(roundKeys, new Uint8Array(16));
+  let j0;
+  if (iv.length === 12) {
+    j0 = new Uint8Array(16);
+    j0.set(iv);
+    j0[15] = 1;
+  } else {
+    j0 = _ghash(h, new Uint8Array(0), iv);
+  }
+  return { roundKeys, h, j0 };
+}
+function _gcmCtr(roundKeys, j0, data) {
+  const counter = Uint8Array.from(j0);
+  const result = new Uint8Array(data.length);
+  for (let offset = 0; offset < data.length; offset += 16) {
+    for (let i = 15; i >= 12; i--) {
+      counter[i] = (counter[i] + 1) & 0xFF;
+      if (counter[i]) {
+        break;
+      }
+    }
+    const stream = encryptBlock(roundKeys, counter);
+    for (let i = 0; i < 16 && offset + i < data.length; i++) {
+      result[offset + i] = data[offset + i] ^ stream[i];
+    }
+  }
+  return result;
+}
+function _gcmTag(roundKeys, h, j0, aad, cipher, tagLength) {
+  const s = _ghash(h, aad, cipher);
+  const mask = encryptBlock(roundKeys, j0);
+  return s.map((b, i) => b ^ mask[i]).subarray(0, tagLength);
+}
+/**
+ * AES-GCM 加密(NIST SP 800-38D)
+ * @param {Uint8Array} key
+ * @param {Uint8Array} iv 一般为 12 字节
+ * @param {Uint8Array} data 明文
+ * @param {Uint8Array} [aad] 附加数据
+ * @param {int} [tagLength=16] 认证码长度
+ * @returns {Uint8Array} 密文 + 认证码
+ */
+export function gcmEncrypt(key, iv, data, aad = new Uint8Array(0), tagLength = 16) {
+  const { roundKeys, h, j0 } = _gcmInit(key, iv, tagLength);
+  const cipher = _gcmCtr(roundKeys, j0, data);
+  const result = new Uint8Array(cipher.length + tagLength);
+  result.set(cipher);
+  result.set(_gcmTag(roundKeys, h, j0, aad, cipher, tagLength), cipher.length);
+  return result;
+}
+/**
+ * AES-GCM 解密并校验认证码
+ * @param {Uint8Array} key
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data 密文 + 认证码
+ * @param {Uint8Array} [aad] 附加数据
+ * @param {int} [tagLength=16] 认证码长度
+ * @returns {Uint8Array|null} 明文，认证失败时返回 null
+ */
+export function gcmDecrypt(key, iv, data, aad = new Uint8Array(0), tagLength = 16) {
+  const { roundKeys, h, j0 } = _gcmInit(key, iv, tagLength);
+  if (data.length < tagLength) {
+    return null;
+  }
+  const cipher = data.subarray(0, data.length - tagLength);
+  const tag = _gcmTag(roundKeys, h, j0, aad, cipher, tagLength);
+  return equalBytes(tag, data.subarray(cipher.length)) ? _gcmCtr(roundKeys, j0, cipher) : null;
+}
+export default {
+  expandKey,
+  encryptBlock,
+  decryptBlock,
+  ecbEncrypt,
+  ecbDecrypt,
+  cbcEncrypt,
+  cbcDecrypt,
+  ccmEncrypt,
+  ccmDecrypt,
+  gcmEncrypt,
+  gcmDecrypt
+};
+//@native end
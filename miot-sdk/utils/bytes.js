@@ -0,0 +1,90 @@
+//@native begin
+// 字节数组相关的工具方法，数据统一使用 Uint8Array
+/**
+ * 将 hex 字符串、数组或 Uint8Array 转换为 Uint8Array，无法转换时返回 null
+ * hex 字符串中可以带有空格、冒号、横线分隔符，如 'A4:C1:38:00:11:22'
+ */
+export function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return Uint8Array.from(data);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (typeof data === 'string') {
+    return hexToBytes(data);
+  }
+  return null;
+}
+// hex 字符串转 Uint8Array，不是合法的 hex 字符串时返回 null
+export function hexToBytes(hex) {
+  const clean = String(hex).replace(/[\s:-]/g, '');
+  if (!/^([0-9a-fA-F]{2})*$/.test(clean)) {
+    return null;
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+// Uint8Array 转大写 hex 字符串
+export function bytesToHex(bytes, separator = '') {
+  const parts = [];
+  for (let i = 0; i < bytes.length; i++) {
+    parts.push((bytes[i] < 16 ? '0' : '') + bytes[i].toString(16));
+  }
+  return parts.join(separator).toUpperCase();
+}
+// 拼接多个 Uint8Array
+export function concatBytes(chunks) {
+  const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+}
+// 逐字节比较
+export function equalBytes(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+// 字符串按 UTF-8 编码为 Uint8Array
+export function utf8ToBytes(text) {
+  const encoded = encodeURIComponent(String(text)).replace(/%([0-9A-F]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Uint8Array.from(encoded, c => c.charCodeAt(0));
+}
+// UTF-8 编码的 Uint8Array 转字符串，不是合法的 UTF-8 时返回 null
+export function bytesToUtf8(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += '%' + (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+  }
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    return null;
+  }
+}
+export default {
+  toBytes,
+  hexToBytes,
+  bytesToHex,
+  concatBytes,
+  equalBytes,
+  utf8ToBytes,
+  bytesToUtf8
+};
+//@native end
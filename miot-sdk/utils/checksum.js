@@ -0,0 +1,140 @@
+//@native begin
+// 校验和相关的工具方法，数据统一使用 Uint8Array
+import { bytesToHex } from './bytes';
+let crc32Table = null;
+function _crc32Table() {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[i] = c;
+    }
+  }
+  return crc32Table;
+}
+/**
+ * CRC-32(IEEE 802.3，与 zlib 相同)
+ * @param {Uint8Array} bytes
+ * @param {int} [previous=0] 分段计算时传入上一段的结果
+ * @returns {int} 无符号 32 位整数
+ */
+export function crc32(bytes, previous = 0) {
+  const table = _crc32Table();
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+/**
+ * CRC-8(多项式 0x07，初始值 0，即 CRC-8/SMBUS)
+ * @param {Uint8Array} bytes
+ * @param {int} [previous=0] 分段计算时传入上一段的结果
+ * @returns {int}
+ */
+export function crc8(bytes, previous = 0) {
+  let crc = previous & 0xFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  return crc;
+}
+/**
+ * CRC-16/MODBUS(多项式 0x8005 反射，初始值 0xFFFF)
+ * @param {Uint8Array} bytes
+ * @param {int} [previous=0xFFFF] 分段计算时传入上一段的结果
+ * @returns {int}
+ */
+export function crc16(bytes, previous = 0xFFFF) {
+  let crc = previous & 0xFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+    }
+  }
+  return crc;
+}
+/**
+ * CRC-16/CCITT-FALSE(多项式 0x1021，初始值 0xFFFF)
+ * @param {Uint8Array} bytes
+ * @param {int} [previous=0xFFFF] 分段计算时传入上一段的结果
+ * @returns {int}
+ */
+export function crc16ccitt(bytes, previous = 0xFFFF) {
+  let crc = previous & 0xFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i] << 8;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc;
+}
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = new Uint32Array(64).map((_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+/**
+ * MD5
+ * @param {Uint8Array} bytes
+ * @returns {string} 小写 hex 字符串，与 Host.crypto.encodeMD5 的格式一致
+ */
+export function md5(bytes) {
+  const length = bytes.length;
+  const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+  const h = new Uint32Array([0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476]);
+  const w = new Uint32Array(16);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4, true);
+    }
+    let [a, b, c, d] = h;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const s = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      const x = (a + f + MD5_K[i] + w[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((x << s) | (x >>> (32 - s)))) >>> 0;
+    }
+    h[0] += a;
+    h[1] += b;
+    h[2] += c;
+    h[3] += d;
+  }
+  const digest = new DataView(new ArrayBuffer(16));
+  h.forEach((v, i) => digest.setUint32(i * 4, v, true));
+  return bytesToHex(new Uint8Array(digest.buffer)).toLowerCase();
+}
+export default {
+  crc8,
+  crc16,
+  crc16ccitt,
+  crc32,
+  md5
+};
+//@native end
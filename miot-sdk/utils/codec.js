@@ -0,0 +1,558 @@
+//@native begin
+/**
+ * 二进制协议编解码，用声明的方式描述帧格式，得到 encode/decode 方法，数据统一使用 Uint8Array
+ * 每个类型都可以单独使用，也可以组合为 struct：
+ * encode(value) 返回 Uint8Array，参数不合法时抛出 MiotError(code 为 INVALID_ARGUMENT)
+ * decode(data, options) 的 data 为 Uint8Array 或 hex 字符串，数据不完整或格式错误时抛出 MiotError(code 为 PARSE_ERROR)，
+ * 校验和不一致时抛出 MiotError(code 为 CHECKSUM_MISMATCH)，错误上的 path 为出错的字段，offset 为出错的位置
+ *
+ * @example
+ * import { codec } from 'miot/utils'
+ *
+ * const Frame = codec.struct([
+ *   ['head', codec.constant(codec.uint8(), 0xA5)],
+ *   ['cmd', codec.uint8()],
+ *   ['flags', codec.bits([['locked', 1], ['alarm', 1], [null, 2], ['mode', 4]])],
+ *   ['seq', codec.uint16('be')],
+ *   ['length', codec.uint8()],
+ *   ['payload', codec.bytes('length')],
+ *   ['crc', codec.crc('crc16')]
+ * ]);
+ * const bytes = Frame.encode({ cmd: 1, flags: { locked: true, alarm: false, mode: 3 }, seq: 1, payload: '0102' });
+ * const frame = Frame.decode(bytes); // 也可以传入 hex 字符串
+ */
+import { MiotError, ErrorCode } from '../MiotError';
+import { toBytes, bytesToHex, concatBytes, utf8ToBytes, bytesToUtf8 } from './bytes';
+import { crc8, crc16, crc16ccitt, crc32 } from './checksum';
+const CHECKSUMS = {
+  crc8: { size: 1, compute: crc8 },
+  crc16: { size: 2, compute: crc16 },
+  'crc16-ccitt': { size: 2, compute: crc16ccitt },
+  crc32: { size: 4, compute: crc32 }
+};
+function _error(code, ctx, message, offset) {
+  const path = ctx.path || '$';
+  return new MiotError(code, `${ path }: ${ message }`, { extra: { path, offset } });
+}
+function _child(ctx, name) {
+  return { ...ctx, path: ctx.path ? `${ ctx.path }.${ name }` : String(name) };
+}
+function _isType(type) {
+  return !!type && typeof type.read === 'function' && typeof type.write === 'function';
+}
+function _write(writer, bytes) {
+  writer.chunks.push(bytes);
+  writer.length += bytes.length;
+}
+function _written(writer, from) {
+  return concatBytes(writer.chunks).subarray(from);
+}
+function _take(reader, length, ctx) {
+  const left = reader.end - reader.offset;
+  if (length > left) {
+    throw _error(ErrorCode.PARSE_ERROR, ctx, `need ${ length } bytes at offset ${ reader.offset }, only ${ left } left`, reader.offset);
+  }
+  const bytes = reader.bytes.subarray(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return bytes;
+}
+function _writeUint(value, size, endian) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    const byte = Math.floor(value / Math.pow(256, i)) % 256;
+    bytes[endian === 'le' ? i : size - 1 - i] = byte;
+  }
+  return bytes;
+}
+function _readUint(bytes, endian) {
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    value = value * 256 + bytes[endian === 'le' ? bytes.length - 1 - i : i];
+  }
+  return value;
+}
+function _endian(endian) {
+  if (endian !== 'le' && endian !== 'be') {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `endian should be 'le' or 'be', got ${ endian }`);
+  }
+  return endian;
+}
+/**
+ * 给类型加上 encode、decode 方法
+ */
+function _codec(type) {
+  type.encode = value => {
+    const writer = { chunks: [], length: 0 };
+    type.write(writer, value, { path: '', scope: {}, start: 0, tail: 0 });
+    return concatBytes(writer.chunks);
+  };
+  type.decode = (data, options = {}) => {
+    const bytes = toBytes(data);
+    if (!bytes) {
+      throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'data should be an Uint8Array or a hex string');
+    }
+    const reader = { bytes, offset: 0, end: bytes.length };
+    const value = type.read(reader, { path: '', scope: {}, start: 0, tail: 0 });
+    if (!(options && options.allowTrailing) && reader.offset < reader.end) {
+      throw _error(ErrorCode.PARSE_ERROR, { path: '' }, `${ reader.end - reader.offset } unexpected bytes at offset ${ reader.offset }`, reader.offset);
+    }
+    return value;
+  };
+  return type;
+}
+function _integer(size, signed, endian = 'le') {
+  _endian(endian);
+  const bits = size * 8;
+  const range = Math.pow(2, bits);
+  const min = signed ? -range / 2 : 0;
+  const max = signed ? range / 2 - 1 : range - 1;
+  const name = `${ signed ? 'int' : 'uint' }${ bits }${ size > 1 ? endian : '' }`;
+  return _codec({
+    name,
+    size,
+    write(writer, value, ctx) {
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `expected ${ name } between ${ min } and ${ max }, got ${ value }`, writer.length);
+      }
+      _write(writer, _writeUint(value < 0 ? value + range : value, size, endian));
+    },
+    read(reader, ctx) {
+      const value = _readUint(_take(reader, size, ctx), endian);
+      return signed && value > max ? value - range : value;
+    }
+  });
+}
+/**
+ * 解析长度参数：数字为固定长度，类型为长度前缀，字符串为同一个 struct 中之前的长度字段，不传为剩余的全部数据
+ */
+function _sized(name, length, toValue, fromValue) {
+  const fixed = typeof length === 'number';
+  const prefix = _isType(length) ? length : null;
+  const field = typeof length === 'string' ? length : null;
+  if (length !== undefined && length !== null && !fixed && !prefix && !field) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `invalid length of ${ name }`);
+  }
+  if (fixed && !(length >= 0 && Number.isInteger(length))) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `invalid length ${ length } of ${ name }`);
+  }
+  return _codec({
+    name,
+    size: fixed ? length : undefined,
+    lengthField: field,
+    measure(value, ctx) {
+      return toValue(value, ctx, null).length;
+    },
+    write(writer, value, ctx) {
+      const bytes = toValue(value, ctx, fixed ? length : null);
+      if (prefix) {
+        prefix.write(writer, bytes.length, _child(ctx, 'length'));
+      } else if (field && ctx.scope[field] !== bytes.length) {
+        throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `length field ${ field } is ${ ctx.scope[field] }, but ${ bytes.length } bytes given`, writer.length);
+      }
+      _write(writer, bytes);
+    },
+    read(reader, ctx) {
+      let size;
+      if (fixed) {
+        size = length;
+      } else if (prefix) {
+        size = prefix.read(reader, _child(ctx, 'length'));
+      } else if (field) {
+        size = ctx.scope[field];
+        if (!(Number.isInteger(size) && size >= 0)) {
+          throw _error(ErrorCode.PARSE_ERROR, ctx, `length field ${ field } is not decoded before`, reader.offset);
+        }
+      } else {
+        size = Math.max(0, reader.end - reader.offset - ctx.tail);
+      }
+      return fromValue(_take(reader, size, ctx), ctx, reader.offset - size);
+    }
+  });
+}
+/**
+ * 无符号 8 位整数
+ * @returns {object} 类型
+ */
+export function uint8() {
+  return _integer(1, false);
+}
+/**
+ * 无符号 16 位整数
+ * @param {string} [endian='le'] 字节序，'le'(小端) 或 'be'(大端)
+ * @returns {object} 类型
+ */
+export function uint16(endian = 'le') {
+  return _integer(2, false, endian);
+}
+/**
+ * 无符号 32 位整数
+ * @param {string} [endian='le'] 字节序，'le'(小端) 或 'be'(大端)
+ * @returns {object} 类型
+ */
+export function uint32(endian = 'le') {
+  return _integer(4, false, endian);
+}
+/**
+ * 有符号 8 位整数
+ * @returns {object} 类型
+ */
+export function int8() {
+  return _integer(1, true);
+}
+/**
+ * 有符号 16 位整数
+ * @param {string} [endian='le'] 字节序
+ * @returns {object} 类型
+ */
+export function int16(endian = 'le') {
+  return _integer(2, true, endian);
+}
+/**
+ * 有符号 32 位整数
+ * @param {string} [endian='le'] 字节序
+ * @returns {object} 类型
+ */
+export function int32(endian = 'le') {
+  return _integer(4, true, endian);
+}
+/**
+ * 位域，多个字段共用 1、2 或 4 个字节，从最低位开始依次排列
+ * 宽度为 1 的字段解析为 boolean，其它为整数；名称为 null 的字段为保留位，编码时写 0，解析结果中不包含
+ * @param {Array} fields 字段列表，[[name, width], ...]
+ * @param {object} [options]
+ * @param {int} [options.size=1] 占用的字节数，1、2 或 4
+ * @param {string} [options.endian='le'] 字节序
+ * @returns {object} 类型，值为 {name: value}
+ */
+export function bits(fields, options = {}) {
+  const { size = 1, endian = 'le' } = options || {};
+  if ([1, 2, 4].indexOf(size) < 0) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `bits size should be 1, 2 or 4, got ${ size }`);
+  }
+  const storage = _integer(size, false, endian);
+  let shift = 0;
+  const layout = (fields || []).map(([name, width]) => {
+    if (!(Number.isInteger(width) && width > 0)) {
+      throw new MiotError(ErrorCode.INVALID_ARGUMENT, `invalid width ${ width } of bit field ${ name }`);
+    }
+    const item = { name, width, shift };
+    shift += width;
+    return item;
+  });
+  if (shift > size * 8) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `bit fields need ${ shift } bits, more than ${ size * 8 }`);
+  }
+  return _codec({
+    name: 'bits',
+    size,
+    write(writer, value, ctx) {
+      let raw = 0;
+      layout.forEach(({ name, width, shift }) => {
+        if (name === null || name === undefined) {
+          return;
+        }
+        let v = value ? value[name] : undefined;
+        v = v === true ? 1 : v === false || v === undefined ? 0 : v;
+        if (!Number.isInteger(v) || v < 0 || v >= Math.pow(2, width)) {
+          throw _error(ErrorCode.INVALID_ARGUMENT, _child(ctx, name), `expected ${ width } bits unsigned integer, got ${ value && value[name] }`, writer.length);
+        }
+        raw += v * Math.pow(2, shift);
+      });
+      storage.write(writer, raw, ctx);
+    },
+    read(reader, ctx) {
+      const raw = storage.read(reader, ctx);
+      const result = {};
+      layout.forEach(({ name, width, shift }) => {
+        if (name === null || name === undefined) {
+          return;
+        }
+        const v = Math.floor(raw / Math.pow(2, shift)) % Math.pow(2, width);
+        result[name] = width === 1 ? v === 1 : v;
+      });
+      return result;
+    }
+  });
+}
+/**
+ * 字节数组
+ * @param {int|object|string} [length] 数字为固定长度；类型(如 uint8())为长度前缀；
+ * 字符串为同一个 struct 中之前的长度字段名，编码时该字段不传会自动填写；不传为剩余的全部数据(会留出之后固定长度字段的空间)
+ * @returns {object} 类型，值为 Uint8Array，编码时也可以传入数组或 hex 字符串
+ */
+export function bytes(length) {
+  return _sized('bytes', length, (value, ctx, fixed) => {
+    const data = toBytes(value);
+    if (!data) {
+      throw _error(ErrorCode.INVALID_ARGUMENT, ctx, 'expected an Uint8Array, an array or a hex string');
+    }
+    if (fixed !== null && data.length !== fixed) {
+      throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `expected ${ fixed } bytes, got ${ data.length }`);
+    }
+    return data;
+  }, data => Uint8Array.from(data));
+}
+/**
+ * 字符串
+ * @param {int|object|string} [length] 编码后的字节长度，同 bytes；固定长度时不足的部分补 0，解析时去掉末尾的 0
+ * @param {string} [encoding='utf8'] 'utf8' 或 'ascii'
+ * @returns {object} 类型，值为 string
+ */
+export function string(length, encoding = 'utf8') {
+  if (encoding !== 'utf8' && encoding !== 'ascii') {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `encoding should be 'utf8' or 'ascii', got ${ encoding }`);
+  }
+  return _sized('string', length, (value, ctx, fixed) => {
+    if (typeof value !== 'string') {
+      throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `expected a string, got ${ value }`);
+    }
+    let data;
+    if (encoding === 'ascii') {
+      if (/[^\x00-\x7F]/.test(value)) {
+        throw _error(ErrorCode.INVALID_ARGUMENT, ctx, 'expected an ascii string');
+      }
+      data = Uint8Array.from(value, c => c.charCodeAt(0));
+    } else {
+      try {
+        data = utf8ToBytes(value);
+      } catch (err) {
+        throw _error(ErrorCode.INVALID_ARGUMENT, ctx, 'invalid utf8 string');
+      }
+    }
+    if (fixed !== null) {
+      if (data.length > fixed) {
+        throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `expected at most ${ fixed } bytes, got ${ data.length }`);
+      }
+      const padded = new Uint8Array(fixed);
+      padded.set(data);
+      data = padded;
+    }
+    return data;
+  }, (data, ctx, offset) => {
+    let end = data.length;
+    if (typeof length === 'number') {
+      while (end > 0 && data[end - 1] === 0) {
+        end--;
+      }
+    }
+    const text = encoding === 'ascii' ? String.fromCharCode(...data.subarray(0, end)) : bytesToUtf8(data.subarray(0, end));
+    if (text === null) {
+      throw _error(ErrorCode.PARSE_ERROR, ctx, 'invalid utf8 string', offset);
+    }
+    return text;
+  });
+}
+/**
+ * 固定值，例如帧头；编码时总是写入 value，解析时不一致则失败
+ * @param {object} type 值的类型
+ * @param {any} value 固定的值，整数或者 hex 字符串(bytes 类型)
+ * @returns {object} 类型
+ */
+export function constant(type, value) {
+  const expected = bytesToHex(type.encode(value));
+  return _codec({
+    name: 'constant',
+    size: type.size,
+    write(writer, v, ctx) {
+      type.write(writer, value, ctx);
+    },
+    read(reader, ctx) {
+      const offset = reader.offset;
+      const actual = type.read(reader, ctx);
+      if (bytesToHex(type.encode(actual)) !== expected) {
+        throw _error(ErrorCode.PARSE_ERROR, ctx, `expected ${ expected }, got ${ bytesToHex(reader.bytes.subarray(offset, reader.offset)) }`, offset);
+      }
+      return actual;
+    }
+  });
+}
+/**
+ * 保留字节，编码时写 0，解析时跳过，struct 的解析结果中不包含此字段
+ * @param {int} length 字节数
+ * @returns {object} 类型
+ */
+export function reserved(length) {
+  return _codec({
+    name: 'reserved',
+    size: length,
+    hidden: true,
+    write(writer) {
+      _write(writer, new Uint8Array(length));
+    },
+    read(reader, ctx) {
+      _take(reader, length, ctx);
+      return undefined;
+    }
+  });
+}
+/**
+ * 校验和，对所在 struct 中此字段之前(从 from 字段开始)的数据计算，编码时自动计算，解析时校验
+ * @param {string|object} kind 'crc8'、'crc16'(MODBUS)、'crc16-ccitt'、'crc32'，或者自定义的 {size, compute(Uint8Array):int}
+ * @param {object} [options]
+ * @param {string} [options.from] 从哪个字段开始计算，默认为 struct 的开头
+ * @param {string} [options.endian='le'] 字节序
+ * @returns {object} 类型，值为校验和
+ */
+export function crc(kind, options = {}) {
+  const algorithm = typeof kind === 'string' ? CHECKSUMS[kind] : kind;
+  if (!algorithm || typeof algorithm.compute !== 'function' || [1, 2, 4].indexOf(algorithm.size) < 0) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `unknown checksum ${ kind }`);
+  }
+  const { from, endian = 'le' } = options || {};
+  const storage = _integer(algorithm.size, false, endian);
+  const begin = (ctx, offset) => {
+    if (!from) {
+      return ctx.start;
+    }
+    if (!ctx.offsets || ctx.offsets[from] === undefined) {
+      throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `checksum field ${ from } not found before`, offset);
+    }
+    return ctx.offsets[from];
+  };
+  return _codec({
+    name: typeof kind === 'string' ? kind : 'crc',
+    size: algorithm.size,
+    write(writer, value, ctx) {
+      storage.write(writer, algorithm.compute(_written(writer, begin(ctx, writer.length))), ctx);
+    },
+    read(reader, ctx) {
+      const offset = reader.offset;
+      const expected = algorithm.compute(reader.bytes.subarray(begin(ctx, offset), offset));
+      const actual = storage.read(reader, ctx);
+      if (actual !== expected) {
+        const hex = v => bytesToHex(_writeUint(v, algorithm.size, 'be'));
+        throw new MiotError(ErrorCode.CHECKSUM_MISMATCH, `${ ctx.path || '$' }: checksum mismatch, expected ${ hex(expected) }, got ${ hex(actual) }`,
+          { extra: { path: ctx.path || '$', offset } });
+      }
+      return actual;
+    }
+  });
+}
+/**
+ * 结构体，按顺序编解码各字段
+ * 字段名为 null 的字段不出现在解析结果中，编码时也不需要传值(constant、reserved、crc 等)
+ * @param {Array} fields 字段列表，[[name, type], ...]
+ * @returns {object} 类型，值为 {name: value}
+ */
+export function struct(fields) {
+  (fields || []).forEach(([name, type]) => {
+    if (!_isType(type)) {
+      throw new MiotError(ErrorCode.INVALID_ARGUMENT, `invalid type of field ${ name }`);
+    }
+  });
+  // 每个字段之后固定长度字段的总长度，不定长字段据此为后面的字段留出空间
+  const tails = fields.map((field, index) => fields.slice(index + 1).reduce((sum, [, type]) => (sum === null || type.size === undefined ? null : sum + type.size), 0));
+  const size = fields.reduce((sum, [, type]) => (sum === undefined || type.size === undefined ? undefined : sum + type.size), 0);
+  return _codec({
+    name: 'struct',
+    size,
+    write(writer, value, ctx) {
+      if (!value || typeof value !== 'object') {
+        throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `expected an object, got ${ value }`, writer.length);
+      }
+      const scope = { ...value };
+      fields.forEach(([name, type]) => {
+        if (type.lengthField && scope[type.lengthField] === undefined && scope[name] !== undefined) {
+          scope[type.lengthField] = type.measure(scope[name], _child(ctx, name));
+        }
+      });
+      const inner = { path: ctx.path, scope, start: writer.length, offsets: {}, tail: 0 };
+      fields.forEach(([name, type]) => {
+        const key = name === null || name === undefined ? null : name;
+        inner.offsets[key] = writer.length;
+        type.write(writer, key === null ? undefined : scope[key], key === null ? inner : _child(inner, key));
+      });
+    },
+    read(reader, ctx) {
+      const result = {};
+      const inner = { path: ctx.path, scope: result, start: reader.offset, offsets: {}, tail: 0 };
+      fields.forEach(([name, type], index) => {
+        const key = name === null || name === undefined ? null : name;
+        inner.offsets[key] = reader.offset;
+        const fieldContext = key === null ? { ...inner } : _child(inner, key);
+        fieldContext.tail = tails[index] === null ? 0 : tails[index] + ctx.tail;
+        const value = type.read(reader, fieldContext);
+        if (key !== null && !type.hidden) {
+          result[key] = value;
+        }
+      });
+      return result;
+    }
+  });
+}
+/**
+ * TLV(type-length-value) 列表，解析到数据结束(会留出之后固定长度字段的空间)
+ * @param {object} [options]
+ * @param {object} [options.type=uint8()] type 的类型
+ * @param {object} [options.length=uint8()] length 的类型
+ * @param {object} [options.types={}] 已知的 type，{type: [name, valueType]}，valueType 不传时值为 Uint8Array
+ * @returns {object} 类型，值为 [{type, name, value}]，编码时可以只传 name
+ */
+export function tlv(options = {}) {
+  const { type: typeType = uint8(), length: lengthType = uint8(), types = {} } = options || {};
+  const names = {};
+  Object.keys(types).forEach(key => {
+    names[types[key][0]] = Number(key);
+  });
+  return _codec({
+    name: 'tlv',
+    write(writer, value, ctx) {
+      if (!Array.isArray(value)) {
+        throw _error(ErrorCode.INVALID_ARGUMENT, ctx, `expected an array, got ${ value }`, writer.length);
+      }
+      value.forEach((item, index) => {
+        const itemContext = _child(ctx, index);
+        const t = item && item.type !== undefined ? item.type : names[item && item.name];
+        if (t === undefined) {
+          throw _error(ErrorCode.INVALID_ARGUMENT, itemContext, `unknown tlv ${ item && item.name }`, writer.length);
+        }
+        const valueType = types[t] && types[t][1];
+        const data = valueType ? valueType.encode(item.value) : toBytes(item.value);
+        if (!data) {
+          throw _error(ErrorCode.INVALID_ARGUMENT, itemContext, 'expected an Uint8Array, an array or a hex string', writer.length);
+        }
+        typeType.write(writer, t, _child(itemContext, 'type'));
+        lengthType.write(writer, data.length, _child(itemContext, 'length'));
+        _write(writer, data);
+      });
+    },
+    read(reader, ctx) {
+      const list = [];
+      while (reader.offset < reader.end - ctx.tail) {
+        const itemContext = _child(ctx, list.length);
+        const t = typeType.read(reader, _child(itemContext, 'type'));
+        const size = lengthType.read(reader, _child(itemContext, 'length'));
+        const offset = reader.offset;
+        const data = _take(reader, size, itemContext);
+        const [name, valueType] = types[t] || [];
+        let value = Uint8Array.from(data);
+        if (valueType) {
+          const sub = { bytes: reader.bytes, offset, end: offset + size };
+          value = valueType.read(sub, { ..._child(itemContext, name), scope: {}, start: offset, tail: 0 });
+          if (sub.offset < sub.end) {
+            throw _error(ErrorCode.PARSE_ERROR, _child(itemContext, name), `${ sub.end - sub.offset } unexpected bytes at offset ${ sub.offset }`, sub.offset);
+          }
+        }
+        list.push(name === undefined ? { type: t, value } : { type: t, name, value });
+      }
+      return list;
+    }
+  });
+}
+export default {
+  uint8,
+  uint16,
+  uint32,
+  int8,
+  int16,
+  int32,
+  bits,
+  bytes,
+  string,
+  constant,
+  reserved,
+  crc,
+  struct,
+  tlv
+};
+//@native end
@@ -0,0 +1,66 @@
+//@native begin
+/**
+ * @since 10035
+ * @module miot/utils/crypto
+ * @description
+ * 纯 js 的同步加密工具，补充 Host.crypto。所有数据统一使用 Uint8Array，可以与 utils/bytes 配合使用
+ * 包括 AES(ECB/CBC/CCM/GCM)、SHA-1/SHA-256/SHA-512、HMAC、HKDF、P-256 ECDH、CRC 校验以及安全随机数
+ * 参数不合法时抛出 MiotError(code 为 INVALID_ARGUMENT)
+ * randomBytes 与 ecdh.generateKeyPair 需要安全随机数：RN 0.61 的 JSC 没有 crypto.getRandomValues，App 也没有提供随机数的原生接口，
+ * 需要插件引入注册 global.crypto 的原生库(如 react-native-get-random-values)，或者先调用 seedRandom 提供熵，否则抛出 NOT_SUPPORTED
+ * @example
+ * import { crypto, bytes } from 'miot/utils';
+ *
+ * const { privateKey, publicKey } = crypto.ecdh.generateKeyPair();
+ * // 把 publicKey 发给设备，收到设备的公钥 devicePublicKey 后
+ * const secret = crypto.ecdh.computeSharedSecret(privateKey, devicePublicKey);
+ * const key = crypto.hkdf(secret, salt, bytes.utf8ToBytes('mible-login-info'), 16);
+ * const nonce = crypto.randomBytes(12);
+ * const sealed = crypto.aes.gcmEncrypt(key, nonce, bytes.utf8ToBytes('hello'));
+ */
+import aes from './aes';
+import { crc8, crc16, crc16ccitt, crc32, md5 } from './checksum';
+import ecdh from './p256';
+import { sha1, hmacSha1 } from './sha1';
+import { randomBytes, seedRandom } from './random';
+import { sha256, hmac, hmacSha256, hkdf } from './sha256';
+import { sha512, hmacSha512 } from './sha512';
+export {
+  aes,
+  ecdh,
+  sha1,
+  sha256,
+  sha512,
+  hmac,
+  hmacSha1,
+  hmacSha256,
+  hmacSha512,
+  hkdf,
+  crc8,
+  crc16,
+  crc16ccitt,
+  crc32,
+  md5,
+  randomBytes,
+  seedRandom
+};
+export default {
+  aes,
+  ecdh,
+  sha1,
+  sha256,
+  sha512,
+  hmac,
+  hmacSha1,
+  hmacSha256,
+  hmacSha512,
+  hkdf,
+  crc8,
+  crc16,
+  crc16ccitt,
+  crc32,
+  md5,
+  randomBytes,
+  seedRandom
+};
+//@native end
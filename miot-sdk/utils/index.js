@@ -1,18 +1,26 @@
 //@native begin
+import bytes from './bytes';
+import codec from './codec';
 import colors from './colors';
 import crossViewData from './cross-view-data';
+import crypto from './crypto';
 import dialogManager from './dialog-manager';
 import fns from './fns';
 import fonts from './fonts';
 import navigationHelper from './navigation-helper';
+import otp from './otp';
 import sizes from './sizes';
 export {
+  bytes,
+  codec,
   colors,
   crossViewData,
+  crypto,
   dialogManager,
   fns,
   fonts,
   navigationHelper,
+  otp,
   sizes
 }
 //@native end
\ No newline at end of file
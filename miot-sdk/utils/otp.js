@@ -0,0 +1,299 @@
+//@native begin
+/**
+ * @since 10035
+ * @module miot/utils/otp
+ * @description
+ * 纯 js 的一次性密码，可以在离线状态下生成或校验，不依赖原生实现
+ * HOTP/TOTP 遵循 RFC 4226/6238，与常见的身份验证器 App 兼容，密钥可以使用 base32 编码
+ * 临时密码由共享密钥和有效期派生，密码本身携带有效时长和可用次数，设备端只需要共享密钥和当前时间即可校验，
+ * 锁的主人可以结合 Service.security.shareSecureKey 把临时密码发给访客，参见 ISecureKey.createTemporaryPassword
+ * 临时密码的可用次数需要由设备端按密码计数
+ * @example
+ * import { otp } from 'miot/utils';
+ *
+ * const secret = otp.base32Decode('JBSWY3DPEHPK3PXP');
+ * const code = otp.totp(secret, { digits: 6, step: 30 });
+ * otp.verifyTotp(secret, code, { window: 1 }); // 0
+ *
+ * const { password, start, end } = otp.createTemporaryPassword(lockSecret, {
+ *   start: Date.now() / 1000, end: Date.now() / 1000 + 2 * 3600, uses: 1
+ * });
+ */
+import { MiotError, ErrorCode } from '../MiotError';
+import { hmacSha1 } from './sha1';
+import { hmacSha256 } from './sha256';
+import { hmacSha512 } from './sha512';
+const ALGORITHMS = {
+  sha1: hmacSha1,
+  sha256: hmacSha256,
+  sha512: hmacSha512
+};
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// 临时密码的前 5 位依次为有效时长(单位为 step，两位)、可用次数(一位，0 表示不限次数)和开始位置(step 序号)的后两位
+// 有效时长不超过 100 个 step，校验时由开始位置的后两位唯一确定开始位置，只需要计算一次校验码
+const HEADER_DIGITS = 5;
+const MAX_SLOTS = 99;
+const START_MODULUS = 100;
+const MAX_USES = 9;
+const TEMPORARY_PASSWORD_TAG = [0x4d, 0x49, 0x54, 0x50]; // "MITP"
+function _invalid(message) {
+  return new MiotError(ErrorCode.INVALID_ARGUMENT, message);
+}
+function _checkSecret(secret) {
+  if (!(secret instanceof Uint8Array) || secret.length === 0) {
+    throw _invalid('secret should be a non-empty Uint8Array');
+  }
+}
+function _checkDigits(digits, min, max) {
+  if (!(Number.isInteger(digits) && digits >= min && digits <= max)) {
+    throw _invalid(`digits should be an integer between ${ min } and ${ max }`);
+  }
+}
+function _checkPositive(name, value) {
+  if (!(Number.isInteger(value) && value > 0)) {
+    throw _invalid(`${ name } should be a positive integer`);
+  }
+}
+function _hmac(algorithm) {
+  const fn = ALGORITHMS[String(algorithm).toLowerCase()];
+  if (!fn) {
+    throw _invalid(`unsupported algorithm ${ algorithm }, should be one of ${ Object.keys(ALGORITHMS).join(', ') }`);
+  }
+  return fn;
+}
+// 8 字节大端计数器，计数器可能超过 32 位
+function _counterBytes(counter) {
+  if (!(Number.isSafeInteger(counter) && counter >= 0)) {
+    throw _invalid('counter should be a non-negative safe integer');
+  }
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, Math.floor(counter / 0x100000000), false);
+  view.setUint32(4, counter >>> 0, false);
+  return bytes;
+}
+// RFC 4226 动态截断，结果为 digits 位的十进制字符串
+function _truncate(mac, digits) {
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) * 0x1000000) + (mac[offset + 1] << 16) + (mac[offset + 2] << 8) + mac[offset + 3];
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+}
+function _timeCounter(time, step, t0) {
+  _checkPositive('step', step);
+  if (!Number.isFinite(time) || time < t0) {
+    throw _invalid('time should be a number not less than t0');
+  }
+  return Math.floor((time - t0) / step);
+}
+function _equalCode(a, b) {
+  if (typeof a !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+/**
+ * base32 编码(RFC 4648)，常用于身份验证器 App 的密钥
+ * @param {Uint8Array} bytes
+ * @param {boolean} [padding=false] 是否补齐 '='
+ * @returns {string}
+ */
+export function base32Encode(bytes, padding = false) {
+  let text = '';
+  let buffer = 0, bits = 0;
+  for (const b of bytes) {
+    buffer = (buffer << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      text += BASE32_ALPHABET[(buffer >>> bits) & 0x1f];
+    }
+  }
+  if (bits > 0) {
+    text += BASE32_ALPHABET[(buffer << (5 - bits)) & 0x1f];
+  }
+  if (padding) {
+    while (text.length % 8 !== 0) {
+      text += '=';
+    }
+  }
+  return text;
+}
+/**
+ * base32 解码，忽略大小写、空格、'-' 以及末尾的 '='
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor(clean.length * 5 / 8));
+  let buffer = 0, bits = 0, index = 0;
+  for (const ch of clean) {
+    const value = BASE32_ALPHABET.indexOf(ch);
+    if (value < 0) {
+      throw _invalid(`invalid base32 character ${ ch }`);
+    }
+    buffer = ((buffer << 5) | value) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >>> bits) & 0xff;
+    }
+  }
+  return bytes;
+}
+/**
+ * 生成 HOTP(RFC 4226)
+ * @param {Uint8Array} secret 共享密钥
+ * @param {int} counter 计数器
+ * @param {object} [options]
+ * @param {int} [options.digits=6] 密码位数，6 到 10
+ * @param {string} [options.algorithm='sha1'] 摘要算法，sha1、sha256 或 sha512
+ * @returns {string} 密码，不足位数时左侧补 0
+ */
+export function hotp(secret, counter, { digits = 6, algorithm = 'sha1' } = {}) {
+  _checkSecret(secret);
+  _checkDigits(digits, 6, 10);
+  return _truncate(_hmac(algorithm)(secret, _counterBytes(counter)), digits);
+}
+/**
+ * 校验 HOTP，在 [counter, counter + window] 范围内查找
+ * @param {Uint8Array} secret 共享密钥
+ * @param {string} code 待校验的密码
+ * @param {int} counter 当前计数器
+ * @param {object} [options] 同 hotp，另外支持
+ * @param {int} [options.window=0] 向后查找的计数器个数，用于容忍设备端多次生成但未使用的情况
+ * @returns {int|null} 匹配时返回相对 counter 的偏移，调用方应把计数器更新为 counter + 偏移 + 1；不匹配返回 null
+ */
+export function verifyHotp(secret, code, counter, { window = 0, ...options } = {}) {
+  for (let delta = 0; delta <= window; delta++) {
+    if (_equalCode(code, hotp(secret, counter + delta, options))) {
+      return delta;
+    }
+  }
+  return null;
+}
+/**
+ * 生成 TOTP(RFC 6238)
+ * @param {Uint8Array} secret 共享密钥
+ * @param {object} [options] 同 hotp，另外支持
+ * @param {number} [options.time] 时间，UTC 时间戳，单位为秒，默认为当前时间
+ * @param {int} [options.step=30] 时间步长，单位为秒
+ * @param {number} [options.t0=0] 开始计数的时间，单位为秒
+ * @returns {string}
+ */
+export function totp(secret, { time = Date.now() / 1000, step = 30, t0 = 0, ...options } = {}) {
+  return hotp(secret, _timeCounter(time, step, t0), options);
+}
+/**
+ * 校验 TOTP，允许前后 window 个时间步长的时钟误差
+ * @param {Uint8Array} secret 共享密钥
+ * @param {string} code 待校验的密码
+ * @param {object} [options] 同 totp，另外支持
+ * @param {int} [options.window=1] 允许误差的时间步长个数
+ * @returns {int|null} 匹配时返回相差的时间步长个数(可能为负数)，不匹配返回 null
+ */
+export function verifyTotp(secret, code, { time = Date.now() / 1000, step = 30, t0 = 0, window = 1, ...options } = {}) {
+  const counter = _timeCounter(time, step, t0);
+  for (let delta = 0; delta <= window; delta++) {
+    for (const offset of delta === 0 ? [0] : [-delta, delta]) {
+      if (counter + offset >= 0 && _equalCode(code, hotp(secret, counter + offset, options))) {
+        return offset;
+      }
+    }
+  }
+  return null;
+}
+function _temporaryMac(secret, algorithm, startSlot, slots, uses, digits) {
+  const message = new Uint8Array(TEMPORARY_PASSWORD_TAG.length + 6);
+  message.set(TEMPORARY_PASSWORD_TAG);
+  const view = new DataView(message.buffer);
+  view.setUint32(TEMPORARY_PASSWORD_TAG.length, startSlot, false);
+  message[TEMPORARY_PASSWORD_TAG.length + 4] = slots;
+  message[TEMPORARY_PASSWORD_TAG.length + 5] = uses;
+  return _truncate(_hmac(algorithm)(secret, message), digits - HEADER_DIGITS);
+}
+/**
+ * 生成临时密码。有效期按 step 对齐：开始时间向前取整，结束时间向后取整，最长 99 个 step
+ * 密码为 digits 位数字，前两位为有效时长(step 的个数)，第三位为可用次数，第四、五位为开始时间所在 step 序号的后两位，其余为校验码
+ * 参数相同时生成的密码相同
+ * @param {Uint8Array} secret 与设备共享的密钥
+ * @param {object} options
+ * @param {number} options.start 生效时间，UTC 时间戳，单位为秒
+ * @param {number} options.end 过期时间，UTC 时间戳，单位为秒
+ * @param {int} [options.uses=1] 可用次数，0 到 9，0 表示有效期内不限次数
+ * @param {int} [options.digits=12] 密码位数，10 到 12，校验码为 digits - 5 位
+ * @param {int} [options.step=3600] 有效期的时间粒度，单位为秒
+ * @param {string} [options.algorithm='sha256'] 摘要算法，sha1、sha256 或 sha512
+ * @returns {{password: string, start: number, end: number, uses: int}} 密码以及对齐后的有效期
+ */
+export function createTemporaryPassword(secret, { start, end, uses = 1, digits = 12, step = 3600, algorithm = 'sha256' } = {}) {
+  _checkSecret(secret);
+  _checkDigits(digits, 10, 12);
+  _checkPositive('step', step);
+  if (!(Number.isFinite(start) && Number.isFinite(end) && start >= 0 && end > start)) {
+    throw _invalid('start and end should be timestamps in seconds and end should be later than start');
+  }
+  if (!(Number.isInteger(uses) && uses >= 0 && uses <= MAX_USES)) {
+    throw _invalid(`uses should be an integer between 0 and ${ MAX_USES }`);
+  }
+  const startSlot = Math.floor(start / step);
+  const slots = Math.ceil(end / step) - startSlot;
+  if (slots > MAX_SLOTS) {
+    throw _invalid(`validity should not be longer than ${ MAX_SLOTS } steps`);
+  }
+  if (startSlot > 0xffffffff) {
+    throw _invalid('start is out of range');
+  }
+  const header = String(slots).padStart(2, '0') + uses + String(startSlot % START_MODULUS).padStart(2, '0');
+  return {
+    password: header + _temporaryMac(secret, algorithm, startSlot, slots, uses, digits),
+    start: startSlot * step,
+    end: (startSlot + slots) * step,
+    uses
+  };
+}
+/**
+ * 校验临时密码，与设备端的校验逻辑一致，可用于在 App 中预览或测试
+ * 只校验密码与有效期，可用次数需要调用方按密码计数
+ * @param {Uint8Array} secret 与设备共享的密钥
+ * @param {string} password 待校验的密码
+ * @param {object} [options]
+ * @param {number} [options.time] 校验的时间，UTC 时间戳，单位为秒，默认为当前时间
+ * @param {int} [options.step=3600] 同 createTemporaryPassword
+ * @param {string} [options.algorithm='sha256'] 同 createTemporaryPassword
+ * @returns {{start: number, end: number, uses: int}|null} 有效时返回密码的有效期和可用次数，否则返回 null
+ */
+export function verifyTemporaryPassword(secret, password, { time = Date.now() / 1000, step = 3600, algorithm = 'sha256' } = {}) {
+  _checkSecret(secret);
+  _checkPositive('step', step);
+  if (typeof password !== 'string' || !/^\d{10,12}$/.test(password)) {
+    return null;
+  }
+  const slots = parseInt(password.slice(0, 2), 10);
+  const uses = parseInt(password[2], 10);
+  const current = Math.floor(time / step);
+  // 不晚于当前时间、且后两位与密码中一致的开始位置只有一个
+  const startSlot = current - (current - parseInt(password.slice(3, HEADER_DIGITS), 10) + START_MODULUS) % START_MODULUS;
+  if (startSlot < 0 || startSlot <= current - slots) {
+    return null;
+  }
+  if (!_equalCode(password.slice(HEADER_DIGITS), _temporaryMac(secret, algorithm, startSlot, slots, uses, password.length))) {
+    return null;
+  }
+  return { start: startSlot * step, end: (startSlot + slots) * step, uses };
+}
+export default {
+  base32Encode,
+  base32Decode,
+  hotp,
+  verifyHotp,
+  totp,
+  verifyTotp,
+  createTemporaryPassword,
+  verifyTemporaryPassword
+};
+//@native end
@@ -0,0 +1,339 @@
+//@native begin
+// 纯 js 的 NIST P-256(secp256r1) ECDH，同步执行，数据统一使用 Uint8Array
+// 运行环境不一定支持 BigInt，大数使用 16 个 16 位的 limb(小端) 表示，域运算使用 Montgomery 乘法
+// 实现没有做到恒定时间，适用于 App 与设备建立会话密钥，不适合需要抵抗侧信道攻击的场景
+import { MiotError, ErrorCode } from '../MiotError';
+import { hexToBytes } from './bytes';
+import { randomBytes } from './random';
+const LIMBS = 16;
+function _fromBytes(bytes) {
+  const limbs = new Array(LIMBS);
+  for (let i = 0; i < LIMBS; i++) {
+    limbs[i] = (bytes[31 - 2 * i]) | (bytes[30 - 2 * i] << 8);
+  }
+  return limbs;
+}
+function _toBytes(limbs) {
+  const bytes = new Uint8Array(32);
+  for (let i = 0; i < LIMBS; i++) {
+    bytes[31 - 2 * i] = limbs[i] & 0xFF;
+    bytes[30 - 2 * i] = limbs[i] >>> 8;
+  }
+  return bytes;
+}
+const P = _fromBytes(hexToBytes('FFFFFFFF00000001000000000000000000000000FFFFFFFFFFFFFFFFFFFFFFFF'));
+const N = _fromBytes(hexToBytes('FFFFFFFF00000000FFFFFFFFFFFFFFFFBCE6FAADA7179E84F3B9CAC2FC632551'));
+const B = _fromBytes(hexToBytes('5AC635D8AA3A93E7B3EBBD55769886BC651D06B0CC53B0F63BCE3C3E27D2604B'));
+const GX = _fromBytes(hexToBytes('6B17D1F2E12C4247F8BCE6E563A440F277037D812DEB33A0F4A13945D898C296'));
+const GY = _fromBytes(hexToBytes('4FE342E2FE1A7F9B8EE7EB4A7C0F9E162BCE33576B315ECECBB6406837BF51F5'));
+function _zero() {
+  return new Array(LIMBS).fill(0);
+}
+function _isZero(a) {
+  return a.every(limb => limb === 0);
+}
+function _compare(a, b) {
+  for (let i = LIMBS - 1; i >= 0; i--) {
+    if (a[i] !== b[i]) {
+      return a[i] > b[i] ? 1 : -1;
+    }
+  }
+  return 0;
+}
+// a - b，返回借位
+function _subRaw(a, b, out) {
+  let borrow = 0;
+  for (let i = 0; i < LIMBS; i++) {
+    const d = a[i] - b[i] - borrow;
+    out[i] = d & 0xFFFF;
+    borrow = d < 0 ? 1 : 0;
+  }
+  return borrow;
+}
+function _add(a, b) {
+  const out = new Array(LIMBS);
+  let carry = 0;
+  for (let i = 0; i < LIMBS; i++) {
+    const s = a[i] + b[i] + carry;
+    out[i] = s & 0xFFFF;
+    carry = s >>> 16;
+  }
+  if (carry || _compare(out, P) >= 0) {
+    _subRaw(out, P, out);
+  }
+  return out;
+}
+function _sub(a, b) {
+  const out = new Array(LIMBS);
+  if (_subRaw(a, b, out)) {
+    let carry = 0;
+    for (let i = 0; i < LIMBS; i++) {
+      const s = out[i] + P[i] + carry;
+      out[i] = s & 0xFFFF;
+      carry = s >>> 16;
+    }
+  }
+  return out;
+}
+// Montgomery 乘法 a * b * 2^-256 mod p，p 的最低 limb 为 0xFFFF，所以 -p^-1 mod 2^16 = 1
+function _mul(a, b) {
+  const t = new Array(LIMBS + 2).fill(0);
+  for (let i = 0; i < LIMBS; i++) {
+    let carry = 0;
+    const ai = a[i];
+    for (let j = 0; j < LIMBS; j++) {
+      const s = t[j] + ai * b[j] + carry;
+      t[j] = s & 0xFFFF;
+      carry = s >>> 16;
+    }
+    let s = t[LIMBS] + carry;
+    t[LIMBS] = s & 0xFFFF;
+    t[LIMBS + 1] += s >>> 16;
+    const u = t[0];
+    s = t[0] + u * P[0];
+    carry = s >>> 16;
+    for (let j = 1; j < LIMBS; j++) {
+      s = t[j] + u * P[j] + carry;
+      t[j - 1] = s & 0xFFFF;
+      carry = s >>> 16;
+    }
+    s = t[LIMBS] + carry;
+    t[LIMBS - 1] = s & 0xFFFF;
+    t[LIMBS] = t[LIMBS + 1] + (s >>> 16);
+    t[LIMBS + 1] = 0;
+  }
+  const out = t.slice(0, LIMBS);
+  if (t[LIMBS] || _compare(out, P) >= 0) {
+    _subRaw(out, P, out);
+  }
+  return out;
+}
+// R = 2^256 mod p 以及 R^2 mod p，用于转换到 Montgomery 形式
+const R = (() => {
+  const r = new Array(LIMBS);
+  _subRaw(_zero(), P, r);
+  return r;
+})();
+const R2 = (() => {
+  let r = R;
+  for (let i = 0; i < 256; i++) {
+    r = _add(r, r);
+  }
+  return r;
+})();
+const ONE = [1].concat(new Array(LIMBS - 1).fill(0));
+function _toMont(a) {
+  return _mul(a, R2);
+}
+function _fromMont(a) {
+  return _mul(a, ONE);
+}
+function _pow(a, exponent) {
+  let result = R;
+  for (let i = LIMBS - 1; i >= 0; i--) {
+    for (let bit = 15; bit >= 0; bit--) {
+      result = _mul(result, result);
+      if ((exponent[i] >>> bit) & 1) {
+        result = _mul(result, a);
+      }
+    }
+  }
+  return result;
+}
+const P_MINUS_2 = _sub(P, [2].concat(new Array(LIMBS - 1).fill(0)));
+// p ≡ 3 (mod 4)，平方根为 a^((p+1)/4)
+const SQRT_EXPONENT = (() => {
+  const e = new Array(LIMBS);
+  let carry = 1;
+  for (let i = 0; i < LIMBS; i++) {
+    const s = P[i] + carry;
+    e[i] = s & 0xFFFF;
+    carry = s >>> 16;
+  }
+  for (let i = 0; i < LIMBS; i++) {
+    e[i] = (e[i] >>> 2) | (((e[i + 1] || 0) & 3) << 14) | (i === LIMBS - 1 ? carry << 14 : 0);
+  }
+  return e;
+})();
+const MONT_B = _toMont(B);
+const MONT_THREE = _toMont([3].concat(new Array(LIMBS - 1).fill(0)));
+// Jacobian 坐标，z 为 0 表示无穷远点
+function _double(p) {
+  if (_isZero(p.z)) {
+    return p;
+  }
+  const delta = _mul(p.z, p.z);
+  const gamma = _mul(p.y, p.y);
+  const beta = _mul(p.x, gamma);
+  const alpha = _mul(MONT_THREE, _mul(_sub(p.x, delta), _add(p.x, delta)));
+  const beta4 = _add(_add(beta, beta), _add(beta, beta));
+  const x = _sub(_mul(alpha, alpha), _add(beta4, beta4));
+  const yz = _add(p.y, p.z);
+  const z = _sub(_sub(_mul(yz, yz), gamma), delta);
+  const gamma2 = _mul(gamma, gamma);
+  const gamma8 = _add(_add(_add(gamma2, gamma2), _add(gamma2, gamma2)), _add(_add(gamma2, gamma2), _add(gamma2, gamma2)));
+  const y = _sub(_mul(alpha, _sub(beta4, x)), gamma8);
+  return { x, y, z };
+}
+function _addPoints(p, q) {
+  if (_isZero(p.z)) {
+    return q;
+  }
+  if (_isZero(q.z)) {
+    return p;
+  }
+  const z1z1 = _mul(p.z, p.z);
+  const z2z2 = _mul(q.z, q.z);
+  const u1 = _mul(p.x, z2z2);
+  const u2 = _mul(q.x, z1z1);
+  const s1 = _mul(p.y, _mul(q.z, z2z2));
+  const s2 = _mul(q.y, _mul(p.z, z1z1));
+  const h = _sub(u2, u1);
+  const r = _sub(s2, s1);
+  if (_isZero(h)) {
+    return _isZero(r) ? _double(p) : { x: R, y: R, z: _zero() };
+  }
+  const hh = _mul(h, h);
+  const hhh = _mul(h, hh);
+  const v = _mul(u1, hh);
+  const x = _sub(_sub(_mul(r, r), hhh), _add(v, v));
+  const y = _sub(_mul(r, _sub(v, x)), _mul(s1, hhh));
+  const z = _mul(_mul(p.z, q.z), h);
+  return { x, y, z };
+}
+function _multiply(point, scalar) {
+  // Montgomery ladder
+  let r0 = { x: R, y: R, z: _zero() };
+  let r1 = point;
+  for (let i = LIMBS - 1; i >= 0; i--) {
+    for (let bit = 15; bit >= 0; bit--) {
+      if ((scalar[i] >>> bit) & 1) {
+        r0 = _addPoints(r0, r1);
+        r1 = _double(r1);
+      } else {
+        r1 = _addPoints(r0, r1);
+        r0 = _double(r0);
+      }
+    }
+  }
+  return r0;
+}
+function _toAffine(point) {
+  const zInv = _pow(point.z, P_MINUS_2);
+  const zInv2 = _mul(zInv, zInv);
+  return { x: _fromMont(_mul(point.x, zInv2)), y: _fromMont(_mul(point.y, _mul(zInv2, zInv))) };
+}
+function _checkPrivateKey(privateKey) {
+  if (!isValidPrivateKey(privateKey)) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'private key should be an Uint8Array of 32 bytes between 1 and n - 1');
+  }
+  return _fromBytes(privateKey);
+}
+// y^2 = x^3 - 3x + b，x 为 Montgomery 形式
+function _curveY2(x) {
+  return _add(_sub(_mul(_mul(x, x), x), _mul(MONT_THREE, x)), MONT_B);
+}
+function _parsePublicKey(publicKey) {
+  if (!(publicKey instanceof Uint8Array)) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'public key should be an Uint8Array');
+  }
+  const prefix = publicKey[0];
+  let x, y;
+  if (publicKey.length === 65 && prefix === 0x04) {
+    x = _fromBytes(publicKey.subarray(1, 33));
+    y = _fromBytes(publicKey.subarray(33, 65));
+  } else if (publicKey.length === 33 && (prefix === 0x02 || prefix === 0x03)) {
+    x = _fromBytes(publicKey.subarray(1, 33));
+  } else {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'public key should be 65 bytes uncompressed or 33 bytes compressed');
+  }
+  if (_compare(x, P) >= 0 || (y && _compare(y, P) >= 0)) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'public key is not on the curve');
+  }
+  const mx = _toMont(x);
+  const y2 = _curveY2(mx);
+  let my;
+  if (y) {
+    my = _toMont(y);
+    if (_compare(_mul(my, my), y2) !== 0) {
+      throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'public key is not on the curve');
+    }
+  } else {
+    my = _pow(y2, SQRT_EXPONENT);
+    if (_compare(_mul(my, my), y2) !== 0) {
+      throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'public key is not on the curve');
+    }
+    if ((_fromMont(my)[0] & 1) !== (prefix & 1)) {
+      my = _sub(_zero(), my);
+    }
+  }
+  return { x: mx, y: my, z: R };
+}
+function _encodePoint({ x, y }, compressed) {
+  if (compressed) {
+    const bytes = new Uint8Array(33);
+    bytes[0] = 0x02 | (y[0] & 1);
+    bytes.set(_toBytes(x), 1);
+    return bytes;
+  }
+  const bytes = new Uint8Array(65);
+  bytes[0] = 0x04;
+  bytes.set(_toBytes(x), 1);
+  bytes.set(_toBytes(y), 33);
+  return bytes;
+}
+/**
+ * 私钥是否合法，即 32 字节且在 [1, n - 1] 之间
+ * @param {Uint8Array} privateKey
+ * @returns {boolean}
+ */
+export function isValidPrivateKey(privateKey) {
+  if (!(privateKey instanceof Uint8Array) || privateKey.length !== 32) {
+    return false;
+  }
+  const d = _fromBytes(privateKey);
+  return !_isZero(d) && _compare(d, N) < 0;
+}
+/**
+ * 由私钥计算公钥
+ * @param {Uint8Array} privateKey 32 字节
+ * @param {boolean} [compressed=false] 是否返回压缩格式(33 字节)，默认为未压缩格式(65 字节，0x04 + x + y)
+ * @returns {Uint8Array}
+ */
+export function getPublicKey(privateKey, compressed = false) {
+  const d = _checkPrivateKey(privateKey);
+  return _encodePoint(_toAffine(_multiply({ x: _toMont(GX), y: _toMont(GY), z: R }, d)), compressed);
+}
+/**
+ * 生成密钥对，随机数来自 random.randomBytes，没有安全随机数时抛出 NOT_SUPPORTED
+ * @param {boolean} [compressed=false] 公钥是否使用压缩格式
+ * @returns {{privateKey: Uint8Array, publicKey: Uint8Array}}
+ */
+export function generateKeyPair(compressed = false) {
+  let privateKey = randomBytes(32);
+  while (!isValidPrivateKey(privateKey)) {
+    privateKey = randomBytes(32);
+  }
+  return { privateKey, publicKey: getPublicKey(privateKey, compressed) };
+}
+/**
+ * 计算 ECDH 共享密钥，一般还需要经过 HKDF 派生出会话密钥
+ * @param {Uint8Array} privateKey 自己的私钥，32 字节
+ * @param {Uint8Array} publicKey 对方的公钥，65 字节未压缩格式或 33 字节压缩格式
+ * @returns {Uint8Array} 共享点的 x 坐标，32 字节
+ */
+export function computeSharedSecret(privateKey, publicKey) {
+  const d = _checkPrivateKey(privateKey);
+  const shared = _multiply(_parsePublicKey(publicKey), d);
+  if (_isZero(shared.z)) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'invalid public key');
+  }
+  return _toBytes(_toAffine(shared).x);
+}
+export default {
+  isValidPrivateKey,
+  getPublicKey,
+  generateKeyPair,
+  computeSharedSecret
+};
+//@native end
@@ -0,0 +1,70 @@
+//@native begin
+// 安全随机数，优先使用运行环境的 crypto.getRandomValues，没有时使用通过 seedRandom 播种的 HMAC-DRBG
+// RN 0.61 的 JSC 没有 crypto.getRandomValues，米家 App 目前也没有提供随机数的原生接口，
+// 需要插件自行引入注册 global.crypto 的原生库(如 react-native-get-random-values)，或者用 seedRandom 提供熵，
+// 两者都没有时 randomBytes 及依赖它的 ecdh.generateKeyPair 抛出 NOT_SUPPORTED，不会退回 Math.random
+import { MiotError, ErrorCode } from '../MiotError';
+import { concatBytes } from './bytes';
+import { hmacSha256 } from './sha256';
+// getRandomValues 每次最多返回 65536 字节
+const MAX_NATIVE_LENGTH = 65536;
+const MIN_SEED_LENGTH = 32;
+// HMAC-DRBG(NIST SP 800-90A) 的状态
+let drbg = null;
+function _nativeSource() {
+  const scope = typeof global !== 'undefined' ? global : {};
+  return scope.crypto && typeof scope.crypto.getRandomValues === 'function' ? scope.crypto : null;
+}
+function _drbgUpdate(data) {
+  drbg.key = hmacSha256(drbg.key, concatBytes([drbg.value, Uint8Array.of(0x00), data]));
+  drbg.value = hmacSha256(drbg.key, drbg.value);
+  if (data.length > 0) {
+    drbg.key = hmacSha256(drbg.key, concatBytes([drbg.value, Uint8Array.of(0x01), data]));
+    drbg.value = hmacSha256(drbg.key, drbg.value);
+  }
+}
+/**
+ * 为没有 crypto.getRandomValues 的运行环境提供熵，可以多次调用，每次都会混入新的熵
+ * @param {Uint8Array} entropy 至少 32 字节的真随机数据，例如设备或服务端下发的随机数
+ */
+export function seedRandom(entropy) {
+  if (!(entropy instanceof Uint8Array) || entropy.length < MIN_SEED_LENGTH) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `entropy should be an Uint8Array of at least ${ MIN_SEED_LENGTH } bytes`);
+  }
+  if (!drbg) {
+    drbg = { key: new Uint8Array(32), value: new Uint8Array(32).fill(0x01) };
+  }
+  _drbgUpdate(entropy);
+}
+/**
+ * 生成安全随机数
+ * @param {int} length 字节数
+ * @returns {Uint8Array}
+ */
+export function randomBytes(length) {
+  if (!(Number.isInteger(length) && length >= 0)) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, `invalid length ${ length }`);
+  }
+  const bytes = new Uint8Array(length);
+  const source = _nativeSource();
+  if (source) {
+    for (let offset = 0; offset < length; offset += MAX_NATIVE_LENGTH) {
+      source.getRandomValues(bytes.subarray(offset, offset + MAX_NATIVE_LENGTH));
+    }
+    return bytes;
+  }
+  if (!drbg) {
+    throw new MiotError(ErrorCode.NOT_SUPPORTED, 'no secure random source, call seedRandom with at least 32 bytes of entropy first');
+  }
+  for (let offset = 0; offset < length; offset += drbg.value.length) {
+    drbg.value = hmacSha256(drbg.key, drbg.value);
+    bytes.set(drbg.value.subarray(0, length - offset), offset);
+  }
+  _drbgUpdate(new Uint8Array(0));
+  return bytes;
+}
+export default {
+  randomBytes,
+  seedRandom
+};
+//@native end
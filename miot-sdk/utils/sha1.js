@@ -0,0 +1,75 @@
+//@native begin
+// 纯 js 的 SHA-1 及 HMAC-SHA1，仅用于兼容 HOTP/TOTP 等沿用 SHA-1 的协议，新协议请使用 SHA-256
+import { hmac } from './sha256';
+function _rotl(x, n) {
+  return (x << n) | (x >>> (32 - n));
+}
+/**
+ * SHA-1
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 20 字节摘要
+ */
+export function sha1(bytes) {
+  const length = bytes.length;
+  const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000), false);
+  view.setUint32(padded.length - 4, (length * 8) >>> 0, false);
+  const h = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+  const w = new Uint32Array(80);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4, false);
+    }
+    for (let i = 16; i < 80; i++) {
+      w[i] = _rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i++) {
+      let f, k;
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const t = (_rotl(a, 5) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = _rotl(b, 30) >>> 0;
+      b = a;
+      a = t;
+    }
+    h[0] += a;
+    h[1] += b;
+    h[2] += c;
+    h[3] += d;
+    h[4] += e;
+  }
+  const digest = new DataView(new ArrayBuffer(20));
+  h.forEach((v, i) => digest.setUint32(i * 4, v, false));
+  return new Uint8Array(digest.buffer);
+}
+/**
+ * HMAC-SHA1
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 20 字节
+ */
+export function hmacSha1(key, data) {
+  return hmac(sha1, key, data);
+}
+export default {
+  sha1,
+  hmacSha1
+};
+//@native end
@@ -0,0 +1,121 @@
+//@native begin
+// 纯 js 的 SHA-256、HMAC 及 HKDF，同步执行，数据统一使用 Uint8Array
+import { MiotError, ErrorCode } from '../MiotError';
+import { concatBytes } from './bytes';
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+const BLOCK_SIZE = 64;
+function _rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+/**
+ * SHA-256
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32 字节摘要
+ */
+export function sha256(bytes) {
+  const length = bytes.length;
+  const padded = new Uint8Array(((length + 8) >> 6) * 64 + 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000), false);
+  view.setUint32(padded.length - 4, (length * 8) >>> 0, false);
+  const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4, false);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = _rotr(w[i - 15], 7) ^ _rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = _rotr(w[i - 2], 17) ^ _rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (_rotr(e, 6) ^ _rotr(e, 11) ^ _rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+      const t2 = ((_rotr(a, 2) ^ _rotr(a, 13) ^ _rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    h[0] += a;
+    h[1] += b;
+    h[2] += c;
+    h[3] += d;
+    h[4] += e;
+    h[5] += f;
+    h[6] += g;
+    h[7] += hh;
+  }
+  const digest = new DataView(new ArrayBuffer(32));
+  h.forEach((v, i) => digest.setUint32(i * 4, v, false));
+  return new Uint8Array(digest.buffer);
+}
+/**
+ * HMAC(RFC 2104)
+ * @param {function} hash 摘要函数，例如 sha256
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @param {int} [blockSize=64] 摘要算法的分组长度，SHA-512 为 128
+ * @returns {Uint8Array}
+ */
+export function hmac(hash, key, data, blockSize = BLOCK_SIZE) {
+  const block = new Uint8Array(blockSize);
+  block.set(key.length > blockSize ? hash(key) : key);
+  const inner = block.map(b => b ^ 0x36);
+  const outer = block.map(b => b ^ 0x5c);
+  return hash(concatBytes([outer, hash(concatBytes([inner, data]))]));
+}
+/**
+ * HMAC-SHA256
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 32 字节
+ */
+export function hmacSha256(key, data) {
+  return hmac(sha256, key, data);
+}
+/**
+ * HKDF-SHA256(RFC 5869)
+ * @param {Uint8Array} ikm 输入的密钥材料，例如 ECDH 的共享密钥
+ * @param {Uint8Array} [salt] 盐，不传时为 32 字节的 0
+ * @param {Uint8Array} [info] 上下文信息
+ * @param {int} [length=32] 输出的长度，不超过 255 * 32
+ * @returns {Uint8Array}
+ */
+export function hkdf(ikm, salt = null, info = new Uint8Array(0), length = 32) {
+  if (!(length > 0 && length <= 255 * 32)) {
+    throw new MiotError(ErrorCode.INVALID_ARGUMENT, 'hkdf length should be between 1 and 8160');
+  }
+  const prk = hmacSha256(salt && salt.length > 0 ? salt : new Uint8Array(32), ikm);
+  const result = new Uint8Array(length);
+  let previous = new Uint8Array(0);
+  for (let i = 0, offset = 0; offset < length; i++) {
+    previous = hmacSha256(prk, concatBytes([previous, info, Uint8Array.of(i + 1)]));
+    result.set(previous.subarray(0, length - offset), offset);
+    offset += previous.length;
+  }
+  return result;
+}
+export default {
+  sha256,
+  hmac,
+  hmacSha256,
+  hkdf
+};
+//@native end
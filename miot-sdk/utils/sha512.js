@@ -0,0 +1,121 @@
+//@native begin
+// 纯 js 的 SHA-512 及 HMAC-SHA512，运行环境不一定支持 BigInt，64 位整数使用高低两个 32 位整数表示
+import { hmac } from './sha256';
+// 轮常量，依次为高 32 位和低 32 位
+const K = new Uint32Array([
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+]);
+const IV = [
+  0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+  0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+];
+const BLOCK_SIZE = 128;
+// 64 位循环右移，返回 [高, 低]
+function _rotr(hi, lo, n) {
+  if (n >= 32) {
+    [hi, lo] = [lo, hi];
+    n -= 32;
+  }
+  if (n === 0) {
+    return [hi >>> 0, lo >>> 0];
+  }
+  return [((hi >>> n) | (lo << (32 - n))) >>> 0, ((lo >>> n) | (hi << (32 - n))) >>> 0];
+}
+function _shr(hi, lo, n) {
+  return [hi >>> n, ((lo >>> n) | (hi << (32 - n))) >>> 0];
+}
+// 多个 64 位整数相加，参数依次为高低位
+function _add(...words) {
+  let hi = 0, lo = 0;
+  for (let i = 0; i < words.length; i += 2) {
+    lo += words[i + 1];
+    hi += words[i];
+  }
+  hi += Math.floor(lo / 0x100000000);
+  return [hi >>> 0, lo >>> 0];
+}
+function _xor3(a, b, c) {
+  return [(a[0] ^ b[0] ^ c[0]) >>> 0, (a[1] ^ b[1] ^ c[1]) >>> 0];
+}
+/**
+ * SHA-512
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 64 字节摘要
+ */
+export function sha512(bytes) {
+  const length = bytes.length;
+  const padded = new Uint8Array(((length + 16) >> 7) * 128 + 128);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000), false);
+  view.setUint32(padded.length - 4, (length * 8) >>> 0, false);
+  const h = new Uint32Array(IV);
+  const w = new Uint32Array(160);
+  for (let offset = 0; offset < padded.length; offset += BLOCK_SIZE) {
+    for (let i = 0; i < 32; i++) {
+      w[i] = view.getUint32(offset + i * 4, false);
+    }
+    for (let i = 16; i < 80; i++) {
+      const x = [w[(i - 15) * 2], w[(i - 15) * 2 + 1]];
+      const y = [w[(i - 2) * 2], w[(i - 2) * 2 + 1]];
+      const s0 = _xor3(_rotr(x[0], x[1], 1), _rotr(x[0], x[1], 8), _shr(x[0], x[1], 7));
+      const s1 = _xor3(_rotr(y[0], y[1], 19), _rotr(y[0], y[1], 61), _shr(y[0], y[1], 6));
+      [w[i * 2], w[i * 2 + 1]] = _add(w[(i - 16) * 2], w[(i - 16) * 2 + 1], s0[0], s0[1], w[(i - 7) * 2], w[(i - 7) * 2 + 1], s1[0], s1[1]);
+    }
+    const v = Array.from(h);
+    for (let i = 0; i < 80; i++) {
+      const [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl] = v;
+      const S1 = _xor3(_rotr(eh, el, 14), _rotr(eh, el, 18), _rotr(eh, el, 41));
+      const chH = ((eh & fh) ^ (~eh & gh)) >>> 0;
+      const chL = ((el & fl) ^ (~el & gl)) >>> 0;
+      const t1 = _add(hh, hl, S1[0], S1[1], chH, chL, K[i * 2], K[i * 2 + 1], w[i * 2], w[i * 2 + 1]);
+      const S0 = _xor3(_rotr(ah, al, 28), _rotr(ah, al, 34), _rotr(ah, al, 39));
+      const majH = ((ah & bh) ^ (ah & ch) ^ (bh & ch)) >>> 0;
+      const majL = ((al & bl) ^ (al & cl) ^ (bl & cl)) >>> 0;
+      const t2 = _add(S0[0], S0[1], majH, majL);
+      const e = _add(dh, dl, t1[0], t1[1]);
+      const a = _add(t1[0], t1[1], t2[0], t2[1]);
+      v.splice(0, 16, a[0], a[1], ah, al, bh, bl, ch, cl, e[0], e[1], eh, el, fh, fl, gh, gl);
+    }
+    for (let i = 0; i < 16; i += 2) {
+      [h[i], h[i + 1]] = _add(h[i], h[i + 1], v[i], v[i + 1]);
+    }
+  }
+  const digest = new DataView(new ArrayBuffer(64));
+  h.forEach((x, i) => digest.setUint32(i * 4, x, false));
+  return new Uint8Array(digest.buffer);
+}
+/**
+ * HMAC-SHA512
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 64 字节
+ */
+export function hmacSha512(key, data) {
+  return hmac(sha512, key, data, BLOCK_SIZE);
+}
+export default {
+  sha512,
+  hmacSha512
+};
+//@native end